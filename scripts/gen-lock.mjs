@@ -6,9 +6,9 @@
  * Usage: node scripts/gen-lock.mjs <run-dir>
  */
 
-import { readdirSync, writeFileSync, statSync } from "node:fs";
+import { readdirSync, readFileSync, writeFileSync, statSync, existsSync } from "node:fs";
 import { join, resolve } from "node:path";
-import { hashFile, hashObject } from "../src/lib/hash.mjs";
+import { createManifest, loadSigningKey } from "../src/lib/manifest.mjs";
 
 const runDir = process.argv[2];
 if (!runDir) {
@@ -26,30 +26,24 @@ async function main() {
   const files = [];
   for (const name of entries.sort()) {
     const filePath = join(absDir, name);
-    const stat = statSync(filePath);
-    if (!stat.isFile()) continue;
-
-    const sha256 = await hashFile(filePath);
-    files.push({
-      path: name,
-      sha256,
-      bytes: stat.size,
-    });
+    if (!statSync(filePath).isFile()) continue;
+    files.push({ path: name, content: readFileSync(filePath) });
   }
 
-  const manifest = {
-    generatedAt: new Date().toISOString(),
-    files,
-  };
+  // Run metadata (engine version, runId, inputsSha256, createdAt) from run.json when present
+  const runPath = join(absDir, "run.json");
+  const run = existsSync(runPath) ? JSON.parse(readFileSync(runPath, "utf8")) : {};
 
-  // Compute root hash of the manifest itself
-  manifest.rootSha256 = hashObject(manifest);
+  // Same signing key as the CLI's --signing-key
+  const signingKey = process.env.COE_SIGNING_KEY ? loadSigningKey(process.env.COE_SIGNING_KEY) : null;
+  const manifest = createManifest(run, files, { signingKey });
 
   const outPath = join(absDir, "manifest.json");
   writeFileSync(outPath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
   console.log(`Manifest written to ${outPath}`);
-  console.log(`  Files: ${files.length}`);
+  console.log(`  Files: ${manifest.files.length}`);
   console.log(`  Root SHA-256: ${manifest.rootSha256}`);
+  if (manifest.signature) console.log(`  Signed: ed25519 key ${manifest.signature.keyId}`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,143 @@
+/**
+ * Bluesky adapter for clearance-opinion-engine.
+ *
+ * Checks handle availability by resolving <name>.bsky.social through the
+ * AT Protocol (GET /xrpc/com.atproto.identity.resolveHandle). Uses
+ * adapter factory pattern for fixture injection.
+ *
+ * A resolved handle is authoritative "taken". "Unable to resolve handle"
+ * is only indicative "available": Bluesky reserves some handles and a
+ * name can still be taken as a custom domain handle elsewhere.
+ *
+ * The base URL and handle domain are overridable (opts.baseUrl,
+ * opts.handleDomain, or COE_BLUESKY_URL through the channel registry) to
+ * test against a local mock server or another PDS.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+const DEFAULT_BASE_URL = "https://bsky.social";
+const DEFAULT_HANDLE_DOMAIN = "bsky.social";
+
+/** bsky.social handle label: 3–18 lowercase alphanumerics and inner hyphens. */
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9-]{1,16}[a-z0-9]$/;
+
+/**
+ * Create a Bluesky adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ baseUrl?: string, handleDomain?: string }} [opts]
+ * @returns {{ checkHandle: Function }}
+ */
+export function createBlueskyAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  const baseUrl = (opts.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const handleDomain = opts.handleDomain || DEFAULT_HANDLE_DOMAIN;
+
+  /**
+   * Check if a Bluesky handle is available.
+   *
+   * @param {string} name - Candidate name; checked as <name>.<handleDomain>
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkHandle(name, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const label = name.toLowerCase();
+    const handle = `${label}.${handleDomain}`;
+    const id = checkId("bluesky", handle);
+    const evId = evidenceId(id, 0);
+    const url = `${baseUrl}/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(handle)}`;
+    const query = { candidateMark: name, value: handle };
+
+    if (!LABEL_PATTERN.test(label)) {
+      return {
+        check: {
+          id,
+          namespace: "bluesky",
+          query,
+          status: "unsupported",
+          authority: "authoritative",
+          observedAt: now,
+          errors: [{ code: "COE.SOCIAL.INVALID_HANDLE", message: `"${handle}" is not a valid Bluesky handle` }],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "bluesky" },
+          observedAt: now,
+          notes: "Skipped: not a valid Bluesky handle",
+        },
+      };
+    }
+
+    try {
+      const res = await fetchFn(url, { headers: { Accept: "application/json" } });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      let data = null;
+      try {
+        data = JSON.parse(bodyText);
+      } catch {
+        // Non-JSON body — classified as unknown below
+      }
+
+      const details = { source: "bluesky" };
+      let status = "unknown";
+      let authority = "indicative";
+      if (res.status === 200 && data?.did) {
+        status = "taken";
+        authority = "authoritative";
+        details.did = data.did;
+      } else if (res.status === 400 && /unable to resolve handle/i.test(data?.message || "")) {
+        status = "available";
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "bluesky",
+          query,
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "bluesky", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "bluesky",
+          query,
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "bluesky" },
+          errors: [{ code: "COE.ADAPTER.BLUESKY_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "bluesky", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkHandle };
+}
@@ -7,12 +7,21 @@
  *
  * Corpus format:
  *   { "marks": [{ "mark": "ReactJS", "class": 9, "registrant": "Meta" }, ...] }
+ *
+ * Imported office records (see src/corpus/) add optional fields:
+ *   source ("uspto" | "euipo" | "wipo"), jurisdiction ("US", "EU", "WO", ...),
+ *   designations (WIPO designated parties), serialNumber, applicationNumber,
+ *   registrationNumber, status ("live" | "dead"), classes (all Nice classes),
+ *   filingDate, registrationDate, expiryDate
  */
 
 import { readFileSync } from "node:fs";
 import { findingId } from "../lib/ids.mjs";
 import { hashString } from "../lib/hash.mjs";
 import { findSimilarMarks, similarityLabel } from "../scoring/similarity.mjs";
+import { markCoversGeographies } from "../lib/geo.mjs";
+import { classRelationship, adjustSeverity, describeClassRelationship } from "../scoring/nice-classes.mjs";
+import { searchCorpusIndex } from "../corpus/search-index.mjs";
 
 /**
  * Load and validate a corpus file.
@@ -58,31 +67,79 @@ export function loadCorpus(corpusPath) {
   return corpus;
 }
 
+function describeClasses(entry) {
+  if (entry?.classes?.length > 1) return ` (Nice classes ${entry.classes.join(", ")})`;
+  return entry?.class ? ` (Nice class ${entry.class})` : "";
+}
+
+function markClassesOf(entry) {
+  if (entry?.classes?.length > 0) return entry.classes;
+  return Number.isInteger(entry?.class) ? [entry.class] : [];
+}
+
+function describeRecord(entry) {
+  const status = `(${entry?.status || "unknown"})`;
+  if (entry?.source === "uspto" && entry.serialNumber) {
+    const reg = entry.registrationNumber ? `, reg. ${entry.registrationNumber}` : "";
+    return ` — USPTO serial ${entry.serialNumber}${reg} ${status}`;
+  }
+  if (entry?.source === "euipo" && entry.applicationNumber) {
+    return ` — EUIPO no. ${entry.applicationNumber} ${status}`;
+  }
+  if (entry?.source === "wipo" && entry.registrationNumber) {
+    const label = entry.jurisdiction === "WO" ? "WIPO IR" : `WIPO GBD ${entry.jurisdiction} no.`;
+    return ` — ${label} ${entry.registrationNumber} ${status}`;
+  }
+  return "";
+}
+
+function describeJurisdiction(entry) {
+  if (!entry?.jurisdiction) return null;
+  const office = entry.source ? ` (${entry.source.toUpperCase()}, ${entry.status || "unknown"})` : "";
+  const designated = entry.designations?.length > 0 ? `; designates ${entry.designations.join(", ")}` : "";
+  return `Jurisdiction: ${entry.jurisdiction}${office}${designated}`;
+}
+
 /**
  * Compare a candidate against a corpus of known marks.
  *
  * @param {string} candidateMark
  * @param {{ marks: Array<{ mark: string, class?: number, registrant?: string }> }} corpus
- * @param {{ threshold?: number, now?: string, lookWeight?: number, soundWeight?: number }} [opts]
+ * Dead marks (status "dead") are skipped unless includeDead is set. When
+ * classes (the candidate's Nice classes) are given, each match is weighted
+ * by class overlap with the mark: the same class raises severity,
+ * coordinated classes (e.g. 9/42/35) raise it moderately, and unrelated
+ * classes lower it — an unrelated-class phonetic match is reported as a
+ * near conflict. Marks without class information are unchanged. When geographies
+ * are given, only marks with effect there are compared (see
+ * markCoversGeographies); marks without jurisdiction data always are.
+ * With a prebuilt index (see src/corpus/search-index.mjs) the same matches
+ * are found without scoring every mark.
+ *
+ * @param {{ threshold?: number, now?: string, lookWeight?: number, soundWeight?: number, includeDead?: boolean, classes?: number[], geographies?: Array<{ code: string }>, index?: object }} [opts]
  * @returns {{ findings: object[], evidence: object[], closestConflicts: object[] }}
  */
 export function compareAgainstCorpus(candidateMark, corpus, opts = {}) {
   const now = opts.now || new Date().toISOString();
   const threshold = opts.threshold ?? 0.70;
+  const classes = opts.classes?.length > 0 ? opts.classes : null;
 
   const findings = [];
   const evidence = [];
   const closestConflicts = [];
 
-  const matches = findSimilarMarks(candidateMark, corpus.marks, {
-    threshold,
-    lookWeight: opts.lookWeight,
-    soundWeight: opts.soundWeight,
-  });
+  const include = (m) => {
+    if (!opts.includeDead && m.status === "dead") return false;
+    return markCoversGeographies(m, opts.geographies);
+  };
+
+  const searchOpts = { threshold, lookWeight: opts.lookWeight, soundWeight: opts.soundWeight };
+  const matches = opts.index
+    ? searchCorpusIndex(candidateMark, opts.index, corpus.marks, { ...searchOpts, include })
+    : findSimilarMarks(candidateMark, corpus.marks.filter(include), searchOpts);
 
   for (let i = 0; i < matches.length; i++) {
-    const { mark, comparison } = matches[i];
-    const corpusEntry = corpus.marks.find((m) => m.mark === mark);
+    const { mark, comparison, entry: corpusEntry } = matches[i];
 
     // Determine finding kind based on similarity scores
     let kind = "near_conflict";
@@ -96,6 +153,14 @@ export function compareAgainstCorpus(candidateMark, corpus, opts = {}) {
       severity = "high";
     }
 
+    // Weight by Nice class overlap with the candidate
+    const markClasses = markClassesOf(corpusEntry);
+    const classRel = classRelationship(classes, markClasses);
+    const unweighted = severity;
+    severity = adjustSeverity(severity, classRel.relation, comparison.overall);
+    if (classRel.relation === "unrelated" && kind === "phonetic_conflict") kind = "near_conflict";
+    const classLine = describeClassRelationship(classRel, classes, markClasses, { before: unweighted, after: severity });
+
     // Build evidence for this corpus match
     const evId = `ev.corpus.${i}`;
     const markHash = hashString(JSON.stringify(corpusEntry || { mark }));
@@ -106,7 +171,7 @@ export function compareAgainstCorpus(candidateMark, corpus, opts = {}) {
       source: { system: "user_corpus" },
       observedAt: now,
       sha256: markHash,
-      notes: `Corpus entry: "${mark}"${corpusEntry?.class ? ` (Nice class ${corpusEntry.class})` : ""}${corpusEntry?.registrant ? ` by ${corpusEntry.registrant}` : ""}`,
+      notes: `Corpus entry: "${mark}"${describeClasses(corpusEntry)}${corpusEntry?.registrant ? ` by ${corpusEntry.registrant}` : ""}${describeRecord(corpusEntry)}`,
     });
 
     // Build commercial impression line
@@ -115,13 +180,17 @@ export function compareAgainstCorpus(candidateMark, corpus, opts = {}) {
     const commercialImpression = `Commercial impression: Looks like "${mark}" (${looksLabel}), sounds like "${mark}" (${soundsLabel})`;
 
     // Build finding
+    const jurisdictionLine = describeJurisdiction(corpusEntry);
     const why = [...comparison.why, commercialImpression];
+    if (jurisdictionLine) why.push(jurisdictionLine);
+    if (classLine) why.push(classLine);
+    const where = corpusEntry?.jurisdiction ? ` in ${corpusEntry.jurisdiction}` : "";
 
     findings.push({
       id: findingId(kind, `corpus-${candidateMark}-${mark}`, i),
       candidateMark,
       kind,
-      summary: `Candidate "${candidateMark}" is similar to known mark "${mark}" (overall: ${comparison.overall.toFixed(2)})`,
+      summary: `Candidate "${candidateMark}" is similar to known mark "${mark}"${where} (overall: ${comparison.overall.toFixed(2)})`,
       severity,
       score: Math.round(comparison.overall * 100),
       why,
@@ -134,6 +203,8 @@ export function compareAgainstCorpus(candidateMark, corpus, opts = {}) {
       why: [
         `${kind === "phonetic_conflict" ? "Phonetic" : "Visual"} similarity: ${comparison.overall.toFixed(2)} (${similarityLabel(comparison.overall)})`,
         commercialImpression,
+        ...(jurisdictionLine ? [jurisdictionLine] : []),
+        ...(classLine ? [classLine] : []),
       ],
       severity,
       evidenceRefs: [evId],
@@ -4,25 +4,228 @@
  * Checks domain name availability via the RDAP protocol (RFC 9083).
  * Uses adapter factory pattern for fixture injection.
  *
- * RDAP endpoint: https://rdap.org/domain/{fqdn}
+ * RDAP endpoint: the TLD's authoritative server from the IANA bootstrap
+ * registry (see rdap-bootstrap.mjs), or https://rdap.org/domain/{fqdn}
+ * when no bootstrap is available.
  * - 200 = domain registered (taken)
  * - 404 = domain not found (available)
  * - 429 = rate limited
  * - 302 = redirect to authoritative registry (followed automatically by fetch)
+ *
+ * TLDs the bootstrap lists no RDAP service for (many ccTLDs) are reported
+ * with status "unsupported" rather than "unknown".
+ *
+ * For registered domains the RDAP payload is parsed into check.details
+ * (events, registrar, status codes, nameservers). Domains that are in
+ * their deletion cycle, close to expiry, or parked are marked
+ * claimability "claimable_soon" instead of "not_claimable".
  */
 
 import { checkId, evidenceId } from "../lib/ids.mjs";
 import { hashString } from "../lib/hash.mjs";
+import { findRdapServer } from "./rdap-bootstrap.mjs";
+
+/** Default TLDs checked when none are configured. */
+export const DEFAULT_TLDS = [".com", ".dev"];
+
+/**
+ * Named TLD presets for --tlds.
+ */
+export const TLD_PRESETS = {
+  default: DEFAULT_TLDS,
+  tech: [".io", ".ai", ".app", ".dev"],
+  cc: [".us", ".uk", ".ca", ".de", ".fr", ".nl", ".eu", ".au", ".jp", ".in", ".co"],
+};
+
+/** Days before expiry at which a registered domain counts as "claimable soon". */
+export const EXPIRING_WITHIN_DAYS = 30;
+
+/**
+ * Nameserver domains of well-known parking / aftermarket services.
+ */
+export const PARKING_NAMESERVERS = [
+  "above.com",
+  "afternic.com",
+  "bodis.com",
+  "cashparking.com",
+  "dan.com",
+  "parkingcrew.net",
+  "parklogic.com",
+  "sedoparking.com",
+];
+
+/** RDAP status codes (RFC 8056 mapping, spaces removed) for domains in their deletion cycle. */
+const DELETION_STATUSES = {
+  pendingdelete: "pending_delete",
+  redemptionperiod: "redemption_period",
+};
+
+function tldError(message) {
+  const err = new Error(message);
+  err.code = "COE.INIT.BAD_TLD";
+  return err;
+}
+
+/**
+ * Normalize one TLD entry to lowercase with a leading dot.
+ *
+ * @param {string} raw - e.g. "io", ".IO", "co.uk"
+ * @returns {string} e.g. ".io"
+ * @throws {Error} COE.INIT.BAD_TLD
+ */
+export function normalizeTld(raw) {
+  const tld = `.${String(raw).trim().toLowerCase().replace(/^\./, "")}`;
+  if (!/^(\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/.test(tld)) {
+    throw tldError(`Invalid TLD: ${raw}`);
+  }
+  return tld;
+}
+
+/**
+ * Parse a --tlds value (or config array) with support for:
+ *   preset:         tech | cc | default
+ *   explicit list:  com,io,.ai
+ *   additive:       +io,+ai  (adds to the default TLDs)
+ *   mixed presets:  tech,cc,com
+ *
+ * @param {string|string[]|null} raw
+ * @returns {string[]} Deduplicated TLDs with leading dots
+ * @throws {Error} COE.INIT.BAD_TLD
+ */
+export function parseTlds(raw) {
+  if (!raw || (Array.isArray(raw) && raw.length === 0)) return [...DEFAULT_TLDS];
+
+  const parts = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((p) => String(p).trim())
+    .filter(Boolean);
+
+  const allAdditive = parts.every((p) => p.startsWith("+"));
+  const result = allAdditive ? [...DEFAULT_TLDS] : [];
+
+  for (const part of parts) {
+    const entry = allAdditive ? part.slice(1) : part;
+    const expanded = TLD_PRESETS[entry.toLowerCase()] || [normalizeTld(entry)];
+    for (const tld of expanded) {
+      if (!result.includes(tld)) result.push(tld);
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the vCard "fn" (formatted name) of an RDAP entity.
+ *
+ * @param {object} entity
+ * @returns {string|null}
+ */
+function entityName(entity) {
+  const props = Array.isArray(entity?.vcardArray?.[1]) ? entity.vcardArray[1] : [];
+  const fn = props.find((p) => Array.isArray(p) && p[0] === "fn");
+  return typeof fn?.[3] === "string" && fn[3].trim() ? fn[3].trim() : null;
+}
+
+/**
+ * Extract registration data from an RDAP domain response (RFC 9083).
+ *
+ * Only fields present in the response are returned. Status codes and
+ * nameservers are lowercased; RDAP registries vary in casing.
+ *
+ * @param {object} data - Parsed RDAP domain object
+ * @returns {{ registeredAt?: string, expiresAt?: string, lastChangedAt?: string, registrar?: string, registrarIanaId?: string, statuses?: string[], nameservers?: string[] }}
+ */
+export function parseRdapDomain(data) {
+  const out = {};
+  if (!data || typeof data !== "object") return out;
+
+  const eventFields = {
+    registration: "registeredAt",
+    expiration: "expiresAt",
+    "last changed": "lastChangedAt",
+  };
+  for (const event of Array.isArray(data.events) ? data.events : []) {
+    const field = eventFields[String(event?.eventAction).toLowerCase()];
+    if (field && typeof event.eventDate === "string" && !out[field]) {
+      out[field] = event.eventDate;
+    }
+  }
+
+  const registrar = (Array.isArray(data.entities) ? data.entities : [])
+    .find((e) => Array.isArray(e?.roles) && e.roles.includes("registrar"));
+  if (registrar) {
+    const name = entityName(registrar);
+    if (name) out.registrar = name;
+    const ianaId = (registrar.publicIds || []).find((p) => p?.type === "IANA Registrar ID");
+    if (ianaId?.identifier) out.registrarIanaId = String(ianaId.identifier);
+  }
+
+  if (Array.isArray(data.status) && data.status.length > 0) {
+    out.statuses = data.status.filter((s) => typeof s === "string").map((s) => s.toLowerCase());
+  }
+
+  if (Array.isArray(data.nameservers) && data.nameservers.length > 0) {
+    out.nameservers = data.nameservers
+      .map((ns) => (typeof ns?.ldhName === "string" ? ns.ldhName.toLowerCase().replace(/\.$/, "") : null))
+      .filter(Boolean);
+  }
+
+  return out;
+}
+
+/**
+ * Decide why a registered domain may become claimable soon, if at all.
+ *
+ * Order: deletion cycle (pending delete, redemption period), expiry
+ * within the window (or already past), then parking nameservers.
+ *
+ * @param {object} details - Output of parseRdapDomain()
+ * @param {string} now - ISO timestamp of the check
+ * @param {{ expiringWithinDays?: number }} [opts]
+ * @returns {"pending_delete"|"redemption_period"|"expiring"|"parked"|null}
+ */
+export function claimableSoonReason(details, now, opts = {}) {
+  const withinDays = opts.expiringWithinDays ?? EXPIRING_WITHIN_DAYS;
+
+  for (const status of details.statuses || []) {
+    // "pending delete" (RDAP) and "pendingDelete" (EPP) normalize to the same key
+    const reason = DELETION_STATUSES[status.replace(/\s+/g, "").toLowerCase()];
+    if (reason) return reason;
+  }
+
+  if (details.expiresAt) {
+    const msLeft = Date.parse(details.expiresAt) - Date.parse(now);
+    if (Number.isFinite(msLeft) && msLeft <= withinDays * 86_400_000) return "expiring";
+  }
+
+  const parked = (details.nameservers || []).some((ns) =>
+    PARKING_NAMESERVERS.some((p) => ns === p || ns.endsWith(`.${p}`))
+  );
+  if (parked) return "parked";
+
+  return null;
+}
 
 /**
  * Create a domain adapter using RDAP.
  *
  * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
- * @param {{ tlds?: string[] }} [opts] - Options
- * @returns {{ checkDomain: Function }}
+ * @param {{ tlds?: string[], bootstrap?: object|null, loadBootstrap?: () => Promise<object|null>, expiringWithinDays?: number }} [opts]
+ *   bootstrap — parsed RDAP bootstrap (see rdap-bootstrap.mjs);
+ *   loadBootstrap — lazy loader, called once on first check;
+ *   expiringWithinDays — expiry window for "claimable_soon" (default 30)
+ * @returns {{ checkDomain: Function, tlds: string[] }}
  */
 export function createDomainAdapter(fetchFn = globalThis.fetch, opts = {}) {
-  const tlds = opts.tlds || [".com", ".dev"];
+  const tlds = opts.tlds || DEFAULT_TLDS;
+
+  let bootstrapPromise = null;
+  function getBootstrap() {
+    if (!bootstrapPromise) {
+      bootstrapPromise = opts.bootstrap !== undefined
+        ? Promise.resolve(opts.bootstrap)
+        : opts.loadBootstrap ? opts.loadBootstrap().catch(() => null) : Promise.resolve(null);
+    }
+    return bootstrapPromise;
+  }
 
   /**
    * Check if a domain name is available via RDAP.
@@ -37,7 +240,42 @@ export function createDomainAdapter(fetchFn = globalThis.fetch, opts = {}) {
     const fqdn = `${name}${tld}`;
     const id = checkId("domain", fqdn);
     const evId = evidenceId(id, 0);
-    const url = `https://rdap.org/domain/${encodeURIComponent(fqdn)}`;
+
+    const bootstrap = await getBootstrap();
+    const rdapServer = bootstrap ? findRdapServer(bootstrap, tld) : null;
+
+    // Bootstrap loaded, but the registry publishes no RDAP service for this TLD
+    if (bootstrap && !rdapServer) {
+      return {
+        check: {
+          id,
+          namespace: "domain",
+          query: { candidateMark: name, value: fqdn },
+          status: "unsupported",
+          authority: "authoritative",
+          claimability: "unknown",
+          observedAt: now,
+          details: { rdapBootstrap: bootstrap.source },
+          errors: [
+            {
+              code: "COE.DOMAIN.RDAP_UNSUPPORTED",
+              message: `No RDAP service is registered for ${tld} in the IANA bootstrap registry`,
+            },
+          ],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "rdap_bootstrap", url: bootstrap.source },
+          observedAt: now,
+          notes: `Skipped: ${tld} has no RDAP service`,
+        },
+      };
+    }
+
+    const url = rdapServer
+      ? `${rdapServer}domain/${encodeURIComponent(fqdn)}`
+      : `https://rdap.org/domain/${encodeURIComponent(fqdn)}`;
 
     try {
       const res = await fetchFn(url, {
@@ -50,11 +288,23 @@ export function createDomainAdapter(fetchFn = globalThis.fetch, opts = {}) {
       let authority;
       let claimability;
       const errors = [];
+      const details = rdapServer ? { rdapServer } : {};
 
       if (res.status === 200) {
         status = "taken";
         authority = "authoritative";
         claimability = "not_claimable";
+
+        try {
+          Object.assign(details, parseRdapDomain(JSON.parse(bodyText)));
+        } catch {
+          // Ignore parse errors for details — status is still valid
+        }
+        const reason = claimableSoonReason(details, now, opts);
+        if (reason) {
+          claimability = "claimable_soon";
+          details.claimableSoonReason = reason;
+        }
       } else if (res.status === 404) {
         status = "available";
         authority = "authoritative";
@@ -83,6 +333,7 @@ export function createDomainAdapter(fetchFn = globalThis.fetch, opts = {}) {
           claimability,
           observedAt: now,
           evidenceRef: evId,
+          ...(Object.keys(details).length > 0 ? { details } : {}),
           errors,
         },
         evidence: {
@@ -1,22 +1,31 @@
 /**
  * GitHub namespace adapter for clearance-opinion-engine.
  *
- * Checks org and repo name availability via the GitHub API.
+ * Checks org, repo and user handle availability via the GitHub API.
  * Uses adapter factory pattern for fixture injection.
+ *
+ * The API base URL is overridable (opts.baseUrl, or COE_GITHUB_API_URL
+ * through the channel registry) to test against a local mock server.
  */
 
 import { checkId, evidenceId } from "../lib/ids.mjs";
 import { hashString } from "../lib/hash.mjs";
 
+const DEFAULT_BASE_URL = "https://api.github.com";
+
+/** GitHub user/org handle rule: alphanumerics and single inner hyphens, max 39. */
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9]|-(?=[a-z0-9])){0,38}$/i;
+
 /**
  * Create a GitHub adapter.
  *
  * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
- * @param {{ token?: string }} [opts] - Options
- * @returns {{ checkOrg: Function, checkRepo: Function }}
+ * @param {{ token?: string, baseUrl?: string }} [opts] - Options
+ * @returns {{ checkOrg: Function, checkRepo: Function, checkUser: Function }}
  */
 export function createGitHubAdapter(fetchFn = globalThis.fetch, opts = {}) {
   const token = opts.token || process.env.GITHUB_TOKEN || "";
+  const baseUrl = (opts.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
 
   function headers() {
     const h = {
@@ -38,7 +47,7 @@ export function createGitHubAdapter(fetchFn = globalThis.fetch, opts = {}) {
     const now = checkOpts.now || new Date().toISOString();
     const id = checkId("github-org", name);
     const evId = evidenceId(id, 0);
-    const url = `https://api.github.com/orgs/${encodeURIComponent(name)}`;
+    const url = `${baseUrl}/orgs/${encodeURIComponent(name)}`;
 
     try {
       const res = await fetchFn(url, { headers: headers() });
@@ -103,7 +112,7 @@ export function createGitHubAdapter(fetchFn = globalThis.fetch, opts = {}) {
     const now = checkOpts.now || new Date().toISOString();
     const id = checkId("github-repo", `${owner}/${name}`);
     const evId = evidenceId(id, 0);
-    const url = `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+    const url = `${baseUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
 
     try {
       const res = await fetchFn(url, { headers: headers() });
@@ -156,5 +165,107 @@ export function createGitHubAdapter(fetchFn = globalThis.fetch, opts = {}) {
     }
   }
 
-  return { checkOrg, checkRepo };
+  /**
+   * Check if a GitHub user handle is available.
+   *
+   * Users and organizations share one handle space, so /users/<name>
+   * answers for both. Names GitHub would reject are reported as
+   * "unsupported" without a request.
+   *
+   * @param {string} name - Handle to check
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkUser(name, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const id = checkId("github-user", name);
+    const evId = evidenceId(id, 0);
+    const url = `${baseUrl}/users/${encodeURIComponent(name)}`;
+    const query = { candidateMark: name, value: name };
+
+    if (!HANDLE_PATTERN.test(name)) {
+      return {
+        check: {
+          id,
+          namespace: "github_user",
+          query,
+          status: "unsupported",
+          authority: "authoritative",
+          observedAt: now,
+          errors: [{ code: "COE.SOCIAL.INVALID_HANDLE", message: `"${name}" is not a valid GitHub handle` }],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "github" },
+          observedAt: now,
+          notes: "Skipped: not a valid GitHub handle",
+        },
+      };
+    }
+
+    try {
+      const res = await fetchFn(url, { headers: headers() });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      const status = res.status === 404 ? "available" : res.status === 200 ? "taken" : "unknown";
+      const authority = res.status === 404 || res.status === 200 ? "authoritative" : "indicative";
+
+      const details = { source: "github" };
+      if (status === "taken") {
+        try {
+          const data = JSON.parse(bodyText);
+          if (data.type) details.accountType = data.type;
+        } catch {
+          // Ignore parse errors for details — status is still valid
+        }
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "github_user",
+          query,
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "github", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "github_user",
+          query,
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "github" },
+          errors: [{ code: "COE.ADAPTER.GITHUB_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "github", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkOrg, checkRepo, checkUser };
 }
@@ -0,0 +1,156 @@
+/**
+ * Go module proxy adapter for clearance-opinion-engine.
+ *
+ * Checks Go module path availability via the module proxy protocol
+ * (proxy.golang.org by default). Uses adapter factory pattern for
+ * fixture injection.
+ *
+ * Lookup order:
+ *   1. GET /<module>/@v/list — tagged versions, one per line
+ *   2. GET /<module>/@latest — only when the list is empty, to catch
+ *      modules published with pseudo-versions only
+ *
+ * A 404/410 from the proxy is authoritative for github.com paths (the
+ * proxy can always resolve GitHub). For vanity paths it is indicative:
+ * the host may be private, down, or excluded from the public proxy.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+const DEFAULT_BASE_URL = "https://proxy.golang.org";
+
+/**
+ * Escape a module path for the proxy protocol: uppercase letters become
+ * "!" followed by the lowercase letter.
+ *
+ * @param {string} modulePath
+ * @returns {string}
+ */
+export function escapeModulePath(modulePath) {
+  return modulePath.replace(/[A-Z]/g, (c) => `!${c.toLowerCase()}`);
+}
+
+/**
+ * Whether a module path is hosted on github.com (vs. a vanity import path).
+ *
+ * @param {string} modulePath
+ * @returns {boolean}
+ */
+export function isGitHubModulePath(modulePath) {
+  return modulePath.startsWith("github.com/");
+}
+
+/**
+ * Create a Go module proxy adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ baseUrl?: string }} [opts]
+ * @returns {{ checkModule: Function }}
+ */
+export function createGoProxyAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  const baseUrl = (opts.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+
+  /**
+   * Check if a Go module path is available.
+   *
+   * @param {string} modulePath - e.g. "github.com/acme/my-tool" or "go.acme.dev/my-tool"
+   * @param {{ now?: string, candidateMark?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkModule(modulePath, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const candidateMark = checkOpts.candidateMark || modulePath.slice(modulePath.lastIndexOf("/") + 1);
+    const id = checkId("golang", modulePath);
+    const evId = evidenceId(id, 0);
+    const moduleUrl = `${baseUrl}/${escapeModulePath(modulePath)}`;
+    const listUrl = `${moduleUrl}/@v/list`;
+    const latestUrl = `${moduleUrl}/@latest`;
+    const notFoundAuthority = isGitHubModulePath(modulePath) ? "authoritative" : "indicative";
+    const query = { candidateMark, value: modulePath };
+
+    let url = listUrl;
+    try {
+      const listRes = await fetchFn(listUrl);
+      let bodyText = await listRes.text();
+      let res = listRes;
+      const repro = [`curl -s "${listUrl}"`];
+
+      const versions = listRes.status === 200
+        ? bodyText.split("\n").map((v) => v.trim()).filter(Boolean)
+        : [];
+
+      // Empty list → the module may only have pseudo-versions
+      if (listRes.status === 200 && versions.length === 0) {
+        url = latestUrl;
+        res = await fetchFn(latestUrl);
+        bodyText = await res.text();
+        repro.push(`curl -s "${latestUrl}"`);
+      }
+
+      const notFound = res.status === 404 || res.status === 410;
+      const status = res.status === 200 ? "taken" : notFound ? "available" : "unknown";
+      const authority = res.status === 200 ? "authoritative" : notFound ? notFoundAuthority : "indicative";
+
+      const details = { source: "goproxy", modulePath };
+      if (status === "taken") {
+        if (versions.length > 0) {
+          details.versionCount = versions.length;
+        } else {
+          try {
+            const data = JSON.parse(bodyText);
+            if (data.Version) details.latestVersion = data.Version;
+            if (data.Time) details.latestTime = data.Time;
+          } catch {
+            // Ignore parse errors for details — status is still valid
+          }
+        }
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "golang",
+          query,
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "goproxy", url, method: "GET" },
+          observedAt: now,
+          sha256: hashString(bodyText),
+          bytes: bodyText.length,
+          repro,
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "golang",
+          query,
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "goproxy", modulePath },
+          errors: [{ code: "COE.ADAPTER.GOPROXY_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "goproxy", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkModule };
+}
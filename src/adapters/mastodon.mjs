@@ -0,0 +1,157 @@
+/**
+ * Mastodon adapter for clearance-opinion-engine.
+ *
+ * Checks account availability on one Mastodon instance via WebFinger
+ * (GET /.well-known/webfinger?resource=acct:<name>@<instance>). Uses
+ * adapter factory pattern for fixture injection.
+ *
+ * A resolved account is authoritative "taken"; a 410 (deleted or
+ * suspended account) is indicative "taken", since the name stays
+ * reserved. A 404 is only indicative "available": the instance may have
+ * closed registrations or reserve the name. Other instances are separate
+ * namespaces and are not checked.
+ *
+ * Usernames may only contain letters, digits and underscores, so
+ * "my-tool" is checked as my_tool.
+ *
+ * The instance (opts.instance, --mastodon-instance) and base URL
+ * (opts.baseUrl, or COE_MASTODON_URL through the channel registry) are
+ * overridable to test against a local mock server.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+export const DEFAULT_INSTANCE = "mastodon.social";
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{1,30}$/;
+
+/**
+ * Mastodon username for a candidate: hyphens and dots become underscores.
+ *
+ * @param {string} name
+ * @returns {string} e.g. "my-cool-tool" → "my_cool_tool"
+ */
+export function mastodonUsername(name) {
+  return name.replace(/[-.]/g, "_");
+}
+
+/**
+ * Create a Mastodon adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ instance?: string, baseUrl?: string }} [opts]
+ * @returns {{ instance: string, checkAccount: Function }}
+ */
+export function createMastodonAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  const defaultInstance = (opts.instance || DEFAULT_INSTANCE).replace(/^https?:\/\//, "").replace(/\/+$/, "");
+
+  /**
+   * Check if a Mastodon account name is available.
+   *
+   * @param {string} name - Candidate name (converted with mastodonUsername())
+   * @param {{ now?: string, instance?: string }} [checkOpts] - instance overrides the adapter's instance
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkAccount(name, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const instance = checkOpts.instance || defaultInstance;
+    const baseUrl = (opts.baseUrl || `https://${instance}`).replace(/\/+$/, "");
+    const username = mastodonUsername(name);
+    const acct = `${username}@${instance}`;
+    const id = checkId("mastodon", acct);
+    const evId = evidenceId(id, 0);
+    const url = `${baseUrl}/.well-known/webfinger?resource=${encodeURIComponent(`acct:${acct}`)}`;
+    const query = { candidateMark: name, value: acct };
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return {
+        check: {
+          id,
+          namespace: "mastodon",
+          query,
+          status: "unsupported",
+          authority: "authoritative",
+          observedAt: now,
+          errors: [{ code: "COE.SOCIAL.INVALID_HANDLE", message: `"${username}" is not a valid Mastodon username` }],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "mastodon" },
+          observedAt: now,
+          notes: "Skipped: not a valid Mastodon username",
+        },
+      };
+    }
+
+    try {
+      const res = await fetchFn(url, { headers: { Accept: "application/jrd+json, application/json" } });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      const details = { source: "mastodon", instance };
+      let status = "unknown";
+      let authority = "indicative";
+      if (res.status === 200) {
+        status = "taken";
+        authority = "authoritative";
+        try {
+          const profile = JSON.parse(bodyText).links?.find((l) => l.rel === "http://webfinger.net/rel/profile-page");
+          if (profile?.href) details.profileUrl = profile.href;
+        } catch {
+          // Ignore parse errors for details — status is still valid
+        }
+      } else if (res.status === 410) {
+        status = "taken";
+      } else if (res.status === 404) {
+        status = "available";
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "mastodon",
+          query,
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "mastodon", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "mastodon",
+          query,
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "mastodon", instance },
+          errors: [{ code: "COE.ADAPTER.MASTODON_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "mastodon", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { instance: defaultInstance, checkAccount };
+}
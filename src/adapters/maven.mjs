@@ -0,0 +1,134 @@
+/**
+ * Maven Central adapter for clearance-opinion-engine.
+ *
+ * Checks artifact coordinate availability via the Maven Central
+ * repository metadata (repo1.maven.org). Uses adapter factory pattern
+ * for fixture injection.
+ *
+ * Maven Central is NOT a flat namespace — artifacts live under a groupId.
+ * The --mavenGroup flag is required; without it, the check is skipped with
+ * COE.MAVEN.GROUP_REQUIRED.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+/**
+ * Create a Maven Central adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ version?: string }} [opts]
+ * @returns {{ checkArtifact: Function }}
+ */
+export function createMavenAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  /**
+   * Check if a groupId:artifactId coordinate is available.
+   *
+   * @param {string|null} groupId - Maven groupId (e.g. "com.acme"). null → skipped.
+   * @param {string} artifactId - Artifact ID to check
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkArtifact(groupId, artifactId, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const id = checkId("maven", groupId ? `${groupId}-${artifactId}` : artifactId);
+    const evId = evidenceId(id, 0);
+
+    // Skip if no groupId provided
+    if (!groupId) {
+      return {
+        check: {
+          id,
+          namespace: "maven",
+          query: { candidateMark: artifactId, value: artifactId },
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "maven" },
+          errors: [
+            {
+              code: "COE.MAVEN.GROUP_REQUIRED",
+              message:
+                "Maven Central requires a groupId. Use --mavenGroup <groupId> to specify one.",
+            },
+          ],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "maven" },
+          observedAt: now,
+          notes: "Skipped: no Maven groupId provided",
+        },
+      };
+    }
+
+    const coordinate = `${groupId}:${artifactId}`;
+    const url = `https://repo1.maven.org/maven2/${groupId.split(".").map(encodeURIComponent).join("/")}/${encodeURIComponent(artifactId)}/maven-metadata.xml`;
+
+    try {
+      const res = await fetchFn(url, {
+        headers: { Accept: "application/xml" },
+      });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      const status = res.status === 404 ? "available" : res.status === 200 ? "taken" : "unknown";
+      const authority = res.status === 404 || res.status === 200 ? "authoritative" : "indicative";
+
+      // Extract metadata when taken
+      const details = { source: "maven" };
+      if (status === "taken") {
+        const release = bodyText.match(/<release>([^<]+)<\/release>/) || bodyText.match(/<latest>([^<]+)<\/latest>/);
+        if (release) details.latestVersion = release[1].trim();
+        const versions = bodyText.match(/<version>[^<]+<\/version>/g);
+        if (versions) details.versionCount = versions.length;
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "maven",
+          query: { candidateMark: artifactId, value: coordinate },
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "maven", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "maven",
+          query: { candidateMark: artifactId, value: coordinate },
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "maven" },
+          errors: [{ code: "COE.ADAPTER.MAVEN_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "maven", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkArtifact };
+}
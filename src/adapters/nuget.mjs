@@ -0,0 +1,105 @@
+/**
+ * NuGet adapter for clearance-opinion-engine.
+ *
+ * Checks package ID availability via the NuGet v3 flat container API.
+ * Uses adapter factory pattern for fixture injection.
+ *
+ * NuGet package IDs are case-insensitive; the flat container expects
+ * the lowercased ID.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+/**
+ * Create a NuGet adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ version?: string }} [opts]
+ * @returns {{ checkPackage: Function }}
+ */
+export function createNuGetAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  /**
+   * Check if a NuGet package ID is available.
+   *
+   * @param {string} name - Package ID to check
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkPackage(name, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const id = checkId("nuget", name);
+    const evId = evidenceId(id, 0);
+    const url = `https://api.nuget.org/v3-flatcontainer/${encodeURIComponent(name.toLowerCase())}/index.json`;
+
+    try {
+      const res = await fetchFn(url, {
+        headers: { Accept: "application/json" },
+      });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      const status = res.status === 404 ? "available" : res.status === 200 ? "taken" : "unknown";
+      const authority = res.status === 404 || res.status === 200 ? "authoritative" : "indicative";
+
+      // Extract metadata when taken
+      const details = { source: "nuget" };
+      if (status === "taken") {
+        try {
+          const data = JSON.parse(bodyText);
+          if (Array.isArray(data.versions)) {
+            details.versionCount = data.versions.length;
+            if (data.versions.length > 0) details.latestVersion = data.versions[data.versions.length - 1];
+          }
+        } catch {
+          // Ignore parse errors for details — status is still valid
+        }
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "nuget",
+          query: { candidateMark: name, value: name },
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "nuget", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "nuget",
+          query: { candidateMark: name, value: name },
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "nuget" },
+          errors: [{ code: "COE.ADAPTER.NUGET_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "nuget", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkPackage };
+}
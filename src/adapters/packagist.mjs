@@ -0,0 +1,140 @@
+/**
+ * Packagist adapter for clearance-opinion-engine.
+ *
+ * Checks Composer package availability via the Packagist metadata API.
+ * Uses adapter factory pattern for fixture injection.
+ *
+ * Packagist is NOT a flat namespace — packages are named vendor/package.
+ * The --packagistVendor flag (or --org) supplies the vendor; without it,
+ * the check is skipped with COE.PACKAGIST.VENDOR_REQUIRED.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+/**
+ * Create a Packagist adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ version?: string }} [opts]
+ * @returns {{ checkPackage: Function }}
+ */
+export function createPackagistAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  /**
+   * Check if a vendor/package name is available.
+   *
+   * @param {string|null} vendor - Packagist vendor. null → skipped.
+   * @param {string} name - Package name to check
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkPackage(vendor, name, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const id = checkId("packagist", vendor ? `${vendor}-${name}` : name);
+    const evId = evidenceId(id, 0);
+
+    // Skip if no vendor provided
+    if (!vendor) {
+      return {
+        check: {
+          id,
+          namespace: "packagist",
+          query: { candidateMark: name, value: name },
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "packagist" },
+          errors: [
+            {
+              code: "COE.PACKAGIST.VENDOR_REQUIRED",
+              message:
+                "Packagist requires a vendor. Use --packagistVendor <vendor> (or --org) to specify one.",
+            },
+          ],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "packagist" },
+          observedAt: now,
+          notes: "Skipped: no Packagist vendor provided",
+        },
+      };
+    }
+
+    // Composer package names are lowercase
+    const fullName = `${vendor}/${name}`.toLowerCase();
+    const url = `https://repo.packagist.org/p2/${fullName.split("/").map(encodeURIComponent).join("/")}.json`;
+
+    try {
+      const res = await fetchFn(url, {
+        headers: { Accept: "application/json" },
+      });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      const status = res.status === 404 ? "available" : res.status === 200 ? "taken" : "unknown";
+      const authority = res.status === 404 || res.status === 200 ? "authoritative" : "indicative";
+
+      // Extract metadata when taken
+      const details = { source: "packagist" };
+      if (status === "taken") {
+        try {
+          const data = JSON.parse(bodyText);
+          const versions = data.packages?.[fullName];
+          if (Array.isArray(versions)) {
+            details.versionCount = versions.length;
+            if (versions[0]?.version) details.latestVersion = versions[0].version;
+          }
+        } catch {
+          // Ignore parse errors for details — status is still valid
+        }
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "packagist",
+          query: { candidateMark: name, value: fullName },
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "packagist", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "packagist",
+          query: { candidateMark: name, value: fullName },
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "packagist" },
+          errors: [{ code: "COE.ADAPTER.PACKAGIST_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "packagist", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkPackage };
+}
@@ -0,0 +1,133 @@
+/**
+ * RDAP bootstrap (RFC 9224) for the domain adapter.
+ *
+ * Maps each TLD to its authoritative RDAP base URL using the IANA
+ * bootstrap registry (dns.json), so domain checks go straight to the
+ * registry instead of through a single third-party redirector.
+ *
+ * Sources, in order of preference:
+ *   1. A local dns.json file (--rdap-bootstrap <path>) — fully offline
+ *   2. The disk cache (--cache-dir), if a fresh copy is cached
+ *   3. https://data.iana.org/rdap/dns.json (then written to the cache)
+ *
+ * If no bootstrap can be loaded the adapter falls back to rdap.org.
+ */
+
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+export const IANA_BOOTSTRAP_URL = "https://data.iana.org/rdap/dns.json";
+
+const CACHE_ADAPTER = "rdap.bootstrap";
+const CACHE_VERSION = "1";
+
+function bootstrapError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Parse an IANA RDAP bootstrap document.
+ *
+ * Format: { services: [ [ ["com", "net"], ["https://rdap.example/"] ], ... ] }
+ *
+ * @param {object} doc - Parsed dns.json
+ * @param {{ source?: string }} [opts]
+ * @returns {{ source: string, publication: string|null, servers: Map<string, string> }|null}
+ *   null when the document has no usable services
+ */
+export function parseBootstrap(doc, opts = {}) {
+  if (!doc || !Array.isArray(doc.services) || doc.services.length === 0) return null;
+
+  const servers = new Map();
+  for (const service of doc.services) {
+    if (!Array.isArray(service) || !Array.isArray(service[0]) || !Array.isArray(service[1])) continue;
+    const [tlds, urls] = service;
+    // Prefer https endpoints (RFC 9224 §4)
+    const base = urls.find((u) => typeof u === "string" && u.startsWith("https://"))
+      || urls.find((u) => typeof u === "string");
+    if (!base) continue;
+    const normalizedBase = base.endsWith("/") ? base : `${base}/`;
+    for (const tld of tlds) {
+      if (typeof tld === "string") servers.set(tld.toLowerCase(), normalizedBase);
+    }
+  }
+
+  if (servers.size === 0) return null;
+  return {
+    source: opts.source || IANA_BOOTSTRAP_URL,
+    publication: typeof doc.publication === "string" ? doc.publication : null,
+    servers,
+  };
+}
+
+/**
+ * Find the RDAP base URL for a TLD.
+ *
+ * Multi-label suffixes (".co.uk") resolve by their top-level label.
+ *
+ * @param {{ servers: Map<string, string> }} bootstrap
+ * @param {string} tld - TLD including dot (e.g. ".com")
+ * @returns {string|null} Base URL ending in "/", or null if the TLD has no RDAP service
+ */
+export function findRdapServer(bootstrap, tld) {
+  const label = tld.replace(/^\./, "").toLowerCase().split(".").pop();
+  return bootstrap.servers.get(label) || null;
+}
+
+/**
+ * Read a bootstrap document from a local dns.json file.
+ *
+ * @param {string} path
+ * @returns {{ source: string, publication: string|null, servers: Map<string, string> }}
+ * @throws {Error} COE.DOMAIN.BOOTSTRAP_INVALID
+ */
+export function readBootstrapFile(path) {
+  const absPath = resolve(path);
+  let doc;
+  try {
+    doc = JSON.parse(readFileSync(absPath, "utf8"));
+  } catch (err) {
+    throw bootstrapError("COE.DOMAIN.BOOTSTRAP_INVALID", `Cannot read RDAP bootstrap file: ${absPath} — ${err.message}`);
+  }
+  const bootstrap = parseBootstrap(doc, { source: absPath });
+  if (!bootstrap) {
+    throw bootstrapError("COE.DOMAIN.BOOTSTRAP_INVALID", `RDAP bootstrap file has no services: ${absPath}`);
+  }
+  return bootstrap;
+}
+
+/**
+ * Load the RDAP bootstrap, preferring a local file, then the cache, then IANA.
+ *
+ * Never throws for network problems — returns null so the caller can fall
+ * back to the rdap.org redirector.
+ *
+ * @param {{ fetchFn?: Function, path?: string|null, cache?: object|null }} [opts]
+ * @returns {Promise<{ source: string, publication: string|null, servers: Map<string, string> }|null>}
+ * @throws {Error} COE.DOMAIN.BOOTSTRAP_INVALID when an explicit file path is unusable
+ */
+export async function loadBootstrap(opts = {}) {
+  const { fetchFn = globalThis.fetch, path = null, cache = null } = opts;
+
+  if (path) return readBootstrapFile(path);
+
+  const query = { url: IANA_BOOTSTRAP_URL };
+  if (cache) {
+    const cached = cache.get(CACHE_ADAPTER, query, CACHE_VERSION);
+    const bootstrap = cached && parseBootstrap(cached.data);
+    if (bootstrap) return bootstrap;
+  }
+
+  try {
+    const res = await fetchFn(IANA_BOOTSTRAP_URL, { headers: { Accept: "application/json" } });
+    if (res.status !== 200) return null;
+    const doc = JSON.parse(await res.text());
+    const bootstrap = parseBootstrap(doc);
+    if (bootstrap && cache) cache.set(CACHE_ADAPTER, query, CACHE_VERSION, doc);
+    return bootstrap;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Reddit adapter for clearance-opinion-engine.
+ *
+ * Checks user and subreddit name availability via Reddit's public JSON
+ * endpoints. Uses adapter factory pattern for fixture injection.
+ *
+ *   user      — GET /user/<name>/about.json
+ *   subreddit — GET /r/<name>/about.json
+ *
+ * Existing users and subreddits are authoritative "taken" (including
+ * suspended users and banned or private subreddits). A missing one is
+ * only indicative "available": deleted accounts also return 404 and their
+ * names can never be registered again.
+ *
+ * Subreddit names cannot contain hyphens or dots, so "my-tool" is checked
+ * as r/mytool. Names Reddit would reject are reported as "unsupported"
+ * without a request.
+ *
+ * The base URL is overridable (opts.baseUrl, or COE_REDDIT_URL through
+ * the channel registry) to test against a local mock server.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+const DEFAULT_BASE_URL = "https://www.reddit.com";
+const USER_AGENT = "clearance-opinion-engine (https://github.com/mcp-tool-shop-org/clearance-opinion-engine)";
+
+const USER_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const SUBREDDIT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_]{2,20}$/;
+
+/**
+ * Subreddit name for a candidate: hyphens and dots removed.
+ *
+ * @param {string} name
+ * @returns {string} e.g. "my-cool-tool" → "mycooltool"
+ */
+export function subredditName(name) {
+  return name.replace(/[-.]/g, "");
+}
+
+/**
+ * Parse a JSON body, or null.
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Classify a /user/<name>/about.json response.
+ *
+ * @returns {{ status: string, authority: string, details: object }}
+ */
+function classifyUser(res, data) {
+  const details = { source: "reddit" };
+  if (res.status === 200 && data?.kind === "t2") {
+    if (data.data?.is_suspended) details.suspended = true;
+    return { status: "taken", authority: "authoritative", details };
+  }
+  if (res.status === 404) return { status: "available", authority: "indicative", details };
+  return { status: "unknown", authority: "indicative", details };
+}
+
+/**
+ * Classify a /r/<name>/about.json response. A missing subreddit either
+ * returns 404 or redirects to the subreddit search listing.
+ *
+ * @returns {{ status: string, authority: string, details: object }}
+ */
+function classifySubreddit(res, data) {
+  const details = { source: "reddit" };
+  if (res.status === 200 && data?.kind === "t5") {
+    if (data.data?.subscribers !== undefined) details.subscribers = data.data.subscribers;
+    return { status: "taken", authority: "authoritative", details };
+  }
+  if ((res.status === 403 || res.status === 404) && data?.reason) {
+    // private, quarantined, banned — the name exists but cannot be claimed
+    details.reason = data.reason;
+    return { status: "taken", authority: "authoritative", details };
+  }
+  if (res.status === 404 || (res.status >= 300 && res.status < 400) || (res.status === 200 && data?.kind === "Listing")) {
+    return { status: "available", authority: "indicative", details };
+  }
+  return { status: "unknown", authority: "indicative", details };
+}
+
+/**
+ * Create a Reddit adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ baseUrl?: string }} [opts]
+ * @returns {{ checkUser: Function, checkSubreddit: Function }}
+ */
+export function createRedditAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  const baseUrl = (opts.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+
+  /**
+   * Look up one handle and build the check + evidence pair.
+   */
+  async function lookup({ namespace, idPrefix, candidateMark, handle, valid, path, classify, now }) {
+    const id = checkId(idPrefix, handle || candidateMark);
+    const evId = evidenceId(id, 0);
+    const url = `${baseUrl}${path}`;
+    const query = { candidateMark, value: handle || candidateMark };
+
+    if (!valid) {
+      return {
+        check: {
+          id,
+          namespace,
+          query,
+          status: "unsupported",
+          authority: "authoritative",
+          observedAt: now,
+          errors: [{ code: "COE.SOCIAL.INVALID_HANDLE", message: `"${query.value}" is not a valid Reddit name` }],
+        },
+        evidence: {
+          id: evId,
+          type: "skipped",
+          source: { system: "reddit" },
+          observedAt: now,
+          notes: "Skipped: not a valid Reddit name",
+        },
+      };
+    }
+
+    try {
+      const res = await fetchFn(url, {
+        headers: { Accept: "application/json", "User-Agent": USER_AGENT },
+      });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+      const { status, authority, details } = classify(res, parseJson(bodyText));
+
+      return {
+        check: {
+          id,
+          namespace,
+          query,
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "reddit", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -H "User-Agent: ${USER_AGENT}" -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace,
+          query,
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "reddit" },
+          errors: [{ code: "COE.ADAPTER.REDDIT_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "reddit", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  /**
+   * Check if a Reddit username is available.
+   *
+   * @param {string} name - Username to check
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkUser(name, checkOpts = {}) {
+    return lookup({
+      namespace: "reddit_user",
+      idPrefix: "reddit-user",
+      candidateMark: name,
+      handle: name,
+      valid: USER_PATTERN.test(name),
+      path: `/user/${encodeURIComponent(name)}/about.json`,
+      classify: classifyUser,
+      now: checkOpts.now || new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Check if a subreddit name is available for a candidate.
+   *
+   * @param {string} name - Candidate name (converted with subredditName())
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkSubreddit(name, checkOpts = {}) {
+    const handle = subredditName(name);
+    return lookup({
+      namespace: "reddit_subreddit",
+      idPrefix: "reddit-subreddit",
+      candidateMark: name,
+      handle,
+      valid: SUBREDDIT_PATTERN.test(handle),
+      path: `/r/${encodeURIComponent(handle)}/about.json`,
+      classify: classifySubreddit,
+      now: checkOpts.now || new Date().toISOString(),
+    });
+  }
+
+  return { checkUser, checkSubreddit };
+}
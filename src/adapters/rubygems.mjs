@@ -0,0 +1,101 @@
+/**
+ * RubyGems adapter for clearance-opinion-engine.
+ *
+ * Checks gem name availability via the rubygems.org API.
+ * Uses adapter factory pattern for fixture injection.
+ */
+
+import { checkId, evidenceId } from "../lib/ids.mjs";
+import { hashString } from "../lib/hash.mjs";
+
+/**
+ * Create a RubyGems adapter.
+ *
+ * @param {typeof globalThis.fetch} [fetchFn] - Fetch implementation (injectable for tests)
+ * @param {{ version?: string }} [opts]
+ * @returns {{ checkGem: Function }}
+ */
+export function createRubyGemsAdapter(fetchFn = globalThis.fetch, opts = {}) {
+  /**
+   * Check if a gem name is available.
+   *
+   * @param {string} name - Gem name to check
+   * @param {{ now?: string }} [checkOpts]
+   * @returns {Promise<{ check: object, evidence: object }>}
+   */
+  async function checkGem(name, checkOpts = {}) {
+    const now = checkOpts.now || new Date().toISOString();
+    const id = checkId("rubygems", name);
+    const evId = evidenceId(id, 0);
+    const url = `https://rubygems.org/api/v1/gems/${encodeURIComponent(name)}.json`;
+
+    try {
+      const res = await fetchFn(url, {
+        headers: { Accept: "application/json" },
+      });
+      const bodyText = await res.text();
+      const sha256 = hashString(bodyText);
+
+      const status = res.status === 404 ? "available" : res.status === 200 ? "taken" : "unknown";
+      const authority = res.status === 404 || res.status === 200 ? "authoritative" : "indicative";
+
+      // Extract metadata when taken
+      const details = { source: "rubygems" };
+      if (status === "taken") {
+        try {
+          const data = JSON.parse(bodyText);
+          if (data.name) details.gemName = data.name;
+          if (data.version) details.latestVersion = data.version;
+          if (data.downloads !== undefined) details.downloads = data.downloads;
+        } catch {
+          // Ignore parse errors for details — status is still valid
+        }
+      }
+
+      return {
+        check: {
+          id,
+          namespace: "rubygems",
+          query: { candidateMark: name, value: name },
+          status,
+          authority,
+          observedAt: now,
+          evidenceRef: evId,
+          details,
+          errors: [],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "rubygems", url, method: "GET" },
+          observedAt: now,
+          sha256,
+          bytes: bodyText.length,
+          repro: [`curl -s -o /dev/null -w "%{http_code}" "${url}"`],
+        },
+      };
+    } catch (err) {
+      return {
+        check: {
+          id,
+          namespace: "rubygems",
+          query: { candidateMark: name, value: name },
+          status: "unknown",
+          authority: "indicative",
+          observedAt: now,
+          details: { source: "rubygems" },
+          errors: [{ code: "COE.ADAPTER.RUBYGEMS_FAIL", message: err.message }],
+        },
+        evidence: {
+          id: evId,
+          type: "http_response",
+          source: { system: "rubygems", url, method: "GET" },
+          observedAt: now,
+          notes: `Network error: ${err.message}`,
+        },
+      };
+    }
+  }
+
+  return { checkGem };
+}
@@ -24,16 +24,33 @@ import { createAdaptiveBackoff } from "../lib/adaptive-backoff.mjs";
  * @param {string} [opts.org] - GitHub org name
  * @param {string} [opts.dockerNamespace] - Docker Hub namespace
  * @param {string} [opts.hfOwner] - Hugging Face owner
- * @param {string} [opts.riskTolerance] - Risk level
+ * @param {string} [opts.goPrefix] - Vanity Go module prefix
+ * @param {string} [opts.mavenGroup] - Maven groupId
+ * @param {string} [opts.packagistVendor] - Packagist vendor
+ * @param {string} [opts.mastodonInstance] - Mastodon instance host
+ * @param {string[]} [opts.tlds] - Domain TLDs
+ * @param {string} [opts.rdapBootstrap] - Local RDAP bootstrap path, or "off"
+ * @param {string} [opts.riskTolerance] - Risk level or custom profile name
+ * @param {object} [opts.riskProfiles] - Custom risk profile definitions
+ * @param {object} [opts.weights] - Score weights overriding the risk profile's
+ * @param {object} [opts.policy] - Opinion policy
  * @param {boolean} [opts.useRadar] - Enable collision radar
  * @param {string} [opts.corpusPath] - Path to corpus file
+ * @param {boolean} [opts.corpusIncludeDead] - Compare against dead corpus marks too
+ * @param {string|string[]} [opts.geographies] - Where the names will be used (default: GLOBAL)
+ * @param {string|number[]} [opts.classes] - Nice classes of the goods/services
+ * @param {string} [opts.goods] - Goods/services description
  * @param {string} [opts.fuzzyQueryMode] - Fuzzy query mode
  * @param {number} [opts.variantBudget] - Max fuzzy variants
  * @param {string} [opts.cacheDir] - Cache directory (shared across batch)
  * @param {number} [opts.maxAgeHours] - Cache TTL
+ * @param {object} [opts.cache] - Pre-created cache instance (takes precedence over cacheDir)
+ * @param {object} [opts.pool] - Shared createPool() instance (takes precedence over concurrency)
+ * @param {Function} [opts.onProgress] - Called after each name with { name, completed, total, run?, error? }
  * @param {Function} [opts.fetchFn] - Injectable fetch function
  * @param {string} [opts.now] - Injectable ISO timestamp
  * @param {string} [opts.resumeDir] - Path to previous batch output for resume
+ * @param {object} [opts.config] - Effective config record, stored in each run
  * @returns {Promise<{ results: object[], errors: object[], stats: object }>}
  */
 export async function runBatch(names, opts = {}) {
@@ -43,9 +60,22 @@ export async function runBatch(names, opts = {}) {
     org,
     dockerNamespace,
     hfOwner,
+    goPrefix,
+    mavenGroup,
+    packagistVendor,
+    mastodonInstance,
+    tlds,
+    rdapBootstrap,
     riskTolerance,
+    riskProfiles,
+    weights,
+    policy,
     useRadar,
     corpusPath,
+    corpusIncludeDead,
+    geographies,
+    classes,
+    goods,
     fuzzyQueryMode,
     variantBudget,
     cacheDir,
@@ -53,12 +83,14 @@ export async function runBatch(names, opts = {}) {
     fetchFn,
     now,
     resumeDir,
+    config,
+    onProgress = null,
   } = opts;
 
   const startMs = Date.now();
 
   // Shared cache instance for all names
-  const cache = cacheDir ? createCache(cacheDir, { maxAgeHours }) : null;
+  const cache = opts.cache || (cacheDir ? createCache(cacheDir, { maxAgeHours }) : null);
 
   // Adaptive backoff: wrap fetch for sustained rate-limit handling
   const baseFetch = fetchFn || globalThis.fetch;
@@ -81,7 +113,7 @@ export async function runBatch(names, opts = {}) {
   }
 
   // Concurrency pool
-  const pool = createPool(concurrency);
+  const pool = opts.pool || createPool(concurrency);
 
   const results = [];
   const errors = [];
@@ -112,6 +144,7 @@ export async function runBatch(names, opts = {}) {
 
   // Enqueue each name (skip already-completed for resume)
   let skippedCount = 0;
+  let completedCount = completedNames.size;
   const promises = names.map((entry) => {
     const candidateName = typeof entry === "string" ? entry : entry.name;
     const perNameConfig = typeof entry === "object" && entry.config ? entry.config : {};
@@ -122,31 +155,51 @@ export async function runBatch(names, opts = {}) {
     }
 
     return pool.run(async () => {
+      let progress;
       try {
         const run = await runCheck(candidateName, {
           channels: perNameConfig.channels || channels,
           org: perNameConfig.org || org,
           dockerNamespace: perNameConfig.dockerNamespace || dockerNamespace,
           hfOwner: perNameConfig.hfOwner || hfOwner,
+          goPrefix: perNameConfig.goPrefix || goPrefix,
+          mavenGroup: perNameConfig.mavenGroup || mavenGroup,
+          packagistVendor: perNameConfig.packagistVendor || packagistVendor,
+          mastodonInstance: perNameConfig.mastodonInstance || mastodonInstance,
+          tlds: perNameConfig.tlds || tlds,
+          rdapBootstrap,
           riskTolerance: perNameConfig.riskTolerance || riskTolerance,
+          riskProfiles,
+          weights,
+          policy,
           useRadar: perNameConfig.useRadar ?? useRadar,
           corpusPath: perNameConfig.corpusPath || corpusPath,
+          corpusIncludeDead,
+          geographies: perNameConfig.geographies || geographies,
+          classes: perNameConfig.classes || classes,
+          goods: perNameConfig.goods || goods,
           fuzzyQueryMode: perNameConfig.fuzzyQueryMode || fuzzyQueryMode,
           variantBudget: perNameConfig.variantBudget ?? variantBudget,
           cache,
           fetchFn: adaptiveFetch,
           now,
           costTracker,
+          config,
         });
 
         results.push({ name: candidateName, run, error: null });
+        progress = { run };
       } catch (err) {
-        errors.push({
+        const error = {
           name: candidateName,
           error: err.message || String(err),
           code: err.code || null,
-        });
+        };
+        errors.push(error);
+        progress = { error };
       }
+      completedCount++;
+      onProgress?.({ name: candidateName, completed: completedCount, total: names.length, ...progress });
     });
   });
 
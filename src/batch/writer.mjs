@@ -8,7 +8,7 @@
  *       summary.csv
  *       index.html
  *     <name-1>/
- *       run.json, run.md, report.html, summary.json
+ *       run.json, run.md, report.html, summary.json, manifest.json
  *     <name-2>/
  *       ...
  */
@@ -46,6 +46,8 @@ function sanitizeDirName(name) {
  * @param {string} outputDir
  * @param {object} [opts] - Writer options
  * @param {string} [opts.resumedFrom] - Path of the previous batch directory if resumed
+ * @param {string[]} [opts.formats] - Per-name output formats (see writeRun())
+ * @param {import("node:crypto").KeyObject|null} [opts.signingKey] - Signs each per-name manifest (see writeRun())
  * @returns {{ files: string[] }}
  */
 export function writeBatchOutput(batchResult, outputDir, opts = {}) {
@@ -80,12 +82,13 @@ export function writeBatchOutput(batchResult, outputDir, opts = {}) {
     const dirName = sanitizeDirName(result.name);
     const nameDir = join(outputDir, dirName);
 
-    const { jsonPath, mdPath, htmlPath, summaryPath } = writeRun(result.run, nameDir);
+    const { mdPath, htmlPath, summaryPath } = writeRun(result.run, nameDir, { formats: opts.formats, signingKey: opts.signingKey });
 
     files.push(`${dirName}/run.json`);
-    files.push(`${dirName}/run.md`);
-    files.push(`${dirName}/report.html`);
-    files.push(`${dirName}/summary.json`);
+    if (mdPath) files.push(`${dirName}/run.md`);
+    if (htmlPath) files.push(`${dirName}/report.html`);
+    if (summaryPath) files.push(`${dirName}/summary.json`);
+    files.push(`${dirName}/manifest.json`);
   }
 
   return { files };
@@ -0,0 +1,235 @@
+/**
+ * Seed-keyword brainstorming for clearance-opinion-engine.
+ *
+ * runBrainstorm(seeds, opts) turns concept words ("fast", "graph") into
+ * candidate names, scores each one's shape, and runs a cheap first-pass
+ * clearance on the best through runBatch():
+ *
+ *   1. generate   seed joins and blends ("fastgraph", "fast-graph"), the
+ *                 morphology alternatives of every seed and seed pair, and
+ *                 the affix alternatives of every seed
+ *   2. score      distinctiveness (unlike the seeds and plain lexicon
+ *                 words), length and pronounceability, 0–100 each
+ *   3. check      the top `count` names, with fuzzy variants and radar off
+ *   4. rank       by tier, then clearance score, then name score
+ *
+ * Generation and scoring are deterministic; only the checks touch the
+ * network.
+ */
+
+import { normalize } from "./variants/normalize.mjs";
+import { tokenize } from "./variants/tokenize.mjs";
+import { comparePair } from "./scoring/similarity.mjs";
+import { generateAlternatives } from "./scoring/alternatives.mjs";
+import { generateMorphologyAlternatives, blend } from "./scoring/morphology.mjs";
+import { SYNONYMS, ROOTS } from "./scoring/lexicon.mjs";
+import { runBatch } from "./batch/runner.mjs";
+
+export const MAX_SEEDS = 10;
+export const MAX_BRAINSTORM_COUNT = 50;
+
+/** Same shape rule as generated alternatives: lowercase, starts with a letter, 4–40 chars. */
+const VALID_NAME = /^[a-z][a-z0-9-]{3,39}$/;
+
+/** Letters (hyphens excluded) of the ideal name length. */
+const IDEAL_LENGTH = { min: 5, max: 8 };
+
+/** Name score weights; they sum to 1. */
+const SCORE_WEIGHTS = { distinctiveness: 0.5, pronounceability: 0.3, length: 0.2 };
+
+const TIER_RANK = { green: 0, yellow: 1, red: 2 };
+
+/** Every word in the bundled lexicon: plain dictionary words make weak marks. */
+const LEXICON_WORDS = new Set([...Object.keys(SYNONYMS), ...Object.values(SYNONYMS).flat(), ...Object.keys(ROOTS)]);
+
+function brainstormError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Parse seed keywords from a comma-separated string or a list.
+ *
+ * @param {string|string[]} raw
+ * @returns {string[]} Lowercase seeds, deduplicated, in the order given
+ * @throws {Error} COE.BRAINSTORM.NO_SEEDS, COE.BRAINSTORM.BAD_SEED, COE.BRAINSTORM.TOO_MANY_SEEDS
+ */
+export function parseSeeds(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+  const seeds = [...new Set(list.map((s) => String(s).trim().toLowerCase()).filter(Boolean))];
+  if (seeds.length === 0) {
+    throw brainstormError("COE.BRAINSTORM.NO_SEEDS", "No seed keywords given");
+  }
+  const bad = seeds.find((s) => !/^[a-z][a-z0-9]{1,19}$/.test(s));
+  if (bad) {
+    throw brainstormError("COE.BRAINSTORM.BAD_SEED", `Invalid seed keyword: "${bad}" (2–20 letters or digits, starting with a letter)`);
+  }
+  if (seeds.length > MAX_SEEDS) {
+    throw brainstormError("COE.BRAINSTORM.TOO_MANY_SEEDS", `Too many seed keywords: ${seeds.length} (max ${MAX_SEEDS})`);
+  }
+  return seeds;
+}
+
+/**
+ * Generate candidate names from seed keywords.
+ *
+ * Seed pairs are joined and blended in both orders; every seed and pair
+ * then goes through generateMorphologyAlternatives() and
+ * generateAlternatives(). The seeds themselves, duplicates and names
+ * that are not registry-safe are dropped.
+ *
+ * @param {string[]} seeds - parseSeeds() output
+ * @returns {Array<{ name: string, strategy: string, seeds: string[] }>} In generation order
+ */
+export function generateBrainstormNames(seeds) {
+  const pairs = [];
+  for (const a of seeds) {
+    for (const b of seeds) if (a !== b) pairs.push([a, b]);
+  }
+
+  const candidates = [];
+  const add = (name, strategy, from) => candidates.push({ name, strategy, seeds: from });
+  for (const [a, b] of pairs) {
+    add(`${a}${b}`, "join", [a, b]);
+    add(`${a}-${b}`, "join", [a, b]);
+    const blended = blend(a, b);
+    if (blended) add(blended, "blend", [a, b]);
+  }
+  for (const base of [...seeds.map((s) => [s]), ...pairs]) {
+    for (const alt of generateMorphologyAlternatives(base.join("-"))) add(alt.name, alt.strategy, base);
+  }
+  for (const seed of seeds) {
+    for (const alt of generateAlternatives(seed)) add(alt.name, alt.strategy, [seed]);
+  }
+
+  const seen = new Set(seeds);
+  return candidates.filter((c) => VALID_NAME.test(c.name) && !seen.has(c.name) && seen.add(c.name));
+}
+
+/**
+ * Score the shape of a name, 0–100 each (higher is better):
+ *
+ *   distinctiveness   how unlike the seeds it is (comparePair()), lowered
+ *                     when its words are plain lexicon words
+ *   length            full marks at 5–8 letters; less for each letter
+ *                     outside that and for each hyphen
+ *   pronounceability  vowel share near 40%, no runs of more than two
+ *                     consonants or vowels
+ *
+ * overall is the weighted sum (distinctiveness 50%, pronounceability
+ * 30%, length 20%).
+ *
+ * @param {string} name
+ * @param {string[]} seeds
+ * @returns {{ distinctiveness: number, length: number, pronounceability: number, overall: number }}
+ */
+export function scoreNameShape(name, seeds) {
+  const canonical = normalize(name);
+  const tokens = tokenize(name).filter((t) => /^[a-z0-9]+$/.test(t));
+  const letters = canonical.replace(/[^a-z]/g, "");
+
+  const closest = Math.max(0, ...seeds.map((seed) => comparePair(canonical, seed).overall));
+  const dictionaryShare = tokens.length > 0 ? tokens.filter((t) => LEXICON_WORDS.has(t)).length / tokens.length : 0;
+  const distinctiveness = clamp(100 * (1 - closest) * (1 - 0.4 * dictionaryShare));
+
+  const outside = Math.max(0, IDEAL_LENGTH.min - letters.length, letters.length - IDEAL_LENGTH.max);
+  const hyphens = (canonical.match(/-/g) || []).length;
+  const length = clamp(100 - 12 * outside - 10 * hyphens);
+
+  const pronounceability = letters.length === 0 ? 0 : pronounceabilityOf(canonical);
+
+  const overall = clamp(
+    SCORE_WEIGHTS.distinctiveness * distinctiveness +
+    SCORE_WEIGHTS.pronounceability * pronounceability +
+    SCORE_WEIGHTS.length * length
+  );
+  return { distinctiveness, length, pronounceability, overall };
+}
+
+/**
+ * Brainstorm names from seed keywords and clear the best of them.
+ *
+ * All generated names are scored with scoreNameShape(); the top `count`
+ * are checked through runBatch() with fuzzy variants and collision radar
+ * off (a first pass, not a full check), sharing one cache. Registry-
+ * equivalent forms are still queried, so a name the registry would refuse
+ * is not listed green. The shortlist is ranked by tier, then clearance
+ * score, then name score.
+ *
+ * @param {string|string[]} seeds - Seed keywords (see parseSeeds())
+ * @param {object} [opts] - runBatch() options (channels, corpusPath, cache, cacheDir, fetchFn, now, …), plus:
+ * @param {number} [opts.count] - Names to check and list (default: 20, max: 50)
+ * @returns {Promise<{ seeds: string[], generated: number, shortlist: object[], errors: object[], stats: object, costStats: object }>}
+ * @throws {Error} COE.BRAINSTORM.NO_SEEDS, COE.BRAINSTORM.BAD_SEED, COE.BRAINSTORM.TOO_MANY_SEEDS, COE.BRAINSTORM.BAD_COUNT
+ */
+export async function runBrainstorm(seeds, opts = {}) {
+  const { count = 20, ...batchOpts } = opts;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BRAINSTORM_COUNT) {
+    throw brainstormError("COE.BRAINSTORM.BAD_COUNT", `Invalid count: ${count} (1–${MAX_BRAINSTORM_COUNT})`);
+  }
+  const seedList = parseSeeds(seeds);
+
+  const scored = generateBrainstormNames(seedList)
+    .map((c, index) => ({ ...c, scores: scoreNameShape(c.name, seedList), index }))
+    .sort((a, b) => b.scores.overall - a.scores.overall || a.index - b.index);
+  const top = scored.slice(0, count);
+
+  const batch = await runBatch(top.map((c) => ({ name: c.name })), {
+    ...batchOpts,
+    fuzzyQueryMode: "off",
+    useRadar: false,
+    resumeDir: null,
+  });
+
+  const runs = new Map(batch.results.map((r) => [r.name, r.run]));
+  const shortlist = top
+    .map(({ index, ...c }) => {
+      const run = runs.get(c.name);
+      return {
+        ...c,
+        tier: run?.opinion?.tier ?? null,
+        overallScore: run?.opinion?.scoreBreakdown?.overallScore ?? null,
+        runId: run?.run?.runId ?? null,
+      };
+    })
+    .sort((a, b) =>
+      (TIER_RANK[a.tier] ?? 3) - (TIER_RANK[b.tier] ?? 3) ||
+      (b.overallScore ?? -1) - (a.overallScore ?? -1) ||
+      b.scores.overall - a.scores.overall
+    );
+
+  return {
+    seeds: seedList,
+    generated: scored.length,
+    shortlist,
+    errors: batch.errors,
+    stats: batch.stats,
+    costStats: batch.costStats,
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function clamp(value) {
+  return Math.round(Math.max(0, Math.min(100, value)));
+}
+
+/**
+ * Vowel share near 40% and short consonant/vowel runs read as
+ * pronounceable. "y" counts as a vowel; runs stop at hyphens and digits.
+ */
+function pronounceabilityOf(canonical) {
+  const letters = canonical.replace(/[^a-z]/g, "");
+  const vowels = (letters.match(/[aeiouy]/g) || []).length;
+  const share = vowels / letters.length;
+  const longestRun = (re) => Math.max(0, ...(canonical.match(re) || []).map((run) => run.length));
+  const longestConsonants = longestRun(/[bcdfghjklmnpqrstvwxz]+/g);
+  const longestVowels = longestRun(/[aeiouy]+/g);
+  return clamp(
+    100 -
+    150 * Math.max(0, Math.abs(share - 0.4) - 0.1) -
+    25 * Math.max(0, longestConsonants - 2) -
+    25 * Math.max(0, longestVowels - 2)
+  );
+}
@@ -0,0 +1,406 @@
+/**
+ * Built-in channel definitions for clearance-opinion-engine.
+ *
+ * Each definition describes one --channels entry: which adapter it uses,
+ * which group it belongs to, how its checks are planned and cached,
+ * where a user can claim the name, and how a stale check is re-run.
+ *
+ * Definitions are registered in this order, which is also the order
+ * checks appear in a run.
+ *
+ * npm, pypi and cratesio also query the spellings their registry treats
+ * as the same name (see equivalence.mjs).
+ *
+ * Social channels read their base URLs from COE_GITHUB_API_URL,
+ * COE_REDDIT_URL, COE_BLUESKY_URL and COE_MASTODON_URL when set, so they
+ * can be pointed at a local mock server.
+ */
+
+import { createGitHubAdapter } from "../adapters/github.mjs";
+import { createNpmAdapter } from "../adapters/npm.mjs";
+import { createPyPIAdapter } from "../adapters/pypi.mjs";
+import { createDomainAdapter } from "../adapters/domain.mjs";
+import { loadBootstrap } from "../adapters/rdap-bootstrap.mjs";
+import { createCratesIoAdapter } from "../adapters/cratesio.mjs";
+import { createDockerHubAdapter } from "../adapters/dockerhub.mjs";
+import { createHuggingFaceAdapter } from "../adapters/huggingface.mjs";
+import { createGoProxyAdapter } from "../adapters/goproxy.mjs";
+import { createRubyGemsAdapter } from "../adapters/rubygems.mjs";
+import { createNuGetAdapter } from "../adapters/nuget.mjs";
+import { createMavenAdapter } from "../adapters/maven.mjs";
+import { createPackagistAdapter } from "../adapters/packagist.mjs";
+import { createRedditAdapter } from "../adapters/reddit.mjs";
+import { createBlueskyAdapter } from "../adapters/bluesky.mjs";
+import { createMastodonAdapter } from "../adapters/mastodon.mjs";
+import { equivalentForms } from "./equivalence.mjs";
+
+/**
+ * Split an "owner/name" query value into its parts.
+ *
+ * @param {{ value?: string, candidateMark?: string, owner?: string }} query
+ * @returns {{ owner: string|null, name: string }}
+ */
+function splitScoped(query) {
+  const value = query.value || "";
+  const slash = value.indexOf("/");
+  if (slash === -1) return { owner: query.owner || null, name: value || query.candidateMark };
+  return { owner: value.slice(0, slash), name: value.slice(slash + 1) };
+}
+
+export const github = {
+  id: "github",
+  group: "core",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["github_org", "github_repo"],
+  coverageNamespaces: ["github_repo"],
+  create: (fetchFn) => createGitHubAdapter(fetchFn, { baseUrl: process.env.COE_GITHUB_API_URL }),
+  plan(adapter, name, ctx) {
+    const steps = [];
+    if (ctx.org) {
+      steps.push({
+        cacheAdapter: "github.org",
+        query: { org: ctx.org },
+        run: (o) => adapter.checkOrg(ctx.org, o),
+      });
+    }
+    const owner = ctx.org || name;
+    steps.push({
+      cacheAdapter: "github.repo",
+      query: { owner, repo: name },
+      run: (o) => adapter.checkRepo(owner, name, o),
+    });
+    return steps;
+  },
+  reservation(check) {
+    if (check.namespace === "github_org") return { kind: "claim", url: "https://github.com/organizations/new" };
+    return { kind: "claim", url: "https://github.com/new" };
+  },
+  refresh(adapter, namespace, query) {
+    if (namespace === "github_org") return (o) => adapter.checkOrg(query.value, o);
+    return (o) => adapter.checkRepo(query.owner, query.value, o);
+  },
+};
+
+export const npm = {
+  id: "npm",
+  group: "core",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["npm"],
+  create: (fetchFn) => createNpmAdapter(fetchFn),
+  plan: (adapter, name) => [
+    { cacheAdapter: "npm", query: { name }, run: (o) => adapter.checkPackage(name, o) },
+  ],
+  fuzzy: (adapter, name) => ({ query: { name }, run: (o) => adapter.checkPackage(name, o) }),
+  equivalents: (adapter, name) => equivalentForms("npm", name).map((form) => ({
+    cacheAdapter: "npm",
+    query: { name: form },
+    rule: "npm-moniker",
+    run: (o) => adapter.checkPackage(form, o),
+  })),
+  reservation: (check, name) => ({ kind: "claim", url: `https://www.npmjs.com/package/${encodeURIComponent(name)}` }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkPackage(query.value, o),
+};
+
+export const pypi = {
+  id: "pypi",
+  group: "core",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["pypi"],
+  create: (fetchFn) => createPyPIAdapter(fetchFn),
+  plan: (adapter, name) => [
+    { cacheAdapter: "pypi", query: { name }, run: (o) => adapter.checkPackage(name, o) },
+  ],
+  fuzzy: (adapter, name) => ({ query: { name }, run: (o) => adapter.checkPackage(name, o) }),
+  equivalents: (adapter, name) => equivalentForms("pypi", name).map((form) => ({
+    cacheAdapter: "pypi",
+    query: { name: form },
+    rule: "pep503",
+    run: (o) => adapter.checkPackage(form, o),
+  })),
+  reservation: (check, name) => ({ kind: "claim", url: `https://pypi.org/project/${encodeURIComponent(name)}/` }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkPackage(query.value, o),
+};
+
+export const domain = {
+  id: "domain",
+  group: "core",
+  intakeChannel: "other",
+  requiredOptions: [],
+  namespaces: ["domain"],
+  create: (fetchFn, ctx) => createDomainAdapter(fetchFn, {
+    tlds: ctx.tlds,
+    // "off" keeps every lookup on the rdap.org redirector
+    ...(ctx.rdapBootstrap === "off"
+      ? { bootstrap: null }
+      : { loadBootstrap: () => loadBootstrap({ fetchFn, path: ctx.rdapBootstrap, cache: ctx.cache }) }),
+  }),
+  plan: (adapter, name) => adapter.tlds.map((tld) => ({
+    cacheAdapter: "domain",
+    query: { name, tld },
+    run: (o) => adapter.checkDomain(name, tld, o),
+  })),
+  reservation(check, name) {
+    const fqdn = check.query?.value || `${name}.com`;
+    return { kind: "domain", url: `https://www.namecheap.com/domains/registration/results/?domain=${encodeURIComponent(fqdn)}` };
+  },
+  refresh(adapter, namespace, query) {
+    const dot = query.value.indexOf(".");
+    const name = query.value.slice(0, dot);
+    const tld = query.value.slice(dot);
+    return (o) => adapter.checkDomain(name, tld, o);
+  },
+};
+
+export const cratesio = {
+  id: "cratesio",
+  group: "dev",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["cratesio"],
+  create: (fetchFn) => createCratesIoAdapter(fetchFn),
+  plan: (adapter, name) => [
+    { cacheAdapter: "cratesio", query: { name }, run: (o) => adapter.checkCrate(name, o) },
+  ],
+  fuzzy: (adapter, name) => ({ query: { name }, run: (o) => adapter.checkCrate(name, o) }),
+  equivalents: (adapter, name) => equivalentForms("cratesio", name).map((form) => ({
+    cacheAdapter: "cratesio",
+    query: { name: form },
+    rule: "cratesio-separators",
+    run: (o) => adapter.checkCrate(form, o),
+  })),
+  reservation: (check, name) => ({ kind: "claim", url: `https://crates.io/crates/${encodeURIComponent(name)}` }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkCrate(query.value, o),
+};
+
+export const dockerhub = {
+  id: "dockerhub",
+  group: "dev",
+  intakeChannel: "saas",
+  requiredOptions: ["dockerNamespace"],
+  namespaces: ["dockerhub"],
+  create: (fetchFn) => createDockerHubAdapter(fetchFn),
+  plan: (adapter, name, ctx) => [{
+    cacheAdapter: "dockerhub",
+    query: { namespace: ctx.dockerNamespace, name },
+    run: (o) => adapter.checkRepo(ctx.dockerNamespace, name, o),
+  }],
+  reservation: () => ({ kind: "claim", url: "https://hub.docker.com/" }),
+  refresh(adapter, namespace, query) {
+    const { owner, name } = splitScoped(query);
+    return (o) => adapter.checkRepo(owner, name, o);
+  },
+};
+
+export const huggingface = {
+  id: "huggingface",
+  group: "ai",
+  intakeChannel: "saas",
+  requiredOptions: ["hfOwner"],
+  namespaces: ["huggingface_model", "huggingface_space"],
+  create: (fetchFn) => createHuggingFaceAdapter(fetchFn),
+  plan: (adapter, name, ctx) => [
+    {
+      cacheAdapter: "huggingface.model",
+      query: { owner: ctx.hfOwner, name },
+      run: (o) => adapter.checkModel(ctx.hfOwner, name, o),
+    },
+    {
+      cacheAdapter: "huggingface.space",
+      query: { owner: ctx.hfOwner, name },
+      run: (o) => adapter.checkSpace(ctx.hfOwner, name, o),
+    },
+  ],
+  reservation: () => ({ kind: "claim", url: "https://huggingface.co/new" }),
+  refresh(adapter, namespace, query) {
+    const { owner, name } = splitScoped(query);
+    if (namespace === "huggingface_space") return (o) => adapter.checkSpace(owner, name, o);
+    return (o) => adapter.checkModel(owner, name, o);
+  },
+};
+
+/**
+ * Go module path for a name: github.com/<org>/<name>, falling back to
+ * github.com/<name>/<name> when no org is given.
+ */
+function goGitHubPath(name, ctx) {
+  return `github.com/${ctx.org || name}/${name}`;
+}
+
+export const golang = {
+  id: "golang",
+  group: "dev",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["golang"],
+  create: (fetchFn) => createGoProxyAdapter(fetchFn),
+  plan(adapter, name, ctx) {
+    const paths = [goGitHubPath(name, ctx)];
+    if (ctx.goPrefix) paths.push(`${ctx.goPrefix.replace(/\/+$/, "")}/${name}`);
+    return paths.map((module) => ({
+      cacheAdapter: "golang",
+      query: { module },
+      run: (o) => adapter.checkModule(module, { ...o, candidateMark: name }),
+    }));
+  },
+  fuzzy(adapter, name, ctx) {
+    const module = goGitHubPath(name, ctx);
+    return { query: { module }, run: (o) => adapter.checkModule(module, { ...o, candidateMark: name }) };
+  },
+  reservation: () => ({ kind: "claim", url: "https://go.dev/doc/modules/publishing" }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkModule(query.value, { ...o, candidateMark: query.candidateMark }),
+};
+
+export const rubygems = {
+  id: "rubygems",
+  group: "sdk",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["rubygems"],
+  create: (fetchFn) => createRubyGemsAdapter(fetchFn),
+  plan: (adapter, name) => [
+    { cacheAdapter: "rubygems", query: { name }, run: (o) => adapter.checkGem(name, o) },
+  ],
+  reservation: (check, name) => ({ kind: "claim", url: `https://rubygems.org/gems/${encodeURIComponent(name)}` }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkGem(query.value, o),
+};
+
+export const nuget = {
+  id: "nuget",
+  group: "sdk",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["nuget"],
+  create: (fetchFn) => createNuGetAdapter(fetchFn),
+  plan: (adapter, name) => [
+    { cacheAdapter: "nuget", query: { name }, run: (o) => adapter.checkPackage(name, o) },
+  ],
+  reservation: () => ({ kind: "claim", url: "https://www.nuget.org/packages/manage/upload" }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkPackage(query.value, o),
+};
+
+export const maven = {
+  id: "maven",
+  group: "sdk",
+  intakeChannel: "open-source",
+  requiredOptions: ["mavenGroup"],
+  namespaces: ["maven"],
+  create: (fetchFn) => createMavenAdapter(fetchFn),
+  plan: (adapter, name, ctx) => [{
+    cacheAdapter: "maven",
+    query: { groupId: ctx.mavenGroup, artifactId: name },
+    run: (o) => adapter.checkArtifact(ctx.mavenGroup, name, o),
+  }],
+  reservation: () => ({ kind: "claim", url: "https://central.sonatype.com/publishing" }),
+  refresh(adapter, namespace, query) {
+    const colon = query.value.indexOf(":");
+    const groupId = colon === -1 ? null : query.value.slice(0, colon);
+    return (o) => adapter.checkArtifact(groupId, query.candidateMark, o);
+  },
+};
+
+export const packagist = {
+  id: "packagist",
+  group: "sdk",
+  intakeChannel: "open-source",
+  requiredOptions: [],
+  namespaces: ["packagist"],
+  create: (fetchFn) => createPackagistAdapter(fetchFn),
+  plan(adapter, name, ctx) {
+    const vendor = ctx.packagistVendor || ctx.org;
+    return [{
+      cacheAdapter: "packagist",
+      query: { vendor, name },
+      run: (o) => adapter.checkPackage(vendor, name, o),
+    }];
+  },
+  reservation: () => ({ kind: "claim", url: "https://packagist.org/packages/submit" }),
+  refresh(adapter, namespace, query) {
+    const { owner, name } = splitScoped(query);
+    return (o) => adapter.checkPackage(owner, name, o);
+  },
+};
+
+export const githubUser = {
+  id: "github-user",
+  group: "social",
+  intakeChannel: "github",
+  requiredOptions: [],
+  namespaces: ["github_user"],
+  create: (fetchFn) => createGitHubAdapter(fetchFn, { baseUrl: process.env.COE_GITHUB_API_URL }),
+  plan: (adapter, name) => [
+    { cacheAdapter: "github.user", query: { name }, run: (o) => adapter.checkUser(name, o) },
+  ],
+  reservation: () => ({ kind: "handle", url: "https://github.com/signup" }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkUser(query.value, o),
+};
+
+export const reddit = {
+  id: "reddit",
+  group: "social",
+  intakeChannel: "media",
+  requiredOptions: [],
+  namespaces: ["reddit_user", "reddit_subreddit"],
+  create: (fetchFn) => createRedditAdapter(fetchFn, { baseUrl: process.env.COE_REDDIT_URL }),
+  plan: (adapter, name) => [
+    { cacheAdapter: "reddit.user", query: { name }, run: (o) => adapter.checkUser(name, o) },
+    { cacheAdapter: "reddit.subreddit", query: { name }, run: (o) => adapter.checkSubreddit(name, o) },
+  ],
+  reservation(check) {
+    if (check.namespace === "reddit_subreddit") return { kind: "handle", url: "https://www.reddit.com/subreddits/create" };
+    return { kind: "handle", url: "https://www.reddit.com/register/" };
+  },
+  refresh(adapter, namespace, query) {
+    if (namespace === "reddit_subreddit") return (o) => adapter.checkSubreddit(query.candidateMark, o);
+    return (o) => adapter.checkUser(query.value, o);
+  },
+};
+
+export const bluesky = {
+  id: "bluesky",
+  group: "social",
+  intakeChannel: "media",
+  requiredOptions: [],
+  namespaces: ["bluesky"],
+  create: (fetchFn) => createBlueskyAdapter(fetchFn, { baseUrl: process.env.COE_BLUESKY_URL }),
+  plan: (adapter, name) => [
+    { cacheAdapter: "bluesky", query: { name }, run: (o) => adapter.checkHandle(name, o) },
+  ],
+  reservation: () => ({ kind: "handle", url: "https://bsky.app/" }),
+  refresh: (adapter, namespace, query) => (o) => adapter.checkHandle(query.candidateMark, o),
+};
+
+export const mastodon = {
+  id: "mastodon",
+  group: "social",
+  intakeChannel: "media",
+  requiredOptions: [],
+  namespaces: ["mastodon"],
+  create: (fetchFn, ctx) => createMastodonAdapter(fetchFn, {
+    instance: ctx.mastodonInstance,
+    baseUrl: process.env.COE_MASTODON_URL,
+  }),
+  plan: (adapter, name) => [{
+    cacheAdapter: "mastodon",
+    query: { name, instance: adapter.instance },
+    run: (o) => adapter.checkAccount(name, o),
+  }],
+  reservation(check) {
+    const instance = check.details?.instance || check.query?.value?.split("@")[1];
+    return { kind: "handle", url: `https://${instance}/auth/sign_up` };
+  },
+  refresh(adapter, namespace, query) {
+    const instance = query.value.slice(query.value.indexOf("@") + 1);
+    return (o) => adapter.checkAccount(query.candidateMark, { ...o, instance });
+  },
+};
+
+/** Built-in channels in registration order. */
+export const BUILTIN_CHANNELS = [
+  github, npm, pypi, domain,
+  cratesio, dockerhub, huggingface, golang,
+  rubygems, nuget, maven, packagist,
+  githubUser, reddit, bluesky, mastodon,
+];
@@ -0,0 +1,97 @@
+/**
+ * Registry name equivalence rules for clearance-opinion-engine.
+ *
+ * Registries do not compare names literally. A 404 for the exact string
+ * does not mean the name can be published:
+ *
+ *   pypi      PEP 503: case-insensitive, runs of "-", "_" and "." are one
+ *             separator ("My_Tool", "my.tool" and "my-tool" are one project)
+ *   cratesio  case-insensitive, "-" and "_" are the same character
+ *   npm       moniker rule: a new name is rejected when it matches an
+ *             existing one with punctuation removed ("mytool" vs "my-tool")
+ *
+ * equivalentForms() returns the other spellings a registry would treat
+ * as the candidate; the channel definitions query them (see the
+ * `equivalents` hook in registry.mjs) and a taken form becomes a
+ * registry_blocked finding.
+ */
+
+import { tokenize } from "../variants/tokenize.mjs";
+import { splitCompound } from "../scoring/morphology.mjs";
+import { SYNONYMS, ROOTS, lexiconKey } from "../scoring/lexicon.mjs";
+
+/** Most forms queried per registry, besides the literal name. */
+const MAX_FORMS = 4;
+
+/** Separators npm ignores when comparing monikers. */
+const NPM_SEPARATORS = ["", "-", "_", "."];
+
+/**
+ * PEP 503 normalized project name.
+ *
+ * @param {string} name
+ * @returns {string} e.g. "My_Cool.Tool" → "my-cool-tool"
+ */
+export function pep503Normalize(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+/**
+ * npm moniker: the name with case and punctuation removed.
+ *
+ * @param {string} name
+ * @returns {string} e.g. "my-cool_tool" → "mycooltool"
+ */
+export function npmMoniker(name) {
+  return name.toLowerCase().replace(/[-_.]/g, "");
+}
+
+/**
+ * Other spellings a registry treats as the same name.
+ *
+ * npm forms join the name's words with each separator. A single word is
+ * split at one point instead: two lexicon words run together get every
+ * separator ("fastgraph" → "fast-graph", "fast_graph", "fast.graph");
+ * any other word gets a hyphen at its most likely split points ("mytool"
+ * → "my-tool", …; see npmSplitForms()).
+ *
+ * @param {"npm"|"pypi"|"cratesio"|string} registry - Channel id
+ * @param {string} name - Candidate name
+ * @returns {string[]} Up to 4 forms, excluding the name itself; [] for other registries
+ */
+export function equivalentForms(registry, name) {
+  const lower = name.toLowerCase();
+  let forms = [];
+  if (registry === "pypi") {
+    forms = [pep503Normalize(name)];
+  } else if (registry === "cratesio") {
+    forms = [lower, lower.replace(/-/g, "_"), lower.replace(/_/g, "-")];
+  } else if (registry === "npm") {
+    const tokens = tokenize(name);
+    const words = tokens.flatMap(splitCompound);
+    forms = words.length === 1 && tokens.length === 1
+      ? [lower, ...npmSplitForms(words[0])]
+      : NPM_SEPARATORS.map((sep) => words.join(sep));
+  }
+  return [...new Set(forms)].filter((form) => form && form !== name).slice(0, MAX_FORMS);
+}
+
+/**
+ * Single-hyphen spellings of one word, most likely first: splits with a
+ * lexicon word on either side ("my-tool"), then splits nearest the
+ * middle. Both parts have at least 2 characters; only MAX_FORMS are
+ * kept, so a long word is not covered at every split point.
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string[]}
+ */
+function npmSplitForms(word) {
+  const known = (w) => Boolean(lexiconKey(w, SYNONYMS) || lexiconKey(w, ROOTS));
+  const points = [];
+  for (let i = 2; i <= word.length - 2; i++) points.push(i);
+  const rank = (i) => (known(word.slice(0, i)) || known(word.slice(i)) ? 0 : 1) * word.length + Math.abs(word.length / 2 - i);
+  return points
+    .sort((a, b) => rank(a) - rank(b) || a - b)
+    .slice(0, MAX_FORMS)
+    .map((i) => `${word.slice(0, i)}-${word.slice(i)}`);
+}
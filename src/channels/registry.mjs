@@ -0,0 +1,307 @@
+/**
+ * Channel registry for clearance-opinion-engine.
+ *
+ * Single source of truth for which channels exist, which group each
+ * belongs to, and how each one is checked, cached, claimed and refreshed.
+ * The pipeline, refresh, --channels parsing and coverage scoring all read
+ * from here, so a new channel only has to be declared once.
+ *
+ * Built-in channels are registered at import time. Additional channels
+ * can be registered programmatically (registerChannel), loaded from a
+ * local ES module (loadChannelModule), or listed in a JSON config file
+ * (loadChannelConfig) without forking the engine.
+ *
+ * Channel definition:
+ *   {
+ *     id: "npm",                         // --channels value
+ *     group: "core",                     // group alias it belongs to
+ *     intakeChannel: "open-source",      // intake.channels[] value (schema enum)
+ *     requiredOptions: [],               // runCheck options the channel needs
+ *     namespaces: ["npm"],               // check.namespace values it produces
+ *     coverageNamespaces?: ["npm"],      // namespaces counted for coverage (default: namespaces)
+ *     create(fetchFn, ctx) → adapter,
+ *     plan(adapter, name, ctx) → [{ cacheAdapter, query, run(opts) }],
+ *     fuzzy?(adapter, variant, ctx) → { query, run(opts) },  // present → joins fuzzy variant queries
+ *     equivalents?(adapter, name, ctx) → [{ cacheAdapter, query, rule, run(opts) }],  // registry-equivalent spellings
+ *     reservation?(check, name) → { kind: "claim"|"domain"|"handle", url },
+ *     refresh?(adapter, namespace, query) → (opts) => Promise<{ check, evidence }>,
+ *   }
+ */
+
+import { readFileSync } from "node:fs";
+import { resolve, dirname } from "node:path";
+import { pathToFileURL } from "node:url";
+import { BUILTIN_CHANNELS } from "./builtin.mjs";
+
+const DEFAULT_GROUP = "core";
+const RESERVED_GROUPS = ["all"];
+
+/** @type {Map<string, object>} */
+const channels = new Map();
+
+function channelError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Validate a channel definition.
+ *
+ * @param {object} def
+ * @throws {Error} COE.CHANNEL.INVALID
+ */
+function validateDefinition(def) {
+  if (!def || typeof def !== "object") {
+    throw channelError("COE.CHANNEL.INVALID", "Channel definition must be an object");
+  }
+  if (typeof def.id !== "string" || !/^[a-z][a-z0-9_-]*$/.test(def.id)) {
+    throw channelError("COE.CHANNEL.INVALID", `Channel id must be a lowercase identifier, got: ${def.id}`);
+  }
+  if (typeof def.group !== "string" || def.group.length === 0 || RESERVED_GROUPS.includes(def.group)) {
+    throw channelError("COE.CHANNEL.INVALID", `Channel "${def.id}" must declare a group (not "all")`);
+  }
+  if (!Array.isArray(def.namespaces) || def.namespaces.length === 0) {
+    throw channelError("COE.CHANNEL.INVALID", `Channel "${def.id}" must declare at least one namespace`);
+  }
+  for (const fn of ["create", "plan"]) {
+    if (typeof def[fn] !== "function") {
+      throw channelError("COE.CHANNEL.INVALID", `Channel "${def.id}" must implement ${fn}()`);
+    }
+  }
+  for (const fn of ["fuzzy", "equivalents", "reservation", "refresh"]) {
+    if (def[fn] !== undefined && typeof def[fn] !== "function") {
+      throw channelError("COE.CHANNEL.INVALID", `Channel "${def.id}" ${fn} must be a function`);
+    }
+  }
+}
+
+/**
+ * Register a channel definition.
+ *
+ * @param {object} def - Channel definition (see module header)
+ * @returns {object} The frozen, normalized definition
+ * @throws {Error} COE.CHANNEL.INVALID or COE.CHANNEL.DUPLICATE
+ */
+export function registerChannel(def) {
+  validateDefinition(def);
+  if (channels.has(def.id)) {
+    throw channelError("COE.CHANNEL.DUPLICATE", `Channel already registered: ${def.id}`);
+  }
+  const claimed = listChannels().find((c) => c.namespaces.some((ns) => def.namespaces.includes(ns)));
+  if (claimed) {
+    throw channelError("COE.CHANNEL.DUPLICATE", `Channel "${def.id}" reuses a namespace owned by "${claimed.id}"`);
+  }
+
+  const normalized = Object.freeze({
+    intakeChannel: "other",
+    requiredOptions: [],
+    ...def,
+    coverageNamespaces: def.coverageNamespaces || def.namespaces,
+  });
+  channels.set(def.id, normalized);
+  return normalized;
+}
+
+/**
+ * Remove a channel from the registry (mainly for tests).
+ *
+ * @param {string} id
+ * @returns {boolean} Whether a channel was removed
+ */
+export function unregisterChannel(id) {
+  return channels.delete(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getChannel(id) {
+  return channels.get(id) || null;
+}
+
+/**
+ * Find the channel that produces a given check namespace.
+ *
+ * @param {string} namespace - e.g. "github_repo", "huggingface_space"
+ * @returns {object|null}
+ */
+export function getChannelForNamespace(namespace) {
+  for (const def of channels.values()) {
+    if (def.namespaces.includes(namespace)) return def;
+  }
+  return null;
+}
+
+/**
+ * All registered channels in registration order.
+ *
+ * @returns {object[]}
+ */
+export function listChannels() {
+  return [...channels.values()];
+}
+
+/**
+ * All registered channel ids in registration order.
+ *
+ * @returns {string[]}
+ */
+export function channelIds() {
+  return listChannels().map((c) => c.id);
+}
+
+/**
+ * Group alias → channel ids. Always includes "all".
+ *
+ * @returns {Record<string, string[]>}
+ */
+export function channelGroups() {
+  const groups = {};
+  for (const def of channels.values()) {
+    if (!groups[def.group]) groups[def.group] = [];
+    groups[def.group].push(def.id);
+  }
+  groups.all = channelIds();
+  return groups;
+}
+
+/**
+ * Default channels (the "core" group).
+ *
+ * @returns {string[]}
+ */
+export function defaultChannels() {
+  return channelGroups()[DEFAULT_GROUP] || [];
+}
+
+/**
+ * Resolve channel ids to definitions, in registration order.
+ * Unknown ids are ignored.
+ *
+ * @param {string[]} ids
+ * @returns {object[]}
+ */
+export function resolveChannels(ids) {
+  return listChannels().filter((def) => ids.includes(def.id));
+}
+
+/**
+ * Namespaces that count toward coverage completeness for a channel list.
+ *
+ * @param {string[]} ids
+ * @returns {string[]}
+ */
+export function coverageNamespaces(ids) {
+  return resolveChannels(ids).flatMap((def) => def.coverageNamespaces);
+}
+
+/**
+ * Parse a --channels value with support for:
+ *   explicit list:  github,npm
+ *   group alias:    all | core | dev | ai | sdk | social | <custom group>
+ *   additive:       +cratesio,+dockerhub  (adds to the default group)
+ *
+ * @param {string|null} raw
+ * @returns {string[]}
+ * @throws {Error} COE.INIT.BAD_CHANNEL for unknown channels
+ */
+export function parseChannels(raw) {
+  if (!raw) return defaultChannels();
+
+  const groups = channelGroups();
+  if (groups[raw]) return [...groups[raw]];
+
+  const parts = raw.split(",").map((c) => c.trim()).filter(Boolean);
+  const known = channelIds();
+
+  const allAdditive = parts.every((p) => p.startsWith("+"));
+  const requested = allAdditive ? parts.map((p) => p.slice(1)) : parts;
+
+  for (const ch of requested) {
+    if (!known.includes(ch)) {
+      throw channelError("COE.INIT.BAD_CHANNEL", `Unknown channel: ${ch}`);
+    }
+  }
+
+  if (!allAdditive) return requested;
+
+  const result = defaultChannels();
+  for (const ch of requested) {
+    if (!result.includes(ch)) result.push(ch);
+  }
+  return result;
+}
+
+/**
+ * Load channel definitions from a local ES module and register them.
+ *
+ * The module may export a single definition as `default`, or an array
+ * of definitions as `channels`.
+ *
+ * @param {string} modulePath - Path to a .mjs/.js file
+ * @returns {Promise<string[]>} Ids of the registered channels
+ * @throws {Error} COE.CHANNEL.MODULE_FAIL, COE.CHANNEL.INVALID, COE.CHANNEL.DUPLICATE
+ */
+export async function loadChannelModule(modulePath) {
+  const absPath = resolve(modulePath);
+  let mod;
+  try {
+    mod = await import(pathToFileURL(absPath).href);
+  } catch (err) {
+    throw channelError("COE.CHANNEL.MODULE_FAIL", `Cannot load channel module: ${absPath} — ${err.message}`);
+  }
+
+  const defs = Array.isArray(mod.channels) ? mod.channels : mod.default ? [mod.default] : [];
+  if (defs.length === 0) {
+    throw channelError("COE.CHANNEL.MODULE_FAIL", `Channel module exports no channels: ${absPath}`);
+  }
+
+  return defs.map((def) => registerChannel(def).id);
+}
+
+/**
+ * Load every channel module listed in a JSON config file.
+ *
+ * Config shape: { "channelModules": ["./channels/internal.mjs", ...] }
+ * Relative paths resolve against the config file's directory.
+ *
+ * @param {string} configPath - Path to a .json file
+ * @returns {Promise<string[]>} Ids of the registered channels
+ * @throws {Error} COE.CHANNEL.CONFIG_FAIL, plus any loadChannelModule error
+ */
+export async function loadChannelConfig(configPath) {
+  const absPath = resolve(configPath);
+  let config;
+  try {
+    config = JSON.parse(readFileSync(absPath, "utf8"));
+  } catch (err) {
+    throw channelError("COE.CHANNEL.CONFIG_FAIL", `Cannot read channel config: ${absPath} — ${err.message}`);
+  }
+
+  const modules = config?.channelModules;
+  if (!Array.isArray(modules) || !modules.every((m) => typeof m === "string")) {
+    throw channelError("COE.CHANNEL.CONFIG_FAIL", `Channel config must list "channelModules" as an array of paths: ${absPath}`);
+  }
+
+  const ids = [];
+  for (const mod of modules) {
+    ids.push(...await loadChannelModule(resolve(dirname(absPath), mod)));
+  }
+  return ids;
+}
+
+/**
+ * Load a channel source: a JSON config file (.json) or an ES module.
+ *
+ * @param {string} path
+ * @returns {Promise<string[]>} Ids of the registered channels
+ */
+export async function loadChannelSource(path) {
+  return path.endsWith(".json") ? loadChannelConfig(path) : loadChannelModule(path);
+}
+
+for (const def of BUILTIN_CHANNELS) {
+  registerChannel(def);
+}
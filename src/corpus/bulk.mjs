@@ -0,0 +1,549 @@
+/**
+ * Bulk-data helpers for trademark corpus importers.
+ *
+ * Office bulk files are large XML (or CSV) documents, usually shipped
+ * inside ZIP archives. Records are streamed one at a time, so the raw
+ * file is never held in memory; the parsed marks of one import are, and
+ * so is the corpus they are merged into, which is rewritten whole:
+ *
+ *   readRecords(path, tag) — async iterator over "<tag>...</tag>" strings
+ *                            from a .xml file or every .xml entry of a .zip
+ *   readCsvRows(path)      — async iterator over CSV rows keyed by header,
+ *                            from a .csv file or every .csv entry of a .zip
+ *   bulkFormat(path)       — "xml" or "csv", for importers accepting both
+ *   xmlText / xmlAll / xmlAttr — extract fields from one record
+ *   importRecords          — shared filter + merge driver for importers
+ *   mergeIntoCorpus        — upsert imported marks into a corpus file and
+ *                            remove the ones filtered out
+ *
+ * Zero dependencies: ZIP entries are located via the central directory
+ * and inflated with node:zlib. ZIP64 archives are not supported.
+ *
+ * Throws on errors (does NOT call process.exit).
+ */
+
+import { createReadStream, openSync, readSync, fstatSync, closeSync, existsSync, writeFileSync, renameSync } from "node:fs";
+import { createInflateRaw } from "node:zlib";
+import { dirname, join, extname, basename } from "node:path";
+import { randomBytes } from "node:crypto";
+import { loadCorpus } from "../adapters/corpus.mjs";
+
+function importError(message) {
+  const err = new Error(message);
+  err.code = "COE.CORPUS.IMPORT_FAIL";
+  return err;
+}
+
+// ── ZIP ────────────────────────────────────────────────────────
+
+const EOCD_SIG = 0x06054b50;
+const CDIR_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+/**
+ * List the entries of a ZIP archive from its central directory.
+ *
+ * @param {string} zipPath
+ * @returns {Array<{ name: string, method: number, compressedSize: number, dataOffset: number }>}
+ * @throws {Error} COE.CORPUS.IMPORT_FAIL
+ */
+export function listZipEntries(zipPath) {
+  const fd = openSync(zipPath, "r");
+  try {
+    const size = fstatSync(fd).size;
+
+    // End of central directory: last 22 bytes + up to 64 KiB comment
+    const tailLen = Math.min(size, 22 + 0xffff);
+    const tail = Buffer.alloc(tailLen);
+    readSync(fd, tail, 0, tailLen, size - tailLen);
+    let eocd = -1;
+    for (let i = tailLen - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+    }
+    if (eocd < 0) throw importError(`Not a ZIP archive: ${zipPath}`);
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const cdSize = tail.readUInt32LE(eocd + 12);
+    const cdOffset = tail.readUInt32LE(eocd + 16);
+    if (cdOffset === 0xffffffff || count === 0xffff) {
+      throw importError(`ZIP64 archives are not supported: ${zipPath} — unzip it and import the .xml file`);
+    }
+
+    const cd = Buffer.alloc(cdSize);
+    readSync(fd, cd, 0, cdSize, cdOffset);
+
+    const entries = [];
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (cd.readUInt32LE(p) !== CDIR_SIG) throw importError(`Corrupt ZIP central directory: ${zipPath}`);
+      const method = cd.readUInt16LE(p + 10);
+      const compressedSize = cd.readUInt32LE(p + 20);
+      const nameLen = cd.readUInt16LE(p + 28);
+      const extraLen = cd.readUInt16LE(p + 30);
+      const commentLen = cd.readUInt16LE(p + 32);
+      const localOffset = cd.readUInt32LE(p + 42);
+      const name = cd.toString("utf8", p + 46, p + 46 + nameLen);
+      p += 46 + nameLen + extraLen + commentLen;
+
+      const local = Buffer.alloc(30);
+      readSync(fd, local, 0, 30, localOffset);
+      if (local.readUInt32LE(0) !== LOCAL_SIG) throw importError(`Corrupt ZIP entry "${name}": ${zipPath}`);
+      const dataOffset = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+      entries.push({ name, method, compressedSize, dataOffset });
+    }
+    return entries;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Open a readable stream over one ZIP entry's uncompressed bytes.
+ *
+ * @param {string} zipPath
+ * @param {{ name: string, method: number, compressedSize: number, dataOffset: number }} entry
+ * @returns {import("node:stream").Readable}
+ */
+function openZipEntry(zipPath, entry) {
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw importError(`Unsupported ZIP compression method ${entry.method} for "${entry.name}"`);
+  }
+  const raw = createReadStream(zipPath, {
+    start: entry.dataOffset,
+    end: entry.dataOffset + Math.max(entry.compressedSize, 1) - 1,
+  });
+  return entry.method === 8 ? raw.pipe(createInflateRaw()) : raw;
+}
+
+// ── Record streaming ───────────────────────────────────────────
+
+/**
+ * Find the next "<tag" that opens exactly this element (not "<tag-suffix").
+ *
+ * @returns {number} Index, or -1
+ */
+function findOpen(buf, open, from) {
+  let i = buf.indexOf(open, from);
+  while (i >= 0) {
+    const next = buf[i + open.length];
+    if (next === undefined || next === ">" || next === "/" || /\s/.test(next)) return i;
+    i = buf.indexOf(open, i + 1);
+  }
+  return -1;
+}
+
+/**
+ * Yield every "<tag ...>...</tag>" element from a byte stream.
+ *
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {string} tag
+ */
+async function* recordsFromStream(stream, tag) {
+  const decoder = new TextDecoder("utf-8");
+  const open = `<${tag}`;
+  const close = `</${tag}>`;
+  let buf = "";
+
+  for await (const chunk of stream) {
+    buf += decoder.decode(chunk, { stream: true });
+    let start = findOpen(buf, open, 0);
+    while (start >= 0 && buf[start + open.length] !== undefined) {
+      const end = buf.indexOf(close, start);
+      if (end < 0) break;
+      yield buf.slice(start, end + close.length);
+      start = findOpen(buf, open, end + close.length);
+    }
+    // Keep only the unfinished record (or a possible partial open tag)
+    buf = start >= 0 ? buf.slice(start) : buf.slice(-open.length);
+  }
+}
+
+/**
+ * Open every matching file of a bulk input as a byte stream: the file
+ * itself, or each matching entry of a .zip archive.
+ *
+ * @param {string} filePath
+ * @param {string} ext - Entry extension to read from archives (".xml", ".csv")
+ * @returns {Array<{ name: string, open: () => import("node:stream").Readable }>}
+ * @throws {Error} COE.CORPUS.IMPORT_FAIL
+ */
+function bulkSources(filePath, ext) {
+  if (extname(filePath).toLowerCase() !== ".zip") {
+    return [{ name: filePath, open: () => createReadStream(filePath) }];
+  }
+  const entries = listZipEntries(filePath).filter((e) => e.name.toLowerCase().endsWith(ext));
+  if (entries.length === 0) throw importError(`ZIP archive contains no ${ext} files: ${filePath}`);
+  return entries.map((entry) => ({
+    name: `"${entry.name}" in ${filePath}`,
+    open: () => openZipEntry(filePath, entry),
+  }));
+}
+
+/**
+ * Stream records from a bulk file (.xml, or .zip containing .xml entries).
+ *
+ * @param {string} filePath
+ * @param {string} tag - Record element name (e.g. "case-file")
+ * @returns {AsyncGenerator<string>}
+ * @throws {Error} COE.CORPUS.IMPORT_FAIL
+ */
+export async function* readRecords(filePath, tag) {
+  for (const source of bulkSources(filePath, ".xml")) {
+    try {
+      yield* recordsFromStream(source.open(), tag);
+    } catch (err) {
+      throw err.code === "COE.CORPUS.IMPORT_FAIL" ? err : importError(`Cannot read ${source.name} — ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Detect whether a bulk input holds XML or CSV records: by extension, or
+ * for a .zip archive by the entries it contains (XML wins when both).
+ *
+ * @param {string} filePath
+ * @returns {"xml"|"csv"}
+ * @throws {Error} COE.CORPUS.IMPORT_FAIL
+ */
+export function bulkFormat(filePath) {
+  const ext = extname(filePath).toLowerCase();
+  if (ext === ".csv" || ext === ".tsv") return "csv";
+  if (ext !== ".zip") return "xml";
+  const names = listZipEntries(filePath).map((e) => e.name.toLowerCase());
+  if (names.some((n) => n.endsWith(".xml"))) return "xml";
+  if (names.some((n) => n.endsWith(".csv"))) return "csv";
+  throw importError(`ZIP archive contains no .xml or .csv files: ${filePath}`);
+}
+
+// ── CSV ────────────────────────────────────────────────────────
+
+/**
+ * Yield CSV rows as arrays of fields (RFC 4180 quoting, CRLF or LF).
+ * The delimiter is detected from the first line: ";", tab or ",".
+ *
+ * @param {AsyncIterable<Buffer>} stream
+ */
+async function* csvFieldsFromStream(stream) {
+  const decoder = new TextDecoder("utf-8");
+  let delimiter = null;
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let pendingQuote = false;
+
+  for await (const chunk of stream) {
+    let text = decoder.decode(chunk, { stream: true });
+    if (delimiter === null) {
+      text = text.replace(/^\uFEFF/, "");
+      const firstLine = text.split(/\r?\n/, 1)[0];
+      const counts = [";", "\t", ","].map((d) => [d, firstLine.split(d).length]);
+      delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (ch === "\"") { field += "\""; continue; }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (ch === "\"") pendingQuote = true;
+        else field += ch;
+      } else if (ch === "\"" && field === "") {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n") {
+        row.push(field.replace(/\r$/, ""));
+        yield row;
+        row = [];
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field.replace(/\r$/, ""));
+    yield row;
+  }
+}
+
+/**
+ * Stream CSV rows from a bulk file (.csv, or .zip containing .csv entries)
+ * as objects keyed by the header row. Blank lines are skipped.
+ *
+ * @param {string} filePath
+ * @returns {AsyncGenerator<Record<string, string>>}
+ * @throws {Error} COE.CORPUS.IMPORT_FAIL
+ */
+export async function* readCsvRows(filePath) {
+  for (const source of bulkSources(filePath, ".csv")) {
+    let header = null;
+    try {
+      for await (const fields of csvFieldsFromStream(source.open())) {
+        if (fields.length === 1 && fields[0].trim() === "") continue;
+        if (!header) {
+          header = fields.map((h) => h.trim());
+          continue;
+        }
+        const row = {};
+        // Quoted fields may span lines; fold them onto one
+        header.forEach((h, i) => { row[h] = (fields[i] ?? "").replace(/\s*\r?\n\s*/g, " ").trim(); });
+        yield row;
+      }
+    } catch (err) {
+      throw err.code === "COE.CORPUS.IMPORT_FAIL" ? err : importError(`Cannot read ${source.name} — ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Read a CSV column by any of several header names (case-insensitive).
+ *
+ * @param {Record<string, string>} row
+ * @param {string[]} names
+ * @returns {string|null}
+ */
+export function csvField(row, names) {
+  for (const key of Object.keys(row)) {
+    if (names.includes(key.toLowerCase()) && row[key]) return row[key];
+  }
+  return null;
+}
+
+// ── XML fields ─────────────────────────────────────────────────
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+/**
+ * Decode XML entities and unwrap CDATA sections.
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+export function decodeXml(s) {
+  return s
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+      if (ent[0] === "#") {
+        const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+      }
+      return ENTITIES[ent.toLowerCase()] ?? m;
+    });
+}
+
+function elementPattern(tag) {
+  const name = tag.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  // Tolerate namespace prefixes (<tm:ClassNumber>)
+  return new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>`, "g");
+}
+
+/**
+ * Text of the first <tag> element in an XML fragment.
+ *
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null} Trimmed, entity-decoded text, or null when absent/empty
+ */
+export function xmlText(xml, tag) {
+  const m = elementPattern(tag).exec(xml);
+  const text = m ? decodeXml(m[1]).trim() : "";
+  return text || null;
+}
+
+/**
+ * Raw inner XML of every <tag> element in an XML fragment.
+ *
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]}
+ */
+export function xmlAll(xml, tag) {
+  return [...xml.matchAll(elementPattern(tag))].map((m) => m[1]);
+}
+
+/**
+ * Values of an attribute on every <tag> start tag in an XML fragment
+ * (including self-closing tags).
+ *
+ * @param {string} xml
+ * @param {string} tag
+ * @param {string} attr
+ * @returns {string[]}
+ */
+export function xmlAttr(xml, tag, attr) {
+  const out = [];
+  for (const m of xml.matchAll(new RegExp(`<(?:[\\w.-]+:)?${tag}(\\s[^>]*)?/?>`, "g"))) {
+    const a = new RegExp(`\\s${attr}="([^"]*)"`).exec(m[1] || "");
+    if (a) out.push(decodeXml(a[1]).trim());
+  }
+  return out;
+}
+
+/**
+ * Convert an office date to ISO (YYYY-MM-DD).
+ *
+ * Accepts YYYYMMDD, YYYY-MM-DD (with optional time), and the day-first
+ * DD/MM/YYYY or DD.MM.YYYY used in European exports.
+ *
+ * @param {string|null} s
+ * @returns {string|null}
+ */
+export function isoDate(s) {
+  if (!s) return null;
+  const ymd = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(s);
+  if (ymd) return `${ymd[1]}-${ymd[2]}-${ymd[3]}`;
+  const dmy = /^(\d{2})[/.](\d{2})[/.](\d{4})/.exec(s);
+  return dmy ? `${dmy[3]}-${dmy[2]}-${dmy[1]}` : null;
+}
+
+/**
+ * Parse a list of Nice classes ("9, 42", "09;42", ["009"]) into sorted numbers.
+ *
+ * @param {string|string[]|null} raw
+ * @returns {number[]}
+ */
+export function parseNiceClasses(raw) {
+  const parts = Array.isArray(raw) ? raw : String(raw || "").split(/[^0-9]+/);
+  const classes = [];
+  for (const p of parts) {
+    const n = Number.parseInt(String(p).trim(), 10);
+    if (n >= 1 && n <= 45 && !classes.includes(n)) classes.push(n);
+  }
+  return classes.sort((a, b) => a - b);
+}
+
+const DEAD_STATUS_WORDS = /\b(expired|cancell?ed|withdrawn|refused|rejected|surrendered|revoked|invalid(ated)?|lapsed|removed|abandoned|ended|inactive|dead|ceased)\b/i;
+
+/**
+ * Map a free-text office status ("Registered", "Application refused",
+ * "Expired", "Ended") to live/dead. Pending proceedings ("Cancellation
+ * pending") are still live.
+ *
+ * @param {string|null} text
+ * @returns {"live"|"dead"}
+ */
+export function statusFromText(text) {
+  if (!text || /pending/i.test(text)) return "live";
+  return DEAD_STATUS_WORDS.test(text) ? "dead" : "live";
+}
+
+// ── Corpus output ──────────────────────────────────────────────
+
+/**
+ * Shared driver for bulk importers: parse every input, apply the live /
+ * class filters, and upsert the result into the corpus file.
+ *
+ * @param {string[]} inputPaths
+ * @param {string} outputPath
+ * @param {{ source: string, entries: (path: string) => AsyncIterable<object|null>, now?: string, liveOnly?: boolean, classes?: number[]|null }} opts
+ *   entries — yields one corpus entry (or null for unusable records) per record
+ * @returns {Promise<{ path: string, parsed: number, imported: number, skipped: number, added: number, updated: number, removed: number, total: number }>}
+ * @throws {Error} COE.CORPUS.NOT_FOUND, COE.CORPUS.IMPORT_FAIL
+ */
+export async function importRecords(inputPaths, outputPath, opts) {
+  const { source, entries, now = new Date().toISOString(), liveOnly = false, classes = null } = opts;
+
+  for (const p of inputPaths) {
+    if (!existsSync(p)) {
+      const err = new Error(`${source.toUpperCase()} bulk file not found: ${p}`);
+      err.code = "COE.CORPUS.NOT_FOUND";
+      throw err;
+    }
+  }
+
+  const byId = new Map();
+  const dropped = new Set();
+  let parsed = 0;
+  let skipped = 0;
+  for (const p of inputPaths) {
+    for await (const entry of entries(p)) {
+      parsed++;
+      const keep = entry &&
+        (!liveOnly || entry.status === "live") &&
+        (!classes || classes.length === 0 || (entry.classes || []).some((c) => classes.includes(c)));
+      if (!keep) {
+        // A later file may report a previously imported mark as dead; the
+        // corpus copy from an earlier import is removed too
+        if (entry) {
+          byId.delete(entry.id);
+          dropped.add(entry.id);
+        }
+        skipped++;
+        continue;
+      }
+      dropped.delete(entry.id);
+      byId.set(entry.id, entry);
+    }
+  }
+
+  if (parsed === 0) {
+    throw importError(`No ${source.toUpperCase()} records found in: ${inputPaths.join(", ")}`);
+  }
+
+  const marks = [...byId.values()];
+  const result = mergeIntoCorpus(outputPath, marks, {
+    source,
+    files: inputPaths.map((p) => basename(p)),
+    now,
+    removeIds: [...dropped],
+  });
+
+  return { ...result, parsed, imported: marks.length, skipped };
+}
+
+/**
+ * Upsert imported marks into a corpus file (created if missing).
+ *
+ * Marks are matched by id, so re-importing an updated daily file replaces
+ * earlier records for the same application, and marks listed in
+ * `info.removeIds` (gone dead or filtered out by this import) are deleted.
+ * Uses atomic write (tmp + rename).
+ *
+ * @param {string} corpusPath
+ * @param {object[]} marks - Corpus entries with stable ids
+ * @param {{ source: string, files: string[], now: string, removeIds?: string[] }} info
+ * @returns {{ path: string, added: number, updated: number, removed: number, total: number }}
+ */
+export function mergeIntoCorpus(corpusPath, marks, info) {
+  const corpus = existsSync(corpusPath)
+    ? loadCorpus(corpusPath)
+    : { marks: [], metadata: { createdAt: info.now, version: "1.0.0" } };
+
+  const removeIds = new Set(info.removeIds || []);
+  const before = corpus.marks.length;
+  corpus.marks = corpus.marks.filter((m) => !m.id || !removeIds.has(m.id));
+  const removed = before - corpus.marks.length;
+
+  const index = new Map(corpus.marks.map((m, i) => [m.id, i]));
+  let added = 0;
+  let updated = 0;
+  for (const mark of marks) {
+    const at = mark.id ? index.get(mark.id) : undefined;
+    if (at !== undefined) {
+      corpus.marks[at] = mark;
+      updated++;
+    } else {
+      index.set(mark.id, corpus.marks.length);
+      corpus.marks.push(mark);
+      added++;
+    }
+  }
+
+  corpus.metadata = corpus.metadata || {};
+  corpus.metadata.imports = [
+    ...(corpus.metadata.imports || []),
+    { source: info.source, files: info.files, records: marks.length, importedAt: info.now },
+  ];
+
+  const tmpPath = join(dirname(corpusPath), `.corpus-tmp-${randomBytes(4).toString("hex")}.json`);
+  writeFileSync(tmpPath, JSON.stringify(corpus, null, 2) + "\n", "utf8");
+  renameSync(tmpPath, corpusPath);
+
+  return { path: corpusPath, added, updated, removed, total: corpus.marks.length };
+}
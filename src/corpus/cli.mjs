@@ -1,17 +1,19 @@
 /**
  * Corpus CLI tooling.
  *
- * corpusInit — create a new corpus.json template
- * corpusAdd  — append a mark to an existing corpus file
+ * corpusInit  — create a new corpus.json template
+ * corpusAdd   — append a mark to an existing corpus file
+ * corpusIndex — build the search index next to a corpus file
  *
  * Throws on errors (does NOT call process.exit).
  */
 
 import { readFileSync, writeFileSync, existsSync, renameSync } from "node:fs";
-import { dirname, join } from "node:path";
+import { dirname, join, basename } from "node:path";
 import { randomBytes } from "node:crypto";
 import { hashString } from "../lib/hash.mjs";
 import { loadCorpus } from "../adapters/corpus.mjs";
+import { buildCorpusIndex, indexPathFor } from "./search-index.mjs";
 
 function corpusError(code, message) {
   const err = new Error(message);
@@ -101,3 +103,30 @@ export function corpusAdd(corpusPath, entry = {}) {
 
   return { path: corpusPath, added: true, id };
 }
+
+/**
+ * Build the search index for a corpus file and write it atomically next
+ * to the corpus (marks.json → marks.index.json), where runCheck() finds it.
+ *
+ * @param {string} corpusPath - Path to the corpus file
+ * @returns {{ path: string, sha256: string, marks: number, forms: number }}
+ * @throws If the corpus file is missing or invalid
+ */
+export function corpusIndex(corpusPath) {
+  const outputPath = indexPathFor(corpusPath);
+
+  if (!existsSync(corpusPath)) {
+    throw corpusError("COE.CORPUS.NOT_FOUND", `Corpus file not found: ${corpusPath}`);
+  }
+
+  const corpus = loadCorpus(corpusPath);
+  const index = buildCorpusIndex(corpus, hashString(readFileSync(corpusPath, "utf8")));
+  const content = JSON.stringify(index) + "\n";
+
+  // Atomic write (tmp + rename)
+  const tmpPath = join(dirname(outputPath), `.${basename(outputPath)}-tmp-${randomBytes(4).toString("hex")}`);
+  writeFileSync(tmpPath, content, "utf8");
+  renameSync(tmpPath, outputPath);
+
+  return { path: outputPath, sha256: hashString(content), marks: index.marks, forms: index.forms.length };
+}
@@ -0,0 +1,135 @@
+/**
+ * EUIPO trademark bulk-data importer.
+ *
+ * Parses EU trade mark records into corpus entries, offline. Two export
+ * formats are accepted:
+ *
+ *   XML — the EUIPO open-data bulk files (one <TradeMark> per mark, as
+ *         .xml or inside the distributed .zip)
+ *   CSV — result exports from eSearch plus (",", ";" or tab separated)
+ *
+ * Extracted per mark:
+ *   ApplicationNumber      → applicationNumber
+ *   MarkVerbalElementText  → mark          ClassNumber     → classes
+ *   MarkCurrentStatusCode  → statusText, status ("live" | "dead")
+ *   ApplicantDetails name  → registrant
+ *   ApplicationDate / RegistrationDate / ExpiryDate
+ *                          → filingDate / registrationDate / expiryDate
+ *
+ * Every entry carries jurisdiction "EU". Figurative marks without a
+ * verbal element are skipped.
+ *
+ * Throws on errors (does NOT call process.exit).
+ */
+
+import {
+  readRecords, readCsvRows, csvField, bulkFormat, xmlText, xmlAll,
+  isoDate, parseNiceClasses, statusFromText, importRecords,
+} from "./bulk.mjs";
+
+/** eSearch CSV header names (lowercased) for each field. */
+const CSV_COLUMNS = {
+  number: ["application number", "trade mark number", "number", "eutm number", "filing number"],
+  mark: ["trade mark", "trademark", "mark", "name", "verbal element", "mark text"],
+  status: ["status", "trade mark status", "mark status"],
+  classes: ["nice classes", "nice class", "classes", "class"],
+  owner: ["owner name", "owner", "applicant", "applicant name", "owner(s)"],
+  filingDate: ["filing date", "application date"],
+  registrationDate: ["registration date"],
+  expiryDate: ["expiry date", "expiration date"],
+};
+
+/**
+ * Build a corpus entry from extracted EUIPO fields.
+ *
+ * @returns {object|null}
+ */
+function toEntry({ number, mark, statusText, classes, registrant, filingDate, registrationDate, expiryDate }) {
+  if (!number || !mark) return null;
+  const applicationNumber = number.replace(/^0+(?=\d)/, "");
+
+  const entry = {
+    id: `mark.euipo.${applicationNumber}`,
+    mark,
+    source: "euipo",
+    jurisdiction: "EU",
+    applicationNumber,
+    status: statusFromText(statusText),
+  };
+  if (statusText) entry.statusText = statusText;
+  if (classes.length > 0) {
+    entry.class = classes[0];
+    entry.classes = classes;
+  }
+  if (registrant) entry.registrant = registrant;
+  if (filingDate) entry.filingDate = filingDate;
+  if (registrationDate) entry.registrationDate = registrationDate;
+  if (expiryDate) entry.expiryDate = expiryDate;
+  return entry;
+}
+
+/**
+ * Parse one <TradeMark> element into a corpus entry.
+ *
+ * @param {string} xml - A single <TradeMark>...</TradeMark> record
+ * @returns {object|null} Corpus entry, or null for marks without a verbal element
+ */
+export function parseTradeMark(xml) {
+  const applicant = xmlAll(xml, "ApplicantDetails")[0] || "";
+  return toEntry({
+    number: xmlText(xml, "ApplicationNumber"),
+    mark: xmlText(xml, "MarkVerbalElementText"),
+    statusText: xmlText(xml, "MarkCurrentStatusCode"),
+    classes: parseNiceClasses(xmlAll(xml, "ClassNumber")),
+    registrant: xmlText(applicant, "OrganizationName") || xmlText(applicant, "FreeFormatNameLine"),
+    filingDate: isoDate(xmlText(xml, "ApplicationDate")),
+    registrationDate: isoDate(xmlText(xml, "RegistrationDate")),
+    expiryDate: isoDate(xmlText(xml, "ExpiryDate")),
+  });
+}
+
+/**
+ * Parse one eSearch CSV row into a corpus entry.
+ *
+ * @param {Record<string, string>} row - Row keyed by header
+ * @returns {object|null}
+ */
+export function parseEuipoRow(row) {
+  const get = (field) => csvField(row, CSV_COLUMNS[field]);
+  return toEntry({
+    number: get("number"),
+    mark: get("mark"),
+    statusText: get("status"),
+    classes: parseNiceClasses(get("classes")),
+    registrant: get("owner"),
+    filingDate: isoDate(get("filingDate")),
+    registrationDate: isoDate(get("registrationDate")),
+    expiryDate: isoDate(get("expiryDate")),
+  });
+}
+
+/**
+ * Import EUIPO bulk XML or CSV exports into a corpus file.
+ *
+ * Existing corpus entries are kept; EUIPO entries are upserted by
+ * application number.
+ *
+ * @param {string[]} inputPaths - .xml, .csv or .zip files
+ * @param {string} outputPath - Corpus file to create or update
+ * @param {{ now?: string, liveOnly?: boolean, classes?: number[] }} [opts]
+ * @returns {Promise<{ path: string, parsed: number, imported: number, skipped: number, added: number, updated: number, total: number }>}
+ * @throws {Error} COE.CORPUS.NOT_FOUND, COE.CORPUS.IMPORT_FAIL
+ */
+export async function importEuipo(inputPaths, outputPath, opts = {}) {
+  return importRecords(inputPaths, outputPath, {
+    ...opts,
+    source: "euipo",
+    entries: async function* (p) {
+      if (bulkFormat(p) === "csv") {
+        for await (const row of readCsvRows(p)) yield parseEuipoRow(row);
+      } else {
+        for await (const record of readRecords(p, "TradeMark")) yield parseTradeMark(record);
+      }
+    },
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * Prebuilt search index for large corpora.
+ *
+ * findSimilarMarks() normalizes, tokenizes and Metaphone-encodes every
+ * corpus mark and runs two Jaro-Winkler scans per mark, on every check.
+ * The index (`coe corpus index`) stores, once per distinct normalized
+ * form, its Metaphone signature and the corpus entries that share it, plus
+ * a posting list per character of the forms (looks) and of their
+ * signatures (sounds), naming each form that contains the character and
+ * how often:
+ *
+ *   { version, corpusSha256, marks,
+ *     forms: [[norm, sig, [entry, ...]], ...],
+ *     keys: { looks: { c: [form, count, form, count, ...], ... }, sounds: { K: [...], ... } } }
+ *
+ * searchCorpusIndex() reads the posting lists of the candidate's own
+ * characters only. They give, per form, the size of the character
+ * multiset it shares with the candidate, which is all that
+ * jaroWinklerBound() needs for its upper bound on Jaro-Winkler; a form
+ * sharing no character scores 0. Forms whose blended bound reaches the
+ * threshold are scored exactly as by the linear scan, so the results are
+ * the same, in the same order.
+ *
+ * The index is written by corpusIndex() (src/corpus/cli.mjs), stored next
+ * to the corpus (marks.json → marks.index.json) and tied to it by the
+ * corpus file's SHA-256; a stale index is ignored. loadCorpusIndex()
+ * checks the hash once per process while neither file changes.
+ *
+ * Throws on errors (does NOT call process.exit).
+ */
+
+import { readFileSync, existsSync, statSync } from "node:fs";
+import { dirname, basename, join } from "node:path";
+import { hashString } from "../lib/hash.mjs";
+import {
+  markFeatures,
+  jaroWinkler,
+  jaroWinklerMatchBound,
+  blendScores,
+  comparisonFromScores,
+  compareMatches,
+} from "../scoring/similarity.mjs";
+
+const INDEX_VERSION = "3.0.0";
+
+/** Loaded indexes by corpus path, reused while neither file changes. */
+const loadedIndexes = new Map();
+
+/**
+ * Default index path for a corpus file: marks.json → marks.index.json.
+ *
+ * @param {string} corpusPath
+ * @returns {string}
+ */
+export function indexPathFor(corpusPath) {
+  const name = basename(corpusPath).replace(/\.json$/i, "");
+  return join(dirname(corpusPath), `${name}.index.json`);
+}
+
+/**
+ * Character counts of a lowercased string, the posting-list keys of a
+ * form or its signature.
+ *
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+export function characterCounts(text) {
+  const counts = new Map();
+  for (const ch of text.toLowerCase()) counts.set(ch, (counts.get(ch) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Build an index for a loaded corpus.
+ *
+ * @param {{ marks: Array<{ mark: string }> }} corpus
+ * @param {string} corpusSha256 - SHA-256 of the corpus file contents
+ * @returns {{ version: string, corpusSha256: string, marks: number, forms: Array<[string, string, number[]]>, keys: { looks: Record<string, number[]>, sounds: Record<string, number[]> } }}
+ */
+export function buildCorpusIndex(corpus, corpusSha256) {
+  const byNorm = new Map();
+  corpus.marks.forEach((entry, i) => {
+    const { norm, sig } = markFeatures(entry.mark);
+    const form = byNorm.get(norm);
+    if (form) form[2].push(i);
+    else byNorm.set(norm, [norm, sig, [i]]);
+  });
+
+  const forms = [...byNorm.values()];
+  const keys = { looks: {}, sounds: {} };
+  forms.forEach(([norm, sig], f) => {
+    for (const [ch, count] of characterCounts(norm)) (keys.looks[ch] ||= []).push(f, count);
+    for (const [ch, count] of characterCounts(sig)) (keys.sounds[ch] ||= []).push(f, count);
+  });
+
+  return {
+    version: INDEX_VERSION,
+    corpusSha256,
+    marks: corpus.marks.length,
+    forms,
+    keys,
+  };
+}
+
+/**
+ * Load the index for a corpus file, if one exists and matches it.
+ *
+ * The result is kept for the process and returned again while the corpus
+ * and index files keep their size and modification time, so a batch or an
+ * alternative search reads and hashes the corpus once.
+ *
+ * @param {string} corpusPath
+ * @returns {{ index: object, path: string, sha256: string }|{ index: null, path: string, stale: boolean }|null}
+ *   null when there is no index file; `stale: true` when it was built for other corpus contents
+ * @throws {Error} COE.CORPUS.INDEX_INVALID for an unreadable or malformed index
+ */
+export function loadCorpusIndex(corpusPath) {
+  const path = indexPathFor(corpusPath);
+  if (!existsSync(path)) return null;
+
+  const stamp = [path, corpusPath].map((p) => {
+    const { size, mtimeMs } = statSync(p);
+    return `${size}:${mtimeMs}`;
+  }).join("|");
+  const cached = loadedIndexes.get(path);
+  if (cached?.stamp === stamp) return cached.result;
+
+  let raw;
+  let index;
+  try {
+    raw = readFileSync(path, "utf8");
+    index = JSON.parse(raw);
+  } catch (err) {
+    const error = new Error(`Cannot read corpus index: ${path} — ${err.message}`);
+    error.code = "COE.CORPUS.INDEX_INVALID";
+    throw error;
+  }
+  if (
+    !index || index.version !== INDEX_VERSION || !Array.isArray(index.forms) ||
+    !index.keys?.looks || !index.keys?.sounds || typeof index.corpusSha256 !== "string"
+  ) {
+    const error = new Error(`Corpus index has an unsupported format: ${path}`);
+    error.code = "COE.CORPUS.INDEX_INVALID";
+    throw error;
+  }
+
+  const result = index.corpusSha256 === hashString(readFileSync(corpusPath, "utf8"))
+    ? { index, path, sha256: hashString(raw) }
+    : { index: null, path, stale: true };
+  loadedIndexes.set(path, { stamp, result });
+  return result;
+}
+
+/**
+ * Forms that may reach the threshold: those whose jaroWinklerBound()
+ * bounds on looks and sounds blend to at least `threshold`. The shared
+ * character counts come from the posting lists of the candidate's own
+ * characters; forms in none of them share no character and score 0.
+ *
+ * @param {string} norm - Candidate's normalized form
+ * @param {string} sig - Candidate's Metaphone signature
+ * @param {{ forms: Array<[string, string, number[]]>, keys: { looks: object, sounds: object } }} index
+ * @param {{ threshold?: number, lookWeight?: number, soundWeight?: number }} [opts]
+ * @returns {number[]} Form positions, ascending
+ */
+export function retrieveForms(norm, sig, index, opts = {}) {
+  const threshold = opts.threshold ?? 0.70;
+  if (blendScores(0, 0, opts) >= threshold) return index.forms.map((_, f) => f);
+
+  const looks = new Uint32Array(index.forms.length);
+  const sounds = new Uint32Array(index.forms.length);
+  const touched = [];
+  const count = (text, postings, shared) => {
+    for (const [ch, n] of characterCounts(text)) {
+      const list = postings[ch] || [];
+      for (let i = 0; i < list.length; i += 2) {
+        const f = list[i];
+        if (looks[f] === 0 && sounds[f] === 0) touched.push(f);
+        shared[f] += Math.min(n, list[i + 1]);
+      }
+    }
+  };
+  count(norm, index.keys.looks, looks);
+  if (sig) count(sig, index.keys.sounds, sounds);
+
+  // Rounded like the real blend; the epsilon absorbs floating-point
+  // differences between the bound and the exact computation.
+  const normLower = norm.toLowerCase();
+  const sigLower = sig.toLowerCase();
+  const found = touched.filter((f) => {
+    const [formNorm, formSig] = index.forms[f];
+    const looksMax = jaroWinklerMatchBound(normLower, formNorm.toLowerCase(), looks[f]);
+    const soundsMax = formSig ? jaroWinklerMatchBound(sigLower, formSig.toLowerCase(), sounds[f]) : 0;
+    return blendScores(looksMax + 1e-9, soundsMax + 1e-9, opts) >= threshold;
+  });
+  return found.sort((a, b) => a - b);
+}
+
+/**
+ * Find corpus marks similar to a candidate using a prebuilt index.
+ *
+ * Same contract and results as findSimilarMarks(candidate, marks) where
+ * `marks` is the corpus filtered by `include`, but only the forms
+ * retrieveForms() returns are scored.
+ *
+ * @param {string} candidate
+ * @param {{ forms: Array<[string, string, number[]]>, keys: { looks: object, sounds: object } }} index
+ * @param {Array<{ mark: string }>} marks - corpus.marks the index was built from
+ * @param {{ threshold?: number, lookWeight?: number, soundWeight?: number, include?: (entry: object) => boolean }} [opts]
+ * @returns {Array<{ mark: string, comparison: object, entry: object }>}
+ */
+export function searchCorpusIndex(candidate, index, marks, opts = {}) {
+  const threshold = opts.threshold ?? 0.70;
+  const include = opts.include || (() => true);
+  const cand = markFeatures(candidate);
+
+  const hits = [];
+  for (const f of retrieveForms(cand.norm, cand.sig, index, opts)) {
+    const [norm, sig, entries] = index.forms[f];
+    const kept = entries.filter((i) => include(marks[i]));
+    if (kept.length === 0) continue;
+
+    const looks = jaroWinkler(cand.norm, norm);
+    const sounds = cand.sig && sig ? jaroWinkler(cand.sig, sig) : 0.0;
+    if (blendScores(looks, sounds, opts) < threshold) continue;
+
+    for (const i of kept) hits.push({ i, looks, sounds });
+  }
+
+  // Corpus order first, then the same sort as findSimilarMarks()
+  hits.sort((x, y) => x.i - y.i);
+  const results = hits.map(({ i, looks, sounds }) => ({
+    mark: marks[i].mark,
+    comparison: comparisonFromScores(candidate, marks[i].mark, looks, sounds, opts),
+    entry: marks[i],
+  }));
+  return results.sort(compareMatches);
+}
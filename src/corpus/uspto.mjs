@@ -0,0 +1,119 @@
+/**
+ * USPTO trademark bulk-data importer.
+ *
+ * Parses the USPTO Trademark Daily / Annual XML applications files
+ * (one <case-file> per application) into corpus entries, offline.
+ * Accepts the .xml file or the .zip archive the USPTO distributes.
+ *
+ * Extracted per case file:
+ *   mark-identification → mark        serial-number       → serialNumber
+ *   registration-number → registrationNumber
+ *   international-code  → classes      party-name (owner)  → registrant
+ *   filing-date / registration-date   → filingDate / registrationDate
+ *   status-code                        → statusCode, status ("live" | "dead")
+ *
+ * Every entry carries jurisdiction "US".
+ *
+ * Design-only marks (no word mark) are skipped.
+ *
+ * Throws on errors (does NOT call process.exit).
+ */
+
+import { readRecords, xmlText, xmlAll, isoDate, parseNiceClasses, importRecords } from "./bulk.mjs";
+
+/**
+ * USPTO status-code ranges for dead applications/registrations:
+ * 600–629 abandoned, 710–715 cancelled, 900–999 expired. Everything
+ * else (pending 630–699, registered 700–709, renewed 800) is treated as
+ * live; an abandonment or cancellation date on the case file also marks
+ * it dead.
+ */
+const DEAD_STATUS_RANGES = [
+  [600, 629],
+  [710, 715],
+  [900, 999],
+];
+
+/**
+ * Whether a USPTO status code denotes a dead (abandoned, cancelled or
+ * expired) mark.
+ *
+ * @param {number|null} code
+ * @returns {boolean}
+ */
+export function isDeadStatus(code) {
+  if (!Number.isFinite(code)) return false;
+  return DEAD_STATUS_RANGES.some(([lo, hi]) => code >= lo && code <= hi);
+}
+
+/**
+ * Parse one <case-file> element into a corpus entry.
+ *
+ * @param {string} xml - A single <case-file>...</case-file> record
+ * @returns {object|null} Corpus entry, or null for records without a word mark
+ */
+export function parseCaseFile(xml) {
+  const serialNumber = xmlText(xml, "serial-number");
+  const header = xmlAll(xml, "case-file-header")[0] || "";
+  const mark = xmlText(header, "mark-identification");
+  if (!serialNumber || !mark) return null;
+
+  const entry = { id: `mark.uspto.${serialNumber}`, mark, source: "uspto", jurisdiction: "US", serialNumber };
+
+  const registrationNumber = xmlText(xml, "registration-number");
+  if (registrationNumber && !/^0+$/.test(registrationNumber)) {
+    entry.registrationNumber = registrationNumber.replace(/^0+/, "");
+  }
+
+  const statusCode = Number.parseInt(xmlText(header, "status-code") || "", 10);
+  const dead = isDeadStatus(statusCode) ||
+    Boolean(xmlText(header, "abandonment-date") || xmlText(header, "cancellation-date"));
+  entry.status = dead ? "dead" : "live";
+  if (Number.isFinite(statusCode)) entry.statusCode = statusCode;
+
+  const classes = parseNiceClasses(
+    xmlAll(xml, "classification").flatMap((c) => xmlAll(c, "international-code"))
+  );
+  if (classes.length > 0) {
+    entry.class = classes[0];
+    entry.classes = classes;
+  }
+
+  // Current owner: the highest entry number among owner records
+  const owners = xmlAll(xml, "case-file-owner")
+    .map((o) => ({ entry: Number.parseInt(xmlText(o, "entry-number") || "0", 10), name: xmlText(o, "party-name") }))
+    .filter((o) => o.name);
+  if (owners.length > 0) {
+    owners.sort((a, b) => b.entry - a.entry);
+    entry.registrant = owners[0].name;
+  }
+
+  const filingDate = isoDate(xmlText(header, "filing-date"));
+  if (filingDate) entry.filingDate = filingDate;
+  const registrationDate = isoDate(xmlText(header, "registration-date"));
+  if (registrationDate) entry.registrationDate = registrationDate;
+
+  return entry;
+}
+
+/**
+ * Import USPTO bulk XML files into a corpus file.
+ *
+ * Existing corpus entries are kept; USPTO entries are upserted by serial
+ * number, so importing successive daily files keeps the latest record.
+ *
+ * @param {string[]} inputPaths - .xml or .zip bulk files
+ * @param {string} outputPath - Corpus file to create or update
+ * @param {{ now?: string, liveOnly?: boolean, classes?: number[] }} [opts]
+ * @returns {Promise<{ path: string, parsed: number, imported: number, skipped: number, added: number, updated: number, total: number }>}
+ * @throws {Error} COE.CORPUS.NOT_FOUND, COE.CORPUS.IMPORT_FAIL
+ */
+export async function importUspto(inputPaths, outputPath, opts = {}) {
+  return importRecords(inputPaths, outputPath, {
+    ...opts,
+    source: "uspto",
+    entries: async function* (p) {
+      for await (const record of readRecords(p, "case-file")) yield parseCaseFile(record);
+    },
+  });
+}
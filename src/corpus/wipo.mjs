@@ -0,0 +1,194 @@
+/**
+ * WIPO trademark bulk-data importer.
+ *
+ * Parses WIPO exports into corpus entries, offline. Two formats are
+ * accepted:
+ *
+ *   XML — Madrid System international registrations (one <MARKGR> per
+ *         registration, as .xml or inside a .zip)
+ *   CSV — Global Brand Database result exports, which cover many national
+ *         offices; each row keeps its own office as jurisdiction
+ *
+ * Extracted per Madrid registration:
+ *   INTREGN (attr)         → registrationNumber    OOCD (attr) → originOffice
+ *   MARKVE / IMAGE TEXT    → mark                  NICCLAI     → classes
+ *   HOLGR NAMEL            → registrant            DCPCD       → designations
+ *   INTREGD / EXPDATE      → registrationDate / expiryDate
+ *
+ * Madrid registrations carry jurisdiction "WO" and are live until their
+ * expiry date. Global Brand Database rows use their Status column.
+ *
+ * Throws on errors (does NOT call process.exit).
+ */
+
+import {
+  readRecords, readCsvRows, csvField, bulkFormat, xmlText, xmlAll, xmlAttr,
+  isoDate, parseNiceClasses, statusFromText, importRecords,
+} from "./bulk.mjs";
+import { normalizeJurisdiction } from "../lib/geo.mjs";
+
+/** Global Brand Database CSV header names (lowercased) for each field. */
+const CSV_COLUMNS = {
+  number: ["registration number", "number", "application number", "reg. number", "ir number"],
+  mark: ["brand", "brand name", "mark", "trademark"],
+  office: ["office", "origin", "source", "country of filing", "registration office"],
+  status: ["status"],
+  classes: ["nice class", "nice classes", "nice classification", "class"],
+  owner: ["owner", "holder", "applicant"],
+  filingDate: ["application date", "filing date"],
+  registrationDate: ["registration date"],
+  expiryDate: ["expiry date", "expiration date"],
+  designations: ["designation", "designations", "designated countries"],
+};
+
+/**
+ * Whether an ISO date lies before `now`.
+ *
+ * @param {string|null} date - YYYY-MM-DD
+ * @param {string} now - ISO timestamp
+ * @returns {boolean}
+ */
+function isExpired(date, now) {
+  return Boolean(date) && date < now.slice(0, 10);
+}
+
+/**
+ * Normalize a list of office codes, dropping unknown ones.
+ *
+ * @param {string[]} codes
+ * @returns {string[]}
+ */
+function normalizeCodes(codes) {
+  const out = [];
+  for (const c of codes) {
+    const code = normalizeJurisdiction(c);
+    if (code && !out.includes(code)) out.push(code);
+  }
+  return out;
+}
+
+/**
+ * Parse one Madrid <MARKGR> element into a corpus entry.
+ *
+ * @param {string} xml - A single <MARKGR>...</MARKGR> record
+ * @param {{ now?: string }} [opts]
+ * @returns {object|null} Corpus entry, or null for figurative marks without text
+ */
+export function parseMadridRecord(xml, opts = {}) {
+  const { now = new Date().toISOString() } = opts;
+  const number = xmlAttr(xml, "MARKGR", "INTREGN")[0];
+  const mark = xmlText(xml, "MARKVE") || xmlAttr(xml, "IMAGE", "TEXT")[0];
+  if (!number || !mark) return null;
+
+  const registrationNumber = number.replace(/^0+(?=\d)/, "");
+  const expiryDate = isoDate(xmlAttr(xml, "MARKGR", "EXPDATE")[0]);
+  const entry = {
+    id: `mark.wipo.wo.${registrationNumber}`,
+    mark,
+    source: "wipo",
+    jurisdiction: "WO",
+    registrationNumber,
+    status: isExpired(expiryDate, now) ? "dead" : "live",
+  };
+
+  const originOffice = normalizeJurisdiction(xmlAttr(xml, "MARKGR", "OOCD")[0] || "");
+  if (originOffice) entry.originOffice = originOffice;
+
+  const designations = normalizeCodes(xmlAll(xml, "DCPCD"));
+  if (designations.length > 0) entry.designations = designations;
+
+  const classes = parseNiceClasses(xmlAttr(xml, "GSGR", "NICCLAI"));
+  if (classes.length > 0) {
+    entry.class = classes[0];
+    entry.classes = classes;
+  }
+
+  const holder = xmlAll(xml, "HOLGR")[0] || "";
+  const names = xmlAll(holder, "NAMEL").map((n) => n.trim()).filter(Boolean);
+  if (names.length > 0) entry.registrant = names.join(" ");
+
+  const registrationDate = isoDate(xmlAttr(xml, "MARKGR", "INTREGD")[0]);
+  if (registrationDate) entry.registrationDate = registrationDate;
+  if (expiryDate) entry.expiryDate = expiryDate;
+
+  return entry;
+}
+
+/**
+ * Parse one Global Brand Database CSV row into a corpus entry.
+ *
+ * @param {Record<string, string>} row - Row keyed by header
+ * @param {{ now?: string }} [opts]
+ * @returns {object|null}
+ */
+export function parseGbdRow(row, opts = {}) {
+  const { now = new Date().toISOString() } = opts;
+  const get = (field) => csvField(row, CSV_COLUMNS[field]);
+  const number = get("number");
+  const mark = get("mark");
+  if (!number || !mark) return null;
+
+  // Madrid rows in the Global Brand Database report office "WO"
+  const jurisdiction = normalizeJurisdiction(get("office") || "") || "WO";
+  const registrationNumber = number.replace(/^0+(?=\d)/, "");
+  const statusText = get("status");
+  const expiryDate = isoDate(get("expiryDate"));
+
+  const entry = {
+    id: `mark.wipo.${jurisdiction.toLowerCase()}.${registrationNumber.replace(/[^\w-]/g, "")}`,
+    mark,
+    source: "wipo",
+    jurisdiction,
+    registrationNumber,
+    status: statusText ? statusFromText(statusText) : (isExpired(expiryDate, now) ? "dead" : "live"),
+  };
+  if (statusText) entry.statusText = statusText;
+
+  const designations = normalizeCodes((get("designations") || "").split(/[\s,;]+/));
+  if (designations.length > 0) entry.designations = designations;
+
+  const classes = parseNiceClasses(get("classes"));
+  if (classes.length > 0) {
+    entry.class = classes[0];
+    entry.classes = classes;
+  }
+
+  const registrant = get("owner");
+  if (registrant) entry.registrant = registrant;
+  const filingDate = isoDate(get("filingDate"));
+  if (filingDate) entry.filingDate = filingDate;
+  const registrationDate = isoDate(get("registrationDate"));
+  if (registrationDate) entry.registrationDate = registrationDate;
+  if (expiryDate) entry.expiryDate = expiryDate;
+
+  return entry;
+}
+
+/**
+ * Import WIPO Madrid XML or Global Brand Database CSV exports into a
+ * corpus file.
+ *
+ * Existing corpus entries are kept; WIPO entries are upserted by office
+ * and registration number.
+ *
+ * @param {string[]} inputPaths - .xml, .csv or .zip files
+ * @param {string} outputPath - Corpus file to create or update
+ * @param {{ now?: string, liveOnly?: boolean, classes?: number[] }} [opts]
+ * @returns {Promise<{ path: string, parsed: number, imported: number, skipped: number, added: number, updated: number, total: number }>}
+ * @throws {Error} COE.CORPUS.NOT_FOUND, COE.CORPUS.IMPORT_FAIL
+ */
+export async function importWipo(inputPaths, outputPath, opts = {}) {
+  const now = opts.now || new Date().toISOString();
+  return importRecords(inputPaths, outputPath, {
+    ...opts,
+    now,
+    source: "wipo",
+    entries: async function* (p) {
+      if (bulkFormat(p) === "csv") {
+        for await (const row of readCsvRows(p)) yield parseGbdRow(row, { now });
+      } else {
+        for await (const record of readRecords(p, "MARKGR")) yield parseMadridRecord(record, { now });
+      }
+    },
+  });
+}
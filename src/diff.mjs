@@ -0,0 +1,256 @@
+/**
+ * Run diff — compare two run.json objects.
+ *
+ * diffRuns(a, b) matches checks by namespace + queried value, findings by
+ * candidate + kind + subject, and evidence by source URL, and reports what
+ * changed from run A to run B: status flips, added/removed findings and
+ * evidence, tier and overall score, and per-factor score deltas.
+ *
+ * Pure and deterministic: entries are sorted by their match key.
+ */
+
+import { readFileSync, existsSync, statSync } from "node:fs";
+import { join, resolve } from "node:path";
+
+export const DIFF_FORMAT_VERSION = "1.0.0";
+
+function diffError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Read a run from a run.json path or a directory containing one.
+ *
+ * @param {string} path
+ * @returns {object} The run
+ * @throws {Error} COE.DIFF.NO_RUN, COE.DIFF.INVALID_RUN
+ */
+export function loadRunFile(path) {
+  let file = resolve(path);
+  if (existsSync(file) && statSync(file).isDirectory()) file = join(file, "run.json");
+  if (!existsSync(file)) {
+    throw diffError("COE.DIFF.NO_RUN", `No run.json found at: ${file}`);
+  }
+
+  let run;
+  try {
+    run = JSON.parse(readFileSync(file, "utf8"));
+  } catch {
+    throw diffError("COE.DIFF.INVALID_RUN", `Invalid JSON in: ${file}`);
+  }
+  if (!run || !Array.isArray(run.checks) || !run.opinion) {
+    throw diffError("COE.DIFF.INVALID_RUN", `Not a run.json (no checks or opinion): ${file}`);
+  }
+  return run;
+}
+
+function checkValue(check) {
+  return check.query?.owner ? `${check.query.owner}/${check.query.value}` : check.query?.value ?? "";
+}
+
+function checkKey(check) {
+  return `${check.namespace}:${checkValue(check)}`;
+}
+
+/**
+ * What a finding is about: the source URL of its first evidence, or its
+ * summary with similarity scores masked so score changes still match.
+ */
+function findingSubject(finding, evidenceById) {
+  for (const ref of finding.evidenceRefs || []) {
+    const url = evidenceById.get(ref)?.source?.url;
+    if (url) return url;
+  }
+  return (finding.summary || "").replace(/\d+\.\d+/g, "#");
+}
+
+function keyed(items, keyFn) {
+  const map = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!map.has(key)) map.set(key, item);
+  }
+  return map;
+}
+
+function byKey(a, b) {
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+function runSide(run) {
+  return {
+    runId: run.run?.runId ?? null,
+    createdAt: run.run?.createdAt ?? null,
+    candidates: (run.intake?.candidates || []).map((c) => c.mark),
+    tier: run.opinion?.tier ?? null,
+    overallScore: run.opinion?.scoreBreakdown?.overallScore ?? null,
+  };
+}
+
+/**
+ * Flatten a scoreBreakdown to { factor: score }: the weighted sub-scores
+ * plus the DuPont-Lite factors (prefixed "dupont.").
+ */
+function factorScores(breakdown) {
+  const scores = {};
+  for (const [factor, value] of Object.entries(breakdown || {})) {
+    if (value && typeof value.score === "number" && typeof value.weight === "number") scores[factor] = value.score;
+  }
+  for (const [factor, value] of Object.entries(breakdown?.dupontFactors || {})) {
+    if (value && typeof value.score === "number") scores[`dupont.${factor}`] = value.score;
+  }
+  return scores;
+}
+
+function delta(from, to) {
+  return typeof from === "number" && typeof to === "number" ? to - from : null;
+}
+
+function diffChecks(a, b) {
+  const before = keyed(a.checks || [], checkKey);
+  const after = keyed(b.checks || [], checkKey);
+  const describe = (key, c) => ({
+    key,
+    namespace: c.namespace,
+    value: checkValue(c),
+    candidateMark: c.query?.candidateMark ?? null,
+    isVariant: c.query?.isVariant === true,
+  });
+
+  const flipped = [];
+  const added = [];
+  const removed = [];
+  let unchanged = 0;
+
+  for (const [key, check] of after) {
+    const prev = before.get(key);
+    if (!prev) added.push({ ...describe(key, check), status: check.status });
+    else if (prev.status !== check.status) flipped.push({ ...describe(key, check), from: prev.status, to: check.status });
+    else unchanged++;
+  }
+  for (const [key, check] of before) {
+    if (!after.has(key)) removed.push({ ...describe(key, check), status: check.status });
+  }
+
+  return { flipped: flipped.sort(byKey), added: added.sort(byKey), removed: removed.sort(byKey), unchanged };
+}
+
+function diffFindings(a, b) {
+  const keyFor = (run) => {
+    const evidenceById = new Map((run.evidence || []).map((e) => [e.id, e]));
+    return (f) => `${f.candidateMark}|${f.kind}|${findingSubject(f, evidenceById)}`;
+  };
+  const before = keyed(a.findings || [], keyFor(a));
+  const after = keyed(b.findings || [], keyFor(b));
+  const describe = (key, f) => ({
+    key,
+    kind: f.kind,
+    candidateMark: f.candidateMark,
+    summary: f.summary,
+    severity: f.severity,
+    score: f.score ?? null,
+  });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, finding] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push(describe(key, finding));
+    } else if (prev.severity !== finding.severity || (prev.score ?? null) !== (finding.score ?? null)) {
+      changed.push({
+        ...describe(key, finding),
+        from: { severity: prev.severity, score: prev.score ?? null },
+        to: { severity: finding.severity, score: finding.score ?? null },
+      });
+    } else {
+      unchanged++;
+    }
+  }
+  for (const [key, finding] of before) {
+    if (!after.has(key)) removed.push(describe(key, finding));
+  }
+
+  return { added: added.sort(byKey), removed: removed.sort(byKey), changed: changed.sort(byKey), unchanged };
+}
+
+function diffEvidence(a, b) {
+  const withUrl = (run) => (run.evidence || []).filter((e) => e.source?.url);
+  const before = keyed(withUrl(a), (e) => e.source.url);
+  const after = keyed(withUrl(b), (e) => e.source.url);
+  const describe = (key, e) => ({ key, url: e.source.url, system: e.source.system ?? null, type: e.type });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, ev] of after) {
+    const prev = before.get(key);
+    if (!prev) added.push(describe(key, ev));
+    else if (prev.sha256 && ev.sha256 && prev.sha256 !== ev.sha256) {
+      changed.push({ ...describe(key, ev), fromSha256: prev.sha256, toSha256: ev.sha256 });
+    } else unchanged++;
+  }
+  for (const [key, ev] of before) {
+    if (!after.has(key)) removed.push(describe(key, ev));
+  }
+
+  return { added: added.sort(byKey), removed: removed.sort(byKey), changed: changed.sort(byKey), unchanged };
+}
+
+/**
+ * Compare run A (before) with run B (after).
+ *
+ * @param {object} a - Earlier run
+ * @param {object} b - Later run
+ * @returns {object} Diff: { formatVersion, a, b, sameCandidates, tier, score, factors, checks, findings, evidence, changed }
+ */
+export function diffRuns(a, b) {
+  const sideA = runSide(a);
+  const sideB = runSide(b);
+
+  const scoresA = factorScores(a.opinion?.scoreBreakdown);
+  const scoresB = factorScores(b.opinion?.scoreBreakdown);
+  const factors = [...new Set([...Object.keys(scoresA), ...Object.keys(scoresB)])]
+    .sort()
+    .map((factor) => ({
+      factor,
+      from: scoresA[factor] ?? null,
+      to: scoresB[factor] ?? null,
+      delta: delta(scoresA[factor], scoresB[factor]),
+    }));
+
+  const checks = diffChecks(a, b);
+  const findings = diffFindings(a, b);
+  const evidence = diffEvidence(a, b);
+  const tier = { from: sideA.tier, to: sideB.tier, changed: sideA.tier !== sideB.tier };
+  const score = { from: sideA.overallScore, to: sideB.overallScore, delta: delta(sideA.overallScore, sideB.overallScore) };
+
+  const changed =
+    tier.changed ||
+    (score.delta ?? 0) !== 0 ||
+    factors.some((f) => f.delta !== 0) ||
+    checks.flipped.length + checks.added.length + checks.removed.length > 0 ||
+    findings.added.length + findings.removed.length + findings.changed.length > 0 ||
+    evidence.added.length + evidence.removed.length + evidence.changed.length > 0;
+
+  return {
+    formatVersion: DIFF_FORMAT_VERSION,
+    a: sideA,
+    b: sideB,
+    sameCandidates: sideA.candidates.join("\n") === sideB.candidates.join("\n"),
+    tier,
+    score,
+    factors,
+    checks,
+    findings,
+    evidence,
+    changed,
+  };
+}
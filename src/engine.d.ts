@@ -0,0 +1,988 @@
+/**
+ * Type declarations for the clearance-opinion-engine library entry
+ * (src/engine.mjs).
+ *
+ * Hand-written. The run shapes follow schema/clearance.schema.json and
+ * the summary follows renderSummaryJson(); keep them in step with both.
+ */
+
+import type { KeyObject } from "node:crypto";
+
+// ── Run (schema/clearance.schema.json) ──────────────────────────
+
+export type Tier = "green" | "yellow" | "red";
+export type Severity = "low" | "medium" | "high";
+export type BuiltinRiskProfile = "conservative" | "balanced" | "aggressive";
+export type CheckStatus = "available" | "taken" | "unknown" | "unsupported";
+export type Authority = "authoritative" | "indicative";
+export type Claimability = "claimable_now" | "claimable_soon" | "not_claimable" | "unknown";
+
+export type CheckNamespace =
+  | "github_org"
+  | "github_repo"
+  | "npm"
+  | "pypi"
+  | "domain"
+  | "cratesio"
+  | "dockerhub"
+  | "huggingface_model"
+  | "huggingface_space"
+  | "golang"
+  | "rubygems"
+  | "nuget"
+  | "maven"
+  | "packagist"
+  | "github_user"
+  | "reddit_user"
+  | "reddit_subreddit"
+  | "bluesky"
+  | "mastodon"
+  | "custom";
+
+export type FindingKind =
+  | "exact_conflict"
+  | "near_conflict"
+  | "phonetic_conflict"
+  | "confusable_risk"
+  | "coverage_gap"
+  | "variant_taken"
+  | "registry_blocked";
+
+export type IntakeChannel =
+  | "saas"
+  | "github"
+  | "app-store"
+  | "ecommerce"
+  | "consulting"
+  | "education"
+  | "media"
+  | "enterprise"
+  | "open-source"
+  | "other";
+
+export interface CoeIssue {
+  /** COE.* code */
+  code: string;
+  message: string;
+  detail?: string;
+}
+
+export interface Warning {
+  code: string;
+  message: string;
+  severity?: "info" | "warn" | "high";
+}
+
+export interface ConfigRecord {
+  sources: Array<{
+    layer: "user" | "project" | "env" | "flags" | "request";
+    path?: string;
+    keys?: string[];
+  }>;
+  effective: Record<string, unknown>;
+}
+
+export interface TierThresholds {
+  green?: number;
+  yellow?: number;
+}
+
+export interface ResolvedRiskProfile {
+  name: string;
+  base: BuiltinRiskProfile;
+  description?: string;
+  weights: Record<string, number>;
+  deductions: Record<string, number>;
+  thresholds: TierThresholds;
+}
+
+export interface CostStats {
+  totalApiCalls: number;
+  cachedCalls: number;
+  adapterBreakdown?: Record<string, { calls?: number; cached?: number }>;
+  backoffEvents?: number;
+}
+
+export interface RunMeta {
+  runId: string;
+  engineVersion: string;
+  createdAt: string;
+  inputsSha256?: string;
+  adapterVersions?: Record<string, string>;
+  notes?: string;
+  costStats?: CostStats;
+  corpusIndex?: { sha256: string; corpusSha256: string; marks?: number; forms?: number };
+  riskProfile?: ResolvedRiskProfile;
+  policy?: OpinionPolicy;
+  config?: ConfigRecord;
+}
+
+export interface Candidate {
+  mark: string;
+  style?: "word" | "stylized" | "logo";
+  notes?: string;
+}
+
+export interface Geography {
+  type: "country" | "region";
+  code: string;
+}
+
+export interface Intake {
+  candidates: Candidate[];
+  goodsServices: string;
+  geographies: Geography[];
+  channels: IntakeChannel[];
+  riskTolerance: BuiltinRiskProfile;
+  niceClassesHint?: number[];
+}
+
+export interface VariantForm {
+  type:
+    | "original"
+    | "lower"
+    | "nospace"
+    | "hyphenated"
+    | "underscored"
+    | "punct-stripped"
+    | "phonetic"
+    | "misspelling"
+    | "homoglyph-safe"
+    | "fuzzy";
+  value: string;
+}
+
+export interface VariantSet {
+  candidateMark: string;
+  canonical: string;
+  forms: VariantForm[];
+  warnings: Warning[];
+}
+
+export interface NamespaceCheck {
+  id: string;
+  namespace: CheckNamespace;
+  query: {
+    candidateMark: string;
+    value: string;
+    owner?: string;
+    isVariant?: boolean;
+    originalCandidate?: string;
+    /** Set when this check queries a spelling the registry treats as the candidate, e.g. "pep503" */
+    equivalenceRule?: string;
+  };
+  status: CheckStatus;
+  authority: Authority;
+  claimability?: Claimability;
+  observedAt: string;
+  evidenceRef?: string;
+  /** Adapter-specific details */
+  details?: Record<string, unknown>;
+  cacheHit?: boolean;
+  errors?: CoeIssue[];
+}
+
+export interface Finding {
+  id: string;
+  candidateMark: string;
+  kind: FindingKind;
+  summary: string;
+  severity: Severity;
+  /** 0-100 */
+  score?: number;
+  why?: string[];
+  evidenceRefs: string[];
+}
+
+export interface Evidence {
+  id: string;
+  type: "http_response" | "html" | "json" | "image" | "text" | "link" | "skipped";
+  source: { system: string; url?: string; method?: "GET" | "POST" | "HEAD" | "OTHER" };
+  observedAt: string;
+  sha256?: string;
+  bytes?: number;
+  path?: string;
+  repro?: string[];
+  notes?: string;
+}
+
+export interface SubScore {
+  score: number;
+  weight: number;
+  details: string;
+}
+
+export interface DupontFactor {
+  score: number;
+  rationale: string;
+}
+
+export interface ScoreBreakdown {
+  namespaceAvailability?: SubScore;
+  coverageCompleteness?: SubScore;
+  conflictSeverity?: SubScore;
+  domainAvailability?: SubScore;
+  /** 0-100 */
+  overallScore: number;
+  tierThresholds?: TierThresholds;
+  dupontFactors?: {
+    similarityOfMarks?: DupontFactor;
+    channelOverlap?: DupontFactor;
+    fameProxy?: DupontFactor;
+    intentProxy?: DupontFactor;
+  };
+}
+
+export interface RecommendedAction {
+  type:
+    | "reserve_domain"
+    | "claim_handles"
+    | "pick_variant"
+    | "narrow_goods"
+    | "expand_search_coverage"
+    | "consult_counsel"
+    | "file_trademark"
+    | "try_alternative"
+    | "recheck_soon";
+  label: string;
+  details?: string;
+  links?: string[];
+}
+
+export interface NextAction {
+  type: "claim_now" | "register_domain" | "claim_handle" | "try_alternative" | "recheck_soon" | "consult_counsel";
+  label: string;
+  reason: string;
+  urgency: "high" | "medium" | "low";
+  url?: string;
+}
+
+export interface ClosestConflict {
+  mark: string;
+  why: string[];
+  severity: Severity;
+  evidenceRefs?: string[];
+}
+
+export interface TopFactor {
+  factor: string;
+  statement: string;
+  weight: "critical" | "major" | "moderate" | "minor";
+  category: FindingKind | "all_clear";
+}
+
+export interface SaferAlternative {
+  name: string;
+  strategy:
+    | "prefix" | "suffix" | "separator" | "abbreviation" | "compound"
+    | "synonym" | "blend" | "respelling" | "root" | "coined";
+  availability?: { checked?: boolean; summary?: string };
+  /** Tier and score of the alternative's own check (checked alternatives only) */
+  tier?: Tier;
+  overallScore?: number;
+}
+
+export interface AlternativeSearch {
+  /** Clean (green-tier) alternatives searched for */
+  target: number;
+  found: number;
+  checked: number;
+  /** Morphology alternatives dropped for looking or sounding like a conflict */
+  filtered?: number;
+  /** Registry requests spent on the search */
+  requests: number;
+  budget: number;
+  stopReason: "found" | "budget" | "exhausted";
+}
+
+export interface CollisionCard {
+  kind: "variant_taken" | "looks_like" | "sounds_like" | "confusable_chars" | "market_signal";
+  title: string;
+  whyItMatters: string;
+  evidence: Array<{ namespace: string; name: string; url?: string }>;
+  severity: "critical" | "major" | "moderate" | "minor";
+}
+
+export interface Opinion {
+  tier: Tier;
+  summary: string;
+  reasons: string[];
+  policy?: { id: string; version?: string | number; rule: string };
+  assumptions: string[];
+  limitations: string[];
+  recommendedActions: RecommendedAction[];
+  closestConflicts?: ClosestConflict[];
+  scoreBreakdown?: ScoreBreakdown;
+  topFactors?: TopFactor[];
+  riskNarrative?: string;
+  saferAlternatives?: SaferAlternative[];
+  alternativeSearch?: AlternativeSearch;
+  nextActions?: NextAction[];
+  /** Percentage of requested namespaces checked (0-100) */
+  coverageScore?: number;
+  uncheckedNamespaces?: string[];
+  disclaimer?: string;
+  collisionCards?: CollisionCard[];
+}
+
+export interface Manifest {
+  generatedAt: string;
+  files: Array<{ path: string; sha256: string; bytes: number }>;
+  rootSha256?: string;
+}
+
+export interface CandidateStats {
+  checks: number;
+  available: number;
+  taken: number;
+  unknown: number;
+  findings: number;
+  highFindings: number;
+}
+
+export interface CrossSimilarity {
+  a: string;
+  b: string;
+  looks: number;
+  sounds: number;
+  overall: number;
+  /** overall >= 0.70 */
+  flagged: boolean;
+  why?: string[];
+}
+
+export interface Comparison {
+  /** Ranked best first */
+  candidates: Array<{ mark: string; rank: number; opinion: Opinion; stats: CandidateStats }>;
+  crossSimilarity: CrossSimilarity[];
+}
+
+/** A complete run, as written to run.json. */
+export interface Run {
+  schemaVersion: "1.0.0";
+  run: RunMeta;
+  intake: Intake;
+  variants: { generatedAt: string; items: VariantSet[] };
+  checks: NamespaceCheck[];
+  findings: Finding[];
+  evidence: Evidence[];
+  opinion: Opinion;
+  manifest?: Manifest;
+  /** Present on comparative runs; opinion is then the top-ranked candidate's */
+  comparison?: Comparison;
+}
+
+// ── Summary (summary.json, renderSummaryJson) ───────────────────
+
+export interface Summary {
+  schemaVersion: "1.0.0";
+  formatVersion: "1.0.0";
+  generatedAt: string;
+  engineVersion: string;
+  runId: string;
+  candidates: string[];
+  tier: Tier | "unknown";
+  overallScore: number | null;
+  scoreBreakdown: ScoreBreakdown | null;
+  topFactors: TopFactor[];
+  riskNarrative: string | null;
+  namespaces: Array<{ namespace: CheckNamespace; query: string; status: CheckStatus; authority: Authority }>;
+  findingsSummary: { total: number; byKind: Partial<Record<FindingKind, number>> };
+  collisionRadarCount: number;
+  corpusMatchCount: number;
+  fuzzyVariantsTaken: number;
+  recommendedActions: RecommendedAction[];
+  nextActions: NextAction[];
+  collisionCards: CollisionCard[];
+  coverageScore: number | null;
+  disclaimer: string | null;
+  inputsSha256: string;
+  comparison?: {
+    candidates: Array<{ mark: string; rank: number; tier: Tier | "unknown"; overallScore: number | null; stats: CandidateStats }>;
+    crossSimilarity: Array<Pick<CrossSimilarity, "a" | "b" | "overall" | "flagged">>;
+  };
+}
+
+// ── Options ─────────────────────────────────────────────────────
+
+export type FetchFn = typeof globalThis.fetch;
+
+export interface RiskProfileDefinition {
+  extends?: BuiltinRiskProfile;
+  description?: string;
+  weights?: Record<string, number>;
+  deductions?: Partial<Record<FindingKind, number>>;
+  thresholds?: TierThresholds;
+}
+
+export interface OpinionPolicy {
+  id: string;
+  version?: string | number;
+  description?: string;
+  /** Ordered; the first rule whose `when` holds decides the tier (see schema/policy.schema.json) */
+  rules: Array<{ id: string; tier: Tier; description?: string; reason?: string; when?: Record<string, unknown> }>;
+}
+
+export interface Cache {
+  get(adapter: string, query: object, version: string): { data: any } | null;
+  set(adapter: string, query: object, version: string, data: object): void;
+  clear(opts?: { expiredOnly?: boolean }): { cleared: number };
+  stats(): { entries: number; totalBytes: number };
+  cacheKey(adapter: string, query: object, version: string): string;
+}
+
+export interface Pool {
+  run<T>(fn: () => Promise<T>): Promise<T>;
+  drain(): Promise<void>;
+}
+
+export interface CheckOptions {
+  /** Channel ids, e.g. ["npm", "pypi", "domain"] (default: the core group) */
+  channels?: string[];
+  org?: string | null;
+  dockerNamespace?: string | null;
+  hfOwner?: string | null;
+  goPrefix?: string | null;
+  mavenGroup?: string | null;
+  packagistVendor?: string | null;
+  mastodonInstance?: string | null;
+  /** TLDs or presets, e.g. [".com", ".dev"] or "tech" */
+  tlds?: string | string[] | null;
+  /** Local IANA dns.json path, or "off" for rdap.org only */
+  rdapBootstrap?: string | null;
+  /** Built-in profile or a key of riskProfiles (default: "conservative") */
+  riskTolerance?: string;
+  riskProfiles?: Record<string, RiskProfileDefinition> | null;
+  weights?: Record<string, number> | null;
+  /** From loadPolicy()/validatePolicy(); default: policies/default.json */
+  policy?: OpinionPolicy | null;
+  useRadar?: boolean;
+  /** Search for safer alternatives, checking each one */
+  suggest?: boolean;
+  /** Green alternatives to search for (default: 5) */
+  suggestCount?: number;
+  /** Registry requests the alternative search may spend (default: 100) */
+  suggestBudget?: number;
+  corpusPath?: string | null;
+  corpusIncludeDead?: boolean;
+  /** e.g. "US,EU" (default: GLOBAL) */
+  geographies?: string | string[] | Geography[] | null;
+  /** Nice classes, e.g. "9,42" or [9, 42] */
+  classes?: string | number[] | null;
+  goods?: string | null;
+  fuzzyQueryMode?: "off" | "registries" | "all";
+  /** Query the spellings npm, PyPI and crates.io treat as the name (default: true; independent of fuzzyQueryMode) */
+  registryEquivalents?: boolean;
+  /** Max fuzzy variants per channel (default: 12) */
+  variantBudget?: number;
+  fetchFn?: FetchFn;
+  /** ISO timestamp; fix it for deterministic output */
+  now?: string;
+  cache?: Cache | null;
+  engineVersion?: string;
+  /** Stored in run.config */
+  config?: ConfigRecord | null;
+}
+
+export interface BatchOptions extends Omit<CheckOptions, "suggest" | "suggestCount" | "suggestBudget" | "cache"> {
+  /** Max simultaneous checks (default: 4) */
+  concurrency?: number;
+  cacheDir?: string | null;
+  maxAgeHours?: number;
+  cache?: Cache | null;
+  pool?: Pool | null;
+  onProgress?: (event: { name: string; completed: number; total: number; run?: Run; error?: BatchError }) => void;
+  /** Previous batch output directory to resume from */
+  resumeDir?: string | null;
+}
+
+export type BatchEntry = string | { name: string; config?: Partial<CheckOptions> };
+
+export interface BatchError {
+  name: string;
+  error: string;
+  code: string | null;
+}
+
+export interface BatchResult {
+  /** Sorted by name */
+  results: Array<{ name: string; run: Run; error: null }>;
+  errors: BatchError[];
+  stats: { total: number; succeeded: number; failed: number; durationMs: number; resumed?: boolean; skipped?: number };
+  costStats: CostStats;
+}
+
+export interface BrainstormOptions extends Omit<BatchOptions, "fuzzyQueryMode" | "useRadar" | "resumeDir"> {
+  /** Names to check and list (default: 20, max: 50) */
+  count?: number;
+}
+
+/** Name-shape scores, 0–100 each; overall is 50% distinctiveness, 30% pronounceability, 20% length */
+export interface NameShapeScores {
+  distinctiveness: number;
+  length: number;
+  pronounceability: number;
+  overall: number;
+}
+
+export interface BrainstormCandidate {
+  name: string;
+  /** "join", a morphology strategy or an affix strategy */
+  strategy: string;
+  /** Seeds the name was generated from */
+  seeds: string[];
+}
+
+export interface BrainstormResult {
+  seeds: string[];
+  /** Names generated before the top `count` were checked */
+  generated: number;
+  /** Ranked by tier, then clearance score, then name score; tier is null when the check failed */
+  shortlist: Array<BrainstormCandidate & { scores: NameShapeScores; tier: Tier | null; overallScore: number | null; runId: string | null }>;
+  errors: BatchError[];
+  stats: BatchResult["stats"];
+  costStats: CostStats;
+}
+
+export interface RefreshOptions {
+  /** Max acceptable evidence age (default: 24) */
+  maxAgeHours?: number;
+  fetchFn?: FetchFn;
+  now?: string;
+  cache?: Cache | null;
+  /** Local IANA dns.json path, or "off" for rdap.org only */
+  rdapBootstrap?: string | null;
+}
+
+export interface RefreshResult {
+  refreshed: boolean;
+  reason?: string;
+  run?: Run;
+  staleCount?: number;
+  refreshedCount?: number;
+}
+
+export interface WatchAlert {
+  kind: "check_status" | "domain_lifecycle" | "tier";
+  severity: Severity;
+  message: string;
+  runDir: string | null;
+  runId: string | null;
+  candidateMark: string | null;
+  observedAt: string | null;
+  /** check_status and domain_lifecycle only */
+  namespace?: CheckNamespace;
+  value?: string;
+  /** Status, lifecycle reason ("pending_delete" | "redemption_period" | null) or tier */
+  from: string | null;
+  to: string | null;
+}
+
+export interface WatchSnapshot {
+  tier: Tier | null;
+  checks: Record<
+    string,
+    { namespace: CheckNamespace; value: string; candidateMark: string | null; status: CheckStatus; lifecycle: string | null }
+  >;
+}
+
+export interface AlertSink {
+  name: string;
+  send(alert: WatchAlert): Promise<void>;
+}
+
+export interface WatchOptions {
+  /** Interval between cycle starts */
+  everyMs: number;
+  sinks: AlertSink[];
+  fetchFn?: FetchFn;
+  /** Clock returning ISO timestamps */
+  now?: () => string;
+  /** Record every refreshed run in this history store */
+  historyDir?: string | null;
+  /** Sign each written manifest.json (see loadSigningKey()) */
+  signingKey?: KeyObject | null;
+  /** Local IANA dns.json path, or "off" for rdap.org only */
+  rdapBootstrap?: string | null;
+  signal?: AbortSignal | null;
+  maxCycles?: number;
+  onCycle?: (event: { cycle: number; alerts: WatchAlert[]; refreshed: number }) => void;
+  onError?: (err: Error & { code?: string }, ctx: { runDir?: string; sink?: string }) => void;
+  sleep?: (ms: number, signal?: AbortSignal | null) => Promise<void>;
+}
+
+export interface RunSide {
+  runId: string | null;
+  createdAt: string | null;
+  candidates: string[];
+  tier: Tier | null;
+  overallScore: number | null;
+}
+
+export interface CheckRef {
+  /** Match key: "<namespace>:<value>" */
+  key: string;
+  namespace: CheckNamespace;
+  value: string;
+  candidateMark: string | null;
+  isVariant: boolean;
+}
+
+export interface FindingRef {
+  /** Match key: "<candidateMark>|<kind>|<subject>" */
+  key: string;
+  kind: FindingKind;
+  candidateMark: string;
+  summary: string;
+  severity: Severity;
+  score: number | null;
+}
+
+export interface EvidenceRef {
+  /** Match key: the source URL */
+  key: string;
+  url: string;
+  system: string | null;
+  type: Evidence["type"];
+}
+
+/** diffRuns() output: what changed from run A to run B. */
+export interface RunDiff {
+  formatVersion: "1.0.0";
+  a: RunSide;
+  b: RunSide;
+  sameCandidates: boolean;
+  tier: { from: Tier | null; to: Tier | null; changed: boolean };
+  score: { from: number | null; to: number | null; delta: number | null };
+  /** Sub-scores and DuPont-Lite factors ("dupont.<factor>"), sorted by name */
+  factors: Array<{ factor: string; from: number | null; to: number | null; delta: number | null }>;
+  checks: {
+    flipped: Array<CheckRef & { from: CheckStatus; to: CheckStatus }>;
+    added: Array<CheckRef & { status: CheckStatus }>;
+    removed: Array<CheckRef & { status: CheckStatus }>;
+    unchanged: number;
+  };
+  findings: {
+    added: FindingRef[];
+    removed: FindingRef[];
+    changed: Array<FindingRef & { from: { severity: Severity; score: number | null }; to: { severity: Severity; score: number | null } }>;
+    unchanged: number;
+  };
+  evidence: {
+    added: EvidenceRef[];
+    removed: EvidenceRef[];
+    changed: Array<EvidenceRef & { fromSha256: string; toSha256: string }>;
+    unchanged: number;
+  };
+  /** Whether anything above differs */
+  changed: boolean;
+}
+
+/** One run of one candidate in the history store (a line of `<historyDir>/<canonical>.jsonl`). */
+export interface HistoryEntry {
+  schemaVersion: "1.0.0";
+  candidateMark: string;
+  /** File key: the normalized name */
+  canonical: string;
+  runId: string | null;
+  inputsSha256: string | null;
+  createdAt: string | null;
+  source: "check" | "batch" | "refresh" | "watch" | string;
+  tier: Tier | null;
+  overallScore: number | null;
+  findings: number;
+  highFindings: number;
+  /** Status per namespace; domains are keyed by the full domain name */
+  namespaces: Record<string, CheckStatus>;
+}
+
+/** manifest.json, written by writeRun() next to the artifacts it lists. */
+export interface ArtifactManifest {
+  schemaVersion: "1.0.0";
+  engineVersion: string | null;
+  runId: string | null;
+  inputsSha256: string | null;
+  createdAt: string | null;
+  /** Sorted by path */
+  files: Array<{ path: string; sha256: string; bytes: number }>;
+  /** Canonical hash of every field above */
+  rootSha256: string;
+  signature?: {
+    algorithm: "ed25519";
+    /** First 16 hex chars of the SHA-256 of the SPKI public key */
+    keyId: string;
+    /** SPKI DER, base64 */
+    publicKey: string;
+    /** Signature over rootSha256 (UTF-8), base64 */
+    value: string;
+  };
+}
+
+export interface ManifestVerification {
+  valid: boolean;
+  manifest: ArtifactManifest;
+  files: Array<{ path: string; status: "ok" | "changed" | "missing" | "invalid" }>;
+  signature: { signed: boolean; valid: boolean | null; keyId: string | null; trusted: boolean | null };
+  problems: Array<{ code: string; message: string; path?: string }>;
+}
+
+export interface PublishResult {
+  published: string[];
+  indexGenerated: boolean;
+  indexResult: { entries: number; created: boolean } | null;
+}
+
+export interface PairComparison {
+  a: string;
+  b: string;
+  looks: { score: number; label: SimilarityLabel };
+  sounds: { score: number; label: SimilarityLabel };
+  /** Weighted blend, 0-1 */
+  overall: number;
+  why: string[];
+}
+
+export type SimilarityLabel = "very high" | "high" | "medium" | "low";
+
+// ── Adapters ────────────────────────────────────────────────────
+
+/** What every adapter check resolves to. Adapters never throw. */
+export interface CheckResult {
+  check: NamespaceCheck;
+  evidence: Evidence;
+}
+
+export interface CheckCallOptions {
+  now?: string;
+}
+
+export interface ChannelDefinition {
+  id: string;
+  group: string;
+  intakeChannel?: IntakeChannel;
+  requiredOptions?: string[];
+  namespaces: string[];
+  coverageNamespaces?: string[];
+  create(fetchFn: FetchFn, ctx: Record<string, unknown>): any;
+  plan(
+    adapter: any,
+    name: string,
+    ctx: Record<string, any>
+  ): Array<{ cacheAdapter: string; query: object; run(opts: CheckCallOptions): Promise<CheckResult> }>;
+  fuzzy?(adapter: any, variant: string, ctx: Record<string, any>): { query: object; run(opts: CheckCallOptions): Promise<CheckResult> };
+  equivalents?(
+    adapter: any,
+    name: string,
+    ctx: Record<string, any>
+  ): Array<{ cacheAdapter: string; query: object; rule: string; run(opts: CheckCallOptions): Promise<CheckResult> }>;
+  reservation?(check: NamespaceCheck, name: string): { kind: "claim" | "domain" | "handle"; url: string } | null;
+  refresh?(adapter: any, namespace: string, query: NamespaceCheck["query"]): (opts: CheckCallOptions) => Promise<CheckResult>;
+}
+
+// ── Functions ───────────────────────────────────────────────────
+
+/** Check one name. Throws COE.CORPUS.* for a bad corpus; adapter failures become "unknown" checks. */
+export function runCheck(candidateName: string, opts?: CheckOptions): Promise<Run>;
+/** Check several names one after another and combine them into one ranked comparative run. */
+export function runComparison(candidateNames: string[], opts?: CheckOptions): Promise<Run>;
+/** Check many names concurrently; per-name errors are collected, not thrown. */
+export function runBatch(names: BatchEntry[], opts?: BatchOptions): Promise<BatchResult>;
+/**
+ * Generate names from seed keywords, score their shape and first-pass check the top `count`.
+ * Throws COE.BRAINSTORM.NO_SEEDS, BAD_SEED, TOO_MANY_SEEDS or BAD_COUNT.
+ */
+export function runBrainstorm(seeds: string | string[], opts?: BrainstormOptions): Promise<BrainstormResult>;
+export function generateBrainstormNames(seeds: string[]): BrainstormCandidate[];
+export function scoreNameShape(name: string, seeds: string[]): NameShapeScores;
+/** Comma-separated string or list → lowercase, deduplicated seeds. Throws COE.BRAINSTORM.*. */
+export function parseSeeds(raw: string | string[]): string[];
+/** Re-run stale checks of the run.json in runDir and re-score; does not write. */
+export function refreshRun(runDir: string, opts?: RefreshOptions): Promise<RefreshResult>;
+/** Refresh each run every interval and send an alert per change until the signal aborts. */
+export function watchRuns(runDirs: string[], opts: WatchOptions): Promise<{ cycles: number; alerts: number }>;
+/** One watch cycle for one run; state and outputs go to `<runDir>-watch/`. */
+export function watchOnce(
+  runDir: string,
+  opts?: {
+    fetchFn?: FetchFn;
+    now?: string;
+    historyDir?: string | null;
+    signingKey?: KeyObject | null;
+    rdapBootstrap?: string | null;
+  }
+): Promise<{ alerts: WatchAlert[]; run: Run | null; outputDir: string }>;
+export function diffWatch(
+  previous: WatchSnapshot,
+  run: Run,
+  ctx?: { runDir?: string; now?: string }
+): { alerts: WatchAlert[]; snapshot: WatchSnapshot };
+/** Specs: "stdout", an http(s) webhook URL or a file path. Throws COE.WATCH.BAD_SINK. */
+export function createAlertSinks(
+  specs: string[],
+  opts?: { fetchFn?: FetchFn; stdout?: { write(chunk: string): unknown } }
+): AlertSink[];
+/** Copy a run directory's artifacts to outputDir, optionally appending to a runs.json index. */
+export function publishRun(
+  runDir: string,
+  outputDir: string,
+  opts?: { indexPath?: string; historyDir?: string | null }
+): PublishResult;
+/** Append one entry per candidate to the history store; already-recorded runs are skipped. Throws COE.HISTORY.WRITE_FAIL. */
+export function recordRun(historyDir: string, run: Run, opts?: { source?: string }): { recorded: number; skipped: number };
+/** Entries for a name (any spelling with the same normalized form), oldest first. */
+export function readHistory(historyDir: string, name: string): HistoryEntry[];
+export function listHistory(
+  historyDir: string
+): Array<{ canonical: string; candidateMark: string; runs: number; latest: HistoryEntry }>;
+export function historyEntries(run: Run, opts?: { source?: string }): HistoryEntry[];
+
+export function comparePair(a: string, b: string, opts?: { lookWeight?: number; soundWeight?: number }): PairComparison;
+export function generateVariants(
+  candidateMark: string,
+  opts?: { now?: string }
+): VariantSet & { fuzzyVariants: string[] };
+export function generateAlternatives(candidateName: string, opts?: { round?: number }): SaferAlternative[];
+export function recheckAlternatives(
+  alternatives: SaferAlternative[],
+  checkFn: (name: string, opts?: object) => Promise<{ checks?: NamespaceCheck[]; opinion?: Opinion }>,
+  opts?: object
+): Promise<SaferAlternative[]>;
+export function rankAlternatives(alternatives: SaferAlternative[]): SaferAlternative[];
+export function generateMorphologyAlternatives(candidateName: string, opts?: { limit?: number }): SaferAlternative[];
+export function filterByConflicts(
+  alternatives: SaferAlternative[],
+  conflicts: string[],
+  threshold?: number
+): { kept: SaferAlternative[]; filtered: number };
+export function findSaferAlternatives(
+  candidateName: string,
+  checkFn: (name: string) => Promise<{ checks?: NamespaceCheck[]; opinion?: Opinion }>,
+  opts?: { count?: number; budget?: number; requestsUsed?: () => number; conflicts?: string[]; threshold?: number }
+): Promise<{ alternatives: SaferAlternative[]; search: AlternativeSearch }>;
+/** Throws COE.POLICY.NOT_FOUND, COE.POLICY.PARSE_FAIL or COE.POLICY.INVALID. */
+export function loadPolicy(path: string | URL): OpinionPolicy;
+/** Returns the policy unchanged; throws COE.POLICY.INVALID. */
+export function validatePolicy(policy: unknown): OpinionPolicy;
+
+export function renderRunMd(run: Run): string;
+export function renderPacketHtml(run: Run): string;
+export function renderSummaryJson(run: Run): Summary;
+/** The packet stylesheet; include it on pages that embed renderDiffHtml() fragments. */
+export const PACKET_CSS: string;
+/** Compare run A (before) with run B (after). */
+export function diffRuns(a: Run, b: Run): RunDiff;
+/** Read a run.json file or a directory containing one. Throws COE.DIFF.NO_RUN or COE.DIFF.INVALID_RUN. */
+export function loadRunFile(path: string): Run;
+export function renderDiffMd(diff: RunDiff): string;
+/** A <section> using the packet classes; no document or <style>. */
+export function renderDiffHtml(diff: RunDiff): string;
+export function renderHistoryMd(name: string, entries: HistoryEntry[]): string;
+export function renderBrainstormMd(result: BrainstormResult): string;
+/** Scores on a fixed 0–100 scale as block characters ("▁▃▆█"). */
+export function sparkline(values: Array<number | null>): string;
+/** An inline <svg> polyline, or "" with fewer than two scores. */
+export function sparklineSvg(
+  values: Array<number | null>,
+  tier?: Tier | null,
+  opts?: { width?: number; height?: number }
+): string;
+/** Write run.json plus the selected formats (default: all) and manifest.json to outDir. */
+export function writeRun(
+  run: Run,
+  outDir: string,
+  opts?: { formats?: Array<"json" | "md" | "html" | "summary">; signingKey?: KeyObject | null }
+): { jsonPath: string; mdPath: string | null; htmlPath: string | null; summaryPath: string | null; manifestPath: string };
+export function validateArtifact(
+  data: unknown,
+  type: "run" | "summary" | "index-entry"
+): { valid: boolean; errors: Array<{ path: string; message: string }> };
+
+export function createCache(cacheDir: string, opts?: { maxAgeHours?: number; now?: () => string }): Cache;
+/** Hash (and optionally sign) artifacts given as their exact bytes. */
+export function createManifest(
+  run: Run | object,
+  files: Array<{ path: string; content: string | Buffer }>,
+  opts?: { signingKey?: KeyObject | null }
+): ArtifactManifest;
+/** Re-hash a run directory's files against its manifest.json. Throws COE.MANIFEST.NOT_FOUND or COE.MANIFEST.INVALID; tampering is returned in `problems`. */
+export function verifyManifest(dir: string, opts?: { publicKey?: KeyObject | null }): Promise<ManifestVerification>;
+/** Ed25519 private key from a PEM file. Throws COE.MANIFEST.BAD_KEY. */
+export function loadSigningKey(path: string): KeyObject;
+/** Ed25519 public key from a PEM file (a private key file yields its public half). Throws COE.MANIFEST.BAD_KEY. */
+export function loadPublicKey(path: string): KeyObject;
+/** Throws COE.CHANNEL.INVALID or COE.CHANNEL.DUPLICATE. */
+export function registerChannel(def: ChannelDefinition): Readonly<ChannelDefinition>;
+export function listChannels(): Array<Readonly<ChannelDefinition>>;
+/** Other spellings npm, pypi or cratesio treat as the same name (up to 4, excluding the name); [] for other registries. */
+export function equivalentForms(registry: string, name: string): string[];
+
+export function createNpmAdapter(fetchFn?: FetchFn): {
+  checkPackage(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createPyPIAdapter(fetchFn?: FetchFn): {
+  checkPackage(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createGitHubAdapter(fetchFn?: FetchFn, opts?: { token?: string; baseUrl?: string }): {
+  checkOrg(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+  checkRepo(owner: string, name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+  checkUser(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createDomainAdapter(
+  fetchFn?: FetchFn,
+  opts?: { tlds?: string[]; bootstrap?: object | null; loadBootstrap?: () => Promise<object | null>; expiringWithinDays?: number }
+): {
+  /** tld includes the dot, e.g. ".com" */
+  checkDomain(name: string, tld: string, opts?: CheckCallOptions): Promise<CheckResult>;
+  tlds: string[];
+};
+export function createCratesIoAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkCrate(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createDockerHubAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkRepo(namespace: string, name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createHuggingFaceAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkModel(owner: string, name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+  checkSpace(owner: string, name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createGoProxyAdapter(fetchFn?: FetchFn, opts?: { baseUrl?: string }): {
+  checkModule(modulePath: string, opts?: CheckCallOptions & { candidateMark?: string }): Promise<CheckResult>;
+};
+export function createRubyGemsAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkGem(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createNuGetAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkPackage(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createMavenAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkArtifact(groupId: string, artifactId: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createPackagistAdapter(fetchFn?: FetchFn, opts?: { version?: string }): {
+  checkPackage(vendor: string, name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createBlueskyAdapter(fetchFn?: FetchFn, opts?: { baseUrl?: string; handleDomain?: string }): {
+  checkHandle(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+export function createMastodonAdapter(fetchFn?: FetchFn, opts?: { instance?: string; baseUrl?: string }): {
+  instance: string;
+  checkAccount(name: string, opts?: CheckCallOptions & { instance?: string }): Promise<CheckResult>;
+};
+export function createRedditAdapter(fetchFn?: FetchFn, opts?: { baseUrl?: string }): {
+  checkUser(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+  checkSubreddit(name: string, opts?: CheckCallOptions): Promise<CheckResult>;
+};
+
+/** Collision radar search results are indicative "custom" namespace checks. */
+export interface RadarResult {
+  checks: NamespaceCheck[];
+  evidence: Evidence[];
+}
+
+export function createCollisionRadarAdapter(fetchFn?: FetchFn, opts?: { token?: string; similarityThreshold?: number }): {
+  searchGitHub(candidateMark: string, opts?: CheckCallOptions): Promise<RadarResult>;
+  searchNpm(candidateMark: string, opts?: CheckCallOptions): Promise<RadarResult>;
+  searchCratesIo(candidateMark: string, opts?: CheckCallOptions): Promise<RadarResult>;
+  searchDockerHub(candidateMark: string, opts?: CheckCallOptions): Promise<RadarResult>;
+  scanAll(candidateMark: string, opts?: CheckCallOptions & { channels?: string[] }): Promise<RadarResult>;
+  ADAPTER_VERSION: string;
+};
@@ -0,0 +1,60 @@
+/**
+ * clearance.opinion.engine — library entry point.
+ *
+ * The package's "." export. Importing it has no side effects: it does not
+ * parse argv, print, or call process.exit (the CLI lives in index.mjs).
+ * Functions throw Error objects with a COE.* `code`; adapters never throw
+ * and report failures as checks with status "unknown".
+ *
+ * Typings: engine.d.ts. Anything not exported here is internal and may
+ * change between minor versions.
+ */
+
+// Pipeline
+export { runCheck, runComparison } from "./pipeline.mjs";
+export { runBatch } from "./batch/runner.mjs";
+export { runBrainstorm, generateBrainstormNames, scoreNameShape, parseSeeds } from "./brainstorm.mjs";
+export { refreshRun } from "./refresh.mjs";
+export { watchRuns, watchOnce, diffWatch, createAlertSinks } from "./watch.mjs";
+export { publishRun } from "./publish.mjs";
+export { recordRun, readHistory, listHistory, historyEntries } from "./history.mjs";
+
+// Scoring and variants
+export { comparePair } from "./scoring/similarity.mjs";
+export { generateVariants } from "./variants/index.mjs";
+export { generateAlternatives, recheckAlternatives, rankAlternatives, filterByConflicts, findSaferAlternatives } from "./scoring/alternatives.mjs";
+export { generateMorphologyAlternatives } from "./scoring/morphology.mjs";
+export { loadPolicy, validatePolicy } from "./scoring/policy.mjs";
+
+// Rendering and validation
+export { renderRunMd, writeRun } from "./renderers/report.mjs";
+export { renderPacketHtml, renderSummaryJson, PACKET_CSS } from "./renderers/packet.mjs";
+export { renderDiffMd, renderDiffHtml } from "./renderers/diff.mjs";
+export { diffRuns, loadRunFile } from "./diff.mjs";
+export { renderHistoryMd, sparkline, sparklineSvg } from "./renderers/history.mjs";
+export { renderBrainstormMd } from "./renderers/brainstorm.mjs";
+export { validateArtifact } from "./validate.mjs";
+
+// Infrastructure
+export { createCache } from "./lib/cache.mjs";
+export { createManifest, verifyManifest, loadSigningKey, loadPublicKey } from "./lib/manifest.mjs";
+export { registerChannel, listChannels } from "./channels/registry.mjs";
+export { equivalentForms } from "./channels/equivalence.mjs";
+
+// Adapter factories
+export { createNpmAdapter } from "./adapters/npm.mjs";
+export { createPyPIAdapter } from "./adapters/pypi.mjs";
+export { createGitHubAdapter } from "./adapters/github.mjs";
+export { createDomainAdapter } from "./adapters/domain.mjs";
+export { createCratesIoAdapter } from "./adapters/cratesio.mjs";
+export { createDockerHubAdapter } from "./adapters/dockerhub.mjs";
+export { createHuggingFaceAdapter } from "./adapters/huggingface.mjs";
+export { createGoProxyAdapter } from "./adapters/goproxy.mjs";
+export { createRubyGemsAdapter } from "./adapters/rubygems.mjs";
+export { createNuGetAdapter } from "./adapters/nuget.mjs";
+export { createMavenAdapter } from "./adapters/maven.mjs";
+export { createPackagistAdapter } from "./adapters/packagist.mjs";
+export { createBlueskyAdapter } from "./adapters/bluesky.mjs";
+export { createMastodonAdapter } from "./adapters/mastodon.mjs";
+export { createRedditAdapter } from "./adapters/reddit.mjs";
+export { createCollisionRadarAdapter } from "./adapters/collision-radar.mjs";
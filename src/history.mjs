@@ -0,0 +1,172 @@
+/**
+ * Run history store.
+ *
+ * Keeps one JSON-lines file per canonical candidate name
+ * (<historyDir>/<canonical>.jsonl) with one entry per recorded run:
+ * tier, overall score and the status of each namespace. Entries are
+ * appended, never rewritten; a run already recorded (same runId and
+ * createdAt) is skipped, so replays and re-publishes do not duplicate it.
+ */
+
+import { readFileSync, existsSync, mkdirSync, appendFileSync, readdirSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { normalize } from "./variants/normalize.mjs";
+import { hashString } from "./lib/hash.mjs";
+
+export const HISTORY_SCHEMA_VERSION = "1.0.0";
+
+function historyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * File-safe canonical key for a candidate name ("My Cool Tool" → "my-cool-tool").
+ * Names with no ASCII letters or digits fall back to a hash.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function historyKey(name) {
+  return normalize(String(name)) || `_${hashString(String(name)).slice(0, 12)}`;
+}
+
+/**
+ * Column label for a check: the domain for domain checks, else the namespace.
+ */
+function namespaceLabel(check) {
+  return check.namespace === "domain" ? check.query?.value : check.namespace;
+}
+
+/**
+ * Build one history entry per candidate of a run.
+ *
+ * Comparative runs yield an entry per candidate, each with that
+ * candidate's own opinion and checks. Fuzzy variant and collision radar
+ * checks are left out of `namespaces`.
+ *
+ * @param {object} run
+ * @param {{ source?: string }} [opts] - source: "check", "batch", "refresh" or "watch"
+ * @returns {object[]}
+ */
+export function historyEntries(run, opts = {}) {
+  const marks = (run.intake?.candidates || []).map((c) => c.mark);
+  const opinions = new Map((run.comparison?.candidates || []).map((c) => [c.mark, c.opinion]));
+
+  return marks.map((mark) => {
+    const opinion = opinions.get(mark) || run.opinion || {};
+    const checks = (run.checks || []).filter(
+      (c) => !c.query?.isVariant && c.namespace !== "custom" && (marks.length === 1 || c.query?.candidateMark === mark)
+    );
+    const findings = (run.findings || []).filter((f) => marks.length === 1 || f.candidateMark === mark);
+
+    const namespaces = {};
+    for (const check of checks) {
+      const label = namespaceLabel(check);
+      if (label && !(label in namespaces)) namespaces[label] = check.status;
+    }
+
+    return {
+      schemaVersion: HISTORY_SCHEMA_VERSION,
+      candidateMark: mark,
+      canonical: historyKey(mark),
+      runId: run.run?.runId ?? null,
+      inputsSha256: run.run?.inputsSha256 ?? null,
+      createdAt: run.run?.createdAt ?? null,
+      source: opts.source || "check",
+      tier: opinion.tier ?? null,
+      overallScore: opinion.scoreBreakdown?.overallScore ?? null,
+      findings: findings.length,
+      highFindings: findings.filter((f) => f.severity === "high").length,
+      namespaces,
+    };
+  });
+}
+
+/**
+ * Read the recorded entries for a candidate, oldest first.
+ * Unparseable lines are skipped.
+ *
+ * @param {string} historyDir
+ * @param {string} name - Candidate name (any spelling that normalizes to the same canonical form)
+ * @returns {object[]}
+ */
+export function readHistory(historyDir, name) {
+  return readEntries(join(resolve(historyDir), `${historyKey(name)}.jsonl`));
+}
+
+/**
+ * Read the entries of one history file, oldest first.
+ */
+function readEntries(path) {
+  if (!existsSync(path)) return [];
+
+  const entries = [];
+  for (const line of readFileSync(path, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a torn or hand-edited line
+    }
+  }
+  return entries.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+}
+
+/**
+ * Record a run in the history store.
+ *
+ * @param {string} historyDir
+ * @param {object} run
+ * @param {{ source?: string }} [opts]
+ * @returns {{ recorded: number, skipped: number }}
+ */
+export function recordRun(historyDir, run, opts = {}) {
+  const dir = resolve(historyDir);
+  try {
+    mkdirSync(dir, { recursive: true });
+  } catch (err) {
+    throw historyError("COE.HISTORY.WRITE_FAIL", `Cannot create history directory ${dir}: ${err.message}`);
+  }
+
+  let recorded = 0;
+  let skipped = 0;
+  for (const entry of historyEntries(run, opts)) {
+    const known = readHistory(dir, entry.candidateMark)
+      .some((e) => e.runId === entry.runId && e.createdAt === entry.createdAt);
+    if (known) {
+      skipped++;
+      continue;
+    }
+    try {
+      appendFileSync(join(dir, `${entry.canonical}.jsonl`), JSON.stringify(entry) + "\n", "utf8");
+    } catch (err) {
+      throw historyError("COE.HISTORY.WRITE_FAIL", `Cannot write history for ${entry.candidateMark}: ${err.message}`);
+    }
+    recorded++;
+  }
+  return { recorded, skipped };
+}
+
+/**
+ * List the candidates in a history store with their latest entry.
+ *
+ * @param {string} historyDir
+ * @returns {Array<{ canonical: string, candidateMark: string, runs: number, latest: object }>}
+ */
+export function listHistory(historyDir) {
+  const dir = resolve(historyDir);
+  if (!existsSync(dir)) return [];
+
+  const out = [];
+  for (const file of readdirSync(dir).filter((f) => f.endsWith(".jsonl")).sort()) {
+    // Read by file name: a hashed key ("_3f2a…") does not survive historyKey() again
+    const canonical = file.slice(0, -".jsonl".length);
+    const entries = readEntries(join(dir, file));
+    if (entries.length === 0) continue;
+    const latest = entries[entries.length - 1];
+    out.push({ canonical, candidateMark: latest.candidateMark, runs: entries.length, latest });
+  }
+  return out;
+}
@@ -4,132 +4,466 @@
  * clearance.opinion.engine — CLI entry point.
  *
  * Commands:
- *   coe check <name>        Check name availability and produce opinion
+ *   coe check <name...>     Check name availability and produce opinion (2+ names: comparative run)
  *   coe batch <file>        Check multiple names from a file
+ *   coe brainstorm          Generate names from seed keywords and clear the best
  *   coe refresh <dir>       Re-run stale checks on an existing run
+ *   coe watch <dir...>      Re-check runs periodically and alert on changes
  *   coe corpus init         Create a new corpus.json template
  *   coe corpus add          Add a mark to an existing corpus file
+ *   coe corpus import-uspto Import USPTO trademark bulk XML into a corpus file
+ *   coe corpus import-euipo Import EUIPO bulk XML / eSearch CSV into a corpus file
+ *   coe corpus import-wipo  Import WIPO Madrid XML / Global Brand Database CSV
+ *   coe corpus index        Build the search index for a large corpus file
  *   coe publish <dir>       Copy run artifacts for website consumption
  *   coe report <file>       Re-render an existing run.json as Markdown
+ *   coe diff <a> <b>        Compare two runs (Markdown, JSON or HTML fragment)
+ *   coe history [name]      Show a name's recorded runs over time
  *   coe replay <dir>        Verify manifest and regenerate outputs
+ *   coe verify <dir>        Verify a run's manifest hashes and signature
+ *   coe serve               Serve the HTTP JSON API
+ *   coe mcp                 Serve the MCP tools over stdio
  */
 
 import { readFileSync, existsSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { fail, warn, friendlyError } from "./lib/errors.mjs";
-import { resolveCacheDir } from "./lib/config.mjs";
-import { hashFile } from "./lib/hash.mjs";
+import { resolveChannelSources, resolveConfig } from "./lib/config.mjs";
+import { loadSigningKey, loadPublicKey, verifyManifest } from "./lib/manifest.mjs";
 import { createCache } from "./lib/cache.mjs";
 import { writeRun, renderRunMd } from "./renderers/report.mjs";
-import { runCheck } from "./pipeline.mjs";
+import { runCheck, runComparison } from "./pipeline.mjs";
+import { loadPolicy } from "./scoring/policy.mjs";
 import { runBatch } from "./batch/runner.mjs";
 import { parseBatchInput } from "./batch/input.mjs";
 import { writeBatchOutput } from "./batch/writer.mjs";
+import { runBrainstorm, MAX_BRAINSTORM_COUNT } from "./brainstorm.mjs";
+import { renderBrainstormMd } from "./renderers/brainstorm.mjs";
 import { refreshRun } from "./refresh.mjs";
-import { corpusInit, corpusAdd } from "./corpus/cli.mjs";
+import { watchRuns, createAlertSinks, parseInterval, loadWatchState, watchDir } from "./watch.mjs";
+import { corpusInit, corpusAdd, corpusIndex } from "./corpus/cli.mjs";
+import { importUspto } from "./corpus/uspto.mjs";
+import { importEuipo } from "./corpus/euipo.mjs";
+import { importWipo } from "./corpus/wipo.mjs";
 import { publishRun } from "./publish.mjs";
+import { recordRun, readHistory, listHistory } from "./history.mjs";
+import { renderHistoryMd, renderHistoryListMd } from "./renderers/history.mjs";
+import { diffRuns, loadRunFile } from "./diff.mjs";
+import { renderDiffMd, renderDiffHtml } from "./renderers/diff.mjs";
 import { runDoctor } from "./doctor.mjs";
+import { createApiServer } from "./server.mjs";
+import { createMcpServer, serveStdio } from "./mcp.mjs";
 import { validateDirectory } from "./validate.mjs";
+import { parseTlds as parseTldList, TLD_PRESETS } from "./adapters/domain.mjs";
+import { parseGeographies } from "./lib/geo.mjs";
+import { parseClassList, classesFromGoods } from "./scoring/nice-classes.mjs";
+import { parseCandidateList, MAX_CANDIDATES } from "./scoring/comparison.mjs";
+import { readBootstrapFile } from "./adapters/rdap-bootstrap.mjs";
+import {
+  parseChannels as parseChannelList,
+  channelIds,
+  channelGroups,
+  resolveChannels,
+  loadChannelSource,
+} from "./channels/registry.mjs";
 
 const VERSION = "0.9.0";
 
 // ── Channel system ──────────────────────────────────────────────
-const CORE_CHANNELS = ["github", "npm", "pypi", "domain"];
-const DEV_CHANNELS = ["cratesio", "dockerhub"];
-const AI_CHANNELS = ["huggingface"];
-const ALL_CHANNELS = [...CORE_CHANNELS, ...DEV_CHANNELS, ...AI_CHANNELS];
-const CHANNEL_GROUPS = {
-  core: CORE_CHANNELS,
-  dev: DEV_CHANNELS,
-  ai: AI_CHANNELS,
-  all: ALL_CHANNELS,
-};
 
 /**
- * Parse --channels flag with support for:
- *   explicit list:  --channels github,npm
- *   group alias:    --channels all | core | dev | ai
- *   additive:       --channels +cratesio,+dockerhub  (adds to CORE default)
+ * Parse --channels flag via the channel registry, exiting with a
+ * friendly error on unknown channels.
  */
 function parseChannels(raw) {
-  if (!raw) return [...CORE_CHANNELS];
-
-  // Group alias (single keyword)
-  if (CHANNEL_GROUPS[raw]) return [...CHANNEL_GROUPS[raw]];
-
-  const parts = raw.split(",").map((c) => c.trim()).filter(Boolean);
+  try {
+    return parseChannelList(raw);
+  } catch (err) {
+    fail(err.code || "COE.INIT.BAD_CHANNEL", err.message, {
+      fix: `Valid channels: ${channelIds().join(", ")}. Groups: ${Object.keys(channelGroups()).join(", ")}. Additive: +cratesio,+dockerhub`,
+    });
+  }
+}
 
-  // Additive mode: all parts start with '+'
-  const allAdditive = parts.every((p) => p.startsWith("+"));
-  if (allAdditive) {
-    const additions = parts.map((p) => p.slice(1));
-    for (const ch of additions) {
-      if (!ALL_CHANNELS.includes(ch)) {
-        fail("COE.INIT.BAD_CHANNEL", `Unknown channel: ${ch}`, {
-          fix: `Valid channels: ${ALL_CHANNELS.join(", ")}`,
-        });
+/**
+ * Warn about selected channels whose required options were not given.
+ */
+function warnMissingChannelOptions(channels, provided) {
+  for (const channel of resolveChannels(channels)) {
+    for (const opt of channel.requiredOptions) {
+      if (!provided[opt]) {
+        warn("COE.CHANNEL.MISSING_OPTION", `Channel "${channel.id}" needs --${opt}; its checks will be skipped`);
       }
     }
-    const result = [...CORE_CHANNELS];
-    for (const ch of additions) {
-      if (!result.includes(ch)) result.push(ch);
-    }
-    return result;
   }
+}
 
-  // Explicit list
-  for (const ch of parts) {
-    if (!ALL_CHANNELS.includes(ch)) {
-      fail("COE.INIT.BAD_CHANNEL", `Unknown channel: ${ch}`, {
-        fix: `Valid channels: ${ALL_CHANNELS.join(", ")}. Groups: core, dev, ai, all. Additive: +cratesio,+dockerhub`,
-      });
+/**
+ * Parse --tlds flag, exiting with a friendly error on invalid TLDs.
+ */
+function parseTlds(raw) {
+  try {
+    return parseTldList(raw);
+  } catch (err) {
+    fail(err.code || "COE.INIT.BAD_TLD", err.message, {
+      fix: `Use a comma-separated list (com,io,.ai), additive (+io,+ai) or a preset: ${Object.keys(TLD_PRESETS).join(", ")}`,
+    });
+  }
+}
+
+/**
+ * Bulk-data importers behind `coe corpus import-*`.
+ */
+const CORPUS_IMPORTERS = {
+  "import-uspto": {
+    run: importUspto,
+    label: "USPTO",
+    files: "file.xml|file.zip",
+    fix: "Pass USPTO trademark XML bulk files (.xml or .zip) from bulkdata.uspto.gov",
+  },
+  "import-euipo": {
+    run: importEuipo,
+    label: "EUIPO",
+    files: "file.xml|file.csv|file.zip",
+    fix: "Pass EUIPO open-data XML files or eSearch CSV exports (.xml, .csv or .zip)",
+  },
+  "import-wipo": {
+    run: importWipo,
+    label: "WIPO",
+    files: "file.xml|file.csv|file.zip",
+    fix: "Pass WIPO Madrid XML files or Global Brand Database CSV exports (.xml, .csv or .zip)",
+  },
+};
+
+/**
+ * Parse --geo flag, exiting with a friendly error on invalid codes.
+ */
+function parseGeo(raw) {
+  try {
+    return parseGeographies(raw);
+  } catch (err) {
+    fail(err.code || "COE.INIT.BAD_GEO", err.message, {
+      fix: "Use a comma-separated list of ISO country codes or regions, e.g. US,EU,GB (EU, WO and GLOBAL are regions)",
+    });
+  }
+}
+
+/**
+ * Parse --classes and --goods, exiting with a friendly error on invalid
+ * classes and warning when --goods maps to no Nice class.
+ */
+function parseGoods(rawClasses, goods) {
+  let classes;
+  try {
+    classes = parseClassList(rawClasses);
+  } catch (err) {
+    fail(err.code || "COE.INIT.BAD_CLASS", err.message, {
+      fix: "Use comma-separated Nice classes between 1 and 45, e.g. --classes 9,42",
+    });
+  }
+  if (goods !== null && goods.trim().length < 3) {
+    fail("COE.INIT.BAD_GOODS", "--goods needs a description of at least 3 characters", {
+      fix: 'Describe the goods/services, e.g. --goods "developer tools and hosted API"',
+    });
+  }
+  if (goods && classes.length === 0 && classesFromGoods(goods).length === 0) {
+    warn("COE.INIT.GOODS_UNMAPPED", `No Nice class matched --goods "${goods}"; corpus matches will not be class-weighted`);
+  }
+  return { classes, goods: goods ? goods.trim() : null };
+}
+
+/**
+ * Validate --rdap-bootstrap up front so a bad path fails fast.
+ */
+function parseRdapBootstrap(raw) {
+  if (!raw || raw === "off") return raw;
+  try {
+    readBootstrapFile(raw);
+  } catch (err) {
+    fail(err.code, err.message, {
+      fix: "Download https://data.iana.org/rdap/dns.json, or pass --rdap-bootstrap off to use rdap.org",
+    });
+  }
+  return raw;
+}
+
+/**
+ * Validate --corpus up front so a missing file fails before any checks run.
+ */
+function checkCorpusOption(path) {
+  if (path && !existsSync(resolve(path))) {
+    fail("COE.CORPUS.NOT_FOUND", `Corpus file not found: ${resolve(path)}`, {
+      fix: "Check the --corpus file path",
+    });
+  }
+  return path;
+}
+
+/**
+ * Remediation hints for COE.CONFIG.* errors.
+ */
+const CONFIG_FIXES = {
+  "COE.CONFIG.NOT_FOUND": "Check the --config path",
+  "COE.CONFIG.PARSE_FAIL": "Config files must be a JSON object, e.g. { \"channels\": \"core,+social\", \"risk\": \"balanced\" }",
+  "COE.CONFIG.UNKNOWN_KEY": "See schema/config.schema.json for the supported keys",
+  "COE.CONFIG.BAD_VALUE": "See schema/config.schema.json for the expected value types",
+  "COE.CONFIG.BAD_WEIGHTS": "Give all four weights (namespaceAvailability, coverageCompleteness, conflictSeverity, domainAvailability) as integers summing to 100",
+  "COE.CONFIG.BAD_PROFILE": "Profiles look like { \"profiles\": { \"internal-tool\": { \"extends\": \"aggressive\", \"thresholds\": { \"green\": 55 } } } }",
+  "COE.CONFIG.UNKNOWN_PROFILE": "Use conservative, balanced, aggressive or a profile defined under \"profiles\" in a config file",
+};
+
+/**
+ * Load the opinion policy named by --policy / config "policy", if any.
+ *
+ * @param {string|null} path
+ * @returns {object|null} The policy, or null for the default policy
+ */
+function loadPolicyOption(path) {
+  if (!path) return null;
+  try {
+    return loadPolicy(resolve(path));
+  } catch (err) {
+    fail(err.code || "COE.POLICY.INVALID", err.message, {
+      path: err.path,
+      fix: err.code === "COE.POLICY.NOT_FOUND"
+        ? "Check the --policy path"
+        : "See schema/policy.schema.json; policies/default.json is a complete example",
+    });
+  }
+}
+
+/**
+ * Record a run in the history store, if one is configured. A history
+ * write failure is reported but never fails the command.
+ *
+ * @param {string|null} historyDir
+ * @param {object} run
+ * @param {string} source - "check", "batch", "refresh" or "watch"
+ */
+function recordHistory(historyDir, run, source) {
+  if (!historyDir) return;
+  try {
+    recordRun(historyDir, run, { source });
+  } catch (err) {
+    warn(err.code || "COE.HISTORY.WRITE_FAIL", err.message, {
+      fix: "Check that the --history-dir directory (or COE_HISTORY_DIR) is writable",
+    });
+  }
+}
+
+/**
+ * Load the manifest signing key named by --signing-key / config "signingKey", if any.
+ *
+ * @param {string|null} path
+ * @returns {import("node:crypto").KeyObject|null}
+ */
+function loadSigningKeyOption(path) {
+  if (!path) return null;
+  try {
+    return loadSigningKey(path);
+  } catch (err) {
+    fail(err.code, err.message, {
+      fix: "Use an Ed25519 private key in PEM format, e.g. openssl genpkey -algorithm ed25519 -out coe-signing.pem",
+    });
+  }
+}
+
+/**
+ * Verify a run directory's manifest.json, printing one line per file and
+ * the signature status. Exits non-zero on any integrity problem.
+ *
+ * The trusted signer is --public-key, else the public half of the
+ * configured signing key; with neither, a signature is only checked
+ * against the key embedded in the manifest.
+ *
+ * @param {string} dir - Absolute run directory
+ * @returns {Promise<object>} verifyManifest() result (only when valid)
+ */
+async function checkManifest(dir) {
+  let publicKey = null;
+  const keyPath = getFlag("--public-key") || config?.values.signingKey || null;
+  if (keyPath) {
+    try {
+      publicKey = loadPublicKey(keyPath);
+    } catch (err) {
+      fail(err.code, err.message, { fix: "Pass the signer's Ed25519 public key (PEM) with --public-key" });
     }
   }
-  return parts;
+
+  let result;
+  try {
+    result = await verifyManifest(dir, { publicKey });
+  } catch (err) {
+    fail(err.code, err.message, {
+      path: join(dir, "manifest.json"),
+      fix: err.code === "COE.MANIFEST.NOT_FOUND"
+        ? "coe check, batch, refresh and watch write a manifest with every run; for older runs use node scripts/gen-lock.mjs <dir>"
+        : "Restore manifest.json from a trusted copy",
+    });
+  }
+
+  for (const f of result.files) {
+    console.log(`  ${f.status === "ok" ? "\u2713" : "\u2717"} ${f.path}${f.status === "ok" ? "" : ` (${f.status})`}`);
+  }
+  const { signature } = result;
+  if (!signature.signed) {
+    console.log("  Signature: none");
+  } else {
+    const trust = signature.trusted === true ? ", trusted key" : signature.trusted === false ? ", NOT the trusted key" : ", signer not pinned";
+    console.log(`  Signature: ed25519 key ${signature.keyId} ${signature.valid ? "valid" : "INVALID"}${signature.valid ? trust : ""}`);
+  }
+
+  if (!result.valid) {
+    for (const p of result.problems) warn(p.code, p.message, { path: p.path ? join(dir, p.path) : undefined });
+    fail("COE.MANIFEST.TAMPERED", `${result.problems.length} integrity problem(s) in ${dir}`, {
+      fix: "The run's artifacts do not match its manifest; re-run the check or restore the files from a trusted copy",
+    });
+  }
+  return result;
 }
 
 // ── CLI parsing ────────────────────────────────────────────────
 
 const args = process.argv.slice(2);
 
+// Layered config (user file, project file, env, flags) for commands that run checks
+let config = null;
+if (["check", "batch", "brainstorm", "refresh", "watch", "history", "publish", "replay", "verify", "serve", "mcp"].includes(args[0])) {
+  try {
+    config = resolveConfig({ args, configPath: getFlag("--config") });
+  } catch (err) {
+    fail(err.code || "COE.CONFIG.PARSE_FAIL", err.message, { path: err.path, fix: CONFIG_FIXES[err.code] });
+  }
+}
+
+// Register additional channels before anything reads the registry
+{
+  const sources = config
+    ? config.values.channelModules || []
+    : resolveChannelSources(getFlag("--channel-module"));
+  for (const source of sources) {
+    try {
+      await loadChannelSource(source);
+    } catch (err) {
+      fail(err.code || "COE.CHANNEL.MODULE_FAIL", err.message, {
+        fix: "Check the --channel-module path (or COE_CHANNEL_MODULES) and the exported channel definitions",
+      });
+    }
+  }
+}
+
 if (args.length === 0 || args.includes("--help") || args.includes("-h")) {
   console.log(`clearance.opinion.engine v${VERSION}
 
 Usage:
-  coe check <name> [options]       Check name availability and produce opinion
+  coe check <name...> [options]    Check name availability and produce opinion
+                                   (2+ names: one comparative run, ranked)
   coe batch <file> [options]       Check multiple names from a .txt or .json file
+  coe brainstorm --seeds <list> [--count n]  Generate names from seed keywords, score them
+                                   and first-pass check the best (ranked shortlist)
   coe refresh <dir> [options]      Re-run stale checks on an existing run
+  coe watch <dir...> [options]     Re-check runs every interval and alert on changes
   coe corpus init [--output path]  Create a new corpus.json template
   coe corpus add [options]         Add a mark to an existing corpus file
+  coe corpus import-uspto <file...> [options]  Import USPTO bulk XML (.xml/.zip) into a corpus
+  coe corpus import-euipo <file...> [options]  Import EUIPO bulk XML or eSearch CSV into a corpus
+  coe corpus import-wipo <file...> [options]   Import WIPO Madrid XML or Global Brand Database CSV
+  coe corpus index [corpus.json]   Build a search index next to the corpus (used by --corpus)
   coe publish <dir> --out <dir> [--index <path>]  Copy run artifacts for website consumption
   coe report <file>                Re-render an existing run.json as Markdown
+  coe diff <runA> <runB> [--format md|json|html]  Compare two runs (run.json or run directory)
+  coe history [<name>] [options]   Timeline of tier, score and namespace status for a name
+                                   (no name: list recorded names)
   coe replay <dir>                 Verify manifest and regenerate outputs from run.json
+  coe verify <dir> [--public-key <pem>]  Verify artifact hashes and the manifest signature
   coe doctor                       Run environment diagnostics
   coe validate-artifacts <dir>     Validate JSON artifacts against schemas
+  coe serve [--port n] [options]   Serve the HTTP JSON API (POST /check, POST /batch, GET /runs/:id)
+  coe mcp [options]                Serve MCP tools over stdio (check_name, batch_check,
+                                   suggest_alternatives, compare_marks, explain_run)
 
 Check options:
-  --channels <list>     Channels to check (default: github,npm,pypi,domain)
-                        Groups: core, dev, ai, all
+  --config <path>       Project config file (default: ./coe.config.json or ./.coerc)
+  --channels <list>     Channels to check (default: core group)
+                        Groups: ${Object.keys(channelGroups()).join(", ")}
                         Additive: +cratesio,+dockerhub (adds to core default)
+  --channel-module <p>  Register extra channels from a .mjs module or .json config
+                        (comma-separated; or set COE_CHANNEL_MODULES env var)
   --org <name>          GitHub org to check (for github channel)
   --dockerNamespace <ns>  Docker Hub namespace (required for dockerhub channel)
   --hfOwner <owner>     Hugging Face owner (required for huggingface channel)
+  --goPrefix <path>     Vanity Go module prefix, e.g. go.acme.dev (golang channel)
+  --mavenGroup <id>     Maven groupId, e.g. com.acme (required for maven channel)
+  --packagistVendor <v> Packagist vendor (packagist channel; defaults to --org)
+  --mastodon-instance <host>  Mastodon instance for the mastodon channel (default: mastodon.social)
+  --tlds <list>         Domain TLDs (default: com,dev). Presets: tech, cc
+                        Additive: +io,+ai (adds to default)
+  --rdap-bootstrap <p>  Local IANA RDAP dns.json (default: fetched from IANA, cached
+                        with --cache-dir); "off" routes lookups via rdap.org
   --output <dir>        Output directory (default: reports/)
-  --risk <level>        Risk tolerance: conservative|balanced|aggressive (default: conservative)
+  --risk <profile>      Risk profile: conservative|balanced|aggressive (default: conservative),
+                        or a custom profile defined under "profiles" in a config file
+  --policy <path>       Opinion policy JSON deciding the tier (default: policies/default.json)
   --radar               Enable collision radar (GitHub + npm + crates.io + Docker Hub search)
-  --suggest             Generate safer alternative name suggestions
+  --suggest             Search for safer alternative names, checking each against the same
+                        channels and corpus until enough come back green
+  --suggest-count <n>   Green alternatives to search for (default: 5, max: 20)
+  --suggest-budget <n>  Registry requests the search may spend (default: 100, max: 500)
   --corpus <path>       Path to a JSON corpus of known marks to compare against
+  --corpus-include-dead Also compare against dead (abandoned/cancelled) corpus marks
+  --classes <list>      Nice classes of your goods/services, e.g. 9,42; corpus matches
+                        are weighted by class overlap
+  --goods <text>        Goods/services description, mapped to Nice classes by keyword
+  --geo <list>          Where the name will be used: country codes or EU, WO (default: GLOBAL);
+                        corpus marks outside these jurisdictions are not compared
   --cache-dir <path>    Directory for caching (or set COE_CACHE_DIR env var)
+  --history-dir <path>  Record every run in this history store (or set COE_HISTORY_DIR),
+                        e.g. .coe/history or ~/.coe/history
   --max-age-hours <n>   Cache TTL in hours (default: 24, requires --cache-dir)
   --fuzzyQueryMode <m>  Fuzzy variant query mode: off|registries|all (default: registries)
   --variantBudget <n>   Max fuzzy variants to query per channel (default: 12, max: 30)
+  --formats <list>      Output files: json,md,html,summary (default: all; run.json and
+                        manifest.json always written)
+  --signing-key <pem>   Sign manifest.json with this Ed25519 private key (or set COE_SIGNING_KEY)
+
+  Every check option can also be set in coe.config.json, ~/.config/coe/config.json or
+  COE_* env vars (see schema/config.schema.json); flags win over env, env over files.
 
 Batch options:
   --concurrency <n>     Max simultaneous checks (default: 4)
   --resume <dir>        Resume from a previous batch output directory
 
+Brainstorm options (check options above apply to the first-pass checks):
+  --seeds <list>        Seed keywords, comma-separated, e.g. fast,graph,deploy (required)
+  --count <n>           Names to check and list (default: 20, max: ${MAX_BRAINSTORM_COUNT})
+  --format <f>          Output format: md|json (default: md)
+  --concurrency <n>     Max simultaneous checks (default: 4)
+
 Refresh options:
   --max-age-hours <n>   Max acceptable evidence age in hours (default: 24)
+  --rdap-bootstrap <p>  As for check; also used by watch
+
+Watch options:
+  --every <interval>    Time between re-checks: 30m, 6h, 1d (default: 6h, minimum: 1m)
+  --alerts <list>       Alert sinks: stdout, a file path (JSON lines) and/or an
+                        http(s) webhook URL, comma-separated (default: stdout)
+  --once                Run one cycle and exit (for cron)
+
+Verify and replay options:
+  --public-key <pem>    Trusted signer's Ed25519 public key (default: the public half of
+                        --signing-key / COE_SIGNING_KEY); a manifest signed by any other
+                        key, or unsigned, fails verification
+
+History options:
+  --history-dir <path>  History store to read (or COE_HISTORY_DIR / "historyDir" in config)
+  --format <f>          Output format: md|json (default: md)
+  --limit <n>           Show only the latest n runs
+
+Serve and mcp options (check options above set the server-wide defaults):
+  --port <n>            Port to listen on (default: 8787)
+  --host <addr>         Address to bind (default: 127.0.0.1)
+  --concurrency <n>     Max simultaneous checks across all requests (default: 4)
+                        (--port and --host apply to serve only)
 
 Corpus add options:
   --name <mark>         Mark name (required)
@@ -137,19 +471,24 @@ Corpus add options:
   --registrant <name>   Owner/registrant name
   --corpus <path>       Path to corpus file (default: corpus.json)
 
+Corpus import options:
+  --output <path>       Corpus file to create or update (default: corpus.json)
+  --live-only           Skip dead (abandoned, cancelled, expired) marks
+  --classes <list>      Only import marks in these Nice classes, e.g. 9,42
+
 Publish options:
   --out <dir>           Target output directory (required)
   --index <path>        Append entry to a runs.json index file
+  --history-dir <path>  Add score trend sparklines from this history store
 
 General:
   --help, -h            Show this help
   --version, -v         Show version
 
 Channels:
-  core:    github, npm, pypi, domain (default)
-  dev:     cratesio, dockerhub
-  ai:      huggingface
-  all:     all of the above`);
+${Object.entries(channelGroups()).map(([group, ids]) =>
+  `  ${(group + ":").padEnd(9)}${group === "all" ? "all of the above" : ids.join(", ")}${group === "core" ? " (default)" : ""}`
+).join("\n")}`);
   process.exit(0);
 }
 
@@ -194,13 +533,92 @@ if (command === "report") {
   process.exit(0);
 }
 
+// ── Command: diff ──────────────────────────────────────────────
+
+if (command === "diff") {
+  const [pathA, pathB] = args.slice(1).filter((a) => !a.startsWith("--") && a !== getFlag("--format"));
+  if (!pathA || !pathB) {
+    fail("COE.INIT.NO_ARGS", "Two runs are required", {
+      fix: "Usage: coe diff <runA> <runB> [--format md|json|html] (run.json files or run directories)",
+    });
+  }
+
+  const format = getFlag("--format") || "md";
+  if (!["md", "json", "html"].includes(format)) {
+    fail("COE.DIFF.BAD_FORMAT", `Unknown --format: ${format}`, { fix: "Use md, json or html" });
+  }
+
+  const runs = [];
+  for (const path of [pathA, pathB]) {
+    try {
+      runs.push(loadRunFile(path));
+    } catch (err) {
+      fail(err.code, err.message, { path: resolve(path), fix: "Pass a run.json file or a directory containing one" });
+    }
+  }
+
+  const diff = diffRuns(runs[0], runs[1]);
+  if (format === "json") console.log(JSON.stringify(diff, null, 2));
+  else if (format === "html") console.log(renderDiffHtml(diff));
+  else console.log(renderDiffMd(diff));
+  process.exit(0);
+}
+
+// ── Command: history ───────────────────────────────────────────
+
+if (command === "history") {
+  const historyDir = config.values.historyDir;
+  if (!historyDir) {
+    fail("COE.HISTORY.NO_DIR", "No history store configured", {
+      fix: 'Pass --history-dir <dir>, set COE_HISTORY_DIR, or add "historyDir" to coe.config.json',
+    });
+  }
+
+  const format = getFlag("--format") || "md";
+  if (!["md", "json"].includes(format)) {
+    fail("COE.HISTORY.BAD_FORMAT", `Unknown --format: ${format}`, { fix: "Use md or json" });
+  }
+
+  const rawLimit = getFlag("--limit");
+  const limit = rawLimit === null ? null : Number(rawLimit);
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    fail("COE.HISTORY.BAD_LIMIT", `Invalid --limit: ${rawLimit}`, { fix: "Use a positive whole number, e.g. --limit 10" });
+  }
+
+  // Every history flag takes a value, so the name is the first argument not after a flag
+  const name = args.find((a, i) => i > 0 && !a.startsWith("--") && !args[i - 1].startsWith("--")) || null;
+  if (!name) {
+    const list = listHistory(historyDir);
+    if (format === "json") {
+      console.log(JSON.stringify(list, null, 2));
+    } else {
+      const entriesByName = new Map(list.map((item) => [item.canonical, readHistory(historyDir, item.candidateMark).slice(-(limit || Infinity))]));
+      console.log(renderHistoryListMd(list, entriesByName));
+    }
+    process.exit(0);
+  }
+
+  const entries = readHistory(historyDir, name);
+  if (entries.length === 0) {
+    fail("COE.HISTORY.NOT_FOUND", `No recorded runs for "${name}"`, {
+      path: resolve(historyDir),
+      fix: "Run coe history to list recorded names; runs are recorded by check, batch, refresh and watch when a history store is set",
+    });
+  }
+
+  const shown = limit ? entries.slice(-limit) : entries;
+  if (format === "json") console.log(JSON.stringify(shown, null, 2));
+  else console.log(renderHistoryMd(name, shown));
+  process.exit(0);
+}
+
 // ── Command: replay ────────────────────────────────────────────
 
 if (command === "replay") {
   const runDir = args[1];
   if (!runDir) {
     fail("COE.INIT.NO_ARGS", "No run directory specified", {
-      fix: "Usage: coe replay <run-directory>",
+      fix: "Usage: coe replay <run-directory> [--public-key <pem>]",
     });
   }
 
@@ -215,30 +633,21 @@ if (command === "replay") {
   async function replay() {
     const run = JSON.parse(readFileSync(runJsonPath, "utf8"));
 
-    // 1. Verify manifest if present
-    const manifestPath = join(absDir, "manifest.json");
-    if (existsSync(manifestPath)) {
-      const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
-      for (const entry of manifest.files || []) {
-        const filePath = join(absDir, entry.path);
-        if (!existsSync(filePath)) {
-          warn("COE.REPLAY.HASH_MISMATCH", `File missing: ${entry.path}`);
-          continue;
-        }
-        const actual = await hashFile(filePath);
-        if (actual !== entry.sha256) {
-          warn("COE.REPLAY.HASH_MISMATCH", `File ${entry.path} has changed since manifest was generated`);
-        }
-      }
+    // 1. Verify manifest if present (exits non-zero on tampering)
+    if (existsSync(join(absDir, "manifest.json"))) {
+      console.log(`Verifying ${join(absDir, "manifest.json")}`);
+      await checkManifest(absDir);
     }
 
     // 2. Regenerate outputs from run.json
+    // with the formats the original run was configured to write
     const replayDir = join(absDir, "replay");
-    const { jsonPath, mdPath, htmlPath, summaryPath } = writeRun(run, replayDir);
+    const formats = run.run?.config?.effective?.formats;
+    const { jsonPath, mdPath, htmlPath, summaryPath } = writeRun(run, replayDir, { formats });
 
     // 3. Compare regenerated outputs with originals
     const origMdPath = join(absDir, "run.md");
-    if (existsSync(origMdPath)) {
+    if (mdPath && existsSync(origMdPath)) {
       const origMd = readFileSync(origMdPath, "utf8");
       const newMd = readFileSync(mdPath, "utf8");
       if (origMd !== newMd) {
@@ -248,9 +657,12 @@ if (command === "replay") {
 
     console.log(`Replay complete. Output: ${replayDir}`);
     console.log(`  JSON:    ${jsonPath}`);
-    console.log(`  MD:      ${mdPath}`);
-    console.log(`  HTML:    ${htmlPath}`);
-    console.log(`  Summary: ${summaryPath}`);
+    if (mdPath) console.log(`  MD:      ${mdPath}`);
+    if (htmlPath) console.log(`  HTML:    ${htmlPath}`);
+    if (summaryPath) console.log(`  Summary: ${summaryPath}`);
+    for (const source of run.run?.config?.sources || []) {
+      console.log(`  Config:  ${source.layer} ${source.path || source.keys.join(", ")}`);
+    }
   }
 
   replay()
@@ -266,6 +678,26 @@ if (command === "replay") {
 
   // Prevent falling through to next command
 
+// ── Command: verify ─────────────────────────────────────────────
+} else if (command === "verify") {
+  const runDir = args[1] && !args[1].startsWith("--") ? args[1] : null;
+  if (!runDir) {
+    fail("COE.INIT.NO_ARGS", "No run directory specified", {
+      fix: "Usage: coe verify <run-directory> [--public-key <pem>]",
+    });
+  }
+
+  const absDir = resolve(runDir);
+  console.log(`Verifying ${join(absDir, "manifest.json")}`);
+  checkManifest(absDir)
+    .then((result) => {
+      console.log(`\u2705 ${result.files.length} file(s) match the manifest${result.signature.signed ? " and the signature is valid" : ""}`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      fail("COE.MANIFEST.FATAL", err.message, { nerd: err.stack });
+    });
+
 // ── Command: batch ──────────────────────────────────────────────
 } else if (command === "batch") {
   const inputFile = args[1];
@@ -275,19 +707,36 @@ if (command === "replay") {
     });
   }
 
-  const channels = parseChannels(getFlag("--channels"));
-  const org = getFlag("--org");
-  const dockerNamespace = getFlag("--dockerNamespace");
-  const hfOwner = getFlag("--hfOwner");
-  const outputDir = getFlag("--output") || "reports";
-  const riskTolerance = getFlag("--risk") || "conservative";
-  const useRadar = args.includes("--radar");
-  const corpusPath = getFlag("--corpus");
-  const cacheDir = resolveCacheDir(getFlag("--cache-dir"));
-  const maxAgeHours = parseInt(getFlag("--max-age-hours") || "24", 10);
-  const fuzzyQueryMode = getFlag("--fuzzyQueryMode") || "registries";
-  const variantBudget = Math.min(parseInt(getFlag("--variantBudget") || "12", 10), 30);
-  const concurrency = parseInt(getFlag("--concurrency") || "4", 10);
+  const cfg = config.values;
+  const channels = parseChannels(cfg.channels ? cfg.channels.join(",") : null);
+  const org = cfg.org || null;
+  const dockerNamespace = cfg.dockerNamespace || null;
+  const hfOwner = cfg.hfOwner || null;
+  const goPrefix = cfg.goPrefix || null;
+  const mavenGroup = cfg.mavenGroup || null;
+  const packagistVendor = cfg.packagistVendor || null;
+  const mastodonInstance = cfg.mastodonInstance || null;
+  const tlds = parseTlds(cfg.tlds || null);
+  const rdapBootstrap = parseRdapBootstrap(cfg.rdapBootstrap || null);
+  warnMissingChannelOptions(channels, { org, dockerNamespace, hfOwner, goPrefix, mavenGroup, packagistVendor });
+  const outputDir = cfg.output || "reports";
+  const riskTolerance = cfg.risk || "conservative";
+  const riskProfiles = cfg.profiles || null;
+  const weights = cfg.weights || null;
+  const policy = loadPolicyOption(cfg.policy || null);
+  const useRadar = cfg.radar || false;
+  const corpusPath = checkCorpusOption(cfg.corpus || null);
+  const corpusIncludeDead = cfg.corpusIncludeDead || false;
+  const geographies = parseGeo(cfg.geo || null);
+  const { classes, goods } = parseGoods(cfg.classes || null, cfg.goods ?? null);
+  const cacheDir = cfg.cacheDir || null;
+  const historyDir = cfg.historyDir || null;
+  const signingKey = loadSigningKeyOption(cfg.signingKey || null);
+  const maxAgeHours = cfg.maxAgeHours ?? 24;
+  const fuzzyQueryMode = cfg.fuzzyQueryMode || "registries";
+  const variantBudget = Math.min(cfg.variantBudget ?? 12, 30);
+  const formats = cfg.formats || undefined;
+  const concurrency = cfg.concurrency ?? 4;
   const resumeDir = getFlag("--resume");
 
   async function batchMain() {
@@ -314,24 +763,44 @@ if (command === "replay") {
       org,
       dockerNamespace,
       hfOwner,
+      goPrefix,
+      mavenGroup,
+      packagistVendor,
+      mastodonInstance,
+      tlds,
+      rdapBootstrap,
       riskTolerance,
+      riskProfiles,
+      weights,
+      policy,
       useRadar,
       corpusPath,
+      corpusIncludeDead,
+      geographies,
+      classes,
+      goods,
       fuzzyQueryMode,
       variantBudget,
       cacheDir: cacheDir ? resolve(cacheDir) : null,
       maxAgeHours,
       now,
+      config: config.record,
       resumeDir: resumeDir ? resolve(resumeDir) : null,
     });
 
     // Write output
     const { files } = writeBatchOutput(batchResult, batchOutputDir, {
       resumedFrom: resumeDir ? resolve(resumeDir) : null,
+      formats,
+      signingKey,
     });
 
-    // Print summary
     const { stats, results, errors } = batchResult;
+    for (const r of results) {
+      if (r.run) recordHistory(historyDir, r.run, "batch");
+    }
+
+    // Print summary
     console.log(`\nBatch complete in ${stats.durationMs}ms`);
     console.log(`  Total:     ${stats.total}`);
     console.log(`  Succeeded: ${stats.succeeded}`);
@@ -363,6 +832,86 @@ if (command === "replay") {
     }
   });
 
+// ── Command: brainstorm ─────────────────────────────────────────
+} else if (command === "brainstorm") {
+  const rawSeeds = getFlag("--seeds");
+  if (!rawSeeds) {
+    fail("COE.BRAINSTORM.NO_SEEDS", "No seed keywords given", {
+      fix: "Usage: coe brainstorm --seeds fast,graph,deploy [--count 20]",
+    });
+  }
+
+  const rawCount = getFlag("--count");
+  const count = rawCount === null ? 20 : Number(rawCount);
+  if (!(Number.isInteger(count) && count >= 1 && count <= MAX_BRAINSTORM_COUNT)) {
+    fail("COE.BRAINSTORM.BAD_COUNT", `Invalid --count: ${rawCount}`, {
+      fix: `Use a whole number from 1 to ${MAX_BRAINSTORM_COUNT}, e.g. --count 20`,
+    });
+  }
+
+  const format = getFlag("--format") || "md";
+  if (!["md", "json"].includes(format)) {
+    fail("COE.BRAINSTORM.BAD_FORMAT", `Unknown --format: ${format}`, { fix: "Use md or json" });
+  }
+
+  const cfg = config.values;
+  const channels = parseChannels(cfg.channels ? cfg.channels.join(",") : null);
+  const org = cfg.org || null;
+  const dockerNamespace = cfg.dockerNamespace || null;
+  const hfOwner = cfg.hfOwner || null;
+  const goPrefix = cfg.goPrefix || null;
+  const mavenGroup = cfg.mavenGroup || null;
+  const packagistVendor = cfg.packagistVendor || null;
+  warnMissingChannelOptions(channels, { org, dockerNamespace, hfOwner, goPrefix, mavenGroup, packagistVendor });
+  const { classes, goods } = parseGoods(cfg.classes || null, cfg.goods ?? null);
+  const cacheDir = cfg.cacheDir || null;
+
+  async function brainstormMain() {
+    const result = await runBrainstorm(rawSeeds, {
+      count,
+      concurrency: cfg.concurrency ?? 4,
+      channels,
+      org,
+      dockerNamespace,
+      hfOwner,
+      goPrefix,
+      mavenGroup,
+      packagistVendor,
+      mastodonInstance: cfg.mastodonInstance || null,
+      tlds: parseTlds(cfg.tlds || null),
+      rdapBootstrap: parseRdapBootstrap(cfg.rdapBootstrap || null),
+      riskTolerance: cfg.risk || "conservative",
+      riskProfiles: cfg.profiles || null,
+      weights: cfg.weights || null,
+      policy: loadPolicyOption(cfg.policy || null),
+      corpusPath: checkCorpusOption(cfg.corpus || null),
+      corpusIncludeDead: cfg.corpusIncludeDead || false,
+      geographies: parseGeo(cfg.geo || null),
+      classes,
+      goods,
+      cacheDir: cacheDir ? resolve(cacheDir) : null,
+      maxAgeHours: cfg.maxAgeHours ?? 24,
+      config: config.record,
+    });
+
+    if (format === "json") console.log(JSON.stringify(result, null, 2));
+    else console.log(renderBrainstormMd(result));
+  }
+
+  brainstormMain().catch((err) => {
+    if (err.code?.startsWith("COE.BRAINSTORM.")) {
+      fail(err.code, err.message, {
+        fix: "Give 1 to 10 comma-separated seed keywords of letters and digits, e.g. --seeds fast,graph,deploy",
+      });
+    }
+    const friendly = friendlyError(err);
+    if (friendly) {
+      fail(friendly.code, friendly.headline, { fix: friendly.fix });
+    } else {
+      fail("COE.BRAINSTORM.FATAL", err.message, { nerd: err.stack });
+    }
+  });
+
 // ── Command: refresh ────────────────────────────────────────────
 } else if (command === "refresh") {
   const runDir = args[1];
@@ -372,7 +921,9 @@ if (command === "replay") {
     });
   }
 
-  const maxAgeHours = parseInt(getFlag("--max-age-hours") || "24", 10);
+  const maxAgeHours = config.values.maxAgeHours ?? 24;
+  const signingKey = loadSigningKeyOption(config.values.signingKey || null);
+  const rdapBootstrap = parseRdapBootstrap(config.values.rdapBootstrap || null);
 
   async function refreshMain() {
     const now = new Date().toISOString();
@@ -382,6 +933,7 @@ if (command === "replay") {
       result = await refreshRun(resolve(runDir), {
         maxAgeHours,
         now,
+        rdapBootstrap,
       });
     } catch (err) {
       fail(err.code || "COE.REFRESH.FATAL", err.message, {
@@ -397,14 +949,16 @@ if (command === "replay") {
     // Write refreshed run to a new directory
     const absRunDir = resolve(runDir);
     const refreshDir = absRunDir + "-refresh";
-    const { jsonPath, mdPath, htmlPath, summaryPath } = writeRun(result.run, refreshDir);
+    const formats = result.run.run?.config?.effective?.formats;
+    const { jsonPath, mdPath, htmlPath, summaryPath } = writeRun(result.run, refreshDir, { formats, signingKey });
+    recordHistory(config.values.historyDir || null, result.run, "refresh");
 
     console.log(`\u{1F504} Refreshed ${result.staleCount} stale checks`);
     console.log(`  Output: ${refreshDir}`);
     console.log(`  JSON:    ${jsonPath}`);
-    console.log(`  MD:      ${mdPath}`);
-    console.log(`  HTML:    ${htmlPath}`);
-    console.log(`  Summary: ${summaryPath}`);
+    if (mdPath) console.log(`  MD:      ${mdPath}`);
+    if (htmlPath) console.log(`  HTML:    ${htmlPath}`);
+    if (summaryPath) console.log(`  Summary: ${summaryPath}`);
 
     const tier = result.run.opinion?.tier || "unknown";
     const emoji = tier === "green" ? "\u{1F7E2}" : tier === "yellow" ? "\u{1F7E1}" : "\u{1F534}";
@@ -420,6 +974,83 @@ if (command === "replay") {
     }
   });
 
+// ── Command: watch ──────────────────────────────────────────────
+} else if (command === "watch") {
+  // Run directories: every argument before the first flag
+  const firstFlag = args.findIndex((a, i) => i > 0 && a.startsWith("--"));
+  const runDirs = args.slice(1, firstFlag === -1 ? args.length : firstFlag);
+  if (runDirs.length === 0) {
+    fail("COE.INIT.NO_ARGS", "No run directory specified", {
+      fix: "Usage: coe watch <run-directory> [<run-directory> ...] [--every 6h]",
+    });
+  }
+
+  let everyMs;
+  try {
+    everyMs = parseInterval(getFlag("--every") ?? "6h");
+  } catch (err) {
+    fail(err.code, err.message, { fix: "Use minutes, hours or days, e.g. --every 30m, --every 6h, --every 1d" });
+  }
+
+  let sinks;
+  try {
+    sinks = createAlertSinks((getFlag("--alerts") || "stdout").split(",").map((s) => s.trim()).filter(Boolean));
+  } catch (err) {
+    fail(err.code, err.message, { fix: "Use stdout, a file path or an http(s) URL, e.g. --alerts stdout,alerts.jsonl" });
+  }
+
+  // Fail on unreadable or comparative runs before the first cycle
+  for (const runDir of runDirs) {
+    try {
+      loadWatchState(runDir);
+    } catch (err) {
+      fail(err.code, err.message, {
+        path: resolve(runDir),
+        fix: err.code === "COE.REFRESH.COMPARATIVE_RUN"
+          ? "Run coe check once per name and watch each run directory"
+          : "Specify a directory containing a run.json file",
+      });
+    }
+  }
+
+  const signingKey = loadSigningKeyOption(config.values.signingKey || null);
+  const rdapBootstrap = parseRdapBootstrap(config.values.rdapBootstrap || null);
+
+  // stdout may carry alerts as JSON lines; progress goes to stderr
+  const once = args.includes("--once");
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  if (!once) {
+    console.error(`coe watching ${runDirs.length} run(s) every ${getFlag("--every") ?? "6h"}; alerts to ${sinks.map((s) => s.name).join(", ")}`);
+  }
+
+  try {
+    const { cycles, alerts } = await watchRuns(runDirs, {
+      everyMs,
+      sinks,
+      historyDir: config.values.historyDir || null,
+      signingKey,
+      rdapBootstrap,
+      signal: controller.signal,
+      maxCycles: once ? 1 : Infinity,
+      onCycle: ({ cycle, alerts: cycleAlerts, refreshed }) => {
+        console.error(`  cycle ${cycle}: ${refreshed}/${runDirs.length} run(s) refreshed, ${cycleAlerts.length} alert(s)`);
+      },
+      onError: (err, { runDir, sink }) => {
+        warn(err.code || "COE.WATCH.CYCLE_FAIL", err.message, {
+          path: sink ? undefined : runDir && resolve(runDir),
+          fix: sink ? "Check the webhook URL or alert file" : "The run is retried next cycle",
+        });
+      },
+    });
+    console.error(`coe watch stopped after ${cycles} cycle(s), ${alerts} alert(s). Latest state: ${runDirs.map(watchDir).join(", ")}`);
+    process.exit(0);
+  } catch (err) {
+    fail("COE.WATCH.FATAL", err.message, { nerd: err.stack });
+  }
+
 // ── Command: corpus ─────────────────────────────────────────────
 } else if (command === "corpus") {
   const subcommand = args[1];
@@ -462,9 +1093,54 @@ if (command === "replay") {
       fail(err.code || "COE.CORPUS.ADD_FAIL", err.message);
     }
 
+  } else if (subcommand === "index") {
+    const positional = args[2] && !args[2].startsWith("--") ? args[2] : null;
+    const corpusPathArg = positional || getFlag("--corpus") || "corpus.json";
+
+    try {
+      const result = corpusIndex(resolve(corpusPathArg));
+      console.log(`\u2705 Indexed ${result.marks} mark(s) (${result.forms} distinct forms) into ${result.path}`);
+      console.log(`   sha256: ${result.sha256}`);
+    } catch (err) {
+      fail(err.code || "COE.CORPUS.INDEX_FAIL", err.message, {
+        fix: "Usage: coe corpus index [corpus.json]",
+      });
+    }
+
+  } else if (CORPUS_IMPORTERS[subcommand]) {
+    const importer = CORPUS_IMPORTERS[subcommand];
+    const usage = `Usage: coe corpus ${subcommand} <${importer.files}>... [--output corpus.json] [--live-only] [--classes 9,42]`;
+    const valueFlags = new Set(["--output", "--classes", "--channel-module"]);
+    const inputs = [];
+    for (let i = 2; i < args.length; i++) {
+      if (valueFlags.has(args[i])) i++;
+      else if (!args[i].startsWith("--")) inputs.push(resolve(args[i]));
+    }
+    if (inputs.length === 0) {
+      fail("COE.INIT.NO_ARGS", `No ${importer.label} bulk file specified`, { fix: usage });
+    }
+
+    const rawClasses = getFlag("--classes");
+    const classes = rawClasses ? rawClasses.split(",").map((c) => parseInt(c.trim(), 10)) : null;
+    if (classes && classes.some((c) => !(c >= 1 && c <= 45))) {
+      fail("COE.CORPUS.BAD_CLASS", `Invalid Nice class list: ${rawClasses}`, {
+        fix: "Use comma-separated Nice classes between 1 and 45, e.g. --classes 9,42",
+      });
+    }
+    const outputPath = resolve(getFlag("--output") || "corpus.json");
+
+    importer.run(inputs, outputPath, { liveOnly: args.includes("--live-only"), classes })
+      .then((result) => {
+        console.log(`\u2705 Imported ${result.imported} ${importer.label} mark(s) into ${result.path}`);
+        console.log(`   Parsed: ${result.parsed} | Skipped: ${result.skipped} | Added: ${result.added} | Updated: ${result.updated} | Removed: ${result.removed} | Total: ${result.total}`);
+      })
+      .catch((err) => {
+        fail(err.code || "COE.CORPUS.IMPORT_FAIL", err.message, { fix: importer.fix });
+      });
+
   } else {
     fail("COE.INIT.NO_ARGS", `Unknown corpus subcommand: ${subcommand || "(none)"}`, {
-      fix: "Usage: coe corpus init | coe corpus add --name <mark>",
+      fix: "Usage: coe corpus init | coe corpus add --name <mark> | coe corpus import-uspto|import-euipo|import-wipo <file> | coe corpus index [corpus.json]",
     });
   }
 
@@ -489,6 +1165,7 @@ if (command === "replay") {
   try {
     const result = publishRun(resolve(runDir), resolve(outDir), {
       indexPath: indexPath ? resolve(indexPath) : null,
+      historyDir: config.values.historyDir || null,
     });
     console.log(`\u{1F4E6} Published ${result.published.length} files to ${resolve(outDir)}`);
     for (const f of result.published) {
@@ -508,26 +1185,55 @@ if (command === "replay") {
 } else if (command === "check") {
   // ── Command: check ─────────────────────────────────────────────
 
-  const candidateName = args[1];
-  if (!candidateName) {
+  // Candidate names: every argument before the first flag
+  const firstFlag = args.findIndex((a, i) => i > 0 && a.startsWith("--"));
+  let candidateNames = args.slice(1, firstFlag === -1 ? args.length : firstFlag);
+  if (candidateNames.length === 0) {
     fail("COE.INIT.NO_ARGS", "No candidate name provided", {
-      fix: "Usage: coe check <name>",
+      fix: "Usage: coe check <name> [<name> ...]",
     });
   }
-
-  const channels = parseChannels(getFlag("--channels"));
-  const org = getFlag("--org");
-  const dockerNamespace = getFlag("--dockerNamespace");
-  const hfOwner = getFlag("--hfOwner");
-  const outputDir = getFlag("--output") || "reports";
-  const riskTolerance = getFlag("--risk") || "conservative";
-  const useRadar = args.includes("--radar");
-  const useSuggest = args.includes("--suggest");
-  const corpusPath = getFlag("--corpus");
-  const cacheDir = resolveCacheDir(getFlag("--cache-dir"));
-  const maxAgeHours = parseInt(getFlag("--max-age-hours") || "24", 10);
-  const fuzzyQueryMode = getFlag("--fuzzyQueryMode") || "registries";
-  const variantBudget = Math.min(parseInt(getFlag("--variantBudget") || "12", 10), 30);
+  try {
+    candidateNames = parseCandidateList(candidateNames);
+  } catch (err) {
+    fail(err.code, err.message, {
+      fix: `Give up to ${MAX_CANDIDATES} distinct names, e.g. coe check nameA nameB nameC`,
+    });
+  }
+  const candidateName = candidateNames[0];
+
+  const cfg = config.values;
+  const channels = parseChannels(cfg.channels ? cfg.channels.join(",") : null);
+  const org = cfg.org || null;
+  const dockerNamespace = cfg.dockerNamespace || null;
+  const hfOwner = cfg.hfOwner || null;
+  const goPrefix = cfg.goPrefix || null;
+  const mavenGroup = cfg.mavenGroup || null;
+  const packagistVendor = cfg.packagistVendor || null;
+  const mastodonInstance = cfg.mastodonInstance || null;
+  const tlds = parseTlds(cfg.tlds || null);
+  const rdapBootstrap = parseRdapBootstrap(cfg.rdapBootstrap || null);
+  warnMissingChannelOptions(channels, { org, dockerNamespace, hfOwner, goPrefix, mavenGroup, packagistVendor });
+  const outputDir = cfg.output || "reports";
+  const riskTolerance = cfg.risk || "conservative";
+  const riskProfiles = cfg.profiles || null;
+  const weights = cfg.weights || null;
+  const policy = loadPolicyOption(cfg.policy || null);
+  const useRadar = cfg.radar || false;
+  const useSuggest = cfg.suggest || false;
+  const suggestCount = Math.min(cfg.suggestCount ?? 5, 20);
+  const suggestBudget = Math.min(cfg.suggestBudget ?? 100, 500);
+  const corpusPath = checkCorpusOption(cfg.corpus || null);
+  const corpusIncludeDead = cfg.corpusIncludeDead || false;
+  const geographies = parseGeo(cfg.geo || null);
+  const { classes, goods } = parseGoods(cfg.classes || null, cfg.goods ?? null);
+  const cacheDir = cfg.cacheDir || null;
+  const historyDir = cfg.historyDir || null;
+  const signingKey = loadSigningKeyOption(cfg.signingKey || null);
+  const maxAgeHours = cfg.maxAgeHours ?? 24;
+  const fuzzyQueryMode = cfg.fuzzyQueryMode || "registries";
+  const variantBudget = Math.min(cfg.variantBudget ?? 12, 30);
+  const formats = cfg.formats || undefined;
 
   async function main() {
     const now = new Date().toISOString();
@@ -537,36 +1243,68 @@ if (command === "replay") {
     // Create cache if requested
     const cache = cacheDir ? createCache(resolve(cacheDir), { maxAgeHours }) : null;
 
-    const run = await runCheck(candidateName, {
+    const pipelineOpts = {
       channels,
       org,
       dockerNamespace,
       hfOwner,
+      goPrefix,
+      mavenGroup,
+      packagistVendor,
+      mastodonInstance,
+      tlds,
+      rdapBootstrap,
       riskTolerance,
+      riskProfiles,
+      weights,
+      policy,
       useRadar,
       suggest: useSuggest,
+      suggestCount,
+      suggestBudget,
       corpusPath,
+      corpusIncludeDead,
+      geographies,
+      classes,
+      goods,
       fuzzyQueryMode,
       variantBudget,
       now,
       cache,
-    });
+      config: config.record,
+    };
+    const run = candidateNames.length > 1
+      ? await runComparison(candidateNames, pipelineOpts)
+      : await runCheck(candidateName, pipelineOpts);
 
     // Write output
-    const { jsonPath, mdPath, htmlPath, summaryPath } = writeRun(run, runOutputDir);
+    const { jsonPath, mdPath, htmlPath, summaryPath, manifestPath } = writeRun(run, runOutputDir, { formats, signingKey });
+    recordHistory(historyDir, run, "check");
 
     // Print summary
     const { opinion, checks, findings, evidence } = run;
-    const tierEmoji =
-      opinion.tier === "green" ? "\u{1F7E2}" : opinion.tier === "yellow" ? "\u{1F7E1}" : "\u{1F534}";
-    console.log(`\n${tierEmoji} ${opinion.tier.toUpperCase()} — ${candidateName}\n`);
-    console.log(opinion.summary);
-    console.log(`\nScore: ${opinion.scoreBreakdown?.overallScore ?? "?"}/100`);
+    const emojiFor = (tier) =>
+      tier === "green" ? "\u{1F7E2}" : tier === "yellow" ? "\u{1F7E1}" : "\u{1F534}";
+    if (run.comparison) {
+      console.log(`\nRanking (${candidateNames.length} candidates):\n`);
+      for (const c of run.comparison.candidates) {
+        console.log(`  ${c.rank}. ${emojiFor(c.opinion.tier)} ${c.opinion.tier.toUpperCase().padEnd(6)} ${String(c.opinion.scoreBreakdown?.overallScore ?? "?").padStart(3)}/100  ${c.mark}`);
+      }
+      for (const p of run.comparison.crossSimilarity.filter((x) => x.flagged)) {
+        console.log(`  \u26A0\uFE0F  ${p.a} and ${p.b} are too similar (${p.overall.toFixed(2)})`);
+      }
+    } else {
+      console.log(`\n${emojiFor(opinion.tier)} ${opinion.tier.toUpperCase()} — ${candidateName}\n`);
+      console.log(opinion.summary);
+      console.log(`\nScore: ${opinion.scoreBreakdown?.overallScore ?? "?"}/100`);
+    }
     console.log(`Checks: ${checks.length} | Findings: ${findings.length} | Evidence: ${evidence.length}`);
     console.log(`\nOutput: ${jsonPath}`);
-    console.log(`Report: ${mdPath}`);
-    console.log(`HTML:   ${htmlPath}`);
-    console.log(`Summary: ${summaryPath}`);
+    if (mdPath) console.log(`Report: ${mdPath}`);
+    if (htmlPath) console.log(`HTML:   ${htmlPath}`);
+    if (summaryPath) console.log(`Summary: ${summaryPath}`);
+    console.log(`Manifest: ${manifestPath}${signingKey ? " (signed)" : ""}`);
+    if (historyDir) console.log(`History: ${resolve(historyDir)}`);
 
     if (cache) {
       const cacheStats = cache.stats();
@@ -578,6 +1316,11 @@ if (command === "replay") {
     const friendly = friendlyError(err);
     if (friendly) {
       fail(friendly.code, friendly.headline, { fix: friendly.fix });
+    } else if (err.code?.startsWith("COE.CORPUS.")) {
+      fail(err.code, err.message, {
+        path: err.path,
+        fix: err.code === "COE.CORPUS.INDEX_INVALID" ? `Rebuild it: coe corpus index ${corpusPath}` : "Check the --corpus file",
+      });
     } else {
       fail("COE.MAIN.FATAL", err.message, { nerd: err.stack });
     }
@@ -642,8 +1385,77 @@ if (command === "replay") {
     console.log("\nValidation failed.");
     process.exit(1);
   }
+// ── Command: serve ──────────────────────────────────────────────
+} else if (command === "serve") {
+  const cfg = config.values;
+  const port = Number(getFlag("--port") ?? 8787);
+  const host = getFlag("--host") || "127.0.0.1";
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    fail("COE.SERVER.BAD_PORT", `Invalid --port: ${getFlag("--port")}`, {
+      fix: "Use a port number between 0 and 65535, e.g. --port 8787",
+    });
+  }
+  parseRdapBootstrap(cfg.rdapBootstrap || null);
+  checkCorpusOption(cfg.corpus || null);
+  const policy = loadPolicyOption(cfg.policy || null);
+  const cache = cfg.cacheDir ? createCache(resolve(cfg.cacheDir), { maxAgeHours: cfg.maxAgeHours ?? 24 }) : null;
+
+  let server;
+  try {
+    server = createApiServer({
+      values: cfg,
+      config: config.record,
+      policy,
+      cache,
+      concurrency: cfg.concurrency ?? 4,
+      log: (line) => console.log(line),
+    });
+  } catch (err) {
+    fail(err.code || "COE.SERVER.LISTEN_FAIL", err.message, {
+      fix: "Check the channels, TLDs, geographies, classes and risk profile in your config",
+    });
+  }
+  warnMissingChannelOptions(parseChannels(cfg.channels ? cfg.channels.join(",") : null), cfg);
+
+  server.on("error", (err) => {
+    fail("COE.SERVER.LISTEN_FAIL", `Cannot listen on ${host}:${port}: ${err.message}`, {
+      fix: err.code === "EADDRINUSE" ? "Pick another --port" : "Check --host and --port",
+    });
+  });
+  server.listen(port, host, () => {
+    const { port: actualPort } = server.address();
+    console.log(`coe API listening on http://${host}:${actualPort}`);
+    console.log("  POST /check  POST /batch  GET /runs/:id  GET /runs/:id/report.html");
+  });
+// ── Command: mcp ────────────────────────────────────────────────
+} else if (command === "mcp") {
+  // stdout carries protocol messages only; everything else goes to stderr
+  const cfg = config.values;
+  parseRdapBootstrap(cfg.rdapBootstrap || null);
+  checkCorpusOption(cfg.corpus || null);
+  const policy = loadPolicyOption(cfg.policy || null);
+  const cache = cfg.cacheDir ? createCache(resolve(cfg.cacheDir), { maxAgeHours: cfg.maxAgeHours ?? 24 }) : null;
+
+  let server;
+  try {
+    server = createMcpServer({
+      values: cfg,
+      config: config.record,
+      policy,
+      cache,
+      concurrency: cfg.concurrency ?? 4,
+      version: VERSION,
+    });
+  } catch (err) {
+    fail(err.code || "COE.MCP.INTERNAL", err.message, {
+      fix: "Check the channels, TLDs, geographies, classes and risk profile in your config",
+    });
+  }
+  warnMissingChannelOptions(parseChannels(cfg.channels ? cfg.channels.join(",") : null), cfg);
+  console.error("coe MCP server ready on stdio");
+  await serveStdio(server, process.stdin, process.stdout);
 } else {
   fail("COE.INIT.NO_ARGS", `Unknown command: ${command}`, {
-    fix: "Use 'check', 'batch', 'refresh', 'corpus', 'publish', 'report', 'replay', 'doctor', or 'validate-artifacts'. Run with --help for usage.",
+    fix: "Use 'check', 'batch', 'brainstorm', 'refresh', 'watch', 'corpus', 'publish', 'report', 'diff', 'history', 'replay', 'verify', 'doctor', 'validate-artifacts', 'serve', or 'mcp'. Run with --help for usage.",
   });
 }
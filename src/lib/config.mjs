@@ -1,6 +1,86 @@
 /**
  * Configuration helpers for clearance-opinion-engine.
+ *
+ * Check and batch options are resolved from four layers, later layers
+ * overriding earlier ones key by key:
+ *
+ *   1. user     — $COE_USER_CONFIG, or ~/.config/coe/config.json
+ *                 ($XDG_CONFIG_HOME/coe/config.json when set)
+ *   2. project  — --config <path>, or coe.config.json / .coerc in the
+ *                 working directory
+ *   3. env      — COE_CHANNELS, COE_TLDS, COE_ORG, COE_RISK, ... (CONFIG_KEYS)
+ *   4. flags    — --channels, --tlds, --org, --risk, ...
+ *
+ * Config files are JSON objects with the keys of CONFIG_KEYS (see
+ * schema/config.schema.json). Relative paths in a config file are
+ * resolved against the file's directory. Custom risk profiles
+ * ("profiles") merge by name across layers; "risk" may name any of
+ * them. resolveConfig() returns the effective values plus a record of
+ * where they came from, which the pipeline stores in run.config.
+ *
+ * Throws on errors (does NOT call process.exit).
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+import { join, resolve, dirname, relative, isAbsolute } from "node:path";
+import { homedir } from "node:os";
+import { WEIGHT_PROFILES, TIER_THRESHOLDS, FINDING_DEDUCTIONS, resolveRiskProfile } from "../scoring/weights.mjs";
+
+/** Project config file names, in lookup order. */
+export const PROJECT_CONFIG_FILES = ["coe.config.json", ".coerc"];
+
+/** Output files writeRun() can produce; run.json is always written. */
+export const OUTPUT_FORMATS = ["json", "md", "html", "summary"];
+
+const WEIGHT_KEYS = ["namespaceAvailability", "coverageCompleteness", "conflictSeverity", "domainAvailability"];
+
+const PROFILE_KEYS = ["extends", "description", "weights", "deductions", "thresholds"];
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Supported config keys: value type, CLI flag and env var.
+ *
+ *   list    — array of strings, or a comma-separated string
+ *   path    — relative values in config files resolve against the file
+ *
+ * @type {Record<string, { type: string, flag?: string, env?: string, values?: string[], min?: number, path?: boolean }>}
  */
+export const CONFIG_KEYS = {
+  channels: { type: "list", flag: "--channels", env: "COE_CHANNELS" },
+  channelModules: { type: "list", path: true, flag: "--channel-module", env: "COE_CHANNEL_MODULES" },
+  tlds: { type: "list", flag: "--tlds", env: "COE_TLDS" },
+  org: { type: "string", flag: "--org", env: "COE_ORG" },
+  dockerNamespace: { type: "string", flag: "--dockerNamespace", env: "COE_DOCKER_NAMESPACE" },
+  hfOwner: { type: "string", flag: "--hfOwner", env: "COE_HF_OWNER" },
+  goPrefix: { type: "string", flag: "--goPrefix" },
+  mavenGroup: { type: "string", flag: "--mavenGroup" },
+  packagistVendor: { type: "string", flag: "--packagistVendor" },
+  mastodonInstance: { type: "string", flag: "--mastodon-instance" },
+  rdapBootstrap: { type: "string", path: true, flag: "--rdap-bootstrap" },
+  risk: { type: "string", flag: "--risk", env: "COE_RISK" },
+  profiles: { type: "profiles" },
+  weights: { type: "weights" },
+  policy: { type: "string", path: true, flag: "--policy", env: "COE_POLICY" },
+  radar: { type: "boolean", flag: "--radar" },
+  suggest: { type: "boolean", flag: "--suggest" },
+  suggestCount: { type: "integer", min: 1, flag: "--suggest-count" },
+  suggestBudget: { type: "integer", min: 0, flag: "--suggest-budget" },
+  corpus: { type: "string", path: true, flag: "--corpus", env: "COE_CORPUS" },
+  corpusIncludeDead: { type: "boolean", flag: "--corpus-include-dead" },
+  geo: { type: "list", flag: "--geo", env: "COE_GEO" },
+  classes: { type: "list", flag: "--classes" },
+  goods: { type: "string", flag: "--goods" },
+  fuzzyQueryMode: { type: "enum", values: ["off", "registries", "all"], flag: "--fuzzyQueryMode" },
+  variantBudget: { type: "integer", min: 0, flag: "--variantBudget" },
+  cacheDir: { type: "string", path: true, flag: "--cache-dir", env: "COE_CACHE_DIR" },
+  historyDir: { type: "string", path: true, flag: "--history-dir", env: "COE_HISTORY_DIR" },
+  signingKey: { type: "string", path: true, flag: "--signing-key", env: "COE_SIGNING_KEY" },
+  maxAgeHours: { type: "number", min: 0, flag: "--max-age-hours" },
+  concurrency: { type: "integer", min: 1, flag: "--concurrency" },
+  output: { type: "string", path: true, flag: "--output", env: "COE_OUTPUT" },
+  formats: { type: "list", values: OUTPUT_FORMATS, flag: "--formats", env: "COE_FORMATS" },
+};
 
 /**
  * Resolve the cache directory from CLI flag or environment variable.
@@ -11,3 +91,401 @@
 export function resolveCacheDir(flagValue) {
   return flagValue || process.env.COE_CACHE_DIR || null;
 }
+
+/**
+ * Resolve channel sources (modules or JSON configs) from CLI flag or
+ * environment variable. Both accept a comma-separated list.
+ *
+ * @param {string|null} flagValue - Value from --channel-module flag
+ * @returns {string[]} Paths to load (may be empty)
+ */
+export function resolveChannelSources(flagValue) {
+  const raw = flagValue || process.env.COE_CHANNEL_MODULES || "";
+  return raw.split(",").map((p) => p.trim()).filter(Boolean);
+}
+
+function configError(code, message, path) {
+  const err = new Error(message);
+  err.code = code;
+  if (path) err.path = path;
+  return err;
+}
+
+/** Levenshtein distance, for "did you mean" hints on unknown keys. */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+function unknownKeyMessage(key, where) {
+  const near = Object.keys(CONFIG_KEYS).find((k) => editDistance(k.toLowerCase(), key.toLowerCase()) <= 2);
+  return `Unknown config key "${key}" in ${where}${near ? ` (did you mean "${near}"?)` : ""}`;
+}
+
+/**
+ * Validate a complete set of score weights: the four factors as
+ * non-negative integers summing to 100.
+ *
+ * @throws {Error} COE.CONFIG.BAD_WEIGHTS
+ */
+function normalizeWeights(value, where, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw configError("COE.CONFIG.BAD_WEIGHTS", `Weights in ${where} must be an object with ${WEIGHT_KEYS.join(", ")}`, path);
+  }
+  const extra = Object.keys(value).find((k) => !WEIGHT_KEYS.includes(k));
+  const missing = WEIGHT_KEYS.find((k) => !(k in value));
+  if (extra || missing) {
+    throw configError(
+      "COE.CONFIG.BAD_WEIGHTS",
+      extra ? `Unknown weight "${extra}" in ${where}` : `Weight "${missing}" missing in ${where}`,
+      path
+    );
+  }
+  if (WEIGHT_KEYS.some((k) => !Number.isInteger(value[k]) || value[k] < 0)) {
+    throw configError("COE.CONFIG.BAD_WEIGHTS", `Weights in ${where} must be non-negative integers`, path);
+  }
+  const sum = WEIGHT_KEYS.reduce((s, k) => s + value[k], 0);
+  if (sum !== 100) {
+    throw configError("COE.CONFIG.BAD_WEIGHTS", `Weights in ${where} must sum to 100 (got ${sum})`, path);
+  }
+  return Object.fromEntries(WEIGHT_KEYS.map((k) => [k, value[k]]));
+}
+
+/**
+ * Validate a map of integer scores (deductions, thresholds) against its
+ * allowed keys. Every value must be an integer from 0 to 100.
+ *
+ * @throws {Error} COE.CONFIG.BAD_PROFILE
+ */
+function normalizeScoreMap(value, allowed, where, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw configError("COE.CONFIG.BAD_PROFILE", `${where} must be an object with any of ${allowed.join(", ")}`, path);
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (!allowed.includes(k)) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `Unknown key "${k}" in ${where} (expected ${allowed.join(", ")})`, path);
+    }
+    if (!Number.isInteger(v) || v < 0 || v > 100) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `"${k}" in ${where} must be an integer from 0 to 100 (got ${JSON.stringify(v)})`, path);
+    }
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Validate custom risk profile definitions.
+ *
+ * Each profile extends a built-in profile (default: conservative) and may
+ * override its weights (all four, summing to 100), per-finding deductions
+ * and tier thresholds (green above yellow once merged).
+ *
+ * @throws {Error} COE.CONFIG.BAD_PROFILE, COE.CONFIG.BAD_WEIGHTS
+ */
+function normalizeProfiles(value, where, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw configError("COE.CONFIG.BAD_PROFILE", `"profiles" in ${where} must be an object of named profiles`, path);
+  }
+  const builtins = Object.keys(WEIGHT_PROFILES);
+  const profiles = {};
+  for (const [name, def] of Object.entries(value)) {
+    const at = `profile "${name}" in ${where}`;
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `Invalid profile name "${name}" in ${where} (letters, digits, "-" and "_")`, path);
+    }
+    if (builtins.includes(name)) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `${at} redefines a built-in profile; give it a new name and "extends": "${name}"`, path);
+    }
+    if (!def || typeof def !== "object" || Array.isArray(def)) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `${at} must be an object`, path);
+    }
+    const extra = Object.keys(def).find((k) => !PROFILE_KEYS.includes(k));
+    if (extra) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `Unknown key "${extra}" in ${at} (expected ${PROFILE_KEYS.join(", ")})`, path);
+    }
+    if (def.extends !== undefined && !builtins.includes(def.extends)) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `"extends" in ${at} must be one of ${builtins.join(", ")}`, path);
+    }
+    if (def.description !== undefined && (typeof def.description !== "string" || def.description.trim() === "")) {
+      throw configError("COE.CONFIG.BAD_PROFILE", `"description" in ${at} must be a non-empty string`, path);
+    }
+
+    const profile = {};
+    if (def.extends !== undefined) profile.extends = def.extends;
+    if (def.description !== undefined) profile.description = def.description.trim();
+    if (def.weights !== undefined) profile.weights = normalizeWeights(def.weights, at, path);
+    if (def.deductions !== undefined) {
+      profile.deductions = normalizeScoreMap(def.deductions, Object.keys(FINDING_DEDUCTIONS), `"deductions" in ${at}`, path);
+    }
+    if (def.thresholds !== undefined) {
+      profile.thresholds = normalizeScoreMap(def.thresholds, Object.keys(TIER_THRESHOLDS.conservative), `"thresholds" in ${at}`, path);
+      const { green, yellow } = resolveRiskProfile(name, { [name]: profile }).thresholds;
+      if (green <= yellow) {
+        throw configError("COE.CONFIG.BAD_PROFILE", `Thresholds in ${at} must have green above yellow (got green ${green}, yellow ${yellow})`, path);
+      }
+    }
+    profiles[name] = profile;
+  }
+  return profiles;
+}
+
+/**
+ * Validate and normalize one config value.
+ *
+ * Strings from env vars and flags are coerced ("12" → 12, "true" → true).
+ *
+ * @param {string} key - A CONFIG_KEYS key
+ * @param {*} value
+ * @param {{ where: string, path?: string, fromText?: boolean }} ctx
+ * @returns {*} Normalized value (lists become arrays)
+ * @throws {Error} COE.CONFIG.BAD_VALUE, COE.CONFIG.BAD_WEIGHTS, COE.CONFIG.BAD_PROFILE
+ */
+export function normalizeConfigValue(key, value, ctx) {
+  const spec = CONFIG_KEYS[key];
+  const bad = (expected) =>
+    configError("COE.CONFIG.BAD_VALUE", `"${key}" in ${ctx.where} must be ${expected} (got ${JSON.stringify(value)})`, ctx.path);
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || value.trim() === "") throw bad("a non-empty string");
+      return value.trim();
+
+    case "enum":
+      if (!spec.values.includes(value)) throw bad(`one of ${spec.values.join(", ")}`);
+      return value;
+
+    case "boolean":
+      if (ctx.fromText && (value === "true" || value === "1")) return true;
+      if (ctx.fromText && (value === "false" || value === "0")) return false;
+      if (typeof value !== "boolean") throw bad("true or false");
+      return value;
+
+    case "integer":
+    case "number": {
+      const n = ctx.fromText && typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof n !== "number" || !Number.isFinite(n) || (spec.type === "integer" && !Number.isInteger(n)) || n < spec.min) {
+        throw bad(`${spec.type === "integer" ? "an integer" : "a number"} >= ${spec.min}`);
+      }
+      return n;
+    }
+
+    case "list": {
+      const items = typeof value === "string"
+        ? value.split(",")
+        : Array.isArray(value) && value.every((v) => typeof v === "string" || typeof v === "number")
+          ? value.map(String)
+          : null;
+      if (!items) throw bad("a list of strings or a comma-separated string");
+      const list = items.map((v) => v.trim()).filter(Boolean);
+      if (list.length === 0) throw bad("a non-empty list");
+      if (spec.values) {
+        const unknown = list.find((v) => !spec.values.includes(v));
+        if (unknown) throw bad(`a list of ${spec.values.join(", ")}`);
+      }
+      return list;
+    }
+
+    case "weights":
+      return normalizeWeights(value, ctx.where, ctx.path);
+
+    case "profiles":
+      return normalizeProfiles(value, ctx.where, ctx.path);
+
+    default:
+      throw bad("a supported value");
+  }
+}
+
+/**
+ * Read and validate a config file.
+ *
+ * @param {string} path - Absolute path
+ * @returns {object} Normalized values, with relative paths resolved against the file
+ * @throws {Error} COE.CONFIG.PARSE_FAIL, COE.CONFIG.UNKNOWN_KEY, COE.CONFIG.BAD_VALUE, COE.CONFIG.BAD_WEIGHTS
+ */
+export function loadConfigFile(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw configError("COE.CONFIG.PARSE_FAIL", `Cannot parse config file: ${err.message}`, path);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw configError("COE.CONFIG.PARSE_FAIL", "Config file must contain a JSON object", path);
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "$schema") continue;
+    if (!CONFIG_KEYS[key]) throw configError("COE.CONFIG.UNKNOWN_KEY", unknownKeyMessage(key, "config file"), path);
+
+    let normalized = normalizeConfigValue(key, value, { where: "config file", path });
+    if (CONFIG_KEYS[key].path) {
+      const base = dirname(path);
+      const toAbs = (p) => (p === "off" || isAbsolute(p) ? p : resolve(base, p));
+      normalized = Array.isArray(normalized) ? normalized.map(toAbs) : toAbs(normalized);
+    }
+    values[key] = normalized;
+  }
+  return values;
+}
+
+/**
+ * Read config values from COE_* environment variables.
+ *
+ * @param {Record<string, string|undefined>} env
+ * @returns {{ values: object, keys: string[] }} keys — env var names used
+ */
+export function configFromEnv(env) {
+  const values = {};
+  const keys = [];
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    if (!spec.env || env[spec.env] === undefined || env[spec.env] === "") continue;
+    values[key] = normalizeConfigValue(key, env[spec.env], { where: `env ${spec.env}`, fromText: true });
+    keys.push(spec.env);
+  }
+  return { values, keys };
+}
+
+/**
+ * Read config values from CLI arguments.
+ *
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{ values: object, keys: string[] }} keys — flags used
+ */
+export function configFromFlags(args) {
+  const values = {};
+  const keys = [];
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    if (!spec.flag) continue;
+    const idx = args.indexOf(spec.flag);
+    if (idx === -1) continue;
+    if (spec.type === "boolean") {
+      values[key] = true;
+    } else {
+      const raw = args[idx + 1];
+      if (!raw) continue;
+      values[key] = normalizeConfigValue(key, raw, { where: `flag ${spec.flag}`, fromText: true });
+    }
+    keys.push(spec.flag);
+  }
+  return { values, keys };
+}
+
+/**
+ * Default user config path.
+ *
+ * @param {Record<string, string|undefined>} env
+ * @param {string} home
+ * @returns {string}
+ */
+export function userConfigPath(env, home) {
+  if (env.COE_USER_CONFIG) return resolve(env.COE_USER_CONFIG);
+  return join(env.XDG_CONFIG_HOME || join(home, ".config"), "coe", "config.json");
+}
+
+/**
+ * Path for the run record: relative inside the working directory,
+ * "~/..." inside the home directory, absolute otherwise.
+ */
+function displayPath(p, cwd, home) {
+  if (typeof p !== "string" || p === "off" || !isAbsolute(p)) return p;
+  const inCwd = relative(cwd, p);
+  if (!inCwd.startsWith("..") && !isAbsolute(inCwd)) return inCwd || ".";
+  const inHome = relative(home, p);
+  if (!inHome.startsWith("..") && !isAbsolute(inHome)) return `~/${inHome}`;
+  return p;
+}
+
+/**
+ * Resolve the effective configuration from all layers.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.args] - CLI arguments (flags layer)
+ * @param {Record<string, string|undefined>} [opts.env] - Environment (default: process.env)
+ * @param {string} [opts.cwd] - Working directory for project config lookup
+ * @param {string} [opts.home] - Home directory for the user config
+ * @param {string|null} [opts.configPath] - Explicit project config (--config)
+ * @returns {{ values: object, record: { sources: object[], effective: object } }}
+ *   values — effective settings (absolute paths); record — what to store in run.config
+ * @throws {Error} COE.CONFIG.NOT_FOUND, COE.CONFIG.UNKNOWN_PROFILE and the
+ *   loadConfigFile() / normalizeConfigValue() errors
+ */
+export function resolveConfig(opts = {}) {
+  const {
+    args = [],
+    env = process.env,
+    cwd = process.cwd(),
+    home = homedir(),
+    configPath = null,
+  } = opts;
+
+  const layers = [];
+
+  const userPath = userConfigPath(env, home);
+  if (existsSync(userPath)) {
+    layers.push({ layer: "user", path: userPath, values: loadConfigFile(userPath) });
+  }
+
+  let projectPath = null;
+  if (configPath) {
+    projectPath = resolve(cwd, configPath);
+    if (!existsSync(projectPath)) {
+      throw configError("COE.CONFIG.NOT_FOUND", `Config file not found: ${projectPath}`, projectPath);
+    }
+  } else {
+    projectPath = PROJECT_CONFIG_FILES.map((f) => join(cwd, f)).find((p) => existsSync(p)) || null;
+  }
+  if (projectPath) {
+    layers.push({ layer: "project", path: projectPath, values: loadConfigFile(projectPath) });
+  }
+
+  const fromEnv = configFromEnv(env);
+  if (fromEnv.keys.length > 0) layers.push({ layer: "env", keys: fromEnv.keys, values: fromEnv.values });
+
+  const fromFlags = configFromFlags(args);
+  if (fromFlags.keys.length > 0) layers.push({ layer: "flags", keys: fromFlags.keys, values: fromFlags.values });
+
+  const values = Object.assign({}, ...layers.map((l) => l.values));
+  if (layers.some((l) => l.values.profiles)) {
+    values.profiles = Object.assign({}, ...layers.map((l) => l.values.profiles || {}));
+  }
+  if (values.risk) {
+    try {
+      resolveRiskProfile(values.risk, values.profiles);
+    } catch (err) {
+      const from = layers.findLast((l) => "risk" in l.values);
+      const setBy = { env: "env COE_RISK", flags: "flag --risk" }[from.layer] || "config file";
+      throw configError(err.code, `${err.message}, set by ${setBy}`, from.path);
+    }
+  }
+
+  const effective = {};
+  for (const key of Object.keys(CONFIG_KEYS)) {
+    if (!(key in values)) continue;
+    const v = values[key];
+    effective[key] = CONFIG_KEYS[key].path
+      ? Array.isArray(v) ? v.map((p) => displayPath(p, cwd, home)) : displayPath(v, cwd, home)
+      : v;
+  }
+
+  return {
+    values,
+    record: {
+      sources: layers.map(({ layer, path, keys }) =>
+        path ? { layer, path: displayPath(path, cwd, home) } : { layer, keys }
+      ),
+      effective,
+    },
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Geography and jurisdiction helpers for clearance-opinion-engine.
+ *
+ * Geographies describe where a candidate will be used (intake.geographies);
+ * jurisdictions describe where an imported trademark has effect. Codes are
+ * ISO 3166-1 alpha-2 countries plus the regional codes EU (EU trade mark)
+ * and WO (WIPO international registration). WIPO ST.3 office codes used by
+ * the offices themselves are mapped onto these (EM → EU).
+ */
+
+/** The default geography: everywhere. */
+export const GLOBAL_GEOGRAPHY = Object.freeze({ type: "region", code: "GLOBAL" });
+
+/** Member states covered by an EU trade mark. */
+export const EU_MEMBER_STATES = [
+  "AT", "BE", "BG", "CY", "CZ", "DE", "DK", "EE", "ES", "FI", "FR", "GR", "HR", "HU",
+  "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PL", "PT", "RO", "SE", "SI", "SK",
+];
+
+const REGION_CODES = new Set(["GLOBAL", "EU", "WO"]);
+
+const ALIASES = {
+  EM: "EU",
+  EUIPO: "EU",
+  OHIM: "EU",
+  EUTM: "EU",
+  USPTO: "US",
+  WIPO: "WO",
+  IB: "WO",
+  UK: "GB",
+  EL: "GR",
+};
+
+/**
+ * Normalize an office, country or region code.
+ *
+ * @param {string} raw - e.g. "em", "USPTO", "de"
+ * @returns {string|null} e.g. "EU", "US", "DE"; null when not a plausible code
+ */
+export function normalizeJurisdiction(raw) {
+  if (typeof raw !== "string") return null;
+  const code = raw.trim().toUpperCase();
+  if (ALIASES[code]) return ALIASES[code];
+  if (/^[A-Z]{2}$/.test(code) || REGION_CODES.has(code)) return code;
+  return null;
+}
+
+/**
+ * Parse a --geo value into intake geographies.
+ *
+ * @param {string|Array<string|{ code: string }>|null} raw - e.g. "US,EU,de", or
+ *   already-parsed geographies
+ * @returns {Array<{ type: "country"|"region", code: string }>} GLOBAL when empty
+ * @throws {Error} COE.INIT.BAD_GEO
+ */
+export function parseGeographies(raw) {
+  const parts = (Array.isArray(raw) ? raw : String(raw || "").split(","))
+    .map((p) => String(p?.code ?? p).trim())
+    .filter(Boolean);
+  if (parts.length === 0) return [{ ...GLOBAL_GEOGRAPHY }];
+
+  const result = [];
+  for (const part of parts) {
+    const code = normalizeJurisdiction(part);
+    if (!code) {
+      const err = new Error(`Invalid geography: ${part}`);
+      err.code = "COE.INIT.BAD_GEO";
+      throw err;
+    }
+    if (!result.some((g) => g.code === code)) {
+      result.push({ type: REGION_CODES.has(code) ? "region" : "country", code });
+    }
+  }
+  return result;
+}
+
+/**
+ * Expand a jurisdiction to the codes it has effect in.
+ *
+ * @param {string} code
+ * @returns {string[]}
+ */
+function expand(code) {
+  return code === "EU" ? ["EU", ...EU_MEMBER_STATES] : [code];
+}
+
+/**
+ * Whether a corpus mark has effect in any of the given geographies.
+ *
+ * Marks without jurisdiction data (hand-curated entries) and the GLOBAL
+ * geography always match. An EU trade mark matches EU member states, and
+ * a member-state geography matches EU marks. WIPO international
+ * registrations match through their designated parties.
+ *
+ * @param {{ jurisdiction?: string, designations?: string[] }} mark
+ * @param {Array<{ code: string }>|null} geographies
+ * @returns {boolean}
+ */
+export function markCoversGeographies(mark, geographies) {
+  if (!geographies || geographies.length === 0) return true;
+  if (geographies.some((g) => g.code === "GLOBAL")) return true;
+
+  const markCodes = [mark.jurisdiction, ...(mark.designations || [])].filter(Boolean);
+  if (markCodes.length === 0) return true;
+
+  const covered = new Set(markCodes.flatMap(expand));
+  return geographies.some((g) => expand(g.code).some((c) => covered.has(c)));
+}
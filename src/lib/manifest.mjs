@@ -0,0 +1,222 @@
+/**
+ * Run manifests for clearance-opinion-engine.
+ *
+ * manifest.json lists the SHA-256 and size of every artifact writeRun()
+ * wrote, plus the engine version, runId, inputsSha256 and createdAt of
+ * the run. rootSha256 is the canonical hash of all of that, so editing
+ * the file list is detected too. With a signing key the manifest carries
+ * an Ed25519 signature over rootSha256 and the signer's public key.
+ *
+ * Verification re-hashes the files on disk; it never trusts rootSha256
+ * or the embedded key on their own.
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { createHash, createPrivateKey, createPublicKey, sign, verify } from "node:crypto";
+import { hashObject, hashFile } from "./hash.mjs";
+
+export const MANIFEST_SCHEMA_VERSION = "1.0.0";
+
+function manifestError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function readKeyFile(path) {
+  const abs = resolve(path);
+  if (!existsSync(abs)) {
+    throw manifestError("COE.MANIFEST.BAD_KEY", `Key file not found: ${abs}`);
+  }
+  return readFileSync(abs, "utf8");
+}
+
+function assertEd25519(key, path) {
+  if (key.asymmetricKeyType !== "ed25519") {
+    throw manifestError("COE.MANIFEST.BAD_KEY", `Not an Ed25519 key (${key.asymmetricKeyType}): ${resolve(path)}`);
+  }
+  return key;
+}
+
+/**
+ * Load an Ed25519 private key (PEM, PKCS#8) for signing manifests.
+ *
+ * @param {string} path
+ * @returns {import("node:crypto").KeyObject}
+ * @throws {Error} COE.MANIFEST.BAD_KEY
+ */
+export function loadSigningKey(path) {
+  let key;
+  try {
+    key = createPrivateKey(readKeyFile(path));
+  } catch (err) {
+    if (err.code === "COE.MANIFEST.BAD_KEY") throw err;
+    throw manifestError("COE.MANIFEST.BAD_KEY", `Cannot read private key ${resolve(path)}: ${err.message}`);
+  }
+  return assertEd25519(key, path);
+}
+
+/**
+ * Load an Ed25519 public key (PEM). A private key file is accepted too;
+ * its public half is used.
+ *
+ * @param {string} path
+ * @returns {import("node:crypto").KeyObject}
+ * @throws {Error} COE.MANIFEST.BAD_KEY
+ */
+export function loadPublicKey(path) {
+  let key;
+  try {
+    key = createPublicKey(readKeyFile(path));
+  } catch (err) {
+    if (err.code === "COE.MANIFEST.BAD_KEY") throw err;
+    throw manifestError("COE.MANIFEST.BAD_KEY", `Cannot read public key ${resolve(path)}: ${err.message}`);
+  }
+  return assertEd25519(key, path);
+}
+
+function publicKeyDer(key) {
+  const pub = key.type === "private" ? createPublicKey(key) : key;
+  return pub.export({ type: "spki", format: "der" });
+}
+
+/**
+ * Short fingerprint of a public key: the first 16 hex chars of the
+ * SHA-256 of its SPKI encoding.
+ */
+function keyId(der) {
+  return createHash("sha256").update(der).digest("hex").slice(0, 16);
+}
+
+/**
+ * The hash that is signed: every manifest field except rootSha256 and signature.
+ */
+function rootHash(manifest) {
+  const { rootSha256, signature, ...body } = manifest;
+  return hashObject(body);
+}
+
+/**
+ * Build the manifest for a set of artifacts.
+ *
+ * @param {object} run - The run the artifacts were rendered from
+ * @param {Array<{ path: string, content: string|Buffer }>} files - Relative path and exact bytes written
+ * @param {object} [opts]
+ * @param {import("node:crypto").KeyObject|null} [opts.signingKey] - Ed25519 private key (see loadSigningKey())
+ * @returns {object} The manifest
+ */
+export function createManifest(run, files, opts = {}) {
+  const manifest = {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    engineVersion: run.run?.engineVersion ?? null,
+    runId: run.run?.runId ?? null,
+    inputsSha256: run.run?.inputsSha256 ?? null,
+    createdAt: run.run?.createdAt ?? null,
+    files: files
+      .map((f) => ({
+        path: f.path,
+        sha256: createHash("sha256").update(f.content).digest("hex"),
+        bytes: Buffer.byteLength(f.content),
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path)),
+  };
+  manifest.rootSha256 = rootHash(manifest);
+
+  if (opts.signingKey) {
+    const der = publicKeyDer(opts.signingKey);
+    manifest.signature = {
+      algorithm: "ed25519",
+      keyId: keyId(der),
+      publicKey: der.toString("base64"),
+      value: sign(null, Buffer.from(manifest.rootSha256, "utf8"), opts.signingKey).toString("base64"),
+    };
+  }
+  return manifest;
+}
+
+/**
+ * Verify a run directory against its manifest.json.
+ *
+ * Problems (tampering) are returned, not thrown: a missing or changed
+ * file, a file list that no longer matches rootSha256, a bad signature,
+ * and — when a trusted key is given — a manifest that is unsigned or
+ * signed by another key.
+ *
+ * @param {string} dir - Run directory
+ * @param {object} [opts]
+ * @param {import("node:crypto").KeyObject|null} [opts.publicKey] - Trusted signer (see loadPublicKey())
+ * @returns {Promise<{ valid: boolean, manifest: object, files: Array<{ path: string, status: string }>, signature: object, problems: Array<{ code: string, message: string, path?: string }> }>}
+ * @throws {Error} COE.MANIFEST.NOT_FOUND, COE.MANIFEST.INVALID
+ */
+export async function verifyManifest(dir, opts = {}) {
+  const absDir = resolve(dir);
+  const manifestPath = join(absDir, "manifest.json");
+  if (!existsSync(manifestPath)) {
+    throw manifestError("COE.MANIFEST.NOT_FOUND", `No manifest.json found in ${absDir}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  } catch {
+    throw manifestError("COE.MANIFEST.INVALID", `Invalid JSON in: ${manifestPath}`);
+  }
+  if (!manifest || !Array.isArray(manifest.files)) {
+    throw manifestError("COE.MANIFEST.INVALID", `Not a manifest (no files list): ${manifestPath}`);
+  }
+
+  const problems = [];
+  const files = [];
+  for (const entry of manifest.files) {
+    const filePath = resolve(absDir, entry.path);
+    if (!filePath.startsWith(absDir + "/") && !filePath.startsWith(absDir + "\\")) {
+      problems.push({ code: "COE.MANIFEST.INVALID", path: entry.path, message: `Manifest entry points outside the run directory: ${entry.path}` });
+      files.push({ path: entry.path, status: "invalid" });
+      continue;
+    }
+    if (!existsSync(filePath)) {
+      problems.push({ code: "COE.MANIFEST.MISSING_FILE", path: entry.path, message: `File missing: ${entry.path}` });
+      files.push({ path: entry.path, status: "missing" });
+      continue;
+    }
+    const actual = await hashFile(filePath);
+    if (actual !== entry.sha256) {
+      problems.push({ code: "COE.MANIFEST.HASH_MISMATCH", path: entry.path, message: `File ${entry.path} has changed since the manifest was written` });
+      files.push({ path: entry.path, status: "changed" });
+    } else {
+      files.push({ path: entry.path, status: "ok" });
+    }
+  }
+
+  const rootOk = manifest.rootSha256 === rootHash(manifest);
+  if (!rootOk) {
+    problems.push({ code: "COE.MANIFEST.ROOT_MISMATCH", message: "manifest.json was edited: its contents no longer match rootSha256" });
+  }
+
+  const signature = { signed: false, valid: null, keyId: null, trusted: null };
+  const sig = manifest.signature;
+  if (sig) {
+    signature.signed = true;
+    signature.keyId = sig.keyId ?? null;
+    try {
+      const der = Buffer.from(sig.publicKey, "base64");
+      const embedded = createPublicKey({ key: der, format: "der", type: "spki" });
+      signature.keyId = keyId(der);
+      signature.valid = sig.algorithm === "ed25519" &&
+        verify(null, Buffer.from(String(manifest.rootSha256), "utf8"), embedded, Buffer.from(sig.value, "base64"));
+      if (opts.publicKey) signature.trusted = publicKeyDer(opts.publicKey).equals(der);
+    } catch {
+      signature.valid = false;
+    }
+    if (!signature.valid) {
+      problems.push({ code: "COE.MANIFEST.BAD_SIGNATURE", message: `The manifest signature does not verify (key ${signature.keyId || "unknown"})` });
+    } else if (signature.trusted === false) {
+      problems.push({ code: "COE.MANIFEST.UNTRUSTED_KEY", message: `The manifest is signed by key ${signature.keyId}, not the trusted key ${keyId(publicKeyDer(opts.publicKey))}` });
+    }
+  } else if (opts.publicKey) {
+    problems.push({ code: "COE.MANIFEST.UNSIGNED", message: "The manifest is not signed, but a trusted key was given" });
+  }
+
+  return { valid: problems.length === 0, manifest, files, signature, problems };
+}
@@ -0,0 +1,440 @@
+/**
+ * Model Context Protocol server (coe mcp).
+ *
+ * Speaks JSON-RPC 2.0 over stdio, one message per line, and exposes the
+ * engine as MCP tools:
+ *
+ *   check_name            { name } or { names: [...] } plus options → summary JSON
+ *   batch_check           { names: [...] } plus options → { stats, results: [summary], errors }
+ *   suggest_alternatives  { name, recheck? } plus options → { alternatives, search } as for --suggest
+ *   compare_marks         { a, b } → comparePair() looks/sounds similarity
+ *   explain_run           { runId } or { path } → Markdown report (renderRunMd)
+ *
+ * Tool results carry the structured object in structuredContent and the
+ * same object as JSON text, so the output is as deterministic as the run.
+ * Options are the REQUEST_OPTION_KEYS of coe serve; everything else comes
+ * from the server's config. Runs are kept in memory (most recent maxRuns)
+ * for explain_run.
+ *
+ * Tool failures are answered as results with isError: true; protocol
+ * errors as JSON-RPC errors. Never writes anything but protocol messages to
+ * the output stream and never calls process.exit.
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { runCheck, runComparison } from "./pipeline.mjs";
+import { runBatch } from "./batch/runner.mjs";
+import { createPool } from "./lib/concurrency.mjs";
+import { CONFIG_KEYS } from "./lib/config.mjs";
+import { parseCandidateList } from "./scoring/comparison.mjs";
+import { comparePair } from "./scoring/similarity.mjs";
+import { findSaferAlternatives } from "./scoring/alternatives.mjs";
+import { renderSummaryJson } from "./renderers/packet.mjs";
+import { renderRunMd } from "./renderers/report.mjs";
+import { REQUEST_OPTION_KEYS, SINGLE_NAME_OPTION_KEYS, MAX_BATCH_NAMES, requestOptions, runOptionsFromConfig } from "./server.mjs";
+
+/** MCP protocol revisions this server speaks, newest first. */
+export const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const MAX_NAME_LENGTH = 200;
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+function mcpError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** JSON Schema for one config option, from its CONFIG_KEYS spec. */
+function optionSchema(key) {
+  const spec = CONFIG_KEYS[key];
+  const description = spec.flag ? `Same as ${spec.flag}` : undefined;
+  switch (spec.type) {
+    case "list":
+      return { type: ["array", "string"], items: { type: "string" }, description: `${description} (list or comma-separated string)` };
+    case "enum":
+      return { type: "string", enum: spec.values, description };
+    case "integer":
+    case "number":
+      return { type: spec.type, minimum: spec.min, description };
+    default:
+      return { type: spec.type, description };
+  }
+}
+
+const OPTION_PROPERTIES = Object.fromEntries(REQUEST_OPTION_KEYS.map((key) => [key, optionSchema(key)]));
+const BATCH_OPTION_PROPERTIES = Object.fromEntries(
+  Object.entries(OPTION_PROPERTIES).filter(([key]) => !SINGLE_NAME_OPTION_KEYS.includes(key))
+);
+
+/** Tool definitions as returned by tools/list. */
+export const MCP_TOOLS = [
+  {
+    name: "check_name",
+    title: "Check a name",
+    description:
+      "Check a candidate name across package registries, domains and code hosts and return the clearance opinion summary " +
+      "(tier, score, namespace statuses, findings, next actions). Give several names to rank them in one comparative run.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Candidate name" },
+        names: { type: "array", items: { type: "string" }, description: "Two or more candidate names to compare" },
+        ...OPTION_PROPERTIES,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "batch_check",
+    title: "Check many names",
+    description: "Check each name separately and return one opinion summary per name, plus per-name errors.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        names: { type: "array", items: { type: "string" }, minItems: 1, maxItems: MAX_BATCH_NAMES, description: "Candidate names" },
+        ...BATCH_OPTION_PROPERTIES,
+      },
+      required: ["names"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "suggest_alternatives",
+    title: "Suggest safer alternatives",
+    description:
+      "Check a candidate, then search for alternative names that come back green against the configured channels (as --suggest does). With recheck false, list unchecked alternatives without network access.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Candidate name" },
+        recheck: { type: "boolean", description: "Check the candidate and each alternative (default: true)" },
+        ...OPTION_PROPERTIES,
+      },
+      required: ["name"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "compare_marks",
+    title: "Compare two marks",
+    description: "Score how alike two marks look and sound (0-1), with the reasons. No network access.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        a: { type: "string", description: "Candidate mark" },
+        b: { type: "string", description: "Known mark" },
+      },
+      required: ["a", "b"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "explain_run",
+    title: "Explain a run",
+    description: "Render a run as the Markdown clearance report. Give the runId of a check made in this session, or the path of a run.json file.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        runId: { type: "string", description: "Run id returned by check_name or batch_check" },
+        path: { type: "string", description: "Path to a run.json written by coe check" },
+      },
+      additionalProperties: false,
+    },
+  },
+];
+
+function requireString(value, label) {
+  if (typeof value !== "string" || value.trim() === "" || value.length > MAX_NAME_LENGTH) {
+    throw mcpError("COE.MCP.BAD_ARGS", `"${label}" must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+function requireNames(names, max) {
+  if (!Array.isArray(names) || names.length === 0) {
+    throw mcpError("COE.MCP.BAD_ARGS", '"names" must be a non-empty array of strings');
+  }
+  if (names.length > max) throw mcpError("COE.MCP.BAD_ARGS", `Too many names: ${names.length} (max ${max})`);
+  return names.map((name, i) => requireString(name, `names[${i}]`));
+}
+
+function rejectUnknown(args, allowed) {
+  const extra = Object.keys(args).find((k) => !allowed.includes(k));
+  if (extra) throw mcpError("COE.MCP.BAD_ARGS", `Unsupported argument "${extra}" (expected ${allowed.join(", ")})`);
+}
+
+/** A successful tools/call result. */
+function toolResult(structured, text = JSON.stringify(structured, null, 2)) {
+  return { content: [{ type: "text", text }], structuredContent: structured };
+}
+
+/** A failed tools/call result: the assistant sees the code and message. */
+function toolError(err) {
+  const code = err.code?.startsWith?.("COE.") ? err.code : "COE.MCP.INTERNAL";
+  return {
+    content: [{ type: "text", text: `[${code}] ${err.message}` }],
+    structuredContent: { error: { code, message: err.message } },
+    isError: true,
+  };
+}
+
+/**
+ * Create an MCP server. handleMessage() answers one parsed JSON-RPC
+ * message; serveStdio() wires it to a line-delimited stream pair.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.values] - Server-wide config values (resolveConfig().values)
+ * @param {object} [opts.config] - Config record stored in run.config
+ * @param {object} [opts.policy] - Opinion policy from loadPolicy()
+ * @param {object} [opts.cache] - Shared createCache() instance
+ * @param {number} [opts.concurrency] - Max simultaneous checks across all tool calls (default: 4)
+ * @param {number} [opts.maxRuns] - Runs kept for explain_run (default: 200)
+ * @param {string} [opts.version] - Version reported in serverInfo
+ * @param {Function} [opts.fetchFn] - Injectable fetch function
+ * @returns {{ handleMessage: (msg: object, notify?: Function) => Promise<object|null>, tools: object[] }}
+ * @throws {Error} runOptionsFromConfig() errors for invalid server-wide values
+ */
+export function createMcpServer(opts = {}) {
+  const {
+    values = {},
+    config = null,
+    policy = null,
+    cache = null,
+    concurrency = 4,
+    maxRuns = 200,
+    version = "0.0.0",
+    fetchFn = globalThis.fetch,
+  } = opts;
+
+  // Fail at startup, not on the first tool call, when server-wide values are bad
+  runOptionsFromConfig(values);
+
+  const pool = createPool(concurrency);
+  const runs = new Map();
+
+  function storeRun(run) {
+    const id = run.run.runId;
+    runs.delete(id);
+    runs.set(id, run);
+    while (runs.size > maxRuns) runs.delete(runs.keys().next().value);
+  }
+
+  /** Merge tool options over the server's values and record them in run.config. */
+  function optionsFor(args, reserved, batch = false) {
+    const requestValues = requestOptions(args, reserved, { where: "tool arguments", code: "COE.MCP.BAD_ARGS", batch });
+    const keys = Object.keys(requestValues);
+    const record = config && keys.length > 0
+      ? { sources: [...config.sources, { layer: "request", keys }], effective: { ...config.effective, ...requestValues } }
+      : config;
+    return {
+      ...runOptionsFromConfig({ ...values, ...requestValues }),
+      policy,
+      cache,
+      fetchFn,
+      ...(record ? { config: record } : {}),
+    };
+  }
+
+  const tools = {
+    async check_name(args) {
+      let names;
+      if (args.names !== undefined) {
+        names = requireNames(args.names, Infinity);
+      } else if (args.name !== undefined) {
+        names = [requireString(args.name, "name")];
+      } else {
+        throw mcpError("COE.MCP.BAD_ARGS", 'Give "name" (a string) or "names" (an array of strings)');
+      }
+      names = parseCandidateList(names);
+      const runOpts = optionsFor(args, ["name", "names"]);
+      const run = await pool.run(() => (names.length > 1 ? runComparison(names, runOpts) : runCheck(names[0], runOpts)));
+      storeRun(run);
+      return toolResult(renderSummaryJson(run));
+    },
+
+    async batch_check(args, progress) {
+      const names = requireNames(args.names, MAX_BATCH_NAMES);
+      const runOpts = optionsFor(args, ["names"], true);
+      const batch = await runBatch(names, {
+        ...runOpts,
+        pool,
+        onProgress: ({ name, completed, total, run }) => {
+          if (run) storeRun(run);
+          progress?.(completed, total, name);
+        },
+      });
+      return toolResult({
+        stats: batch.stats,
+        results: batch.results.map((r) => renderSummaryJson(r.run)),
+        errors: batch.errors.map((e) => ({ name: e.name, code: e.code, message: e.error })),
+      });
+    },
+
+    async suggest_alternatives(args) {
+      const name = requireString(args.name, "name");
+      if (args.recheck !== undefined && typeof args.recheck !== "boolean") {
+        throw mcpError("COE.MCP.BAD_ARGS", '"recheck" must be true or false');
+      }
+      const runOpts = optionsFor(args, ["name", "recheck"]);
+      if (args.recheck === false) {
+        // Budget 0: the unchecked names findSaferAlternatives() would try first
+        const { alternatives } = await findSaferAlternatives(name, null, { count: runOpts.suggestCount, budget: 0 });
+        return toolResult({ candidate: name, alternatives });
+      }
+      // The same search as --suggest: the candidate's own check supplies the
+      // conflict set, and suggestCount / suggestBudget apply
+      const run = await pool.run(() => runCheck(name, { ...runOpts, suggest: true }));
+      storeRun(run);
+      return toolResult({
+        candidate: name,
+        runId: run.run.runId,
+        tier: run.opinion.tier,
+        alternatives: run.opinion.saferAlternatives,
+        search: run.opinion.alternativeSearch,
+      });
+    },
+
+    async compare_marks(args) {
+      rejectUnknown(args, ["a", "b"]);
+      return toolResult(comparePair(requireString(args.a, "a"), requireString(args.b, "b")));
+    },
+
+    async explain_run(args) {
+      rejectUnknown(args, ["runId", "path"]);
+      let run;
+      if (typeof args.runId === "string") {
+        run = runs.get(args.runId);
+        if (!run) throw mcpError("COE.MCP.RUN_NOT_FOUND", `No run with id "${args.runId}" in this session (most recent ${maxRuns} are kept)`);
+      } else if (typeof args.path === "string") {
+        if (!existsSync(args.path)) throw mcpError("COE.MCP.RUN_NOT_FOUND", `Run file not found: ${args.path}`);
+        try {
+          run = JSON.parse(readFileSync(args.path, "utf8"));
+        } catch (err) {
+          throw mcpError("COE.MCP.BAD_RUN", `Cannot parse run file: ${err.message}`);
+        }
+        if (!run?.run?.runId || !run.opinion) throw mcpError("COE.MCP.BAD_RUN", `Not a run.json (no run.runId or opinion): ${args.path}`);
+      } else {
+        throw mcpError("COE.MCP.BAD_ARGS", 'Give "runId" (a string) or "path" (a string)');
+      }
+      const markdown = renderRunMd(run);
+      return toolResult({ runId: run.run.runId, tier: run.opinion.tier, markdown }, markdown);
+    },
+  };
+
+  async function callTool(params, notify) {
+    const tool = tools[params?.name];
+    if (!tool) throw rpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+    const args = params.arguments ?? {};
+    if (!args || typeof args !== "object" || Array.isArray(args)) {
+      throw rpcError(INVALID_PARAMS, "Tool arguments must be an object");
+    }
+    const token = params._meta?.progressToken;
+    const progress = token !== undefined && notify
+      ? (done, total, message) => notify("notifications/progress", { progressToken: token, progress: done, total, message })
+      : null;
+    try {
+      return await tool(args, progress);
+    } catch (err) {
+      return toolError(err);
+    }
+  }
+
+  /**
+   * Answer one JSON-RPC message.
+   *
+   * @param {object} msg - Parsed message
+   * @param {Function} [notify] - (method, params) => void, for progress notifications
+   * @returns {Promise<object|null>} The response, or null for notifications
+   */
+  async function handleMessage(msg, notify) {
+    if (!msg || typeof msg !== "object" || Array.isArray(msg) || msg.jsonrpc !== "2.0" || typeof msg.method !== "string") {
+      return rpcResponse(msg?.id ?? null, null, rpcError(INVALID_REQUEST, "Expected a JSON-RPC 2.0 request object"));
+    }
+    const isNotification = msg.id === undefined;
+    let result;
+    let error = null;
+    try {
+      switch (msg.method) {
+        case "initialize": {
+          const requested = msg.params?.protocolVersion;
+          result = {
+            protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+            capabilities: { tools: {} },
+            serverInfo: { name: "clearance-opinion-engine", version },
+          };
+          break;
+        }
+        case "ping":
+          result = {};
+          break;
+        case "tools/list":
+          result = { tools: MCP_TOOLS };
+          break;
+        case "tools/call":
+          result = await callTool(msg.params, notify);
+          break;
+        default:
+          if (msg.method.startsWith("notifications/")) return null;
+          throw rpcError(METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+      }
+    } catch (err) {
+      error = err.rpcCode ? err : rpcError(INTERNAL_ERROR, err.message);
+    }
+    return isNotification ? null : rpcResponse(msg.id, result, error);
+  }
+
+  return { handleMessage, tools: MCP_TOOLS };
+}
+
+function rpcError(rpcCode, message) {
+  const err = new Error(message);
+  err.rpcCode = rpcCode;
+  return err;
+}
+
+function rpcResponse(id, result, error) {
+  return error
+    ? { jsonrpc: "2.0", id, error: { code: error.rpcCode, message: error.message } }
+    : { jsonrpc: "2.0", id, result };
+}
+
+/**
+ * Serve an MCP server over a line-delimited stream pair (stdin/stdout).
+ * Requests are answered as they finish, so a ping is not held up by a
+ * long batch_check.
+ *
+ * @param {{ handleMessage: Function }} server - From createMcpServer()
+ * @param {import("node:stream").Readable} input
+ * @param {import("node:stream").Writable} output
+ * @returns {Promise<void>} Resolves when input ends and all requests are answered
+ */
+export async function serveStdio(server, input, output) {
+  const write = (msg) => output.write(JSON.stringify(msg) + "\n");
+  const notify = (method, params) => write({ jsonrpc: "2.0", method, params });
+  const inFlight = new Set();
+
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    if (line.trim() === "") continue;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch (err) {
+      write(rpcResponse(null, null, rpcError(PARSE_ERROR, `Parse error: ${err.message}`)));
+      continue;
+    }
+    const task = server.handleMessage(msg, notify).then((response) => {
+      if (response) write(response);
+    });
+    inFlight.add(task);
+    task.then(() => inFlight.delete(task), () => inFlight.delete(task));
+  }
+  await Promise.all(inFlight);
+}
@@ -5,27 +5,32 @@
  * other commands can invoke the pipeline programmatically.
  *
  * runCheck() returns a complete run object WITHOUT writing to disk.
+ * runComparison() runs it per candidate and combines the results into
+ * one comparative run.
+ *
+ * Throws on errors (does NOT call process.exit).
  */
 
 import { resolve } from "node:path";
 import { existsSync, readFileSync } from "node:fs";
 import { hashObject } from "./lib/hash.mjs";
+import { evidenceId } from "./lib/ids.mjs";
 import { retryFetch } from "./lib/retry.mjs";
-import { createGitHubAdapter } from "./adapters/github.mjs";
-import { createNpmAdapter } from "./adapters/npm.mjs";
-import { createPyPIAdapter } from "./adapters/pypi.mjs";
-import { createDomainAdapter } from "./adapters/domain.mjs";
 import { createCollisionRadarAdapter } from "./adapters/collision-radar.mjs";
-import { createCratesIoAdapter } from "./adapters/cratesio.mjs";
-import { createDockerHubAdapter } from "./adapters/dockerhub.mjs";
-import { createHuggingFaceAdapter } from "./adapters/huggingface.mjs";
+import { resolveChannels, getChannel, defaultChannels } from "./channels/registry.mjs";
+import { parseTlds } from "./adapters/domain.mjs";
 import { loadCorpus, compareAgainstCorpus } from "./adapters/corpus.mjs";
+import { loadCorpusIndex } from "./corpus/search-index.mjs";
+import { parseGeographies } from "./lib/geo.mjs";
+import { parseClassList, classesFromGoods } from "./scoring/nice-classes.mjs";
 import { createCache } from "./lib/cache.mjs";
 import { generateAllVariants, selectTopN } from "./variants/index.mjs";
 import { scoreOpinion, classifyFindings } from "./scoring/opinion.mjs";
-import { generateAlternatives, recheckAlternatives } from "./scoring/alternatives.mjs";
+import { findSaferAlternatives } from "./scoring/alternatives.mjs";
+import { buildComparison } from "./scoring/comparison.mjs";
+import { resolveRiskProfile } from "./scoring/weights.mjs";
 import { redactAllEvidence } from "./lib/redact.mjs";
-import { fail } from "./lib/errors.mjs";
+import { warn } from "./lib/errors.mjs";
 
 const VERSION = "0.9.0";
 
@@ -68,39 +73,82 @@ export async function withCache(cache, adapter, version, query, fetchFn) {
  * @param {string} [opts.org] - GitHub org name
  * @param {string} [opts.dockerNamespace] - Docker Hub namespace
  * @param {string} [opts.hfOwner] - Hugging Face owner
- * @param {string} [opts.riskTolerance] - Risk level
+ * @param {string} [opts.goPrefix] - Vanity Go module prefix (e.g. "go.acme.dev")
+ * @param {string} [opts.mavenGroup] - Maven groupId (e.g. "com.acme")
+ * @param {string} [opts.packagistVendor] - Packagist vendor (defaults to org)
+ * @param {string} [opts.mastodonInstance] - Mastodon instance host (default: mastodon.social)
+ * @param {string|string[]} [opts.tlds] - Domain TLDs, presets or list (default: .com, .dev)
+ * @param {string} [opts.rdapBootstrap] - Local IANA dns.json path, or "off" for rdap.org only
+ * @param {string} [opts.riskTolerance] - Risk level: a built-in profile or a key of opts.riskProfiles
+ * @param {object} [opts.riskProfiles] - Custom risk profile definitions (config "profiles")
+ * @param {object} [opts.weights] - Score weights overriding the risk profile's (config "weights")
+ * @param {object} [opts.policy] - Opinion policy from loadPolicy(), stored in run.policy (default: policies/default.json)
  * @param {boolean} [opts.useRadar] - Enable collision radar
- * @param {boolean} [opts.suggest] - Generate safer alternatives (and optionally recheck)
+ * @param {boolean} [opts.suggest] - Search for safer alternatives and check each one
+ * @param {number} [opts.suggestCount] - Clean (green-tier) alternatives to search for (default: 5)
+ * @param {number} [opts.suggestBudget] - Registry requests the alternative search may spend (default: 100)
  * @param {string} [opts.corpusPath] - Path to corpus file
+ * @param {object} [opts.loadedCorpus] - { corpus, indexed } already read from corpusPath (takes precedence over reading it)
+ * @param {boolean} [opts.corpusIncludeDead] - Compare against dead (abandoned/cancelled) corpus marks too
+ * @param {string|string[]} [opts.geographies] - Where the name will be used, e.g. "US,EU" (default: GLOBAL)
+ * @param {string|number[]} [opts.classes] - Nice classes of the candidate's goods/services, e.g. "9,42"
+ * @param {string} [opts.goods] - Goods/services description; mapped to Nice classes via keywords
  * @param {string} [opts.fuzzyQueryMode] - Fuzzy query mode
+ * @param {boolean} [opts.registryEquivalents] - Query the spellings each registry treats as the name (default: true)
  * @param {number} [opts.variantBudget] - Max fuzzy variants to query
  * @param {Function} [opts.fetchFn] - Injectable fetch function
  * @param {string} [opts.now] - Injectable ISO timestamp
  * @param {object} [opts.cache] - Pre-created cache instance (or null)
  * @param {string} [opts.engineVersion] - Override engine version (for testing)
+ * @param {object} [opts.config] - Effective config record from resolveConfig(), stored in run.config
  * @returns {object} Complete run object
+ * @throws {Error} COE.CORPUS.NOT_FOUND, COE.CORPUS.INVALID, COE.CORPUS.INDEX_INVALID for a bad corpus
  */
 export async function runCheck(candidateName, opts = {}) {
   const {
-    channels = ["github", "npm", "pypi", "domain"],
+    channels = defaultChannels(),
     org = null,
     dockerNamespace = null,
     hfOwner = null,
+    goPrefix = null,
+    mavenGroup = null,
+    packagistVendor = null,
+    mastodonInstance = null,
+    tlds = null,
+    rdapBootstrap = null,
     riskTolerance = "conservative",
+    riskProfiles = null,
+    weights = null,
+    policy = null,
     useRadar = false,
     suggest = false,
+    suggestCount = 5,
+    suggestBudget = 100,
     corpusPath = null,
+    loadedCorpus = null,
+    corpusIncludeDead = false,
+    geographies = null,
+    classes = null,
+    goods = null,
     fuzzyQueryMode = "registries",
+    registryEquivalents = true,
     variantBudget = 12,
     fetchFn = globalThis.fetch,
     now = new Date().toISOString(),
     cache = null,
     engineVersion = VERSION,
     costTracker = null,
+    config = null,
   } = opts;
 
   const dateStr = now.slice(0, 10);
 
+  // Custom profiles and weight overrides are resolved here and embedded in
+  // run.riskProfile; built-in profiles are implied by intake.riskTolerance
+  const riskProfile = riskProfiles?.[riskTolerance] || weights
+    ? { ...resolveRiskProfile(riskTolerance, riskProfiles || {}), ...(weights ? { weights } : {}) }
+    : null;
+
   // Create retry-wrapped fetch
   const fetchWithRetry = retryFetch(fetchFn, {
     maxRetries: 2,
@@ -120,20 +168,13 @@ export async function runCheck(candidateName, opts = {}) {
   // 1. Build intake
   const intake = {
     candidates: [{ mark: candidateName, style: "word" }],
-    goodsServices: "Software tool / package",
-    geographies: [{ type: "region", code: "GLOBAL" }],
-    channels: channels.map((c) => {
-      if (c === "github") return "open-source";
-      if (c === "npm") return "open-source";
-      if (c === "pypi") return "open-source";
-      if (c === "cratesio") return "open-source";
-      if (c === "dockerhub") return "saas";
-      if (c === "huggingface") return "saas";
-      if (c === "domain") return "other";
-      return "other";
-    }),
-    riskTolerance,
+    goodsServices: goods || "Software tool / package",
+    geographies: parseGeographies(geographies),
+    channels: channels.map((c) => getChannel(c)?.intakeChannel || "other"),
+    riskTolerance: riskProfile ? riskProfile.base : riskTolerance,
   };
+  const niceClasses = [...new Set([...parseClassList(classes), ...classesFromGoods(goods)])].sort((a, b) => a - b);
+  if (niceClasses.length > 0) intake.niceClassesHint = niceClasses;
 
   // 2. Generate variants
   const variants = generateAllVariants([candidateName], { now });
@@ -142,88 +183,48 @@ export async function runCheck(candidateName, opts = {}) {
   const allChecks = [];
   const allEvidence = [];
 
-  if (channels.includes("github")) {
-    const gh = createGitHubAdapter(fetchWithRetry);
+  const channelCtx = {
+    org,
+    dockerNamespace,
+    hfOwner,
+    goPrefix,
+    mavenGroup,
+    packagistVendor,
+    mastodonInstance,
+    tlds: tlds ? parseTlds(tlds) : undefined,
+    rdapBootstrap,
+    cache,
+  };
+  const adapters = new Map();
+
+  for (const channel of resolveChannels(channels)) {
+    const adapter = channel.create(fetchWithRetry, channelCtx);
+    adapters.set(channel.id, adapter);
 
-    if (org) {
-      const result = await trackedWithCache(cache, "github.org", engineVersion, { org }, async () => {
-        return gh.checkOrg(org, { now });
+    for (const step of channel.plan(adapter, candidateName, channelCtx)) {
+      const result = await trackedWithCache(cache, step.cacheAdapter, engineVersion, step.query, async () => {
+        return step.run({ now });
       });
       allChecks.push(result.check);
       allEvidence.push(result.evidence);
     }
 
-    const repoOwner = org || candidateName;
-    const result = await trackedWithCache(cache, "github.repo", engineVersion, { owner: repoOwner, repo: candidateName }, async () => {
-      return gh.checkRepo(repoOwner, candidateName, { now });
-    });
-    allChecks.push(result.check);
-    allEvidence.push(result.evidence);
-  }
-
-  if (channels.includes("npm")) {
-    const npm = createNpmAdapter(fetchWithRetry);
-    const result = await trackedWithCache(cache, "npm", engineVersion, { name: candidateName }, async () => {
-      return npm.checkPackage(candidateName, { now });
-    });
-    allChecks.push(result.check);
-    allEvidence.push(result.evidence);
-  }
-
-  if (channels.includes("pypi")) {
-    const pypi = createPyPIAdapter(fetchWithRetry);
-    const result = await trackedWithCache(cache, "pypi", engineVersion, { name: candidateName }, async () => {
-      return pypi.checkPackage(candidateName, { now });
-    });
-    allChecks.push(result.check);
-    allEvidence.push(result.evidence);
-  }
-
-  if (channels.includes("domain")) {
-    const domain = createDomainAdapter(fetchWithRetry);
-    for (const tld of domain.tlds) {
-      const result = await trackedWithCache(cache, "domain", engineVersion, { name: candidateName, tld }, async () => {
-        return domain.checkDomain(candidateName, tld, { now });
+    // Spellings the registry treats as the same name (PEP 503, npm moniker,
+    // crates.io -/_). Unlike fuzzy variants they decide whether the literal
+    // name can be published, so fuzzyQueryMode does not switch them off
+    const equivalents = registryEquivalents && channel.equivalents
+      ? channel.equivalents(adapter, candidateName, channelCtx)
+      : [];
+    for (const step of equivalents) {
+      const result = await trackedWithCache(cache, step.cacheAdapter, engineVersion, step.query, async () => {
+        return step.run({ now });
       });
+      tagEquivalent(result, candidateName, step.rule, allChecks);
       allChecks.push(result.check);
       allEvidence.push(result.evidence);
     }
   }
 
-  // 3a. New ecosystem adapters
-  if (channels.includes("cratesio")) {
-    const crates = createCratesIoAdapter(fetchWithRetry);
-    const result = await trackedWithCache(cache, "cratesio", engineVersion, { name: candidateName }, async () => {
-      return crates.checkCrate(candidateName, { now });
-    });
-    allChecks.push(result.check);
-    allEvidence.push(result.evidence);
-  }
-
-  if (channels.includes("dockerhub")) {
-    const docker = createDockerHubAdapter(fetchWithRetry);
-    const result = await trackedWithCache(cache, "dockerhub", engineVersion, { namespace: dockerNamespace, name: candidateName }, async () => {
-      return docker.checkRepo(dockerNamespace, candidateName, { now });
-    });
-    allChecks.push(result.check);
-    allEvidence.push(result.evidence);
-  }
-
-  if (channels.includes("huggingface")) {
-    const hf = createHuggingFaceAdapter(fetchWithRetry);
-    const modelResult = await trackedWithCache(cache, "huggingface.model", engineVersion, { owner: hfOwner, name: candidateName }, async () => {
-      return hf.checkModel(hfOwner, candidateName, { now });
-    });
-    allChecks.push(modelResult.check);
-    allEvidence.push(modelResult.evidence);
-
-    const spaceResult = await trackedWithCache(cache, "huggingface.space", engineVersion, { owner: hfOwner, name: candidateName }, async () => {
-      return hf.checkSpace(hfOwner, candidateName, { now });
-    });
-    allChecks.push(spaceResult.check);
-    allEvidence.push(spaceResult.evidence);
-  }
-
   // 3b. Collision radar (indicative market-usage signals)
   if (useRadar) {
     const radar = createCollisionRadarAdapter(fetchWithRetry, {
@@ -241,24 +242,13 @@ export async function runCheck(candidateName, opts = {}) {
     const fuzzyList = variants.items?.[0]?.fuzzyVariants || [];
     const variantCandidates = selectTopN(fuzzyList, variantBudget);
 
-    const registryAdapters = [];
-    if (channels.includes("npm")) {
-      const npm = createNpmAdapter(fetchWithRetry);
-      registryAdapters.push(["npm", (name, o) => npm.checkPackage(name, o)]);
-    }
-    if (channels.includes("pypi")) {
-      const pypi = createPyPIAdapter(fetchWithRetry);
-      registryAdapters.push(["pypi", (name, o) => pypi.checkPackage(name, o)]);
-    }
-    if (channels.includes("cratesio")) {
-      const crates = createCratesIoAdapter(fetchWithRetry);
-      registryAdapters.push(["cratesio", (name, o) => crates.checkCrate(name, o)]);
-    }
+    const fuzzyChannels = resolveChannels(channels).filter((channel) => channel.fuzzy);
 
     for (const variant of variantCandidates) {
-      for (const [adapterName, checkFn] of registryAdapters) {
-        const result = await trackedWithCache(cache, `fuzzy.${adapterName}`, engineVersion, { name: variant }, async () => {
-          return checkFn(variant, { now });
+      for (const channel of fuzzyChannels) {
+        const step = channel.fuzzy(adapters.get(channel.id), variant, channelCtx);
+        const result = await trackedWithCache(cache, `fuzzy.${channel.id}`, engineVersion, step.query, async () => {
+          return step.run({ now });
         });
         result.check.query.isVariant = true;
         result.check.query.originalCandidate = candidateName;
@@ -272,31 +262,80 @@ export async function runCheck(candidateName, opts = {}) {
   const findings = classifyFindings(allChecks, variants);
 
   // 4b. Corpus comparison (user-provided known marks)
-  if (corpusPath) {
-    const absCorpusPath = resolve(corpusPath);
-    if (!existsSync(absCorpusPath)) {
-      fail("COE.CORPUS.NOT_FOUND", `Corpus file not found: ${absCorpusPath}`, {
-        fix: "Check the --corpus file path",
-      });
+  let corpusIndex = null;
+  const corpusMarks = [];
+  const corpusData = loadedCorpus || (corpusPath ? readCorpus(corpusPath) : null);
+  if (corpusData) {
+    const { corpus, indexed } = corpusData;
+    if (indexed && !indexed.stale) {
+      corpusIndex = {
+        sha256: indexed.sha256,
+        corpusSha256: indexed.index.corpusSha256,
+        marks: indexed.index.marks,
+        forms: indexed.index.forms.length,
+      };
     }
-    const corpus = loadCorpus(absCorpusPath);
+
     const corpusResult = compareAgainstCorpus(candidateName, corpus, {
       threshold: 0.70,
+      includeDead: corpusIncludeDead,
+      geographies: intake.geographies,
+      classes: intake.niceClassesHint,
+      index: indexed?.index || null,
     });
     findings.push(...corpusResult.findings);
     allEvidence.push(...corpusResult.evidence);
+    corpusMarks.push(...corpusResult.closestConflicts.map((c) => c.mark));
+  }
+
+  // 5. Safer alternatives (--suggest): each one gets its own check against
+  // the same channels and corpus, without fuzzy variants or radar, until
+  // suggestCount come back green or the request budget is spent. The
+  // conflict set (the candidate, taken names, similar corpus marks) screens
+  // out generated names that look or sound like what made this one risky
+  let alternativeResult = null;
+  if (suggest) {
+    const takenNames = allChecks
+      .filter((c) => c.status === "taken" && c.query?.value)
+      .map((c) => (c.namespace === "domain" ? c.query.value.split(".")[0] : c.query.value));
+    const conflicts = [...new Set([candidateName, ...takenNames, ...corpusMarks])];
+    let requests = 0;
+    const countingFetch = (...args) => {
+      requests++;
+      return fetchFn(...args);
+    };
+    const checkOpts = {
+      ...opts,
+      // Read and parsed once here, not once per alternative
+      loadedCorpus: corpusData,
+      fetchFn: countingFetch,
+      now,
+      suggest: false,
+      useRadar: false,
+      fuzzyQueryMode: "off",
+      config: null,
+    };
+    alternativeResult = await findSaferAlternatives(candidateName, (alt) => runCheck(alt, checkOpts), {
+      count: suggestCount,
+      budget: suggestBudget,
+      requestsUsed: () => requests,
+      conflicts,
+    });
   }
 
-  // 5. Score opinion
+  // 5b. Score opinion
   const opinion = scoreOpinion(
     { checks: allChecks, findings, variants, evidence: allEvidence },
-    { riskTolerance }
+    {
+      riskTolerance,
+      ...(riskProfile ? { profile: riskProfile } : {}),
+      ...(policy ? { policy } : {}),
+      ...(alternativeResult ? { saferAlternatives: alternativeResult.alternatives.filter((a) => a.tier === "green") } : {}),
+    }
   );
-
-  // 5b. Safer alternatives (--suggest)
-  if (suggest) {
-    const alternatives = generateAlternatives(candidateName);
-    opinion.saferAlternatives = alternatives;
+  if (alternativeResult) {
+    opinion.saferAlternatives = alternativeResult.alternatives;
+    opinion.alternativeSearch = alternativeResult.search;
   }
 
   // 5c. Redact evidence (strip tokens, auth headers, truncate oversized notes)
@@ -322,6 +361,10 @@ export async function runCheck(candidateName, opts = {}) {
       createdAt: now,
       inputsSha256,
       adapterVersions,
+      ...(corpusIndex ? { corpusIndex } : {}),
+      ...(riskProfile ? { riskProfile } : {}),
+      ...(policy ? { policy } : {}),
+      ...(config ? { config } : {}),
     },
     intake,
     variants,
@@ -331,3 +374,147 @@ export async function runCheck(candidateName, opts = {}) {
     opinion,
   };
 }
+
+/**
+ * Run the check pipeline for several candidates and combine the results
+ * into one comparative run.
+ *
+ * Candidates are checked one after another with the same options,
+ * timestamp and cache. See combineRuns() for the combined shape.
+ *
+ * @param {string[]} candidateNames - Two or more names, in shortlist order
+ * @param {object} opts - Same options as runCheck()
+ * @returns {Promise<object>} Comparative run object
+ */
+export async function runComparison(candidateNames, opts = {}) {
+  const now = opts.now || new Date().toISOString();
+  const runs = [];
+  for (const name of candidateNames) {
+    runs.push(await runCheck(name, { ...opts, now }));
+  }
+  return combineRuns(runs);
+}
+
+/**
+ * Combine single-candidate runs into one comparative run.
+ *
+ * Candidates, variant sets, checks, findings and evidence are
+ * concatenated in candidate order. Ids a later candidate shares with an
+ * earlier one (e.g. fd.exact-conflict.npm.0, ev.corpus.0) get a ".c<n>"
+ * suffix, and references to them within that candidate are rewritten.
+ *
+ * `comparison` holds the ranked per-candidate opinions and the
+ * cross-candidate similarity pairs; the top-level `opinion` is the
+ * top-ranked candidate's.
+ *
+ * @param {object[]} runs - runCheck() results, in candidate order
+ * @returns {object} Comparative run object
+ */
+export function combineRuns(runs) {
+  const used = new Set();
+  const scoped = runs.map((run, i) => {
+    const own = [...run.checks, ...run.findings, ...run.evidence].map((item) => item.id);
+    const renames = new Map();
+    for (const id of new Set(own)) {
+      if (used.has(id)) renames.set(id, `${id}.c${i + 1}`);
+    }
+    for (const id of own) used.add(renames.get(id) || id);
+    return renames.size > 0 ? remapIds(run, renames) : run;
+  });
+
+  const [first] = scoped;
+  const intake = {
+    ...first.intake,
+    candidates: scoped.map((r) => r.intake.candidates[0]),
+  };
+  const comparison = buildComparison(scoped);
+  const inputsSha256 = hashObject(intake);
+
+  return {
+    schemaVersion: "1.0.0",
+    run: {
+      ...first.run,
+      runId: `run.${first.run.createdAt.slice(0, 10)}.${inputsSha256.slice(0, 8)}`,
+      inputsSha256,
+    },
+    intake,
+    variants: {
+      ...first.variants,
+      items: scoped.flatMap((r) => r.variants.items),
+    },
+    checks: scoped.flatMap((r) => r.checks),
+    findings: scoped.flatMap((r) => r.findings),
+    evidence: scoped.flatMap((r) => r.evidence),
+    opinion: comparison.candidates[0].opinion,
+    comparison,
+  };
+}
+
+/**
+ * Mark a registry-equivalent form check as a variant of the candidate.
+ *
+ * The form gets its own check and evidence ids: "my_tool" sanitizes to
+ * the same id as the literal "my-tool" check, and "clear_lane" to the
+ * same id as the form "clear-lane" (numbered ".eq2", ".eq3", …).
+ *
+ * @param {{ check: object, evidence: object }} result - Adapter result (mutated)
+ * @param {string} candidateName
+ * @param {string} rule - Equivalence rule, e.g. "pep503"
+ * @param {object[]} checks - Checks already in the run
+ */
+/**
+ * Read a corpus file and its prebuilt search index (coe corpus index), if
+ * current. A stale index is ignored with a warning.
+ *
+ * @param {string} corpusPath
+ * @returns {{ corpus: object, indexed: object|null }} indexed: see loadCorpusIndex()
+ * @throws {Error} COE.CORPUS.NOT_FOUND, COE.CORPUS.INVALID, COE.CORPUS.INDEX_INVALID
+ */
+function readCorpus(corpusPath) {
+  const absCorpusPath = resolve(corpusPath);
+  if (!existsSync(absCorpusPath)) {
+    const err = new Error(`Corpus file not found: ${absCorpusPath}`);
+    err.code = "COE.CORPUS.NOT_FOUND";
+    err.path = absCorpusPath;
+    throw err;
+  }
+  const corpus = loadCorpus(absCorpusPath);
+  const indexed = loadCorpusIndex(absCorpusPath);
+  if (indexed?.stale) {
+    warn("COE.CORPUS.INDEX_STALE", `Corpus index is out of date and was ignored: ${indexed.path}`, {
+      fix: `Rebuild it: coe corpus index ${corpusPath}`,
+    });
+  }
+  return { corpus, indexed };
+}
+
+function tagEquivalent(result, candidateName, rule, checks) {
+  const { check, evidence } = result;
+  const used = new Set(checks.map((c) => c.id));
+  let id = `${check.id}.eq`;
+  for (let n = 2; used.has(id); n++) id = `${check.id}.eq${n}`;
+  check.id = id;
+  evidence.id = evidenceId(check.id, 0);
+  if (check.evidenceRef) check.evidenceRef = evidence.id;
+  check.query.isVariant = true;
+  check.query.originalCandidate = candidateName;
+  check.query.equivalenceRule = rule;
+}
+
+/**
+ * Deep-copy a value, replacing every string equal to a renamed id.
+ *
+ * @param {*} value
+ * @param {Map<string, string>} renames
+ * @returns {*}
+ */
+function remapIds(value, renames) {
+  if (typeof value === "string") return renames.get(value) ?? value;
+  if (Array.isArray(value)) return value.map((v) => remapIds(v, renames));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = remapIds(v, renames);
+    return out;
+  }
+  return value;
+}
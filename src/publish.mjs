@@ -10,6 +10,8 @@ import { join, basename, resolve, dirname } from "node:path";
 import { escapeHtml, escapeAttr } from "./renderers/html-escape.mjs";
 import { scanForSecrets } from "./lib/redact.mjs";
 import { warn } from "./lib/errors.mjs";
+import { readHistory } from "./history.mjs";
+import { sparklineSvg } from "./renderers/history.mjs";
 
 function publishError(code, message) {
   const err = new Error(message);
@@ -53,6 +55,14 @@ export function appendRunIndex(indexPath, entry) {
   return { entries: runs.length, created };
 }
 
+/**
+ * Score trend for a candidate from the history store: [{ date, tier, score }], oldest first.
+ */
+function historyTrend(historyDir, name) {
+  if (!historyDir || !name) return [];
+  return readHistory(historyDir, name).map((e) => ({ date: e.createdAt, tier: e.tier, score: e.overallScore }));
+}
+
 /**
  * Publish a run directory to a target output directory.
  *
@@ -60,6 +70,7 @@ export function appendRunIndex(indexPath, entry) {
  * @param {string} outputDir - Target output directory
  * @param {object} [opts]
  * @param {string} [opts.indexPath] - Path to runs.json index file to append to
+ * @param {string} [opts.historyDir] - History store; adds score trends to clearance-index.json and index.html
  * @returns {{ published: string[], indexGenerated: boolean, indexResult: object|null }}
  */
 export function publishRun(runDir, outputDir, opts = {}) {
@@ -105,6 +116,9 @@ export function publishRun(runDir, outputDir, opts = {}) {
         generatedAt: summary.generatedAt || new Date().toISOString(),
         reportUrl: `${slug}/report.html`,
       };
+      if (opts.historyDir) {
+        clearanceIndex.trend = historyTrend(opts.historyDir, summary.candidates?.[0]);
+      }
       const indexContent = JSON.stringify(clearanceIndex, null, 2) + "\n";
 
       // Secret scan before writing
@@ -145,7 +159,7 @@ export function publishRun(runDir, outputDir, opts = {}) {
     }
 
     if (publishedRuns.length >= 2) {
-      const indexHtml = renderPublishIndex(publishedRuns);
+      const indexHtml = renderPublishIndex(publishedRuns, { historyDir: opts.historyDir || null });
       writeFileSync(join(parentDir, "index.html"), indexHtml, "utf8");
       indexGenerated = true;
     }
@@ -178,11 +192,13 @@ export function publishRun(runDir, outputDir, opts = {}) {
 
 /**
  * Render a simple index.html listing published runs.
+ * With a history store, a Trend column shows each run's score sparkline.
  *
  * @param {Array<{ slug: string, summary: object }>} runs
+ * @param {{ historyDir?: string|null }} [opts]
  * @returns {string} HTML content
  */
-function renderPublishIndex(runs) {
+function renderPublishIndex(runs, opts = {}) {
   const sorted = [...runs].sort((a, b) => a.slug.localeCompare(b.slug));
 
   const tierColor = (tier) => {
@@ -195,10 +211,13 @@ function renderPublishIndex(runs) {
   const rows = sorted.map((r) => {
     const tier = r.summary?.tier ?? "unknown";
     const score = r.summary?.overallScore ?? "-";
+    const trend = opts.historyDir
+      ? `\n      <td>${sparklineSvg(historyTrend(opts.historyDir, r.summary?.candidates?.[0]).map((t) => t.score), tier)}</td>`
+      : "";
     return `    <tr>
       <td><a href="${escapeAttr(r.slug)}/report.html">${escapeHtml(r.slug)}</a></td>
       <td style="color:${tierColor(tier)}">${escapeHtml(tier.toUpperCase())}</td>
-      <td>${escapeHtml(String(score))}</td>
+      <td>${escapeHtml(String(score))}</td>${trend}
     </tr>`;
   }).join("\n");
 
@@ -214,6 +233,7 @@ function renderPublishIndex(runs) {
     table { width: 100%; border-collapse: collapse; max-width: 600px; }
     th { text-align: left; padding: 0.6rem 0.8rem; border-bottom: 2px solid #30363d; color: #8b949e; font-size: 0.85rem; }
     td { padding: 0.6rem 0.8rem; border-bottom: 1px solid #21262d; }
+    .sparkline { display: block; }
     tr:hover { background: #161b22; }
     a { color: #58a6ff; text-decoration: none; }
     a:hover { text-decoration: underline; }
@@ -223,7 +243,7 @@ function renderPublishIndex(runs) {
   <h1>Published Clearance Reports</h1>
   <table>
     <thead>
-      <tr><th>Run</th><th>Tier</th><th>Score</th></tr>
+      <tr><th>Run</th><th>Tier</th><th>Score</th>${opts.historyDir ? "<th>Trend</th>" : ""}</tr>
     </thead>
     <tbody>
 ${rows}
@@ -13,16 +13,11 @@ import { join, resolve } from "node:path";
 import { findStaleAdapters } from "./lib/freshness.mjs";
 import { retryFetch } from "./lib/retry.mjs";
 import { withCache } from "./pipeline.mjs";
-import { createGitHubAdapter } from "./adapters/github.mjs";
-import { createNpmAdapter } from "./adapters/npm.mjs";
-import { createPyPIAdapter } from "./adapters/pypi.mjs";
-import { createDomainAdapter } from "./adapters/domain.mjs";
-import { createCratesIoAdapter } from "./adapters/cratesio.mjs";
-import { createDockerHubAdapter } from "./adapters/dockerhub.mjs";
-import { createHuggingFaceAdapter } from "./adapters/huggingface.mjs";
+import { getChannelForNamespace } from "./channels/registry.mjs";
 import { classifyFindings } from "./scoring/opinion.mjs";
 import { scoreOpinion } from "./scoring/opinion.mjs";
 import { hashObject } from "./lib/hash.mjs";
+import { evidenceId } from "./lib/ids.mjs";
 
 function refreshError(code, message) {
   const err = new Error(message);
@@ -39,6 +34,7 @@ function refreshError(code, message) {
  * @param {Function} [opts.fetchFn] - Injectable fetch function
  * @param {string} [opts.now] - Injectable ISO timestamp
  * @param {object} [opts.cache] - Cache instance (or null)
+ * @param {string|null} [opts.rdapBootstrap] - IANA bootstrap file path, "off" for rdap.org, or null to fetch it
  * @returns {Promise<{ refreshed: boolean, reason?: string, run?: object, staleCount?: number }>}
  */
 export async function refreshRun(runDir, opts = {}) {
@@ -47,6 +43,7 @@ export async function refreshRun(runDir, opts = {}) {
     fetchFn = globalThis.fetch,
     now = new Date().toISOString(),
     cache = null,
+    rdapBootstrap = null,
   } = opts;
 
   const absRunDir = resolve(runDir);
@@ -63,6 +60,15 @@ export async function refreshRun(runDir, opts = {}) {
     throw refreshError("COE.REFRESH.INVALID_RUN", `Invalid run.json in: ${absRunDir}`);
   }
 
+  // Comparative runs hold one opinion per candidate; re-scoring the merged
+  // checks would blend them into one
+  if (existingRun.comparison) {
+    throw refreshError(
+      "COE.REFRESH.COMPARATIVE_RUN",
+      `Cannot refresh a comparative run (${existingRun.intake.candidates.length} candidates); re-run coe check with the same names`
+    );
+  }
+
   // Find stale checks
   const staleAdapters = findStaleAdapters(existingRun, { maxAgeHours, now });
 
@@ -76,8 +82,8 @@ export async function refreshRun(runDir, opts = {}) {
     baseDelayMs: 500,
   });
 
-  // Build adapter lookup
-  const adapterMap = buildAdapterMap(fetchWithRetry);
+  // One adapter instance per channel, created on first use
+  const adapters = new Map();
 
   // Deep-clone existing checks and evidence for mutation
   const allChecks = existingRun.checks.map((c) => ({ ...c }));
@@ -86,7 +92,7 @@ export async function refreshRun(runDir, opts = {}) {
   // Re-run each stale check
   let refreshedCount = 0;
   for (const stale of staleAdapters) {
-    const checkFn = resolveAdapterCall(adapterMap, stale);
+    const checkFn = resolveAdapterCall(adapters, fetchWithRetry, stale, { cache, rdapBootstrap });
     if (!checkFn) continue; // Unknown adapter, skip
 
     try {
@@ -96,7 +102,9 @@ export async function refreshRun(runDir, opts = {}) {
       const idx = allChecks.findIndex((c) => c.id === stale.checkId);
       if (idx !== -1) {
         if (result.check) {
-          allChecks[idx] = result.check;
+          allChecks[idx] = allChecks[idx].query?.isVariant
+            ? keepVariantIdentity(result, allChecks[idx])
+            : result.check;
         }
         if (result.checks) {
           // Replace the single check, append any extras
@@ -129,9 +137,11 @@ export async function refreshRun(runDir, opts = {}) {
 
   // Re-score opinion
   const riskTolerance = existingRun.intake?.riskTolerance || "conservative";
+  const riskProfile = existingRun.run?.riskProfile;
+  const policy = existingRun.run?.policy;
   const opinion = scoreOpinion(
     { checks: allChecks, findings, variants: existingRun.variants, evidence: allEvidence },
-    { riskTolerance }
+    { riskTolerance, ...(riskProfile ? { profile: riskProfile } : {}), ...(policy ? { policy } : {}) }
   );
 
   // Build refreshed run object
@@ -163,64 +173,28 @@ export async function refreshRun(runDir, opts = {}) {
 }
 
 /**
- * Build adapter map keyed by namespace.
+ * A re-run fuzzy variant or registry-equivalent check keeps the id and
+ * query tags of the check it replaces; the adapter only sees the
+ * variant's value. Its evidence id follows the kept check id.
  */
-function buildAdapterMap(fetchWithRetry) {
-  return {
-    github_org: createGitHubAdapter(fetchWithRetry),
-    github_repo: createGitHubAdapter(fetchWithRetry),
-    npm: createNpmAdapter(fetchWithRetry),
-    pypi: createPyPIAdapter(fetchWithRetry),
-    domain: createDomainAdapter(fetchWithRetry),
-    cratesio: createCratesIoAdapter(fetchWithRetry),
-    dockerhub: createDockerHubAdapter(fetchWithRetry),
-    huggingface_model: createHuggingFaceAdapter(fetchWithRetry),
-    huggingface_space: createHuggingFaceAdapter(fetchWithRetry),
-  };
+function keepVariantIdentity(result, previous) {
+  const check = { ...result.check, id: previous.id, query: { ...previous.query, ...result.check.query } };
+  if (result.evidence) {
+    result.evidence = { ...result.evidence, id: evidenceId(previous.id, 0) };
+    if (check.evidenceRef) check.evidenceRef = result.evidence.id;
+  }
+  return check;
 }
 
 /**
- * Resolve a stale adapter entry to a callable function.
+ * Resolve a stale adapter entry to a callable function via the channel registry.
  */
-function resolveAdapterCall(adapterMap, stale) {
-  const { adapter, query } = stale;
+function resolveAdapterCall(adapters, fetchWithRetry, stale, ctx) {
+  const channel = getChannelForNamespace(stale.adapter);
+  if (!channel || !channel.refresh) return null;
 
-  if (adapter === "github_org") {
-    const gh = adapterMap.github_org;
-    return (opts) => gh.checkOrg(query.org || query.name, opts);
-  }
-  if (adapter === "github_repo") {
-    const gh = adapterMap.github_repo;
-    return (opts) => gh.checkRepo(query.owner, query.repo || query.name, opts);
-  }
-  if (adapter === "npm") {
-    const npm = adapterMap.npm;
-    return (opts) => npm.checkPackage(query.name, opts);
+  if (!adapters.has(channel.id)) {
+    adapters.set(channel.id, channel.create(fetchWithRetry, ctx));
   }
-  if (adapter === "pypi") {
-    const pypi = adapterMap.pypi;
-    return (opts) => pypi.checkPackage(query.name, opts);
-  }
-  if (adapter === "domain") {
-    const domain = adapterMap.domain;
-    return (opts) => domain.checkDomain(query.name, query.tld, opts);
-  }
-  if (adapter === "cratesio") {
-    const crates = adapterMap.cratesio;
-    return (opts) => crates.checkCrate(query.name, opts);
-  }
-  if (adapter === "dockerhub") {
-    const docker = adapterMap.dockerhub;
-    return (opts) => docker.checkRepo(query.namespace, query.name, opts);
-  }
-  if (adapter === "huggingface_model") {
-    const hf = adapterMap.huggingface_model;
-    return (opts) => hf.checkModel(query.owner, query.name, opts);
-  }
-  if (adapter === "huggingface_space") {
-    const hf = adapterMap.huggingface_space;
-    return (opts) => hf.checkSpace(query.owner, query.name, opts);
-  }
-
-  return null;
+  return channel.refresh(adapters.get(channel.id), stale.adapter, stale.query);
 }
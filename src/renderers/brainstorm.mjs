@@ -0,0 +1,68 @@
+/**
+ * Brainstorm renderer for clearance-opinion-engine.
+ *
+ * Markdown shortlist for `coe brainstorm`: one row per checked name with
+ * its tier, clearance score and name-shape scores, ranked as
+ * runBrainstorm() returned them.
+ */
+
+const TIER_ICONS = {
+  green: "\u{1F7E2}",
+  yellow: "\u{1F7E1}",
+  red: "\u{1F534}",
+};
+
+function num(n) {
+  return n === null || n === undefined ? "n/a" : String(n);
+}
+
+/**
+ * Render a brainstorm result as Markdown.
+ *
+ * @param {{ seeds: string[], generated: number, shortlist: object[], errors: object[] }} result - runBrainstorm() output
+ * @returns {string}
+ */
+export function renderBrainstormMd(result) {
+  const lines = [];
+  lines.push(`# Brainstorm: ${result.seeds.join(", ")}`);
+  lines.push("");
+  lines.push(`${result.generated} name(s) generated; the top ${result.shortlist.length} by name score were checked (first pass: no fuzzy variants or collision radar).`);
+  lines.push("");
+
+  if (result.shortlist.length === 0) {
+    lines.push("No names generated.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  lines.push("| # | Name | Tier | Score | Name score | Distinctive | Length | Pronounceable | Strategy | Seeds |");
+  lines.push("|---|---|---|---|---|---|---|---|---|---|");
+  result.shortlist.forEach((c, i) => {
+    const tier = c.tier ? `${TIER_ICONS[c.tier] || ""} ${c.tier.toUpperCase()}` : "error";
+    const cells = [
+      i + 1,
+      `\`${c.name}\``,
+      tier,
+      num(c.overallScore),
+      c.scores.overall,
+      c.scores.distinctiveness,
+      c.scores.length,
+      c.scores.pronounceability,
+      c.strategy,
+      c.seeds.join(" + "),
+    ];
+    lines.push(`| ${cells.join(" | ")} |`);
+  });
+  lines.push("");
+
+  if (result.errors?.length > 0) {
+    lines.push("## Errors");
+    lines.push("");
+    for (const e of result.errors) lines.push(`- \`${e.name}\`: ${e.error}`);
+    lines.push("");
+  }
+
+  lines.push("A GREEN name passed a first-pass check only. Run `coe check <name>` before adopting one.");
+  lines.push("");
+  return lines.join("\n");
+}
@@ -0,0 +1,226 @@
+/**
+ * Run diff renderers for clearance-opinion-engine.
+ *
+ * Markdown and an HTML fragment for diffRuns() output. The fragment has no
+ * <style> of its own: it uses the packet's classes, so it can be dropped
+ * into report.html or any page that includes PACKET_CSS.
+ *
+ * Security: All user-provided strings are HTML-escaped.
+ */
+
+import { escapeHtml, escapeAttr } from "./html-escape.mjs";
+
+const FACTOR_LABELS = {
+  namespaceAvailability: "Namespace availability",
+  coverageCompleteness: "Coverage completeness",
+  conflictSeverity: "Conflict severity",
+  domainAvailability: "Domain availability",
+  "dupont.similarityOfMarks": "DuPont: similarity of marks",
+  "dupont.channelOverlap": "DuPont: channel overlap",
+  "dupont.fameProxy": "DuPont: fame proxy",
+  "dupont.intentProxy": "DuPont: intent proxy",
+};
+
+function factorLabel(factor) {
+  return FACTOR_LABELS[factor] || factor;
+}
+
+function tierLabel(tier) {
+  return (tier || "unknown").toUpperCase();
+}
+
+function signed(n) {
+  if (n === null || n === undefined) return "n/a";
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function num(n) {
+  return n === null || n === undefined ? "n/a" : String(n);
+}
+
+function runLabel(side) {
+  return `${side.runId || "unknown"} (${side.createdAt || "unknown"})`;
+}
+
+function countLine(diff) {
+  const { checks, findings, evidence } = diff;
+  return [
+    `${checks.flipped.length} status flip(s)`,
+    `${checks.added.length} check(s) added`,
+    `${checks.removed.length} removed`,
+    `${findings.added.length} finding(s) new`,
+    `${findings.removed.length} resolved`,
+    `${findings.changed.length} changed`,
+    `${evidence.added.length + evidence.removed.length + evidence.changed.length} evidence change(s)`,
+  ].join(", ");
+}
+
+// ── Markdown ───────────────────────────────────────────────────
+
+/**
+ * Render a run diff as Markdown.
+ *
+ * @param {object} diff - diffRuns() output
+ * @returns {string}
+ */
+export function renderDiffMd(diff) {
+  const lines = [];
+  lines.push(`# Run Diff: ${diff.b.candidates.join(", ") || "unknown"}`);
+  lines.push("");
+  lines.push(`> A: \`${runLabel(diff.a)}\``);
+  lines.push(`> B: \`${runLabel(diff.b)}\``);
+  if (!diff.sameCandidates) {
+    lines.push(`> **Note:** the runs check different candidates (A: ${diff.a.candidates.join(", ")}; B: ${diff.b.candidates.join(", ")})`);
+  }
+  lines.push("");
+
+  if (!diff.changed) {
+    lines.push("No changes between the two runs.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  lines.push("## Opinion");
+  lines.push("");
+  lines.push("| | A | B | Change |");
+  lines.push("|---|---|---|--------|");
+  lines.push(`| Tier | ${tierLabel(diff.tier.from)} | ${tierLabel(diff.tier.to)} | ${diff.tier.changed ? "changed" : "same"} |`);
+  lines.push(`| Overall score | ${num(diff.score.from)} | ${num(diff.score.to)} | ${signed(diff.score.delta)} |`);
+  lines.push("");
+  lines.push(countLine(diff));
+  lines.push("");
+
+  const changedFactors = diff.factors.filter((f) => f.delta !== 0);
+  if (changedFactors.length > 0) {
+    lines.push("## Score Factors");
+    lines.push("");
+    lines.push("| Factor | A | B | Delta |");
+    lines.push("|--------|---|---|-------|");
+    for (const f of changedFactors) {
+      lines.push(`| ${factorLabel(f.factor)} | ${num(f.from)} | ${num(f.to)} | ${signed(f.delta)} |`);
+    }
+    lines.push("");
+  }
+
+  const { checks } = diff;
+  if (checks.flipped.length + checks.added.length + checks.removed.length > 0) {
+    lines.push("## Checks");
+    lines.push("");
+    lines.push("| Namespace | Value | A | B |");
+    lines.push("|-----------|-------|---|---|");
+    for (const c of checks.flipped) lines.push(`| ${c.namespace} | \`${c.value}\` | ${c.from} | ${c.to} |`);
+    for (const c of checks.added) lines.push(`| ${c.namespace} | \`${c.value}\` | — | ${c.status} |`);
+    for (const c of checks.removed) lines.push(`| ${c.namespace} | \`${c.value}\` | ${c.status} | — |`);
+    lines.push("");
+  }
+
+  const { findings } = diff;
+  if (findings.added.length + findings.removed.length + findings.changed.length > 0) {
+    lines.push("## Findings");
+    lines.push("");
+    for (const f of findings.added) lines.push(`- **New** (${f.severity}) ${f.kind}: ${f.summary}`);
+    for (const f of findings.removed) lines.push(`- **Resolved** (${f.severity}) ${f.kind}: ${f.summary}`);
+    for (const f of findings.changed) {
+      lines.push(`- **Changed** ${f.kind}: ${f.summary} — severity ${f.from.severity} → ${f.to.severity}, score ${num(f.from.score)} → ${num(f.to.score)}`);
+    }
+    lines.push("");
+  }
+
+  const { evidence } = diff;
+  if (evidence.added.length + evidence.removed.length + evidence.changed.length > 0) {
+    lines.push("## Evidence");
+    lines.push("");
+    for (const e of evidence.added) lines.push(`- Added: ${e.url}`);
+    for (const e of evidence.removed) lines.push(`- Removed: ${e.url}`);
+    for (const e of evidence.changed) {
+      lines.push(`- Response changed: ${e.url} (\`${e.fromSha256.slice(0, 12)}\` → \`${e.toSha256.slice(0, 12)}\`)`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// ── HTML fragment ──────────────────────────────────────────────
+
+/**
+ * Render a run diff as an HTML fragment (a <section>, no document or styles).
+ *
+ * @param {object} diff - diffRuns() output
+ * @returns {string}
+ */
+export function renderDiffHtml(diff) {
+  const lines = [];
+  const tier = diff.tier.to || "unknown";
+  lines.push('<section class="run-diff">');
+  lines.push(`<h2>Run Diff: ${escapeHtml(diff.b.candidates.join(", ") || "unknown")}</h2>`);
+  lines.push(`<div class="meta">A <code>${escapeHtml(runLabel(diff.a))}</code> &rarr; B <code>${escapeHtml(runLabel(diff.b))}</code></div>`);
+  if (!diff.sameCandidates) {
+    lines.push(`<div class="meta">The runs check different candidates (A: ${escapeHtml(diff.a.candidates.join(", "))}; B: ${escapeHtml(diff.b.candidates.join(", "))})</div>`);
+  }
+
+  if (!diff.changed) {
+    lines.push("<p>No changes between the two runs.</p>");
+    lines.push("</section>");
+    return lines.join("\n");
+  }
+
+  lines.push(`<div class="opinion-banner ${escapeAttr(tier)}">`);
+  lines.push(`<h2>${escapeHtml(tierLabel(diff.tier.from))} &rarr; ${escapeHtml(tierLabel(diff.tier.to))}</h2>`);
+  lines.push(`<p>${escapeHtml(countLine(diff))}</p>`);
+  lines.push("</div>");
+  lines.push(`<div class="overall-score">Overall score: ${escapeHtml(num(diff.score.from))} &rarr; ${escapeHtml(num(diff.score.to))} (${escapeHtml(signed(diff.score.delta))})</div>`);
+
+  const changedFactors = diff.factors.filter((f) => f.delta !== 0);
+  if (changedFactors.length > 0) {
+    lines.push("<h2>Score Factors</h2>");
+    lines.push("<table>");
+    lines.push("<tr><th>Factor</th><th>A</th><th>B</th><th>Delta</th></tr>");
+    for (const f of changedFactors) {
+      lines.push(`<tr><td>${escapeHtml(factorLabel(f.factor))}</td><td>${escapeHtml(num(f.from))}</td><td>${escapeHtml(num(f.to))}</td><td>${escapeHtml(signed(f.delta))}</td></tr>`);
+    }
+    lines.push("</table>");
+  }
+
+  const { checks } = diff;
+  if (checks.flipped.length + checks.added.length + checks.removed.length > 0) {
+    lines.push("<h2>Checks</h2>");
+    lines.push("<table>");
+    lines.push("<tr><th>Namespace</th><th>Value</th><th>A</th><th>B</th></tr>");
+    const row = (c, from, to) =>
+      `<tr><td>${escapeHtml(c.namespace)}</td><td><code>${escapeHtml(c.value)}</code></td><td>${escapeHtml(from)}</td><td>${escapeHtml(to)}</td></tr>`;
+    for (const c of checks.flipped) lines.push(row(c, c.from, c.to));
+    for (const c of checks.added) lines.push(row(c, "—", c.status));
+    for (const c of checks.removed) lines.push(row(c, c.status, "—"));
+    lines.push("</table>");
+  }
+
+  const { findings } = diff;
+  if (findings.added.length + findings.removed.length + findings.changed.length > 0) {
+    lines.push("<h2>Findings</h2>");
+    const card = (label, f, extra = "") => {
+      lines.push('<div class="finding-card">');
+      lines.push(`<span class="severity ${escapeAttr(f.severity)}">${escapeHtml(label)} &middot; ${escapeHtml(f.severity.toUpperCase())}</span> <code>${escapeHtml(f.kind)}</code>`);
+      lines.push(`<p>${escapeHtml(f.summary)}${extra}</p>`);
+      lines.push("</div>");
+    };
+    for (const f of findings.added) card("New", f);
+    for (const f of findings.removed) card("Resolved", f);
+    for (const f of findings.changed) {
+      card("Changed", f, ` &mdash; severity ${escapeHtml(f.from.severity)} &rarr; ${escapeHtml(f.to.severity)}, score ${escapeHtml(num(f.from.score))} &rarr; ${escapeHtml(num(f.to.score))}`);
+    }
+  }
+
+  const { evidence } = diff;
+  if (evidence.added.length + evidence.removed.length + evidence.changed.length > 0) {
+    lines.push("<h2>Evidence</h2>");
+    lines.push("<ul>");
+    for (const e of evidence.added) lines.push(`<li>Added: <code>${escapeHtml(e.url)}</code></li>`);
+    for (const e of evidence.removed) lines.push(`<li>Removed: <code>${escapeHtml(e.url)}</code></li>`);
+    for (const e of evidence.changed) lines.push(`<li>Response changed: <code>${escapeHtml(e.url)}</code></li>`);
+    lines.push("</ul>");
+  }
+
+  lines.push("</section>");
+  return lines.join("\n");
+}
@@ -0,0 +1,153 @@
+/**
+ * Run history renderers for clearance-opinion-engine.
+ *
+ * Text and SVG sparklines of overall score over time, and a Markdown
+ * timeline for `coe history`. Scores are plotted on a fixed 0–100 scale
+ * so trends for different names are comparable at a glance.
+ *
+ * Security: All user-provided strings are HTML-escaped.
+ */
+
+import { escapeAttr } from "./html-escape.mjs";
+
+const BARS = "▁▂▃▄▅▆▇█";
+
+const TIER_COLORS = {
+  green: "#22c55e",
+  yellow: "#eab308",
+  red: "#ef4444",
+};
+
+const STATUS_ICONS = {
+  available: "✅",
+  taken: "❌",
+  unknown: "❓",
+};
+
+function clampScore(value) {
+  return Math.max(0, Math.min(100, value));
+}
+
+/**
+ * Text sparkline for scores on a 0–100 scale ("▁▃▆█").
+ * Missing scores render as a space.
+ *
+ * @param {Array<number|null>} values
+ * @returns {string}
+ */
+export function sparkline(values) {
+  return values
+    .map((v) => (typeof v === "number" ? BARS[Math.round((clampScore(v) / 100) * (BARS.length - 1))] : " "))
+    .join("");
+}
+
+/**
+ * Inline SVG sparkline for scores on a 0–100 scale, stroked in the
+ * colour of the latest tier. Missing scores are skipped.
+ *
+ * @param {Array<number|null>} values
+ * @param {string|null} [tier] - Latest tier, for the stroke colour
+ * @param {{ width?: number, height?: number }} [opts]
+ * @returns {string} An <svg> element, or "" with fewer than two scores
+ */
+export function sparklineSvg(values, tier = null, opts = {}) {
+  const { width = 120, height = 24 } = opts;
+  const scores = values.filter((v) => typeof v === "number");
+  if (scores.length < 2) return "";
+
+  const step = (width - 2) / (scores.length - 1);
+  const points = scores
+    .map((v, i) => `${(1 + i * step).toFixed(1)},${(1 + (1 - clampScore(v) / 100) * (height - 2)).toFixed(1)}`)
+    .join(" ");
+  const color = TIER_COLORS[tier] || "#6b7280";
+  const label = `Score trend: ${scores.join(", ")}`;
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeAttr(label)}">` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}"/></svg>`;
+}
+
+function num(n) {
+  return n === null || n === undefined ? "n/a" : String(n);
+}
+
+/**
+ * Render a candidate's history as Markdown: a score sparkline, then one
+ * row per run with tier, score and the status of every namespace seen.
+ *
+ * @param {string} name - Candidate name as requested
+ * @param {object[]} entries - readHistory() output, oldest first
+ * @returns {string}
+ */
+export function renderHistoryMd(name, entries) {
+  const lines = [];
+  lines.push(`# History: ${entries[entries.length - 1]?.candidateMark || name}`);
+  lines.push("");
+
+  if (entries.length === 0) {
+    lines.push("No recorded runs.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  lines.push(`${entries.length} run(s) from ${first.createdAt || "unknown"} to ${last.createdAt || "unknown"}`);
+  lines.push("");
+  lines.push(`Score trend: \`${sparkline(entries.map((e) => e.overallScore))}\` ${num(first.overallScore)} → ${num(last.overallScore)}`);
+  lines.push("");
+
+  const namespaces = [...new Set(entries.flatMap((e) => Object.keys(e.namespaces || {})))];
+  const headers = ["Date", "Run", "Source", "Tier", "Score", ...namespaces];
+  lines.push(`| ${headers.join(" | ")} |`);
+  lines.push(`|${headers.map(() => "---|").join("")}`);
+  for (const e of entries) {
+    const statuses = namespaces.map((ns) => {
+      const status = e.namespaces?.[ns];
+      return status ? STATUS_ICONS[status] || status : "—";
+    });
+    const cells = [
+      (e.createdAt || "unknown").slice(0, 16).replace("T", " "),
+      `\`${e.runId || "unknown"}\``,
+      e.source || "check",
+      (e.tier || "unknown").toUpperCase(),
+      num(e.overallScore),
+      ...statuses,
+    ];
+    lines.push(`| ${cells.join(" | ")} |`);
+  }
+  lines.push("");
+  lines.push("✅ available · ❌ taken · ❓ unknown · — not checked");
+  lines.push("");
+
+  return lines.join("\n");
+}
+
+/**
+ * Render the list of recorded candidates as Markdown.
+ *
+ * @param {Array<{ canonical: string, candidateMark: string, runs: number, latest: object }>} list - listHistory() output
+ * @param {Map<string, object[]>|null} [entriesByName] - Entries per canonical name, for sparklines
+ * @returns {string}
+ */
+export function renderHistoryListMd(list, entriesByName = null) {
+  const lines = [];
+  lines.push("# Run History");
+  lines.push("");
+  if (list.length === 0) {
+    lines.push("No recorded runs.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  lines.push("| Name | Runs | Last run | Tier | Score | Trend |");
+  lines.push("|------|------|----------|------|-------|-------|");
+  for (const item of list) {
+    const entries = entriesByName?.get(item.canonical) || [item.latest];
+    const trend = sparkline(entries.map((e) => e.overallScore));
+    lines.push(
+      `| ${item.candidateMark} | ${item.runs} | ${(item.latest.createdAt || "unknown").slice(0, 10)} | ${(item.latest.tier || "unknown").toUpperCase()} | ${num(item.latest.overallScore)} | \`${trend}\` |`
+    );
+  }
+  lines.push("");
+  return lines.join("\n");
+}
@@ -12,7 +12,8 @@ import { checkFreshness } from "../lib/freshness.mjs";
 
 // ── CSS ────────────────────────────────────────────────────────
 
-const INLINE_CSS = `
+/** Packet stylesheet; the run diff HTML fragment uses the same classes. */
+export const PACKET_CSS = `
 * { margin: 0; padding: 0; box-sizing: border-box; }
 body {
   font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
@@ -108,6 +109,24 @@ function severityLabel(severity) {
   return "\u{1F7E2} LOW";
 }
 
+/**
+ * One-sentence account of a safer-alternatives search (opinion.alternativeSearch).
+ *
+ * @param {{ target: number, found: number, checked: number, filtered?: number, requests: number, budget: number, stopReason: string }} search
+ * @returns {string} Plain text
+ */
+export function describeAlternativeSearch(search) {
+  const stopped = search.stopReason === "budget"
+    ? ` Stopped at the request budget of ${search.budget}.`
+    : search.stopReason === "exhausted" && search.found < search.target
+      ? " No more alternatives to generate."
+      : "";
+  const filtered = search.filtered > 0
+    ? ` ${search.filtered} generated name(s) were skipped for looking or sounding like a conflict.`
+    : "";
+  return `Found ${search.found} of ${search.target} clean (GREEN) alternative(s) after checking ${search.checked} name(s) with ${search.requests} registry request(s).${filtered}${stopped}`;
+}
+
 // ── HTML Renderer ──────────────────────────────────────────────
 
 /**
@@ -129,7 +148,7 @@ export function renderPacketHtml(run) {
   lines.push('<meta charset="UTF-8">');
   lines.push('<meta name="viewport" content="width=device-width, initial-scale=1.0">');
   lines.push(`<title>Clearance Report: ${escapeHtml(candidateNames)}</title>`);
-  lines.push(`<style>${INLINE_CSS}</style>`);
+  lines.push(`<style>${PACKET_CSS}</style>`);
   lines.push("</head>");
   lines.push("<body>");
 
@@ -139,12 +158,49 @@ export function renderPacketHtml(run) {
   lines.push(`<div class="meta">Engine v${escapeHtml(run.run?.engineVersion || "unknown")} | Run <code>${escapeHtml(run.run?.runId || "unknown")}</code> | ${escapeHtml(run.run?.createdAt || "unknown")}</div>`);
   lines.push("</header>");
 
-  // Opinion banner
+  // Opinion banner (comparative runs: the top-ranked candidate's opinion)
+  const comparison = run.comparison || null;
+  const bannerName = comparison
+    ? `${comparison.candidates[0].mark} (top-ranked of ${comparison.candidates.length})`
+    : candidateNames;
   lines.push(`<section class="opinion-banner ${escapeAttr(tier)}">`);
-  lines.push(`<h2>${tierEmoji(tier)} ${escapeHtml(tier.toUpperCase())} &mdash; ${escapeHtml(candidateNames)}</h2>`);
+  lines.push(`<h2>${tierEmoji(tier)} ${escapeHtml(tier.toUpperCase())} &mdash; ${escapeHtml(bannerName)}</h2>`);
   lines.push(`<p>${escapeHtml(opinion.summary || "")}</p>`);
   lines.push("</section>");
 
+  // Candidate Comparison (comparative runs)
+  if (comparison) {
+    lines.push('<section class="candidate-comparison">');
+    lines.push("<h2>Candidate Comparison</h2>");
+    lines.push("<table>");
+    lines.push("<tr><th>Rank</th><th>Candidate</th><th>Tier</th><th>Score</th><th>Available</th><th>Taken</th><th>Unknown</th><th>Findings (high)</th></tr>");
+    for (const c of comparison.candidates) {
+      const cTier = c.opinion?.tier || "unknown";
+      const score = c.opinion?.scoreBreakdown?.overallScore;
+      lines.push(`<tr><td>${c.rank}</td><td><code>${escapeHtml(c.mark)}</code></td><td>${tierEmoji(cTier)} ${escapeHtml(cTier.toUpperCase())}</td><td>${score !== undefined ? `${score}/100` : "&mdash;"}</td><td>${c.stats.available}</td><td>${c.stats.taken}</td><td>${c.stats.unknown}</td><td>${c.stats.findings} (${c.stats.highFindings})</td></tr>`);
+    }
+    lines.push("</table>");
+    lines.push("<ul>");
+    for (const c of comparison.candidates) {
+      lines.push(`<li><strong>${escapeHtml(c.mark)}</strong>: ${escapeHtml(c.opinion?.summary || "")}</li>`);
+    }
+    lines.push("</ul>");
+
+    if (comparison.crossSimilarity.length > 0) {
+      lines.push("<h2>Cross-Candidate Similarity</h2>");
+      lines.push("<table>");
+      lines.push("<tr><th>Candidates</th><th>Looks</th><th>Sounds</th><th>Overall</th><th>Flag</th></tr>");
+      for (const p of comparison.crossSimilarity) {
+        lines.push(`<tr><td><code>${escapeHtml(p.a)}</code> / <code>${escapeHtml(p.b)}</code></td><td>${p.looks.toFixed(2)}</td><td>${p.sounds.toFixed(2)}</td><td>${p.overall.toFixed(2)}</td><td>${p.flagged ? "\u26A0\uFE0F too similar" : "&mdash;"}</td></tr>`);
+      }
+      lines.push("</table>");
+      if (comparison.crossSimilarity.some((p) => p.flagged)) {
+        lines.push("<p><em>Flagged candidates look or sound alike; shortlisting both splits the brand and invites confusion between them.</em></p>");
+      }
+    }
+    lines.push("</section>");
+  }
+
   // Coverage (conditional)
   if (opinion.coverageScore !== undefined) {
     const checkedCount = (run.checks || []).filter((c) => c.status !== "unknown" && !c.query?.isVariant).length;
@@ -222,6 +278,30 @@ export function renderPacketHtml(run) {
     lines.push("</section>");
   }
 
+  // Domain Registration (conditional — taken domains with RDAP data)
+  {
+    const registered = (run.checks || []).filter(
+      (c) => c.namespace === "domain" && c.status === "taken" && !c.query?.isVariant &&
+        (c.details?.registeredAt || c.details?.expiresAt || c.details?.registrar)
+    );
+    if (registered.length > 0) {
+      const date = (iso) => (iso ? escapeHtml(iso.slice(0, 10)) : "-");
+      lines.push('<section class="domain-registration">');
+      lines.push("<h2>Domain Registration</h2>");
+      lines.push("<table>");
+      lines.push("<tr><th>Domain</th><th>Registrar</th><th>Registered</th><th>Expires</th><th>Last Changed</th><th>Claimability</th></tr>");
+      for (const c of registered) {
+        const d = c.details;
+        const claim = c.claimability === "claimable_soon"
+          ? `claimable soon (${escapeHtml(d.claimableSoonReason || "unknown")})`
+          : escapeHtml(c.claimability || "unknown");
+        lines.push(`<tr><td><code>${escapeHtml(c.query?.value || "")}</code></td><td>${escapeHtml(d.registrar || "-")}</td><td>${date(d.registeredAt)}</td><td>${date(d.expiresAt)}</td><td>${date(d.lastChangedAt)}</td><td>${claim}</td></tr>`);
+      }
+      lines.push("</table>");
+      lines.push("</section>");
+    }
+  }
+
   // Score Breakdown ("Why This Tier?")
   if (breakdown.overallScore !== undefined) {
     lines.push('<section class="score-breakdown">');
@@ -247,6 +327,11 @@ export function renderPacketHtml(run) {
       lines.push(` (Green &ge; ${breakdown.tierThresholds.green}, Yellow &ge; ${breakdown.tierThresholds.yellow})`);
     }
     lines.push("</div>");
+    const profile = run.run?.riskProfile;
+    if (profile) {
+      const deductions = Object.entries(profile.deductions).map(([kind, n]) => `${escapeHtml(kind)} &minus;${n}`).join(", ");
+      lines.push(`<p>Risk profile: <strong>${escapeHtml(profile.name)}</strong> (extends ${escapeHtml(profile.base)})${profile.description ? ` &mdash; ${escapeHtml(profile.description)}` : ""}. Deductions: ${deductions}.</p>`);
+    }
     lines.push("</section>");
   }
 
@@ -259,6 +344,9 @@ export function renderPacketHtml(run) {
       lines.push(`<li>${escapeHtml(r)}</li>`);
     }
     lines.push("</ul>");
+    if (opinion.policy) {
+      lines.push(`<p>Tier decided by policy <code>${escapeHtml(opinion.policy.id)}</code>, rule <code>${escapeHtml(opinion.policy.rule)}</code>.</p>`);
+    }
     lines.push("</section>");
   }
 
@@ -327,7 +415,8 @@ export function renderPacketHtml(run) {
     lines.push("<h2>Findings</h2>");
     for (const f of run.findings) {
       lines.push('<div class="finding-card">');
-      lines.push(`<div><span class="severity ${escapeAttr(f.severity)}">${severityLabel(f.severity)}</span> &mdash; <strong>${escapeHtml(f.kind)}</strong></div>`);
+      const markSuffix = run.comparison ? ` &mdash; <code>${escapeHtml(f.candidateMark)}</code>` : "";
+      lines.push(`<div><span class="severity ${escapeAttr(f.severity)}">${severityLabel(f.severity)}</span> &mdash; <strong>${escapeHtml(f.kind)}</strong>${markSuffix}</div>`);
       lines.push(`<div>${escapeHtml(f.summary)}</div>`);
       if (f.why?.length > 0) {
         lines.push("<ul>");
@@ -409,7 +498,8 @@ export function renderPacketHtml(run) {
       if (corpusFindings.length > 0) {
         for (const f of corpusFindings) {
           lines.push('<div class="finding-card">');
-          lines.push(`<div><span class="severity ${escapeAttr(f.severity)}">${severityLabel(f.severity)}</span> &mdash; <strong>${escapeHtml(f.kind)}</strong></div>`);
+          const markSuffix = run.comparison ? ` &mdash; <code>${escapeHtml(f.candidateMark)}</code>` : "";
+      lines.push(`<div><span class="severity ${escapeAttr(f.severity)}">${severityLabel(f.severity)}</span> &mdash; <strong>${escapeHtml(f.kind)}</strong>${markSuffix}</div>`);
           lines.push(`<div>${escapeHtml(f.summary)}</div>`);
           if (f.why?.length > 0) {
             lines.push("<ul>");
@@ -427,9 +517,26 @@ export function renderPacketHtml(run) {
     }
   }
 
+  // Registry Equivalents Checked (conditional)
+  {
+    const equivalentChecks = (run.checks || []).filter((c) => c.query?.equivalenceRule);
+    if (equivalentChecks.length > 0) {
+      lines.push('<section class="registry-equivalents">');
+      lines.push("<h2>Registry Equivalents Checked</h2>");
+      lines.push("<p><em>Spellings each registry treats as the same name; a taken one blocks publishing.</em></p>");
+      lines.push("<table>");
+      lines.push("<tr><th>Form</th><th>Registry</th><th>Rule</th><th>Status</th></tr>");
+      for (const c of equivalentChecks) {
+        lines.push(`<tr><td><code>${escapeHtml(c.query.value)}</code></td><td>${escapeHtml(c.namespace)}</td><td>${escapeHtml(c.query.equivalenceRule)}</td><td>${statusIcon(c.status)} ${escapeHtml(c.status)}</td></tr>`);
+      }
+      lines.push("</table>");
+      lines.push("</section>");
+    }
+  }
+
   // Fuzzy Variants Checked (conditional)
   {
-    const fuzzyChecks = (run.checks || []).filter((c) => c.query?.isVariant);
+    const fuzzyChecks = (run.checks || []).filter((c) => c.query?.isVariant && !c.query?.equivalenceRule);
     if (fuzzyChecks.length > 0) {
       lines.push('<section class="fuzzy-variants">');
       lines.push("<h2>Fuzzy Variants Checked</h2>");
@@ -499,11 +606,16 @@ export function renderPacketHtml(run) {
   if (opinion.saferAlternatives?.length > 0) {
     lines.push("<section>");
     lines.push("<h2>Safer Alternatives</h2>");
+    if (opinion.alternativeSearch) {
+      lines.push(`<p>${escapeHtml(describeAlternativeSearch(opinion.alternativeSearch))}</p>`);
+    }
     lines.push("<table>");
-    lines.push("<tr><th>#</th><th>Name</th><th>Strategy</th><th>Availability</th></tr>");
+    lines.push("<tr><th>#</th><th>Name</th><th>Strategy</th><th>Tier</th><th>Score</th><th>Availability</th></tr>");
     opinion.saferAlternatives.forEach((alt, i) => {
       const avail = alt.availability?.summary || "Not checked";
-      lines.push(`<tr><td>${i + 1}</td><td><code>${escapeHtml(alt.name)}</code></td><td>${escapeHtml(alt.strategy)}</td><td>${escapeHtml(avail)}</td></tr>`);
+      const tier = alt.tier ? `${tierEmoji(alt.tier)} ${alt.tier.toUpperCase()}` : "—";
+      const score = alt.overallScore !== undefined ? `${alt.overallScore}/100` : "—";
+      lines.push(`<tr><td>${i + 1}</td><td><code>${escapeHtml(alt.name)}</code></td><td>${escapeHtml(alt.strategy)}</td><td>${tier}</td><td>${score}</td><td>${escapeHtml(avail)}</td></tr>`);
     });
     lines.push("</table>");
     lines.push("</section>");
@@ -635,5 +747,26 @@ export function renderSummaryJson(run) {
     coverageScore: opinion.coverageScore ?? null,
     disclaimer: opinion.disclaimer || null,
     inputsSha256: run.run?.inputsSha256 || "unknown",
+    ...(run.comparison ? { comparison: summarizeComparison(run.comparison) } : {}),
+  };
+}
+
+/**
+ * Compact comparison block for summary.json: rank, tier and score per
+ * candidate, without the full opinions.
+ *
+ * @param {{ candidates: object[], crossSimilarity: object[] }} comparison
+ * @returns {object}
+ */
+function summarizeComparison(comparison) {
+  return {
+    candidates: comparison.candidates.map((c) => ({
+      mark: c.mark,
+      rank: c.rank,
+      tier: c.opinion?.tier || "unknown",
+      overallScore: c.opinion?.scoreBreakdown?.overallScore ?? null,
+      stats: c.stats,
+    })),
+    crossSimilarity: comparison.crossSimilarity.map(({ a, b, overall, flagged }) => ({ a, b, overall, flagged })),
   };
 }
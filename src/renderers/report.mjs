@@ -6,8 +6,9 @@
 
 import { mkdirSync, writeFileSync } from "node:fs";
 import { join } from "node:path";
-import { renderPacketHtml, renderSummaryJson } from "./packet.mjs";
+import { renderPacketHtml, renderSummaryJson, describeAlternativeSearch } from "./packet.mjs";
 import { checkFreshness } from "../lib/freshness.mjs";
+import { createManifest } from "../lib/manifest.mjs";
 
 /**
  * Escape pipe characters for Markdown table cells.
@@ -20,29 +21,95 @@ function escapeForMd(str) {
 }
 
 /**
- * Write a run to disk as JSON + Markdown + HTML + Summary.
+ * Tier icon for Markdown output.
+ * @param {string} tier
+ * @returns {string}
+ */
+function tierIcon(tier) {
+  return tier === "green" ? "\u{1F7E2}" : tier === "yellow" ? "\u{1F7E1}" : "\u{1F534}";
+}
+
+/**
+ * Render the ranked comparison of a comparative run as Markdown lines.
+ *
+ * @param {{ candidates: object[], crossSimilarity: object[] }} comparison
+ * @returns {string[]}
+ */
+function renderComparisonMd(comparison) {
+  const lines = [];
+  lines.push("## Candidate Comparison");
+  lines.push("");
+  lines.push("| Rank | Candidate | Tier | Score | Available | Taken | Unknown | Findings (high) |");
+  lines.push("|------|-----------|------|-------|-----------|-------|---------|-----------------|");
+  for (const c of comparison.candidates) {
+    const tier = c.opinion?.tier || "unknown";
+    const score = c.opinion?.scoreBreakdown?.overallScore;
+    lines.push(
+      `| ${c.rank} | \`${escapeForMd(c.mark)}\` | ${tierIcon(tier)} ${tier.toUpperCase()} | ${score !== undefined ? `${score}/100` : "—"} | ${c.stats.available} | ${c.stats.taken} | ${c.stats.unknown} | ${c.stats.findings} (${c.stats.highFindings}) |`
+    );
+  }
+  lines.push("");
+  for (const c of comparison.candidates) {
+    lines.push(`- **${c.mark}**: ${c.opinion?.summary || "No summary available."}`);
+  }
+  lines.push("");
+
+  if (comparison.crossSimilarity.length > 0) {
+    lines.push("### Cross-Candidate Similarity");
+    lines.push("");
+    lines.push("| Candidates | Looks | Sounds | Overall | Flag |");
+    lines.push("|------------|-------|--------|---------|------|");
+    for (const p of comparison.crossSimilarity) {
+      lines.push(
+        `| \`${escapeForMd(p.a)}\` / \`${escapeForMd(p.b)}\` | ${p.looks.toFixed(2)} | ${p.sounds.toFixed(2)} | ${p.overall.toFixed(2)} | ${p.flagged ? "\u26A0\uFE0F too similar" : "—"} |`
+      );
+    }
+    lines.push("");
+    if (comparison.crossSimilarity.some((p) => p.flagged)) {
+      lines.push("> Flagged candidates look or sound alike; shortlisting both splits the brand and invites confusion between them.");
+      lines.push("");
+    }
+  }
+  return lines;
+}
+
+/**
+ * Write a run to disk as JSON + Markdown + HTML + Summary, plus a
+ * manifest.json with the SHA-256 of each file written.
  *
  * @param {object} run - Complete run object (per schema)
  * @param {string} outDir - Directory to write files to
- * @returns {{ jsonPath: string, mdPath: string, htmlPath: string, summaryPath: string }}
+ * @param {{ formats?: string[], signingKey?: import("node:crypto").KeyObject|null }} [opts] -
+ *   formats: any of "json", "md", "html", "summary" (config "formats", default all);
+ *   run.json is always written. signingKey: Ed25519 key to sign the manifest with
+ * @returns {{ jsonPath: string, mdPath: string|null, htmlPath: string|null, summaryPath: string|null, manifestPath: string }}
+ *   null for formats that were not written
  */
-export function writeRun(run, outDir) {
+export function writeRun(run, outDir, opts = {}) {
+  const formats = opts.formats || ["json", "md", "html", "summary"];
   mkdirSync(outDir, { recursive: true });
 
-  const jsonPath = join(outDir, "run.json");
-  writeFileSync(jsonPath, JSON.stringify(run, null, 2) + "\n", "utf8");
-
-  const mdPath = join(outDir, "run.md");
-  writeFileSync(mdPath, renderRunMd(run), "utf8");
-
-  const htmlPath = join(outDir, "report.html");
-  writeFileSync(htmlPath, renderPacketHtml(run), "utf8");
-
-  const summaryPath = join(outDir, "summary.json");
-  const summaryObj = renderSummaryJson(run);
-  writeFileSync(summaryPath, JSON.stringify(summaryObj, null, 2) + "\n", "utf8");
-
-  return { jsonPath, mdPath, htmlPath, summaryPath };
+  // Hash exactly the bytes written, so the manifest matches the files on disk
+  const written = [];
+  const write = (name, content) => {
+    const path = join(outDir, name);
+    writeFileSync(path, content, "utf8");
+    written.push({ path: name, content });
+    return path;
+  };
+
+  const jsonPath = write("run.json", JSON.stringify(run, null, 2) + "\n");
+  const mdPath = formats.includes("md") ? write("run.md", renderRunMd(run)) : null;
+  const htmlPath = formats.includes("html") ? write("report.html", renderPacketHtml(run)) : null;
+  const summaryPath = formats.includes("summary")
+    ? write("summary.json", JSON.stringify(renderSummaryJson(run), null, 2) + "\n")
+    : null;
+
+  const manifest = createManifest(run, written, { signingKey: opts.signingKey || null });
+  const manifestPath = join(outDir, "manifest.json");
+  writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+
+  return { jsonPath, mdPath, htmlPath, summaryPath, manifestPath };
 }
 
 /**
@@ -67,9 +134,18 @@ export function renderRunMd(run, opts = {}) {
   lines.push(`> Created: ${run.run?.createdAt || "unknown"}`);
   lines.push("");
 
-  // Opinion
+  // Candidate Comparison (comparative runs)
+  if (run.comparison) {
+    lines.push(...renderComparisonMd(run.comparison));
+  }
+
+  // Opinion (comparative runs: the top-ranked candidate's)
   lines.push(`## Opinion: ${tierEmoji} ${tierLabel}`);
   lines.push("");
+  if (run.comparison) {
+    lines.push(`Top-ranked candidate: **${run.comparison.candidates[0].mark}**`);
+    lines.push("");
+  }
   lines.push(opinion.summary || "No summary available.");
   lines.push("");
 
@@ -155,6 +231,10 @@ export function renderRunMd(run, opts = {}) {
       lines.push(`- ${r}`);
     }
     lines.push("");
+    if (opinion.policy) {
+      lines.push(`Tier decided by policy \`${escapeForMd(opinion.policy.id)}\`, rule \`${escapeForMd(opinion.policy.rule)}\`.`);
+      lines.push("");
+    }
   }
 
   // Score Breakdown
@@ -185,6 +265,13 @@ export function renderRunMd(run, opts = {}) {
     }
     lines.push(overallLine);
     lines.push("");
+
+    const profile = run.run?.riskProfile;
+    if (profile) {
+      const deductions = Object.entries(profile.deductions).map(([kind, n]) => `${kind} −${n}`).join(", ");
+      lines.push(`Risk profile: **${escapeForMd(profile.name)}** (extends ${profile.base})${profile.description ? ` — ${escapeForMd(profile.description)}` : ""}. Deductions: ${deductions}.`);
+      lines.push("");
+    }
   }
 
   // Top Factors
@@ -280,7 +367,8 @@ export function renderRunMd(run, opts = {}) {
     for (const f of run.findings) {
       const severityIcon =
         f.severity === "high" ? "\u{1F534}" : f.severity === "medium" ? "\u{1F7E1}" : "\u{1F7E2}";
-      lines.push(`### ${severityIcon} ${f.kind} (${f.severity})`);
+      const markSuffix = run.comparison ? ` — \`${f.candidateMark}\`` : "";
+      lines.push(`### ${severityIcon} ${f.kind} (${f.severity})${markSuffix}`);
       lines.push("");
       lines.push(f.summary);
       if (f.why?.length > 0) {
@@ -362,8 +450,25 @@ export function renderRunMd(run, opts = {}) {
     }
   }
 
+  // Registry Equivalents Checked (conditional)
+  const equivalentChecks = (run.checks || []).filter((c) => c.query?.equivalenceRule);
+  if (equivalentChecks.length > 0) {
+    lines.push("## Registry Equivalents Checked");
+    lines.push("");
+    lines.push("*Spellings each registry treats as the same name; a taken one blocks publishing.*");
+    lines.push("");
+    lines.push("| Form | Registry | Rule | Status |");
+    lines.push("|------|----------|------|--------|");
+    for (const c of equivalentChecks) {
+      const statusIcon =
+        c.status === "available" ? "\u2705" : c.status === "taken" ? "\u274C" : "\u2753";
+      lines.push(`| \`${c.query.value}\` | ${c.namespace} | ${c.query.equivalenceRule} | ${statusIcon} ${c.status} |`);
+    }
+    lines.push("");
+  }
+
   // Fuzzy Variants Checked (conditional)
-  const fuzzyChecks = (run.checks || []).filter((c) => c.query?.isVariant);
+  const fuzzyChecks = (run.checks || []).filter((c) => c.query?.isVariant && !c.query?.equivalenceRule);
   if (fuzzyChecks.length > 0) {
     lines.push("## Fuzzy Variants Checked");
     lines.push("");
@@ -380,7 +485,7 @@ export function renderRunMd(run, opts = {}) {
   }
 
   // Fuzzy Variants Generated (Not Checked)
-  const fuzzyAll = run.variants?.items?.[0]?.fuzzyVariants || [];
+  const fuzzyAll = (run.variants?.items || []).flatMap((item) => item.fuzzyVariants || []);
   const fuzzyCheckedValues = new Set(fuzzyChecks.map((c) => c.query?.value));
   const fuzzyUnchecked = fuzzyAll.filter((v) => !fuzzyCheckedValues.has(v));
   if (fuzzyUnchecked.length > 0) {
@@ -429,11 +534,17 @@ export function renderRunMd(run, opts = {}) {
   if (opinion.saferAlternatives?.length > 0) {
     lines.push("## Safer Alternatives");
     lines.push("");
-    lines.push("| # | Name | Strategy | Availability |");
-    lines.push("|---|------|----------|--------------|");
+    if (opinion.alternativeSearch) {
+      lines.push(describeAlternativeSearch(opinion.alternativeSearch));
+      lines.push("");
+    }
+    lines.push("| # | Name | Strategy | Tier | Score | Availability |");
+    lines.push("|---|------|----------|------|-------|--------------|");
     opinion.saferAlternatives.forEach((alt, i) => {
       const avail = alt.availability?.summary || "Not checked";
-      lines.push(`| ${i + 1} | \`${escapeForMd(alt.name)}\` | ${escapeForMd(alt.strategy)} | ${escapeForMd(avail)} |`);
+      const tier = alt.tier ? `${tierIcon(alt.tier)} ${alt.tier.toUpperCase()}` : "—";
+      const score = alt.overallScore !== undefined ? `${alt.overallScore}/100` : "—";
+      lines.push(`| ${i + 1} | \`${escapeForMd(alt.name)}\` | ${escapeForMd(alt.strategy)} | ${tier} | ${score} | ${escapeForMd(avail)} |`);
     });
     lines.push("");
   }
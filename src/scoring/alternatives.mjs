@@ -4,10 +4,18 @@
  * Deterministic alternative name suggestions using
  * prefix/suffix/separator/abbreviation/compound strategies.
  * No LLM text — all templates are static.
+ *
+ * findSaferAlternatives() checks the suggestions with a caller-supplied
+ * check function and keeps generating until enough come back clean. It
+ * tries morphology- and lexicon-based names first (./morphology.mjs),
+ * dropping any that look or sound like the candidate's conflicts.
  */
 
 import { normalize } from "../variants/normalize.mjs";
 import { tokenize } from "../variants/tokenize.mjs";
+import { comparePair } from "./similarity.mjs";
+import { CROSS_SIMILARITY_THRESHOLD } from "./comparison.mjs";
+import { generateMorphologyAlternatives } from "./morphology.mjs";
 
 /**
  * Strategy candidate pools, in priority order within each strategy.
@@ -19,58 +27,45 @@ const STRATEGY_POOLS = {
   compound: ["-hub", "-lab", "-io"],
 };
 
+/** Order of tiers when ranking checked alternatives (safest first). */
+const TIER_RANK = { green: 0, yellow: 1, red: 2 };
+
 /**
  * Generate safer alternative names using deterministic strategies.
  *
- * Always produces exactly 5 alternatives (one per strategy).
+ * Round 0 produces exactly 5 alternatives (one per strategy). Each later
+ * round takes the next entry of every strategy pool (4 alternatives; the
+ * abbreviation has no further forms), until the pools run out and an
+ * empty list is returned.
  *
  * @param {string} candidateName
+ * @param {{ round?: number }} [opts]
  * @returns {Array<{ name: string, strategy: string, availability: { checked: boolean, summary: string } }>}
  */
-export function generateAlternatives(candidateName) {
+export function generateAlternatives(candidateName, opts = {}) {
+  const { round = 0 } = opts;
   const canonical = normalize(candidateName);
   const tokens = tokenize(candidateName);
   const alternatives = [];
 
   // 1. Prefix — prepend from pool
-  for (const prefix of STRATEGY_POOLS.prefix) {
-    const alt = `${prefix}${canonical}`;
-    if (alt !== canonical) {
-      alternatives.push(makeAlt(alt, "prefix"));
-      break;
-    }
-  }
+  const prefix = STRATEGY_POOLS.prefix[round];
+  if (prefix) alternatives.push(makeAlt(`${prefix}${canonical}`, "prefix"));
 
   // 2. Suffix — append from pool
-  for (const suffix of STRATEGY_POOLS.suffix) {
-    const alt = `${canonical}${suffix}`;
-    if (alt !== canonical) {
-      alternatives.push(makeAlt(alt, "suffix"));
-      break;
-    }
-  }
+  const suffix = STRATEGY_POOLS.suffix[round];
+  if (suffix) alternatives.push(makeAlt(`${canonical}${suffix}`, "suffix"));
 
   // 3. Separator — append from pool (different from suffix set)
-  for (const sep of STRATEGY_POOLS.separator) {
-    const alt = `${canonical}${sep}`;
-    if (alt !== canonical) {
-      alternatives.push(makeAlt(alt, "separator"));
-      break;
-    }
-  }
+  const sep = STRATEGY_POOLS.separator[round];
+  if (sep) alternatives.push(makeAlt(`${canonical}${sep}`, "separator"));
 
   // 4. Abbreviation — first-letter-of-each-token if multi-word, else first3+last3
-  const abbr = buildAbbreviation(tokens, canonical);
-  alternatives.push(makeAlt(abbr, "abbreviation"));
+  if (round === 0) alternatives.push(makeAlt(buildAbbreviation(tokens, canonical), "abbreviation"));
 
   // 5. Compound — append from pool
-  for (const comp of STRATEGY_POOLS.compound) {
-    const alt = `${canonical}${comp}`;
-    if (alt !== canonical) {
-      alternatives.push(makeAlt(alt, "compound"));
-      break;
-    }
-  }
+  const comp = STRATEGY_POOLS.compound[round];
+  if (comp) alternatives.push(makeAlt(`${canonical}${comp}`, "compound"));
 
   return alternatives;
 }
@@ -78,50 +73,168 @@ export function generateAlternatives(candidateName) {
 /**
  * Re-check alternatives against registries.
  *
+ * When checkFn returns a full run (runCheck()), each result also carries
+ * the run's tier and overall score.
+ *
  * @param {Array<{ name: string, strategy: string, availability: object }>} alternatives
- * @param {Function} checkFn - async (name, opts) => { checks }
+ * @param {Function} checkFn - async (name, opts) => { checks, opinion? }
  * @param {{ channels?: string[], now?: string }} [opts]
- * @returns {Promise<Array<{ name: string, strategy: string, availability: { checked: boolean, summary: string } }>>}
+ * @returns {Promise<Array<{ name: string, strategy: string, availability: { checked: boolean, summary: string }, tier?: string, overallScore?: number }>>}
  */
 export async function recheckAlternatives(alternatives, checkFn, opts = {}) {
   const results = [];
-
   for (const alt of alternatives) {
-    try {
-      const result = await checkFn(alt.name, opts);
-      const checks = result.checks || [];
-      const available = checks.filter((c) => c.status === "available").length;
-      const taken = checks.filter((c) => c.status === "taken").length;
-      const total = checks.length;
-
-      let summary;
-      if (taken === 0 && total > 0) {
-        summary = `All ${available} checked namespace(s) available`;
-      } else if (taken > 0) {
-        summary = `${taken} of ${total} namespace(s) taken`;
-      } else {
-        summary = "No namespaces checked";
-      }
-
-      results.push({
-        name: alt.name,
-        strategy: alt.strategy,
-        availability: { checked: true, summary },
-      });
-    } catch {
-      results.push({
-        name: alt.name,
-        strategy: alt.strategy,
-        availability: { checked: false, summary: "Check failed" },
-      });
+    results.push(await checkAlternative(alt, checkFn, opts));
+  }
+  return results;
+}
+
+/**
+ * Sort checked alternatives safest first: by tier (green, yellow, red,
+ * then unchecked), then by overall score, highest first. Ties keep
+ * generation order.
+ *
+ * @param {object[]} alternatives
+ * @returns {object[]} A new, sorted array
+ */
+export function rankAlternatives(alternatives) {
+  return [...alternatives].sort(
+    (a, b) =>
+      (TIER_RANK[a.tier] ?? 3) - (TIER_RANK[b.tier] ?? 3) ||
+      (b.overallScore ?? -1) - (a.overallScore ?? -1)
+  );
+}
+
+/**
+ * Drop alternatives that look or sound like any conflict:
+ * comparePair() overall similarity at or above `threshold`.
+ *
+ * @param {object[]} alternatives
+ * @param {string[]} conflicts - Names the candidate conflicts with (the candidate itself included)
+ * @param {number} [threshold] - Default: CROSS_SIMILARITY_THRESHOLD (0.70)
+ * @returns {{ kept: object[], filtered: number }}
+ */
+export function filterByConflicts(alternatives, conflicts, threshold = CROSS_SIMILARITY_THRESHOLD) {
+  const kept = alternatives.filter((alt) =>
+    conflicts.every((conflict) => comparePair(alt.name, conflict).overall < threshold)
+  );
+  return { kept, filtered: alternatives.length - kept.length };
+}
+
+/**
+ * Search for alternatives that come back clean (green tier).
+ *
+ * Morphology alternatives (see generateMorphologyAlternatives()) are
+ * tried first, then the affix alternatives, round by round (see
+ * generateAlternatives()); either kind is dropped when it is too similar
+ * to a conflict, which rules out most affix names ("go-x" still reads as
+ * "x"). They are checked one at a time until `count` are green, the
+ * names run out, or `requestsUsed()` reaches `budget`. A check that
+ * starts under budget runs to completion, so the budget can be exceeded
+ * by one check.
+ *
+ * @param {string} candidateName
+ * @param {Function} checkFn - async (name) => run; see recheckAlternatives()
+ * @param {object} [opts]
+ * @param {number} [opts.count] - Clean alternatives wanted (default: 5)
+ * @param {number} [opts.budget] - Registry requests the search may spend (default: 100)
+ * @param {Function} [opts.requestsUsed] - () => requests spent so far by checkFn
+ * @param {string[]} [opts.conflicts] - Conflict set for the similarity filter (default: [candidateName])
+ * @param {number} [opts.threshold] - Similarity at which an alternative is dropped (default: 0.70)
+ * @returns {Promise<{ alternatives: object[], search: { target: number, found: number, checked: number, filtered: number, requests: number, budget: number, stopReason: string } }>}
+ *   Up to `count` alternatives, ranked by rankAlternatives(); stopReason is "found", "budget" or "exhausted"
+ */
+export async function findSaferAlternatives(candidateName, checkFn, opts = {}) {
+  const { count = 5, budget = 100, requestsUsed = () => 0, threshold = CROSS_SIMILARITY_THRESHOLD } = opts;
+  const conflicts = opts.conflicts?.length ? opts.conflicts : [candidateName];
+
+  const pool = [];
+  let filtered = 0;
+  const screen = (alternatives) => {
+    const result = filterByConflicts(alternatives, conflicts, threshold);
+    pool.push(...result.kept);
+    filtered += result.filtered;
+  };
+  screen(generateMorphologyAlternatives(candidateName));
+  for (let round = 0; ; round++) {
+    const batch = generateAlternatives(candidateName, { round });
+    if (batch.length === 0) break;
+    screen(batch);
+  }
+
+  const seen = new Set([normalize(candidateName)]);
+  const unique = pool.filter((alt) => !seen.has(alt.name) && seen.add(alt.name));
+  const checked = [];
+  let found = 0;
+  let stopReason = "exhausted";
+
+  for (const alt of unique) {
+    if (requestsUsed() >= budget) {
+      stopReason = "budget";
+      break;
+    }
+    const result = await checkAlternative(alt, checkFn);
+    checked.push(result);
+    if (result.tier === "green") found++;
+    if (found >= count) {
+      stopReason = "found";
+      break;
     }
   }
 
-  return results;
+  // Nothing checked (e.g. a budget of 0): fall back to unchecked suggestions
+  const alternatives = checked.length > 0
+    ? rankAlternatives(checked).slice(0, count)
+    : unique.slice(0, count);
+
+  return {
+    alternatives,
+    search: { target: count, found, checked: checked.length, filtered, requests: requestsUsed(), budget, stopReason },
+  };
 }
 
 // ── Helpers ──────────────────────────────────────────────────────
 
+async function checkAlternative(alt, checkFn, opts = {}) {
+  try {
+    const result = await checkFn(alt.name, opts);
+    const checks = result.checks || [];
+    // One count per literal check; a namespace whose registry-equivalent
+    // form is taken cannot be published, so it counts as taken
+    const blocked = new Set(checks.filter((c) => c.query?.equivalenceRule && c.status === "taken").map((c) => c.namespace));
+    const literal = checks.filter((c) => !c.query?.isVariant);
+    const available = literal.filter((c) => c.status === "available" && !blocked.has(c.namespace)).length;
+    const taken = literal.filter((c) => c.status === "taken" || blocked.has(c.namespace)).length;
+    const total = literal.length;
+
+    let summary;
+    if (taken === 0 && total > 0) {
+      summary = `All ${available} checked namespace(s) available`;
+    } else if (taken > 0) {
+      summary = `${taken} of ${total} namespace(s) taken`;
+    } else {
+      summary = "No namespaces checked";
+    }
+
+    const checked = {
+      name: alt.name,
+      strategy: alt.strategy,
+      availability: { checked: true, summary },
+    };
+    if (result.opinion?.tier) checked.tier = result.opinion.tier;
+    if (typeof result.opinion?.scoreBreakdown?.overallScore === "number") {
+      checked.overallScore = result.opinion.scoreBreakdown.overallScore;
+    }
+    return checked;
+  } catch {
+    return {
+      name: alt.name,
+      strategy: alt.strategy,
+      availability: { checked: false, summary: "Check failed" },
+    };
+  }
+}
+
 function makeAlt(name, strategy) {
   return {
     name,
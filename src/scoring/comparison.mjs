@@ -0,0 +1,134 @@
+/**
+ * Multi-candidate comparison for clearance-opinion-engine.
+ *
+ * A comparative run (`coe check nameA nameB nameC`) checks and scores
+ * every candidate on its own, then ranks them:
+ *
+ *   1. tier — green, yellow, red, unknown
+ *   2. overall score, highest first
+ *   3. fewer high-severity findings
+ *   4. order given on the command line
+ *
+ * Every pair of candidates is also compared with comparePair(): names on
+ * one shortlist that look or sound alike compete with each other, so
+ * pairs at or above the 0.70 similarity threshold are flagged.
+ */
+
+import { comparePair } from "./similarity.mjs";
+
+export const MAX_CANDIDATES = 10;
+
+/** Same threshold as collision radar and corpus comparison. */
+export const CROSS_SIMILARITY_THRESHOLD = 0.70;
+
+const TIER_RANK = { green: 0, yellow: 1, red: 2, unknown: 3 };
+
+/**
+ * Validate the candidate names of a comparative run.
+ *
+ * @param {string[]} names
+ * @returns {string[]} The names, trimmed
+ * @throws {Error} COE.INIT.TOO_MANY_CANDIDATES, COE.INIT.DUPLICATE_CANDIDATE
+ */
+export function parseCandidateList(names) {
+  const marks = names.map((n) => n.trim()).filter(Boolean);
+  if (marks.length > MAX_CANDIDATES) {
+    const err = new Error(`Too many candidates: ${marks.length} (max ${MAX_CANDIDATES} per run)`);
+    err.code = "COE.INIT.TOO_MANY_CANDIDATES";
+    throw err;
+  }
+  const seen = new Set();
+  for (const mark of marks) {
+    const key = mark.toLowerCase();
+    if (seen.has(key)) {
+      const err = new Error(`Duplicate candidate: "${mark}"`);
+      err.code = "COE.INIT.DUPLICATE_CANDIDATE";
+      throw err;
+    }
+    seen.add(key);
+  }
+  return marks;
+}
+
+/**
+ * Check and finding counts for one candidate's run.
+ *
+ * @param {{ checks: object[], findings?: object[] }} run
+ * @returns {{ checks: number, available: number, taken: number, unknown: number, findings: number, highFindings: number }}
+ */
+export function candidateStats(run) {
+  const checks = run.checks || [];
+  const findings = run.findings || [];
+  return {
+    checks: checks.length,
+    available: checks.filter((c) => c.status === "available").length,
+    taken: checks.filter((c) => c.status === "taken").length,
+    unknown: checks.filter((c) => c.status === "unknown").length,
+    findings: findings.length,
+    highFindings: findings.filter((f) => f.severity === "high").length,
+  };
+}
+
+/**
+ * Rank single-candidate runs, best first.
+ *
+ * @param {object[]} runs - runCheck() results, in command-line order
+ * @returns {Array<{ mark: string, rank: number, opinion: object, stats: object }>}
+ */
+export function rankCandidates(runs) {
+  const entries = runs.map((run, order) => ({
+    mark: run.intake.candidates[0].mark,
+    opinion: run.opinion,
+    stats: candidateStats(run),
+    order,
+  }));
+
+  entries.sort((a, b) =>
+    (TIER_RANK[a.opinion.tier] ?? 3) - (TIER_RANK[b.opinion.tier] ?? 3)
+    || (b.opinion.scoreBreakdown?.overallScore ?? 0) - (a.opinion.scoreBreakdown?.overallScore ?? 0)
+    || a.stats.highFindings - b.stats.highFindings
+    || a.order - b.order
+  );
+
+  return entries.map(({ mark, opinion, stats }, i) => ({ mark, rank: i + 1, opinion, stats }));
+}
+
+/**
+ * Compare every pair of candidates.
+ *
+ * @param {string[]} marks
+ * @param {{ threshold?: number }} [opts]
+ * @returns {Array<{ a: string, b: string, looks: number, sounds: number, overall: number, flagged: boolean, why: string[] }>}
+ */
+export function crossCandidateSimilarity(marks, opts = {}) {
+  const threshold = opts.threshold ?? CROSS_SIMILARITY_THRESHOLD;
+  const pairs = [];
+  for (let i = 0; i < marks.length; i++) {
+    for (let j = i + 1; j < marks.length; j++) {
+      const cmp = comparePair(marks[i], marks[j]);
+      pairs.push({
+        a: marks[i],
+        b: marks[j],
+        looks: cmp.looks.score,
+        sounds: cmp.sounds.score,
+        overall: cmp.overall,
+        flagged: cmp.overall >= threshold,
+        why: cmp.why,
+      });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Build the `comparison` block of a comparative run.
+ *
+ * @param {object[]} runs - runCheck() results, in command-line order
+ * @returns {{ candidates: object[], crossSimilarity: object[] }}
+ */
+export function buildComparison(runs) {
+  return {
+    candidates: rankCandidates(runs),
+    crossSimilarity: crossCandidateSimilarity(runs.map((r) => r.intake.candidates[0].mark)),
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Bundled offline lexicon for the morphology alternative generator.
+ *
+ * Small, hand-picked tables of words common in software and product
+ * names. Keys and values are lowercase ASCII; lookups go through
+ * lexiconKey() so simple plurals match. Nothing here is fetched at run
+ * time, so generated alternatives are deterministic across machines.
+ */
+
+/**
+ * Synonyms and near-synonyms, most brandable first.
+ */
+export const SYNONYMS = {
+  agent: ["envoy", "proxy", "emissary"],
+  api: ["gateway", "portal", "bridge"],
+  app: ["suite", "studio", "deck"],
+  auth: ["warden", "keyring", "sentry"],
+  base: ["keel", "footing", "bedrock"],
+  bot: ["droid", "automaton", "golem"],
+  bridge: ["span", "arch", "trestle"],
+  build: ["forge", "craft", "mason"],
+  cache: ["hoard", "stash", "cellar"],
+  check: ["probe", "audit", "vet"],
+  clean: ["pure", "pristine", "tidy"],
+  clear: ["lucid", "crisp", "vivid"],
+  cloud: ["nimbus", "vapor", "cirrus"],
+  code: ["script", "cipher", "glyph"],
+  cool: ["frost", "chill", "brisk"],
+  core: ["kernel", "nucleus", "heart"],
+  data: ["ledger", "record", "tally"],
+  deploy: ["launch", "ship", "field"],
+  dev: ["maker", "builder", "wright"],
+  doc: ["scroll", "folio", "codex"],
+  easy: ["simple", "breezy", "deft"],
+  engine: ["motor", "turbine", "dynamo"],
+  fast: ["swift", "rapid", "fleet"],
+  file: ["folder", "dossier", "archive"],
+  flow: ["stream", "current", "tide"],
+  graph: ["lattice", "mesh", "web"],
+  guard: ["bastion", "sentinel", "aegis"],
+  hub: ["nexus", "plaza", "harbor"],
+  kit: ["rig", "outfit", "satchel"],
+  lab: ["atelier", "workshop", "foundry"],
+  lane: ["path", "track", "route"],
+  light: ["beam", "glow", "flare"],
+  link: ["tether", "chain", "bond"],
+  log: ["journal", "diary", "chronicle"],
+  map: ["atlas", "chart", "compass"],
+  mark: ["sigil", "token", "badge"],
+  name: ["moniker", "label", "title"],
+  net: ["weave", "grid", "trellis"],
+  note: ["memo", "jot", "quill"],
+  open: ["free", "ajar", "candid"],
+  pipe: ["conduit", "channel", "duct"],
+  plan: ["blueprint", "scheme", "draft"],
+  queue: ["line", "roster", "docket"],
+  quick: ["nimble", "spry", "zippy"],
+  run: ["sprint", "dash", "stride"],
+  scan: ["survey", "sweep", "scout"],
+  search: ["quest", "seek", "hunt"],
+  secure: ["safe", "vault", "fort"],
+  shop: ["market", "bazaar", "emporium"],
+  smart: ["sage", "savvy", "astute"],
+  stack: ["pile", "tower", "cairn"],
+  store: ["depot", "vault", "granary"],
+  stream: ["brook", "rill", "torrent"],
+  sync: ["tandem", "accord", "unison"],
+  task: ["chore", "errand", "quest"],
+  test: ["trial", "probe", "assay"],
+  tool: ["forge", "anvil", "chisel"],
+  view: ["vista", "lens", "prism"],
+  watch: ["vigil", "sentry", "lookout"],
+  web: ["mesh", "lattice", "loom"],
+  work: ["labor", "craft", "toil"],
+};
+
+/**
+ * Latin and Greek combining roots for English words.
+ */
+export const ROOTS = {
+  bright: ["lumin", "clar"],
+  build: ["struct", "tekt"],
+  clear: ["clar", "lucid"],
+  cloud: ["nebul", "nephel"],
+  code: ["scrib", "gram"],
+  cool: ["frig", "cryo"],
+  core: ["cardi", "medull"],
+  data: ["dat", "info"],
+  earth: ["terr", "geo"],
+  fast: ["velo", "tachy"],
+  fire: ["ign", "pyro"],
+  flow: ["flux", "rheo"],
+  guard: ["custod", "phylax"],
+  hub: ["centr", "omphal"],
+  lane: ["via", "odo"],
+  life: ["vita", "bio"],
+  light: ["lux", "photo"],
+  link: ["nex", "desmo"],
+  map: ["carto", "chart"],
+  mark: ["sign", "semio"],
+  mind: ["ment", "psycho"],
+  name: ["nomen", "onym"],
+  new: ["nova", "neo"],
+  open: ["apert", "pateo"],
+  sea: ["mar", "thalass"],
+  secure: ["tut", "asphal"],
+  see: ["vid", "scope"],
+  sound: ["sono", "phono"],
+  star: ["stell", "astro"],
+  sun: ["sol", "helio"],
+  time: ["tempo", "chrono"],
+  tool: ["instru", "organ"],
+  true: ["ver", "alethe"],
+  view: ["spect", "orama"],
+  water: ["aqua", "hydro"],
+  watch: ["vigil", "scopo"],
+  wind: ["vent", "aero"],
+  word: ["verb", "logo"],
+  work: ["opus", "ergo"],
+};
+
+/**
+ * Endings that turn a combining root into a word; a root's final vowel
+ * gives way to the ending ("lux" → "luxa", "velo" → "velex").
+ */
+export const ROOT_ENDINGS = ["a", "ex", "ium", "on", "is"];
+
+/**
+ * Phoneme inventory for coined words: syllable onsets, vowels and
+ * word-final codas.
+ */
+export const PHONEMES = {
+  onsets: ["b", "d", "f", "g", "k", "l", "m", "n", "p", "r", "s", "t", "v", "z", "br", "dr", "fl", "gr", "kl", "pr", "st", "tr"],
+  vowels: ["a", "e", "i", "o", "u"],
+  codas: ["", "", "n", "r", "l", "x", "s"],
+};
+
+/**
+ * Syllable patterns for coined words: O = onset + vowel, C = coda.
+ */
+export const COINED_PATTERNS = ["OO", "OOC", "OOO", "OOOC"];
+
+/**
+ * Lexicon key for a token: the token itself, or its singular when only
+ * that is listed ("tools" → "tool").
+ *
+ * @param {string} token - Lowercase token
+ * @param {Record<string, string[]>} table
+ * @returns {string|null}
+ */
+export function lexiconKey(token, table) {
+  if (Object.hasOwn(table, token)) return token;
+  if (token.endsWith("s") && Object.hasOwn(table, token.slice(0, -1))) return token.slice(0, -1);
+  return null;
+}
@@ -0,0 +1,299 @@
+/**
+ * Morphology- and lexicon-based alternative names for clearance-opinion-engine.
+ *
+ * Where generateAlternatives() glues fixed affixes onto the candidate,
+ * these strategies build new words:
+ *
+ *   synonym     swap tokens for lexicon synonyms ("acme-tool" → "acme-forge"); a
+ *               name made only of lexicon words ("launch", "swift-forge") is
+ *               dropped, as a plain dictionary word is rarely free or distinctive
+ *   blend       portmanteau of two words ("swift" + "forge" → "swiforge")
+ *   respelling  vowel dropping and respelling of generated words ("ledger" → "ledgr")
+ *   root        Latin/Greek root swaps ("fast" → "velex", "fast-tool" → "veloinstru")
+ *   coined      new words from phoneme patterns, seeded by the candidate's hash
+ *
+ * Everything comes from the bundled lexicon (./lexicon.mjs) and a
+ * hash-seeded sequence, so the output is deterministic. Similarity to
+ * the candidate's conflicts is filtered by the caller (see
+ * findSaferAlternatives()).
+ */
+
+import { createHash } from "node:crypto";
+import { normalize } from "../variants/normalize.mjs";
+import { tokenize } from "../variants/tokenize.mjs";
+import { SYNONYMS, ROOTS, ROOT_ENDINGS, PHONEMES, COINED_PATTERNS, lexiconKey } from "./lexicon.mjs";
+
+/** Strategies in the order their candidates are interleaved. */
+export const MORPHOLOGY_STRATEGIES = ["synonym", "blend", "respelling", "root", "coined"];
+
+/** Coined words generated per candidate. */
+const COINED_COUNT = 8;
+
+/** Registry-safe: lowercase, starts with a letter, 4–40 chars. */
+const VALID_NAME = /^[a-z][a-z0-9-]{3,39}$/;
+
+const VOWELS = "aeiou";
+
+/**
+ * Generate morphology- and lexicon-based alternatives for a name.
+ *
+ * Candidates of the five strategies are interleaved (first of each,
+ * then second of each, …) so a limited check budget sees every
+ * strategy. Duplicates, the candidate itself and names that are not
+ * registry-safe are dropped.
+ *
+ * @param {string} candidateName
+ * @param {{ limit?: number }} [opts] - limit: most alternatives returned (default: 40)
+ * @returns {Array<{ name: string, strategy: string, availability: { checked: boolean, summary: string } }>}
+ */
+export function generateMorphologyAlternatives(candidateName, opts = {}) {
+  const { limit = 40 } = opts;
+  const canonical = normalize(candidateName);
+  const tokens = tokenize(candidateName)
+    .filter((t) => /^[a-z0-9]+$/.test(t))
+    .flatMap(splitCompound);
+
+  const synonyms = synonymNames(tokens);
+  const stems = synonymStems(tokens);
+  const blends = blendNames(stems);
+  const roots = rootNames(tokens);
+  const respellings = respellNames([...stems.flat(), ...blends]);
+  const lists = {
+    synonym: synonyms,
+    blend: blends,
+    respelling: respellings,
+    root: roots,
+    coined: coinedNames(canonical),
+  };
+
+  const seen = new Set([canonical]);
+  const alternatives = [];
+  const longest = Math.max(...Object.values(lists).map((l) => l.length));
+  for (let i = 0; i < longest && alternatives.length < limit; i++) {
+    for (const strategy of MORPHOLOGY_STRATEGIES) {
+      const name = lists[strategy][i];
+      if (!name || seen.has(name) || !VALID_NAME.test(name)) continue;
+      seen.add(name);
+      alternatives.push({ name, strategy, availability: { checked: false, summary: "Not checked" } });
+      if (alternatives.length >= limit) break;
+    }
+  }
+  return alternatives;
+}
+
+// ── Strategies ───────────────────────────────────────────────────
+
+/**
+ * Split a token that is two lexicon words run together ("clearlane" →
+ * ["clear", "lane"]); other tokens are returned as they are.
+ *
+ * @param {string} token - Lowercase token
+ * @returns {string[]}
+ */
+export function splitCompound(token) {
+  const known = (w) => lexiconKey(w, SYNONYMS) || lexiconKey(w, ROOTS);
+  if (token.length < 6 || known(token)) return [token];
+  for (let i = 3; i <= token.length - 3; i++) {
+    if (known(token.slice(0, i)) && known(token.slice(i))) return [token.slice(0, i), token.slice(i)];
+  }
+  return [token];
+}
+
+/**
+ * Synonym substitution: every lexicon token swapped for its k-th synonym,
+ * then one token at a time. Only names with at least one component
+ * outside the lexicon are kept.
+ */
+function synonymNames(tokens) {
+  const known = tokens.map((t) => lexiconKey(t, SYNONYMS));
+  if (!known.some(Boolean) || tokens.every(isLexiconWord)) return [];
+
+  const names = [];
+  for (let k = 0; k < 3; k++) {
+    names.push(tokens.map((t, i) => (known[i] ? SYNONYMS[known[i]][k] || t : t)).join("-"));
+  }
+  for (let k = 0; k < 3; k++) {
+    known.forEach((key, i) => {
+      if (!key || tokens.length < 2) return;
+      names.push(tokens.map((t, j) => (j === i ? SYNONYMS[key][k] : t)).join("-"));
+    });
+  }
+  return names.filter((name) => !name.split("-").every(isLexiconWord));
+}
+
+/** Every word of the lexicon: the synonym and root keys and the synonyms themselves. */
+const LEXICON_WORDS = new Set(Object.values(SYNONYMS).flat());
+
+function isLexiconWord(word) {
+  return LEXICON_WORDS.has(word) || Boolean(lexiconKey(word, SYNONYMS) || lexiconKey(word, ROOTS));
+}
+
+/**
+ * Word lists to blend and respell: the synonyms of each lexicon token,
+ * by synonym rank ([["swift", "forge"], ["rapid", "anvil"], …]).
+ */
+function synonymStems(tokens) {
+  const keys = tokens.map((t) => lexiconKey(t, SYNONYMS)).filter(Boolean);
+  const stems = [];
+  for (let k = 0; k < 3; k++) {
+    const words = keys.map((key) => SYNONYMS[key][k]).filter(Boolean);
+    if (words.length > 0) stems.push(words);
+  }
+  return stems;
+}
+
+/**
+ * Portmanteaus of adjacent words within each stem list; a single-word
+ * name blends its synonyms with each other.
+ */
+function blendNames(stems) {
+  const pairs = [];
+  if (stems.some((words) => words.length > 1)) {
+    for (const words of stems) {
+      for (let i = 0; i + 1 < words.length; i++) pairs.push([words[i], words[i + 1]]);
+    }
+  } else {
+    const words = stems.map((w) => w[0]);
+    for (let i = 0; i + 1 < words.length; i++) pairs.push([words[i], words[i + 1]], [words[i + 1], words[i]]);
+  }
+  return pairs.map(([a, b]) => blend(a, b)).filter(Boolean);
+}
+
+/**
+ * Blend two words: a suffix/prefix overlap is merged ("motor" + "orbit"
+ * → "motorbit"); otherwise the first syllable of `a` meets `b` from its
+ * first vowel ("swift" + "forge" → "swiforge").
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {string|null}
+ */
+export function blend(a, b) {
+  for (let k = Math.min(a.length, b.length) - 1; k >= 2; k--) {
+    if (a.endsWith(b.slice(0, k))) return a + b.slice(k);
+  }
+  const head = firstSyllable(a);
+  let tail = b.slice(firstVowel(b));
+  if (VOWELS.includes(head[head.length - 1]) && VOWELS.includes(tail[0])) tail = tail.slice(1);
+  const word = head + tail;
+  return word !== a && word !== b && word.length <= 12 ? word : null;
+}
+
+/** Respelling rules, tried in order; each returns the word unchanged when it does not apply. */
+const RESPELL_RULES = [
+  // "flicker" → "flickr"
+  (w) => w.replace(/([^aeiou])er$/, "$1r"),
+  // Drop the vowel before a final consonant: "nimbus" → "nimbs"
+  (w) => (w.length >= 5 ? w.replace(/([^aeiou])[aeiou]([^aeiouy])$/, "$1$2") : w),
+  // Hard c → k: "craft" → "kraft"
+  (w) => w.replace(/ck/g, "k").replace(/c(?![eiy])/g, "k"),
+  // "cipher" → "cifer"
+  (w) => w.replace(/ph/g, "f"),
+  // Interior i → y: "swift" → "swyft"
+  (w) => w.replace(/([^aeiou])i([^aeiou])/, "$1y$2"),
+  // Final s → z: "nimbus" → "nimbuz"
+  (w) => w.replace(/s$/, "z"),
+];
+
+/**
+ * Vowel dropping and respelling: up to two respellings per word.
+ */
+function respellNames(words) {
+  const names = [];
+  for (const word of words) {
+    let found = 0;
+    for (const rule of RESPELL_RULES) {
+      const respelled = rule(word);
+      if (respelled !== word) {
+        names.push(respelled);
+        if (++found === 2) break;
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Latin/Greek root swaps: a classical compound of every known token's
+ * root, then each root turned into a word with the bundled endings.
+ */
+function rootNames(tokens) {
+  const keys = tokens.map((t) => lexiconKey(t, ROOTS)).filter(Boolean);
+  if (keys.length === 0) return [];
+
+  const names = [];
+  for (let k = 0; k < 2; k++) {
+    const roots = keys.map((key) => ROOTS[key][k]).filter(Boolean);
+    if (roots.length > 1) names.push(roots.reduce((word, root) => joinRoots(word, root)));
+  }
+  for (let k = 0; k < 2; k++) {
+    for (const key of keys) {
+      const root = ROOTS[key][k];
+      if (!root) continue;
+      for (const ending of ROOT_ENDINGS.slice(0, 3)) {
+        const word = withEnding(root, ending);
+        if (word !== key) names.push(word);
+      }
+    }
+  }
+  return names;
+}
+
+/** "lux" + "instru" → "luxoinstru"; "velo" + "instru" → "veloinstru"; "cryo" + "organ" → "cryorgan" */
+function joinRoots(a, b) {
+  const aVowel = VOWELS.includes(a[a.length - 1]);
+  const bVowel = VOWELS.includes(b[0]);
+  if (aVowel && bVowel) return a.slice(0, -1) + b;
+  return aVowel || bVowel ? a + b : `${a}o${b}`;
+}
+
+/** "velo" + "ex" → "velex"; "lux" + "a" → "luxa"; "tachy" + "on" → "tachon" */
+function withEnding(root, ending) {
+  const stem = /[aeiouy]$/.test(root) ? root.slice(0, -1) : root;
+  return stem + ending;
+}
+
+/**
+ * Coined words: onset+vowel syllables (and an optional coda) picked by
+ * a SHA-256 sequence seeded with the canonical name.
+ */
+function coinedNames(canonical) {
+  const next = seededSequence(canonical);
+  const names = [];
+  for (let i = 0; i < COINED_COUNT; i++) {
+    const pattern = COINED_PATTERNS[i % COINED_PATTERNS.length];
+    let word = "";
+    for (const slot of pattern) {
+      if (slot === "O") {
+        word += PHONEMES.onsets[next(PHONEMES.onsets.length)] + PHONEMES.vowels[next(PHONEMES.vowels.length)];
+      } else {
+        word += PHONEMES.codas[next(PHONEMES.codas.length)];
+      }
+    }
+    names.push(word);
+  }
+  return names;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+/**
+ * Deterministic integer sequence: next(n) returns 0..n-1, drawn from
+ * SHA-256(seed:counter).
+ */
+function seededSequence(seed) {
+  let counter = 0;
+  return (n) => createHash("sha256").update(`${seed}:${counter++}`).digest().readUInt32BE(0) % n;
+}
+
+function firstVowel(word) {
+  const i = [...word].findIndex((ch) => VOWELS.includes(ch));
+  return i === -1 ? 0 : i;
+}
+
+/** Onset, first vowel group and one following consonant: "swift" → "swif". */
+function firstSyllable(word) {
+  let i = firstVowel(word);
+  while (i < word.length && VOWELS.includes(word[i])) i++;
+  return word.slice(0, Math.min(i + 1, word.length));
+}
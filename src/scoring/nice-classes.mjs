@@ -0,0 +1,231 @@
+/**
+ * Nice classification helpers for clearance-opinion-engine.
+ *
+ * Maps a free-text goods/services description to Nice classes through a
+ * bundled keyword table, and describes how the candidate's classes relate
+ * to a corpus mark's classes:
+ *
+ *   same        — at least one shared class (severity raised)
+ *   coordinated — classes commonly registered together, e.g. 9/42/35
+ *                 (severity raised when the similarity is 0.80 or more)
+ *   unrelated   — no shared or coordinated class (severity lowered)
+ *   unknown     — either side has no class information (unchanged)
+ *
+ * The keyword table is a heuristic starting point, not a classification
+ * service: counsel should confirm the classes for any filing.
+ */
+
+/**
+ * Keywords per Nice class (lowercase; matched on word boundaries, with an
+ * optional plural "s"). Ordered by class number. Words common in software
+ * descriptions ("engine", "storage", "event", "bar") are only listed in a
+ * qualified phrase ("combustion engine", "warehouse storage").
+ *
+ * @type {Record<number, string[]>}
+ */
+export const NICE_KEYWORDS = {
+  1: ["chemical", "fertilizer", "adhesive for industry", "resin"],
+  2: ["paint", "varnish", "ink", "dye", "pigment"],
+  3: ["cosmetic", "soap", "perfume", "shampoo", "skincare", "skin care", "toothpaste"],
+  4: ["fuel", "lubricant", "candle", "industrial oil"],
+  5: ["pharmaceutical", "medicine", "drug", "supplement", "vitamin", "disinfectant"],
+  6: ["metal goods", "metalware", "ironmongery", "padlock", "metal safe"],
+  7: ["industrial machine", "machinery", "combustion engine", "electric motor", "industrial robot", "3d printer"],
+  8: ["hand tool", "cutlery", "razor", "knife"],
+  9: [
+    "software", "app", "mobile app", "sdk", "library", "package", "cli", "firmware",
+    "computer", "electronics", "device", "hardware device", "smartphone", "camera",
+    "download", "video game", "game software", "plugin", "extension", "framework",
+  ],
+  10: ["medical device", "surgical", "dental", "hearing aid"],
+  11: ["lighting", "lamp", "heating", "air conditioning", "kitchen appliance", "plumbing"],
+  12: ["vehicle", "car", "bicycle", "drone", "automotive", "tire"],
+  13: ["firearm", "ammunition", "firework"],
+  14: ["jewelry", "jewellery", "wristwatch", "clock"],
+  15: ["musical instrument", "guitar", "piano"],
+  16: ["paper", "stationery", "printed matter", "book", "magazine", "poster"],
+  17: ["rubber", "insulation", "plastic sheet"],
+  18: ["leather", "handbag", "luggage", "leather wallet", "umbrella", "backpack"],
+  19: ["building material", "cement", "timber", "tile"],
+  20: ["furniture", "mirror", "mattress"],
+  21: ["kitchenware", "cookware", "tableware", "glassware", "cup", "mug"],
+  22: ["rope", "tent", "sail", "tarpaulin"],
+  23: ["yarn", "thread"],
+  24: ["textile", "fabric", "bed linen", "towel"],
+  25: ["clothing", "apparel", "shoe", "footwear", "hat", "t-shirt", "fashion"],
+  26: ["lace", "button", "ribbon", "embroidery"],
+  27: ["carpet", "rug", "wallpaper"],
+  28: ["toy", "board game", "sporting goods", "game console", "fitness equipment"],
+  29: ["meat", "dairy", "cheese", "preserved food", "snack food"],
+  30: ["coffee", "tea", "bakery", "bread", "chocolate", "confectionery", "spice"],
+  31: ["fresh produce", "agricultural", "seed", "pet food", "plant"],
+  32: ["beer", "soft drink", "juice", "mineral water", "energy drink", "beverage"],
+  33: ["wine", "spirits", "liquor", "whisky", "vodka"],
+  34: ["tobacco", "cigarette", "vape", "e-cigarette"],
+  35: [
+    "advertising", "marketing", "retail", "online store", "e-commerce", "marketplace",
+    "business consulting", "business management", "crm", "analytics", "recruiting",
+  ],
+  36: ["financial", "banking", "insurance", "payment", "payments", "fintech", "real estate", "crypto"],
+  37: ["construction", "repair", "installation", "cleaning service"],
+  38: [
+    "telecommunication", "messaging", "chat", "streaming", "broadcasting",
+    "email", "voip", "social network", "social media", "forum",
+  ],
+  39: ["transport", "freight", "shipping service", "parcel delivery", "logistics", "travel booking", "warehouse storage"],
+  40: ["manufacturing for others", "printing service", "recycling", "3d printing service"],
+  41: ["education", "training", "course", "entertainment", "online game", "gaming", "event planning", "publishing", "podcast"],
+  42: [
+    "saas", "software as a service", "paas", "platform as a service", "cloud", "hosting",
+    "api", "web service", "software development", "developer tool", "devops",
+    "ci", "database", "ai", "machine learning", "research", "design", "web app", "website",
+  ],
+  43: ["restaurant", "cafe", "cocktail bar", "catering", "hotel", "accommodation"],
+  44: ["medical service", "healthcare", "telehealth", "veterinary", "beauty salon", "agriculture service"],
+  45: ["legal", "security service", "dating", "identity verification", "licensing"],
+};
+
+/**
+ * Groups of classes commonly registered and enforced together. A
+ * candidate class and a mark class in the same group are "coordinated".
+ *
+ * @type {number[][]}
+ */
+export const COORDINATED_CLASSES = [
+  [9, 35, 38, 41, 42],       // software, SaaS, online services
+  [9, 28],                   // video games / game consoles
+  [18, 25, 14, 3],           // fashion: leather goods, clothing, jewelry, cosmetics
+  [29, 30, 31, 32, 33, 43],  // food, beverages and restaurants
+  [5, 10, 44],               // health: pharma, medical devices, medical services
+  [36, 35, 42],              // fintech
+  [12, 37, 39],              // vehicles, repair, transport
+];
+
+/** Severity adjustment per class relationship. */
+const SEVERITY_STEPS = ["low", "medium", "high"];
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse a --classes value into sorted, de-duplicated Nice classes.
+ *
+ * @param {string|number[]|null} raw - e.g. "9,42"
+ * @returns {number[]} Empty when raw is empty
+ * @throws {Error} COE.INIT.BAD_CLASS
+ */
+export function parseClassList(raw) {
+  if (raw === null || raw === undefined || raw === "") return [];
+  const parts = Array.isArray(raw) ? raw : String(raw).split(",");
+  const classes = [];
+  for (const part of parts) {
+    const n = Number(String(part).trim());
+    if (!Number.isInteger(n) || n < 1 || n > 45) {
+      const err = new Error(`Invalid Nice class: ${String(part).trim() || "(empty)"}`);
+      err.code = "COE.INIT.BAD_CLASS";
+      throw err;
+    }
+    if (!classes.includes(n)) classes.push(n);
+  }
+  return classes.sort((a, b) => a - b);
+}
+
+/**
+ * Map a goods/services description to Nice classes via NICE_KEYWORDS.
+ *
+ * @param {string|null} text - e.g. "Developer tool and hosted API"
+ * @returns {number[]} Sorted classes (empty when nothing matches)
+ */
+export function classesFromGoods(text) {
+  if (!text) return [];
+  const haystack = text.toLowerCase();
+  const classes = [];
+  for (const [cls, keywords] of Object.entries(NICE_KEYWORDS)) {
+    const hit = keywords.some((kw) =>
+      new RegExp(`(^|[^a-z0-9])${escapeRegex(kw)}s?($|[^a-z0-9])`).test(haystack)
+    );
+    if (hit) classes.push(Number(cls));
+  }
+  return classes;
+}
+
+/**
+ * Describe how a corpus mark's classes relate to the candidate's.
+ *
+ * @param {number[]} candidateClasses
+ * @param {number[]} markClasses
+ * @returns {{ relation: "same"|"coordinated"|"unrelated"|"unknown", shared: number[], coordinated: number[] }}
+ *   shared — classes on both sides; coordinated — mark classes coordinated with a candidate class
+ */
+export function classRelationship(candidateClasses, markClasses) {
+  if (!candidateClasses?.length || !markClasses?.length) {
+    return { relation: "unknown", shared: [], coordinated: [] };
+  }
+
+  const shared = markClasses.filter((c) => candidateClasses.includes(c));
+  if (shared.length > 0) return { relation: "same", shared, coordinated: [] };
+
+  const coordinated = markClasses.filter((m) =>
+    COORDINATED_CLASSES.some((group) => group.includes(m) && candidateClasses.some((c) => group.includes(c)))
+  );
+  if (coordinated.length > 0) return { relation: "coordinated", shared: [], coordinated };
+
+  return { relation: "unrelated", shared: [], coordinated: [] };
+}
+
+/**
+ * Adjust a finding severity for a class relationship: same class raises
+ * it one step, coordinated classes raise medium to high only when the
+ * similarity is already strong (overall >= 0.80), unrelated classes lower
+ * it one step.
+ *
+ * @param {"low"|"medium"|"high"} severity
+ * @param {string} relation - From classRelationship()
+ * @param {number} overall - Similarity score (0-1)
+ * @returns {"low"|"medium"|"high"}
+ */
+export function adjustSeverity(severity, relation, overall) {
+  const i = SEVERITY_STEPS.indexOf(severity);
+  if (i < 0) return severity;
+  if (relation === "same") return SEVERITY_STEPS[Math.min(i + 1, 2)];
+  if (relation === "coordinated" && overall >= 0.80) return SEVERITY_STEPS[Math.min(i + 1, 2)];
+  if (relation === "unrelated") return SEVERITY_STEPS[Math.max(i - 1, 0)];
+  return severity;
+}
+
+function classList(classes) {
+  return `${classes.length === 1 ? "class" : "classes"} ${classes.join(", ")}`;
+}
+
+/** " (severity raised from medium to high)", " (severity unchanged at high)" or "" without severities. */
+function severityNote(severity) {
+  if (!severity) return "";
+  const { before, after } = severity;
+  if (before === after) return ` (severity unchanged at ${after})`;
+  const direction = SEVERITY_STEPS.indexOf(after) > SEVERITY_STEPS.indexOf(before) ? "raised" : "lowered";
+  return ` (severity ${direction} from ${before} to ${after})`;
+}
+
+/**
+ * Human-readable explanation of a class relationship for why[].
+ *
+ * @param {{ relation: string, shared: number[], coordinated: number[] }} rel
+ * @param {number[]} candidateClasses
+ * @param {number[]} markClasses
+ * @param {{ before: string, after: string }} [severity] - Severity before and after adjustSeverity()
+ * @returns {string|null} null when the relationship is unknown
+ */
+export function describeClassRelationship(rel, candidateClasses, markClasses, severity) {
+  const note = severityNote(severity);
+  switch (rel.relation) {
+    case "same":
+      return `Class overlap: same Nice ${classList(rel.shared)} as the candidate${note}`;
+    case "coordinated":
+      return `Class overlap: mark's Nice ${classList(rel.coordinated)} is coordinated with the candidate's ${classList(candidateClasses)}${note}`;
+    case "unrelated":
+      return `Class overlap: none — mark's Nice ${classList(markClasses)} is unrelated to the candidate's ${classList(candidateClasses)}${note}`;
+    default:
+      return null;
+  }
+}
@@ -4,15 +4,18 @@
  * Produces a conservative GREEN/YELLOW/RED opinion based on
  * namespace checks, findings, and variant analysis.
  *
- * Tiering rules:
+ * The tier comes from an opinion policy (see policy.mjs). The default
+ * policy (policies/default.json) encodes the shipped rules:
  *   GREEN  — all checks available, zero exact/phonetic/confusable conflicts
  *   YELLOW — some checks unknown (network), or near_conflict/coverage_gap found
- *   RED    — any exact_conflict, phonetic_conflict on taken namespaces,
- *            or multiple confusable_risk findings
+ *   RED    — any exact_conflict, registry_blocked, phonetic_conflict on
+ *            taken namespaces, or multiple confusable_risk findings
  */
 
 import { computeScoreBreakdown } from "./weights.mjs";
+import { evaluatePolicy, getDefaultPolicy } from "./policy.mjs";
 import { buildCollisionCards } from "./collision-cards.mjs";
+import { getChannelForNamespace, defaultChannels } from "../channels/registry.mjs";
 
 // ── Top Factors template catalog ─────────────────────────────────
 const FACTOR_TEMPLATES = {
@@ -22,6 +25,12 @@ const FACTOR_TEMPLATES = {
     template: (ctx) =>
       `The name '${ctx.name}' is already claimed in ${ctx.namespace}`,
   },
+  registry_collision: {
+    weight: "critical",
+    category: "registry_blocked",
+    template: (ctx) =>
+      `'${ctx.form}' is taken in ${ctx.namespace}, which treats it as the same name as '${ctx.name}'`,
+  },
   phonetic_overlap: {
     weight: "critical",
     category: "phonetic_conflict",
@@ -90,6 +99,23 @@ export function extractTopFactors(data, context) {
     });
   }
 
+  // Registry-blocked names (an equivalent spelling is taken)
+  const registryBlocked = findings.filter((f) => f.kind === "registry_blocked");
+  for (const f of registryBlocked) {
+    const form = f.summary?.match(/form "([^"]+)"/)?.[1] || "unknown";
+    const ns = f.summary?.match(/in (\S+):/)?.[1] || "a registry";
+    factors.push({
+      factor: "registry_collision",
+      statement: FACTOR_TEMPLATES.registry_collision.template({
+        form,
+        namespace: ns,
+        name: candidateName,
+      }),
+      weight: "critical",
+      category: "registry_blocked",
+    });
+  }
+
   // Phonetic conflicts
   const phoneticConflicts = findings.filter((f) => f.kind === "phonetic_conflict");
   for (const f of phoneticConflicts) {
@@ -203,6 +229,10 @@ const NARRATIVE_TEMPLATES = {
     `If you proceed with '${ctx.name}', you will collide with an existing registered name in at least one namespace. ` +
     `Users searching for your project may land on the existing package instead. ` +
     `This creates immediate brand confusion and potential takedown risk.`,
+  red_registry: (ctx) =>
+    `If you proceed with '${ctx.name}', publishing will fail in at least one registry. ` +
+    `The registry treats the name as the same as '${ctx.conflictMark}', which is already taken, even though the exact name is free. ` +
+    `Choose a name whose normalized form is also free.`,
   red_phonetic: (ctx) =>
     `If you proceed with '${ctx.name}', users who hear the name may confuse it with '${ctx.conflictMark}'. ` +
     `Verbal recommendations and word-of-mouth discovery will be unreliable. ` +
@@ -249,6 +279,7 @@ export function generateRiskNarrative(context) {
 
   if (tier === "red") {
     if (dominant === "exact_conflict") return NARRATIVE_TEMPLATES.red_exact(ctx);
+    if (dominant === "registry_blocked") return NARRATIVE_TEMPLATES.red_registry(ctx);
     if (dominant === "phonetic_conflict") return NARRATIVE_TEMPLATES.red_phonetic(ctx);
     if (dominant === "confusable_risk") return NARRATIVE_TEMPLATES.red_confusable(ctx);
     return NARRATIVE_TEMPLATES.red_exact(ctx); // fallback
@@ -274,6 +305,11 @@ const ACTION_TEMPLATES = {
       label: () => "Register matching domains",
       reason: (ctx) => `Register ${ctx.availableDomains} while available.`,
     },
+    claim_handle: {
+      urgency: "medium",
+      label: () => "Claim social handles",
+      reason: (ctx) => `Handles are available: ${ctx.availableHandles}. Claim them with the namespaces so no one squats on them.`,
+    },
   },
   yellow: {
     recheck_soon: {
@@ -286,6 +322,11 @@ const ACTION_TEMPLATES = {
       label: () => "Consider safer alternatives",
       reason: (ctx) => `Consider safer alternatives: ${ctx.top2alternatives}.`,
     },
+    claim_handle: {
+      urgency: "low",
+      label: () => "Hold the available social handles",
+      reason: (ctx) => `Handles are available: ${ctx.availableHandles}. They are free to claim and keep the name open while conflicts are reviewed.`,
+    },
     consult_counsel: {
       urgency: "low",
       label: () => "Consult a trademark attorney",
@@ -311,17 +352,28 @@ const ACTION_TEMPLATES = {
  * Distinct from recommendedActions (which are reservation links).
  *
  * @param {{ checks: object[], findings: object[] }} data
- * @param {{ tier: string, candidateName: string, saferAlternatives?: object[], claimLinks?: string[], domainLinks?: string[] }} context
+ * @param {{ tier: string, candidateName: string, saferAlternatives?: object[], claimLinks?: string[], domainLinks?: string[], handleLinks?: string[] }} context
  * @returns {Array<{ type: string, label: string, reason: string, urgency: string, url?: string }>}
  */
 export function buildNextActions(data, context) {
   const { checks = [] } = data;
-  const { tier, candidateName, saferAlternatives = [], claimLinks = [], domainLinks = [] } = context;
+  const { tier, candidateName, saferAlternatives = [], claimLinks = [], domainLinks = [], handleLinks = [] } = context;
   const actions = [];
 
   const available = checks.filter((c) => c.status === "available" && !c.query?.isVariant);
   const top2 = saferAlternatives.slice(0, 2).map((a) => a.name).join(", ") || "none generated";
 
+  // Social handles (social channel group), e.g. "my_tool@mastodon.social (mastodon)"
+  const availableHandles = available
+    .filter((c) => getChannelForNamespace(c.namespace)?.group === "social")
+    .map((c) => `${c.query?.value} (${c.namespace})`)
+    .join(", ");
+  const claimHandleAction = (template) => {
+    const action = { type: "claim_handle", ...buildAction(template, { availableHandles }) };
+    if (handleLinks.length > 0) action.url = handleLinks[0];
+    return action;
+  };
+
   if (tier === "green") {
     // Claim now
     const availNamespaces = [...new Set(available.map((c) => c.namespace))].join(", ");
@@ -353,6 +405,9 @@ export function buildNextActions(data, context) {
       }
       actions.push(domainAction);
     }
+
+    // Claim handles (only if social channels were checked and handles available)
+    if (availableHandles) actions.push(claimHandleAction(ACTION_TEMPLATES.green.claim_handle));
   } else if (tier === "yellow") {
     // Recheck
     actions.push({
@@ -370,6 +425,9 @@ export function buildNextActions(data, context) {
       });
     }
 
+    // Hold handles while the name is reviewed
+    if (availableHandles) actions.push(claimHandleAction(ACTION_TEMPLATES.yellow.claim_handle));
+
     // Consult counsel
     actions.push({
       type: "consult_counsel",
@@ -408,8 +466,9 @@ function buildAction(template, ctx) {
  * @returns {{ coverageScore: number, uncheckedNamespaces: string[], disclaimer: string }}
  */
 export function computeCoverage(checks, channels) {
-  // Filter to non-variant checks only
-  const primaryChecks = checks.filter((c) => !c.query?.isVariant);
+  // Filter to non-variant checks only; "unsupported" checks (e.g. ccTLDs
+  // without RDAP) cannot be performed at all, so they don't count either way
+  const primaryChecks = checks.filter((c) => !c.query?.isVariant && c.status !== "unsupported");
 
   const totalPossible = primaryChecks.length || 1;
   const successful = primaryChecks.filter((c) => c.status !== "unknown").length;
@@ -433,6 +492,25 @@ export function computeCoverage(checks, channels) {
   return { coverageScore, uncheckedNamespaces, disclaimer };
 }
 
+const CLAIMABLE_SOON_LABELS = {
+  pending_delete: "pending deletion",
+  redemption_period: "in redemption period",
+  expiring: "expiring",
+  parked: "parked",
+};
+
+/**
+ * Describe a "claimable_soon" domain check for recommended actions.
+ *
+ * @param {object} check
+ * @returns {string} e.g. "my-tool.com (expiring, expires 2026-03-01)"
+ */
+function describeClaimableSoon(check) {
+  const reason = CLAIMABLE_SOON_LABELS[check.details?.claimableSoonReason] || "may be released";
+  const expires = check.details?.expiresAt ? `, expires ${check.details.expiresAt.slice(0, 10)}` : "";
+  return `${check.query?.value} (${reason}${expires})`;
+}
+
 /**
  * Build reservation links for a candidate name based on check results.
  *
@@ -440,49 +518,65 @@ export function computeCoverage(checks, channels) {
  *
  * @param {string} candidateName
  * @param {object[]} checks
- * @returns {{ claimLinks: string[], domainLinks: string[] }}
+ * @returns {{ claimLinks: string[], domainLinks: string[], handleLinks: string[] }}
+ *   handleLinks (social sign-up pages) are also included in claimLinks
  */
 function buildReservationLinks(candidateName, checks) {
   const claimLinks = [];
   const domainLinks = [];
-  const encodedName = encodeURIComponent(candidateName);
+  const handleLinks = [];
 
   for (const c of checks) {
     if (c.status !== "available") continue;
 
-    if (c.namespace === "npm") {
-      claimLinks.push(`https://www.npmjs.com/package/${encodedName}`);
-    } else if (c.namespace === "pypi") {
-      claimLinks.push(`https://pypi.org/project/${encodedName}/`);
-    } else if (c.namespace === "github_repo") {
-      claimLinks.push("https://github.com/new");
-    } else if (c.namespace === "github_org") {
-      claimLinks.push("https://github.com/organizations/new");
-    } else if (c.namespace === "cratesio") {
-      claimLinks.push(`https://crates.io/crates/${encodedName}`);
-    } else if (c.namespace === "dockerhub") {
-      claimLinks.push("https://hub.docker.com/");
-    } else if (c.namespace === "huggingface_model" || c.namespace === "huggingface_space") {
-      claimLinks.push("https://huggingface.co/new");
-    } else if (c.namespace === "domain") {
-      const fqdn = c.query?.value || `${candidateName}.com`;
-      domainLinks.push(`https://www.namecheap.com/domains/registration/results/?domain=${encodeURIComponent(fqdn)}`);
+    const channel = getChannelForNamespace(c.namespace);
+    const link = channel?.reservation?.(c, candidateName);
+    if (!link) continue;
+
+    if (link.kind === "domain") {
+      domainLinks.push(link.url);
+    } else {
+      claimLinks.push(link.url);
+      if (link.kind === "handle") handleLinks.push(link.url);
     }
   }
 
-  return { claimLinks, domainLinks };
+  return { claimLinks, domainLinks, handleLinks };
+}
+
+/**
+ * Reasons for a tier a custom policy decided: the fired rule's reason (or
+ * description), then what the checks and findings were, without judging
+ * them.
+ *
+ * @param {{ id: string, reason?: string, description?: string }} rule
+ * @param {object[]} checks
+ * @param {object[]} findings
+ * @returns {string[]}
+ */
+function policyReasons(rule, checks, findings) {
+  const countBy = (items, key) => {
+    const counts = new Map();
+    for (const item of items) counts.set(item[key], (counts.get(item[key]) || 0) + 1);
+    return [...counts].map(([value, n]) => `${n} ${value}`).join(", ");
+  };
+  return [
+    rule.reason || rule.description || `Policy rule "${rule.id}" matched`,
+    `Namespace checks: ${countBy(checks, "status") || "none"}`,
+    `Findings: ${countBy(findings, "kind") || "none"}`,
+  ];
 }
 
 /**
  * Score an opinion from checks, findings, and variant data.
  *
  * @param {{ checks: object[], findings: object[], variants: object }} data
- * @param {{ riskTolerance?: string }} [opts]
- * @returns {{ tier: string, summary: string, reasons: string[], assumptions: string[], limitations: string[], recommendedActions: object[], closestConflicts: object[], scoreBreakdown: object }}
+ * @param {{ riskTolerance?: string, profile?: object, weights?: object, policy?: object, saferAlternatives?: object[] }} [opts] - profile/weights: see computeScoreBreakdown(); policy: a validated opinion policy (default: policies/default.json); saferAlternatives: clean alternatives named in next actions
+ * @returns {{ tier: string, summary: string, reasons: string[], policy: object, assumptions: string[], limitations: string[], recommendedActions: object[], closestConflicts: object[], scoreBreakdown: object }}
  */
 export function scoreOpinion(data, opts = {}) {
   const { checks = [], findings = [], variants = {} } = data;
-  const riskTolerance = opts.riskTolerance || "conservative";
+  const riskTolerance = opts.profile?.base || opts.riskTolerance || "conservative";
 
   const reasons = [];
   const assumptions = [];
@@ -494,16 +588,18 @@ export function scoreOpinion(data, opts = {}) {
   const taken = checks.filter((c) => c.status === "taken");
   const available = checks.filter((c) => c.status === "available");
   const unknown = checks.filter((c) => c.status === "unknown");
+  const unsupported = checks.filter((c) => c.status === "unsupported");
 
   // Classify findings by kind
   const exactConflicts = findings.filter((f) => f.kind === "exact_conflict");
+  const registryBlocked = findings.filter((f) => f.kind === "registry_blocked");
   const phoneticConflicts = findings.filter((f) => f.kind === "phonetic_conflict");
   const confusableRisks = findings.filter((f) => f.kind === "confusable_risk");
   const nearConflicts = findings.filter((f) => f.kind === "near_conflict");
   const coverageGaps = findings.filter((f) => f.kind === "coverage_gap");
   const variantTaken = findings.filter((f) => f.kind === "variant_taken");
 
-  // --- RED conditions ---
+  // --- Reasons: RED conditions under the default policy ---
   if (exactConflicts.length > 0) {
     reasons.push(
       `Exact conflict: ${exactConflicts.length} namespace(s) already taken with this exact name`
@@ -518,6 +614,20 @@ export function scoreOpinion(data, opts = {}) {
     }
   }
 
+  if (registryBlocked.length > 0) {
+    reasons.push(
+      `Registry blocked: ${registryBlocked.length} namespace(s) treat a taken spelling as this exact name`
+    );
+    for (const f of registryBlocked) {
+      closestConflicts.push({
+        mark: f.candidateMark,
+        why: [`Equivalent name taken: ${f.summary}`],
+        severity: "high",
+        evidenceRefs: f.evidenceRefs,
+      });
+    }
+  }
+
   if (phoneticConflicts.length > 0) {
     reasons.push(
       `Phonetic conflict: ${phoneticConflicts.length} name(s) sound similar to existing taken names`
@@ -547,9 +657,7 @@ export function scoreOpinion(data, opts = {}) {
     );
   }
 
-  const isRed = exactConflicts.length > 0 || phoneticConflicts.length > 0 || multipleConfusable;
-
-  // --- YELLOW conditions ---
+  // --- Reasons: YELLOW conditions under the default policy ---
   if (unknown.length > 0) {
     reasons.push(
       `${unknown.length} namespace check(s) returned unknown (network issues)`
@@ -582,28 +690,38 @@ export function scoreOpinion(data, opts = {}) {
     );
   }
 
-  const isYellow =
-    !isRed &&
-    (unknown.length > 0 ||
-      nearConflicts.length > 0 ||
-      coverageGaps.length > 0 ||
-      variantTaken.length > 0 ||
-      (!multipleConfusable && confusableRisks.length > 0));
+  // Compute explainable score breakdown (policies may test the score)
+  const scoreBreakdown = computeScoreBreakdown(data, opts);
 
-  // --- GREEN conditions ---
-  if (!isRed && !isYellow) {
+  // --- Tier from the opinion policy: first matching rule wins ---
+  const policy = opts.policy || getDefaultPolicy();
+  const { tier, rule } = evaluatePolicy(policy, {
+    checks,
+    findings,
+    scoreBreakdown,
+    riskTolerance,
+    profileName: opts.profile?.name,
+  });
+  // The per-kind reasons above restate the default policy's rules. Any
+  // other policy is explained by the rule that fired and neutral counts.
+  const usesDefaultPolicy = policy === getDefaultPolicy();
+  if (!usesDefaultPolicy) {
+    reasons.splice(0, reasons.length, ...policyReasons(rule, checks, findings));
+  } else if (rule.reason) {
+    reasons.unshift(rule.reason);
+  }
+
+  if (usesDefaultPolicy && tier === "green" && reasons.length === 0) {
     reasons.push(
       `All ${available.length} namespace check(s) returned available with no conflicts`
     );
   }
 
-  const tier = isRed ? "red" : isYellow ? "yellow" : "green";
-
   // Get candidate name for reservation links
   const candidateName = variants.items?.[0]?.candidateMark || "unknown";
 
   // Build reservation links
-  const { claimLinks, domainLinks } = buildReservationLinks(candidateName, checks);
+  const { claimLinks, domainLinks, handleLinks } = buildReservationLinks(candidateName, checks);
   const hasDomainChecks = checks.some((c) => c.namespace === "domain");
 
   // Build recommended actions (with links)
@@ -663,6 +781,17 @@ export function scoreOpinion(data, opts = {}) {
     });
   }
 
+  // Registered domains that may free up (deletion cycle, expiring, parked)
+  const claimableSoon = checks.filter((c) => c.claimability === "claimable_soon" && !c.query?.isVariant);
+  if (claimableSoon.length > 0) {
+    recommendedActions.push({
+      type: "recheck_soon",
+      label: "Watch domains that may become claimable soon",
+      details: `${claimableSoon.length} registered domain(s) may free up: ${claimableSoon.map(describeClaimableSoon).join("; ")}.`,
+      links: [],
+    });
+  }
+
   // Standard assumptions
   assumptions.push(
     "Namespace availability is checked at a point in time and may change."
@@ -685,6 +814,11 @@ export function scoreOpinion(data, opts = {}) {
       `${unknown.length} namespace(s) could not be checked due to network errors.`
     );
   }
+  if (unsupported.length > 0) {
+    limitations.push(
+      `${unsupported.length} namespace(s) have no public lookup service and were not checked: ${unsupported.map((c) => c.query?.value).join(", ")}.`
+    );
+  }
 
   // Collision radar + corpus limitations
   const hasCollisionRadar = checks.some((c) => c.namespace === "custom" && c.details?.source);
@@ -711,16 +845,17 @@ export function scoreOpinion(data, opts = {}) {
   const candidateNames = variants.items
     ? variants.items.map((v) => v.candidateMark).join(", ")
     : "unknown";
-  const summary =
-    tier === "green"
+  const findingsNote = findings.length > 0
+    ? `${findings.length} finding(s) recorded; review them before proceeding.`
+    : "No findings recorded.";
+  const summary = !usesDefaultPolicy
+    ? `Policy "${policy.id}" rates "${candidateNames}" ${tierLabel} (rule "${rule.id}"). ${findingsNote}`
+    : tier === "green"
       ? `All namespaces available for "${candidateNames}". No conflicts detected. Safe to proceed with claims.`
       : tier === "yellow"
         ? `Some concerns found for "${candidateNames}". ${reasons.length} issue(s) need review before proceeding.`
         : `Conflicts detected for "${candidateNames}". ${reasons.length} blocking issue(s) found. Name change recommended.`;
 
-  // Compute explainable score breakdown
-  const scoreBreakdown = computeScoreBreakdown(data, opts);
-
   // Extract top factors
   const topFactors = extractTopFactors(data, { tier, candidateName });
 
@@ -728,7 +863,14 @@ export function scoreOpinion(data, opts = {}) {
   const riskNarrative = generateRiskNarrative({ tier, topFactors, candidateName });
 
   // Build next actions (coaching-oriented, with URLs from reservation links)
-  const nextActions = buildNextActions(data, { tier, candidateName, claimLinks, domainLinks });
+  const nextActions = buildNextActions(data, {
+    tier,
+    candidateName,
+    saferAlternatives: opts.saferAlternatives || [],
+    claimLinks,
+    domainLinks,
+    handleLinks,
+  });
 
   // Build collision explanation cards
   const collisionCards = buildCollisionCards(findings, checks);
@@ -738,14 +880,19 @@ export function scoreOpinion(data, opts = {}) {
     ? checks.map((c) => c.namespace).filter((v, i, a) => a.indexOf(v) === i && !checks.find((cc) => cc.namespace === v && cc.query?.isVariant))
     : [];
   const requestedChannels = data.intake?.riskTolerance
-    ? (opts.channels || ["github", "npm", "pypi", "domain"])
-    : ["github", "npm", "pypi", "domain"];
+    ? (opts.channels || defaultChannels())
+    : defaultChannels();
   const coverage = computeCoverage(checks, requestedChannels);
 
   return {
     tier,
     summary,
     reasons,
+    policy: {
+      id: policy.id,
+      ...(policy.version !== undefined ? { version: policy.version } : {}),
+      rule: rule.id,
+    },
     assumptions,
     limitations,
     recommendedActions,
@@ -777,6 +924,8 @@ export function classifyFindings(checks, variants) {
 
   for (const check of checks) {
     if (check.status !== "taken") continue;
+    // Registry-equivalent forms are classified below
+    if (check.query?.equivalenceRule) continue;
 
     const candidateMark = check.query?.candidateMark || "unknown";
 
@@ -857,7 +1006,7 @@ export function classifyFindings(checks, variants) {
   // Variant-taken: base name available but fuzzy edit-distance=1 variant is taken.
   // These come from checks where query.isVariant === true.
   const variantTakenChecks = checks.filter(
-    (c) => c.query?.isVariant && c.status === "taken"
+    (c) => c.query?.isVariant && !c.query?.equivalenceRule && c.status === "taken"
   );
   for (const c of variantTakenChecks) {
     findings.push({
@@ -876,5 +1025,36 @@ export function classifyFindings(checks, variants) {
     findingIdx++;
   }
 
+  // Registry-blocked: the literal name is free (or unknown), but the
+  // registry treats a taken spelling as the same name (PEP 503, npm
+  // moniker, crates.io -/_), so publishing would be rejected. One finding
+  // per namespace; a taken literal is already an exact_conflict.
+  const blockedByNamespace = new Map();
+  for (const c of checks) {
+    if (!c.query?.equivalenceRule || c.status !== "taken") continue;
+    const literalTaken = checks.some((l) => l.namespace === c.namespace && !l.query?.isVariant && l.status === "taken");
+    if (literalTaken) continue;
+    if (!blockedByNamespace.has(c.namespace)) blockedByNamespace.set(c.namespace, []);
+    blockedByNamespace.get(c.namespace).push(c);
+  }
+  for (const [namespace, forms] of blockedByNamespace) {
+    const [first] = forms;
+    const name = first.query.originalCandidate || first.query.candidateMark;
+    findings.push({
+      id: `fd.registry-blocked.${namespace}.${findingIdx}`,
+      candidateMark: name,
+      kind: "registry_blocked",
+      summary: `Name "${name}" is blocked in ${namespace}: equivalent form "${first.query.value}" is taken`,
+      severity: "high",
+      score: 100,
+      why: [
+        ...forms.map((c) => `${namespace} returned status "taken" for "${c.query.value}" (${c.query.equivalenceRule})`),
+        `${namespace} would reject "${name}" at publish time even though the exact name is free`,
+      ],
+      evidenceRefs: forms.map((c) => c.evidenceRef).filter(Boolean),
+    });
+    findingIdx++;
+  }
+
   return findings;
 }
@@ -0,0 +1,272 @@
+/**
+ * Opinion policy engine for clearance-opinion-engine.
+ *
+ * A policy is a JSON document with an ordered list of rules. Each rule
+ * names a tier and an optional condition ("when"); the first rule whose
+ * condition holds decides the tier, and the last rule must be an
+ * unconditional catch-all. policies/default.json reproduces the shipped
+ * tier logic.
+ *
+ * Conditions:
+ *
+ *   { "findings": { <matcher> }, "min": 1, "max": n }  count of matching findings in [min, max]
+ *   { "checks": { <matcher> }, "min": 1, "max": n }    count of matching checks in [min, max]
+ *   { "riskTolerance": "aggressive" | [...] }          risk profile name or the built-in it extends
+ *   { "score": { "below": n|"green"|"yellow", "atLeast": n|"green"|"yellow" } }
+ *                                                      overall score against a number or tier threshold
+ *   { "all": [ ... ] }, { "any": [ ... ] }, { "not": { ... } }
+ *
+ * A matcher maps field names (dotted paths allowed) to a value or a list
+ * of accepted values. Besides their own fields, findings expose
+ * `namespace` (from the check their evidence points to) and checks expose
+ * `tld` (domain checks) and `isVariant`.
+ *
+ * Throws on invalid policies (does NOT call process.exit).
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+
+/** Tiers a rule can assign. */
+export const POLICY_TIERS = ["green", "yellow", "red"];
+
+const POLICY_KEYS = ["$schema", "id", "version", "description", "rules"];
+const RULE_KEYS = ["id", "tier", "description", "reason", "when"];
+const THRESHOLD_NAMES = ["green", "yellow"];
+
+let defaultPolicyCache = null;
+
+function policyError(code, message, path) {
+  const err = new Error(message);
+  err.code = code;
+  if (path) err.path = path;
+  return err;
+}
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value === null || ["string", "number", "boolean"].includes(typeof value);
+}
+
+/**
+ * Validate one condition, recursively.
+ *
+ * @param {*} cond
+ * @param {string} at - Location for error messages, e.g. rules[2].when
+ * @throws {Error} COE.POLICY.INVALID
+ */
+function validateCondition(cond, at) {
+  const invalid = (msg) => policyError("COE.POLICY.INVALID", `${at}: ${msg}`);
+  if (!isObject(cond)) throw invalid("condition must be an object");
+
+  const keys = Object.keys(cond);
+  const kind = keys.find((k) => ["findings", "checks", "riskTolerance", "score", "all", "any", "not"].includes(k));
+  if (!kind) throw invalid(`unknown condition (keys: ${keys.join(", ") || "none"})`);
+
+  const allowed = kind === "findings" || kind === "checks" ? [kind, "min", "max"] : [kind];
+  const extra = keys.find((k) => !allowed.includes(k));
+  if (extra) throw invalid(`unexpected "${extra}" in a "${kind}" condition`);
+
+  switch (kind) {
+    case "findings":
+    case "checks": {
+      if (!isObject(cond[kind])) throw invalid(`"${kind}" must be a matcher object`);
+      for (const [field, expected] of Object.entries(cond[kind])) {
+        const ok = isScalar(expected) || (Array.isArray(expected) && expected.length > 0 && expected.every(isScalar));
+        if (!ok) throw invalid(`matcher field "${field}" must be a value or a non-empty list of values`);
+      }
+      for (const bound of ["min", "max"]) {
+        if (bound in cond && (!Number.isInteger(cond[bound]) || cond[bound] < 0)) {
+          throw invalid(`"${bound}" must be a non-negative integer`);
+        }
+      }
+      if ((cond.min ?? 1) > (cond.max ?? Infinity)) throw invalid('"min" is greater than "max"');
+      return;
+    }
+
+    case "riskTolerance": {
+      const names = Array.isArray(cond.riskTolerance) ? cond.riskTolerance : [cond.riskTolerance];
+      if (names.length === 0 || !names.every((n) => typeof n === "string" && n.length > 0)) {
+        throw invalid('"riskTolerance" must be a profile name or a list of names');
+      }
+      return;
+    }
+
+    case "score": {
+      const score = cond.score;
+      if (!isObject(score) || Object.keys(score).length === 0) throw invalid('"score" must be an object with "below" and/or "atLeast"');
+      for (const [k, v] of Object.entries(score)) {
+        if (k !== "below" && k !== "atLeast") throw invalid(`unexpected "${k}" in "score"`);
+        const ok = (typeof v === "number" && v >= 0 && v <= 100) || THRESHOLD_NAMES.includes(v);
+        if (!ok) throw invalid(`"score.${k}" must be a number from 0 to 100, "green" or "yellow"`);
+      }
+      return;
+    }
+
+    case "all":
+    case "any":
+      if (!Array.isArray(cond[kind]) || cond[kind].length === 0) throw invalid(`"${kind}" must be a non-empty list of conditions`);
+      cond[kind].forEach((c, i) => validateCondition(c, `${at}.${kind}[${i}]`));
+      return;
+
+    case "not":
+      validateCondition(cond.not, `${at}.not`);
+      return;
+  }
+}
+
+/**
+ * Validate a policy document.
+ *
+ * @param {*} policy
+ * @returns {object} The policy, unchanged
+ * @throws {Error} COE.POLICY.INVALID
+ */
+export function validatePolicy(policy) {
+  const invalid = (msg) => policyError("COE.POLICY.INVALID", msg);
+  if (!isObject(policy)) throw invalid("Policy must be a JSON object");
+
+  const extra = Object.keys(policy).find((k) => !POLICY_KEYS.includes(k));
+  if (extra) throw invalid(`Unknown policy key "${extra}" (expected ${POLICY_KEYS.filter((k) => k !== "$schema").join(", ")})`);
+  if (typeof policy.id !== "string" || policy.id.trim() === "") throw invalid('Policy needs a non-empty "id"');
+  if (policy.version !== undefined && !["string", "number"].includes(typeof policy.version)) {
+    throw invalid('Policy "version" must be a string or number');
+  }
+  if (!Array.isArray(policy.rules) || policy.rules.length === 0) throw invalid('Policy needs a non-empty "rules" list');
+
+  const ids = new Set();
+  policy.rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!isObject(rule)) throw invalid(`${at}: rule must be an object`);
+    const extraKey = Object.keys(rule).find((k) => !RULE_KEYS.includes(k));
+    if (extraKey) throw invalid(`${at}: unknown rule key "${extraKey}" (expected ${RULE_KEYS.join(", ")})`);
+    if (typeof rule.id !== "string" || rule.id.trim() === "") throw invalid(`${at}: rule needs a non-empty "id"`);
+    if (ids.has(rule.id)) throw invalid(`${at}: duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+    if (!POLICY_TIERS.includes(rule.tier)) throw invalid(`${at} ("${rule.id}"): "tier" must be one of ${POLICY_TIERS.join(", ")}`);
+    for (const text of ["description", "reason"]) {
+      if (rule[text] !== undefined && typeof rule[text] !== "string") throw invalid(`${at} ("${rule.id}"): "${text}" must be a string`);
+    }
+    if (rule.when !== undefined) {
+      validateCondition(rule.when, `${at} ("${rule.id}").when`);
+    } else if (i < policy.rules.length - 1) {
+      throw invalid(`${at} ("${rule.id}") has no "when", so the rules after it can never fire`);
+    }
+  });
+
+  const last = policy.rules[policy.rules.length - 1];
+  if (last.when !== undefined) {
+    throw invalid(`The last rule ("${last.id}") must have no "when" so every run gets a tier`);
+  }
+  return policy;
+}
+
+/**
+ * Read and validate a policy file.
+ *
+ * @param {string} path
+ * @returns {object} The policy
+ * @throws {Error} COE.POLICY.NOT_FOUND, COE.POLICY.PARSE_FAIL, COE.POLICY.INVALID
+ */
+export function loadPolicy(path) {
+  if (!existsSync(path)) throw policyError("COE.POLICY.NOT_FOUND", `Policy file not found: ${path}`, path);
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw policyError("COE.POLICY.PARSE_FAIL", `Cannot parse policy file: ${err.message}`, path);
+  }
+  try {
+    return validatePolicy(policy);
+  } catch (err) {
+    err.path = path;
+    throw err;
+  }
+}
+
+/**
+ * The shipped policy (policies/default.json), loaded once.
+ *
+ * @returns {object}
+ */
+export function getDefaultPolicy() {
+  if (!defaultPolicyCache) {
+    defaultPolicyCache = loadPolicy(new URL("../../policies/default.json", import.meta.url));
+  }
+  return defaultPolicyCache;
+}
+
+function fieldValue(item, field) {
+  return field.split(".").reduce((v, key) => (v == null ? undefined : v[key]), item);
+}
+
+function matches(item, matcher) {
+  return Object.entries(matcher).every(([field, expected]) => {
+    const actual = fieldValue(item, field);
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+function countInRange(items, cond, key) {
+  const n = items.filter((item) => matches(item, cond[key])).length;
+  return n >= (cond.min ?? 1) && n <= (cond.max ?? Infinity);
+}
+
+function scoreBound(bound, thresholds) {
+  return typeof bound === "number" ? bound : thresholds?.[bound];
+}
+
+function holds(cond, ctx) {
+  if ("findings" in cond) return countInRange(ctx.findings, cond, "findings");
+  if ("checks" in cond) return countInRange(ctx.checks, cond, "checks");
+  if ("riskTolerance" in cond) {
+    const names = Array.isArray(cond.riskTolerance) ? cond.riskTolerance : [cond.riskTolerance];
+    return names.includes(ctx.riskTolerance) || names.includes(ctx.profileName);
+  }
+  if ("score" in cond) {
+    const overall = ctx.scoreBreakdown?.overallScore;
+    if (typeof overall !== "number") return false;
+    const below = scoreBound(cond.score.below, ctx.scoreBreakdown.tierThresholds);
+    const atLeast = scoreBound(cond.score.atLeast, ctx.scoreBreakdown.tierThresholds);
+    return (below === undefined || overall < below) && (atLeast === undefined || overall >= atLeast);
+  }
+  if ("all" in cond) return cond.all.every((c) => holds(c, ctx));
+  if ("any" in cond) return cond.any.some((c) => holds(c, ctx));
+  if ("not" in cond) return !holds(cond.not, ctx);
+  return false;
+}
+
+/**
+ * Evaluate a policy: the first rule whose condition holds decides the tier.
+ *
+ * @param {object} policy - A validated policy
+ * @param {{ checks?: object[], findings?: object[], scoreBreakdown?: object, riskTolerance?: string, profileName?: string }} data
+ * @returns {{ tier: string, rule: object }} The tier and the rule that fired
+ */
+export function evaluatePolicy(policy, data) {
+  const checks = (data.checks || []).map((c) => ({
+    ...c,
+    isVariant: c.query?.isVariant === true,
+    ...(c.namespace === "domain" && c.query?.value ? { tld: c.query.value.slice(c.query.value.indexOf(".") + 1) } : {}),
+  }));
+  const namespaceByEvidence = new Map(
+    (data.checks || []).filter((c) => c.evidenceRef).map((c) => [c.evidenceRef, c.namespace])
+  );
+  const findings = (data.findings || []).map((f) => ({
+    ...f,
+    namespace: (f.evidenceRefs || []).map((ref) => namespaceByEvidence.get(ref)).find(Boolean) ?? null,
+  }));
+
+  const ctx = {
+    checks,
+    findings,
+    scoreBreakdown: data.scoreBreakdown,
+    riskTolerance: data.riskTolerance || "conservative",
+    profileName: data.profileName || data.riskTolerance || "conservative",
+  };
+
+  const rule = policy.rules.find((r) => r.when === undefined || holds(r.when, ctx));
+  return { tier: rule.tier, rule };
+}
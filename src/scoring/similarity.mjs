@@ -111,42 +111,83 @@ export function similarityLabel(score) {
 }
 
 /**
- * Compare a pair of marks for visual + phonetic similarity.
+ * Comparison features of a mark: its normalized form and Metaphone
+ * signature. comparePair() derives both on every call; corpus indexes
+ * store them once per distinct normalized form.
+ *
+ * @param {string} mark
+ * @returns {{ norm: string, sig: string }}
+ */
+export function markFeatures(mark) {
+  const norm = normalize(mark);
+  return { norm, sig: phoneticSignature(tokenize(norm)) };
+}
+
+/**
+ * Upper bound on jaroWinkler(a, b) for a fixed `a`, computed without the
+ * match-window scan: the number of Jaro matches cannot exceed the
+ * character multiset intersection, and transpositions only lower the
+ * score. The prefix bonus is exact.
+ *
+ * @param {string} a
+ * @returns {(b: string) => number} Never less than jaroWinkler(a, b)
+ */
+export function jaroWinklerBound(a) {
+  const aLower = a.toLowerCase();
+  const counts = new Map();
+  for (const ch of aLower) counts.set(ch, (counts.get(ch) || 0) + 1);
+
+  return (b) => {
+    const bLower = b.toLowerCase();
+    if (aLower === bLower) return 1.0;
+
+    const used = new Map();
+    let m = 0;
+    for (const ch of bLower) {
+      const u = used.get(ch) || 0;
+      if (u < (counts.get(ch) || 0)) {
+        used.set(ch, u + 1);
+        m++;
+      }
+    }
+    return jaroWinklerMatchBound(aLower, bLower, m);
+  };
+}
+
+/**
+ * The bound of jaroWinklerBound() for two lowercase strings whose
+ * character multisets share `matches` characters.
+ *
+ * @param {string} aLower
+ * @param {string} bLower
+ * @param {number} matches - Size of the character multiset intersection
+ * @returns {number}
+ */
+export function jaroWinklerMatchBound(aLower, bLower, matches) {
+  if (matches === 0 || aLower.length === 0 || bLower.length === 0) return 0.0;
+  const jaroBound = (matches / aLower.length + matches / bLower.length + 1) / 3;
+  let prefix = 0;
+  const maxPrefix = Math.min(4, aLower.length, bLower.length);
+  while (prefix < maxPrefix && aLower[prefix] === bLower[prefix]) prefix++;
+  return jaroBound + prefix * 0.1 * (1 - jaroBound);
+}
+
+/**
+ * Build a comparePair() result from already-computed scores.
  *
  * @param {string} a - candidate mark
  * @param {string} b - known mark
+ * @param {number} looksScore
+ * @param {number} soundsScore
  * @param {{ lookWeight?: number, soundWeight?: number }} [opts]
- * @returns {{
- *   a: string, b: string,
- *   looks: { score: number, label: string },
- *   sounds: { score: number, label: string },
- *   overall: number,
- *   why: string[]
- * }}
+ * @returns {ReturnType<typeof comparePair>}
  */
-export function comparePair(a, b, opts = {}) {
-  const lookWeight = opts.lookWeight ?? 0.6;
-  const soundWeight = opts.soundWeight ?? 0.4;
-
-  // Appearance similarity: Jaro-Winkler on normalized forms
-  const normA = normalize(a);
-  const normB = normalize(b);
-  const looksScore = jaroWinkler(normA, normB);
+export function comparisonFromScores(a, b, looksScore, soundsScore, opts = {}) {
   const looksLabel = similarityLabel(looksScore);
-
-  // Phonetic similarity: Jaro-Winkler on Metaphone signatures
-  const tokensA = tokenize(normA);
-  const tokensB = tokenize(normB);
-  const sigA = phoneticSignature(tokensA);
-  const sigB = phoneticSignature(tokensB);
-  const soundsScore = sigA && sigB ? jaroWinkler(sigA, sigB) : 0.0;
   const soundsLabel = similarityLabel(soundsScore);
 
   // Weighted blend
-  const totalWeight = lookWeight + soundWeight;
-  const overall = totalWeight > 0
-    ? Math.round(((lookWeight * looksScore + soundWeight * soundsScore) / totalWeight) * 1000) / 1000
-    : 0;
+  const overall = blendScores(looksScore, soundsScore, opts);
 
   // Build explanation
   const why = [];
@@ -163,13 +204,57 @@ export function comparePair(a, b, opts = {}) {
   };
 }
 
+/**
+ * Weighted blend of looks and sounds scores, rounded to 3 decimals.
+ *
+ * @param {number} looksScore
+ * @param {number} soundsScore
+ * @param {{ lookWeight?: number, soundWeight?: number }} [opts]
+ * @returns {number}
+ */
+export function blendScores(looksScore, soundsScore, opts = {}) {
+  const lookWeight = opts.lookWeight ?? 0.6;
+  const soundWeight = opts.soundWeight ?? 0.4;
+  const totalWeight = lookWeight + soundWeight;
+  return totalWeight > 0
+    ? Math.round(((lookWeight * looksScore + soundWeight * soundsScore) / totalWeight) * 1000) / 1000
+    : 0;
+}
+
+/**
+ * Compare a pair of marks for visual + phonetic similarity.
+ *
+ * @param {string} a - candidate mark
+ * @param {string} b - known mark
+ * @param {{ lookWeight?: number, soundWeight?: number }} [opts]
+ * @returns {{
+ *   a: string, b: string,
+ *   looks: { score: number, label: string },
+ *   sounds: { score: number, label: string },
+ *   overall: number,
+ *   why: string[]
+ * }}
+ */
+export function comparePair(a, b, opts = {}) {
+  const featA = markFeatures(a);
+  const featB = markFeatures(b);
+
+  // Appearance similarity: Jaro-Winkler on normalized forms
+  const looksScore = jaroWinkler(featA.norm, featB.norm);
+
+  // Phonetic similarity: Jaro-Winkler on Metaphone signatures
+  const soundsScore = featA.sig && featB.sig ? jaroWinkler(featA.sig, featB.sig) : 0.0;
+
+  return comparisonFromScores(a, b, looksScore, soundsScore, opts);
+}
+
 /**
  * Find marks in a list that exceed a similarity threshold.
  *
  * @param {string} candidate - candidate mark to compare against
  * @param {{ mark: string }[]} marks - array of known marks
  * @param {{ threshold?: number, lookWeight?: number, soundWeight?: number }} [opts]
- * @returns {Array<{ mark: string, comparison: ReturnType<typeof comparePair> }>}
+ * @returns {Array<{ mark: string, comparison: ReturnType<typeof comparePair>, entry: string|{ mark: string } }>}
  */
 export function findSimilarMarks(candidate, marks, opts = {}) {
   const threshold = opts.threshold ?? 0.70;
@@ -181,16 +266,25 @@ export function findSimilarMarks(candidate, marks, opts = {}) {
 
     const comparison = comparePair(candidate, mark, opts);
     if (comparison.overall >= threshold) {
-      results.push({ mark, comparison });
+      results.push({ mark, comparison, entry });
     }
   }
 
-  // Sort descending by overall score (deterministic: tie-break by mark name)
-  results.sort((x, y) => {
-    const diff = y.comparison.overall - x.comparison.overall;
-    if (diff !== 0) return diff;
-    return x.mark.localeCompare(y.mark);
-  });
+  results.sort(compareMatches);
 
   return results;
 }
+
+/**
+ * Sort order for similarity matches: descending by overall score
+ * (deterministic: tie-break by mark name).
+ *
+ * @param {{ mark: string, comparison: { overall: number } }} x
+ * @param {{ mark: string, comparison: { overall: number } }} y
+ * @returns {number}
+ */
+export function compareMatches(x, y) {
+  const diff = y.comparison.overall - x.comparison.overall;
+  if (diff !== 0) return diff;
+  return x.mark.localeCompare(y.mark);
+}
@@ -4,11 +4,18 @@
  * Provides weight profiles per risk tolerance level and
  * sub-score computation for the "Why this tier?" breakdown.
  *
+ * A risk profile bundles the weights, per-finding deductions and tier
+ * thresholds. The three built-in profiles are named after the risk
+ * tolerances; custom profiles (config "profiles") extend one of them and
+ * override any of the three parts.
+ *
  * NOTE: The tier is still determined by rule-based logic in opinion.mjs
  * (exact conflicts always = RED regardless of score). The score breakdown
  * is additive metadata for explainability — it does NOT replace tier logic.
  */
 
+import { coverageNamespaces, defaultChannels } from "../channels/registry.mjs";
+
 /**
  * Weight profiles per risk tolerance level.
  * Each weight represents relative importance (must sum to 100).
@@ -46,6 +53,60 @@ export const TIER_THRESHOLDS = {
   aggressive: { green: 60, yellow: 30 },
 };
 
+/**
+ * Conflict Severity deductions per finding kind (the sub-score starts at
+ * 100). Kinds not listed deduct nothing.
+ *
+ * @type {Record<string, number>}
+ */
+export const FINDING_DEDUCTIONS = {
+  exact_conflict: 30,
+  registry_blocked: 30,
+  phonetic_conflict: 20,
+  confusable_risk: 10,
+  near_conflict: 5,
+  variant_taken: 5,
+};
+
+/**
+ * Resolve a risk profile by name: a built-in profile, or a custom
+ * definition merged over the built-in profile it extends.
+ *
+ * @param {string} name - "conservative", "balanced", "aggressive" or a key of `profiles`
+ * @param {Record<string, { extends?: string, description?: string, weights?: object, deductions?: object, thresholds?: object }>} [profiles] - Custom definitions
+ * @returns {{ name: string, base: string, description?: string, weights: object, deductions: object, thresholds: { green: number, yellow: number } }}
+ * @throws {Error} COE.CONFIG.UNKNOWN_PROFILE when the name is neither built-in nor defined
+ */
+export function resolveRiskProfile(name, profiles = {}) {
+  if (WEIGHT_PROFILES[name]) {
+    return {
+      name,
+      base: name,
+      weights: { ...WEIGHT_PROFILES[name] },
+      deductions: { ...FINDING_DEDUCTIONS },
+      thresholds: { ...TIER_THRESHOLDS[name] },
+    };
+  }
+
+  const def = profiles?.[name];
+  if (!def) {
+    const known = [...Object.keys(WEIGHT_PROFILES), ...Object.keys(profiles || {})];
+    const err = new Error(`Unknown risk profile "${name}" (available: ${known.join(", ")})`);
+    err.code = "COE.CONFIG.UNKNOWN_PROFILE";
+    throw err;
+  }
+
+  const base = def.extends || "conservative";
+  return {
+    name,
+    base,
+    ...(def.description ? { description: def.description } : {}),
+    weights: { ...WEIGHT_PROFILES[base], ...def.weights },
+    deductions: { ...FINDING_DEDUCTIONS, ...def.deductions },
+    thresholds: { ...TIER_THRESHOLDS[base], ...def.thresholds },
+  };
+}
+
 /**
  * Get the weight profile for a given risk tolerance.
  *
@@ -60,14 +121,18 @@ export function getWeightProfile(riskTolerance) {
  * Compute score breakdown with sub-scores and weighted overall score.
  *
  * @param {{ checks: object[], findings: object[], variants: object }} data
- * @param {{ riskTolerance?: string }} [opts]
+ * @param {{ riskTolerance?: string, profile?: object, weights?: object }} [opts]
+ *   profile — a resolveRiskProfile() result, used instead of the built-in profile for riskTolerance;
+ *   weights — overrides the profile's weights (config "weights")
  * @returns {{ namespaceAvailability: { score: number, weight: number, details: string }, coverageCompleteness: { score: number, weight: number, details: string }, conflictSeverity: { score: number, weight: number, details: string }, domainAvailability: { score: number, weight: number, details: string }, overallScore: number, tierThresholds: { green: number, yellow: number } }}
  */
 export function computeScoreBreakdown(data, opts = {}) {
   const { checks = [], findings = [] } = data;
-  const riskTolerance = opts.riskTolerance || "conservative";
-  const weights = getWeightProfile(riskTolerance);
-  const thresholds = TIER_THRESHOLDS[riskTolerance] || TIER_THRESHOLDS.conservative;
+  const profile = opts.profile || null;
+  const riskTolerance = profile?.base || opts.riskTolerance || "conservative";
+  const weights = opts.weights || profile?.weights || getWeightProfile(riskTolerance);
+  const thresholds = profile?.thresholds || TIER_THRESHOLDS[riskTolerance] || TIER_THRESHOLDS.conservative;
+  const deductions = profile?.deductions || FINDING_DEDUCTIONS;
 
   // --- Namespace Availability (0-100) ---
   // Non-domain checks only (domain has its own sub-score)
@@ -79,8 +144,8 @@ export function computeScoreBreakdown(data, opts = {}) {
   const nsDetails = `${nsAvailable.length}/${nsChecks.length} namespace${nsChecks.length === 1 ? "" : "s"} available`;
 
   // --- Coverage Completeness (0-100) ---
-  // Possible namespaces: github_repo, npm, pypi, domain
-  const possibleNamespaces = ["github_repo", "npm", "pypi", "domain"];
+  // Possible namespaces: those of the default channel group (github_repo, npm, pypi, domain)
+  const possibleNamespaces = coverageNamespaces(defaultChannels());
   const checkedNamespaces = new Set(checks.map((c) => c.namespace));
   const checkedCount = possibleNamespaces.filter((ns) => checkedNamespaces.has(ns)).length;
   const coverageScore = Math.round((checkedCount / possibleNamespaces.length) * 100);
@@ -90,14 +155,10 @@ export function computeScoreBreakdown(data, opts = {}) {
     : `${checkedCount}/${possibleNamespaces.length} channels checked (${unchecked.join(", ")} not checked)`;
 
   // --- Conflict Severity (0-100) ---
-  // Starts at 100, deductions per finding type
+  // Starts at 100, deductions per finding kind (FINDING_DEDUCTIONS or the profile's)
   let conflictScore = 100;
   for (const f of findings) {
-    if (f.kind === "exact_conflict") conflictScore -= 30;
-    else if (f.kind === "phonetic_conflict") conflictScore -= 20;
-    else if (f.kind === "confusable_risk") conflictScore -= 10;
-    else if (f.kind === "near_conflict") conflictScore -= 5;
-    else if (f.kind === "variant_taken") conflictScore -= 5;
+    conflictScore -= deductions[f.kind] || 0;
   }
   conflictScore = Math.max(0, conflictScore);
   const conflictDetails = findings.length === 0
@@ -105,7 +166,8 @@ export function computeScoreBreakdown(data, opts = {}) {
     : `${findings.length} finding${findings.length === 1 ? "" : "s"} detected (score deducted)`;
 
   // --- Domain Availability (0-100) ---
-  const domainChecks = checks.filter((c) => c.namespace === "domain");
+  // TLDs without an RDAP service ("unsupported") are left out entirely
+  const domainChecks = checks.filter((c) => c.namespace === "domain" && c.status !== "unsupported");
   let domainScore;
   let domainDetails;
   if (domainChecks.length === 0) {
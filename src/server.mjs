@@ -0,0 +1,406 @@
+/**
+ * HTTP API server (coe serve).
+ *
+ * Routes (JSON in, JSON out):
+ *   POST /check                 { name } or { names: [...] } plus options → run object
+ *   POST /batch                 { names: [...] } plus options → batch summary;
+ *                               with Accept: text/event-stream, progress is
+ *                               streamed as server-sent events
+ *   GET  /runs/:id              run object
+ *   GET  /runs/:id/report.html  attorney packet
+ *
+ * Requests may set the options in REQUEST_OPTION_KEYS (same names and
+ * values as config files); everything else — corpus, cache, policy,
+ * profiles, file paths — comes from the server's own config. All checks
+ * share one cache and one createPool() concurrency pool. Runs are kept in
+ * memory (most recent maxRuns).
+ *
+ * Errors are answered as { error: { code, message } }; the server never
+ * calls process.exit.
+ */
+
+import { createServer } from "node:http";
+import { runCheck, runComparison } from "./pipeline.mjs";
+import { runBatch } from "./batch/runner.mjs";
+import { createPool } from "./lib/concurrency.mjs";
+import { CONFIG_KEYS, normalizeConfigValue } from "./lib/config.mjs";
+import { parseChannels } from "./channels/registry.mjs";
+import { parseTlds } from "./adapters/domain.mjs";
+import { parseGeographies } from "./lib/geo.mjs";
+import { parseClassList } from "./scoring/nice-classes.mjs";
+import { parseCandidateList } from "./scoring/comparison.mjs";
+import { resolveRiskProfile } from "./scoring/weights.mjs";
+import { renderPacketHtml } from "./renderers/packet.mjs";
+
+/** Options a request body may set; keys and values as in config files. */
+export const REQUEST_OPTION_KEYS = [
+  "channels", "tlds", "org", "dockerNamespace", "hfOwner", "goPrefix", "mavenGroup",
+  "packagistVendor", "mastodonInstance", "risk", "radar", "suggest", "suggestCount", "suggestBudget", "corpusIncludeDead",
+  "geo", "classes", "goods", "fuzzyQueryMode", "variantBudget",
+];
+
+/** Request options a batch rejects: the alternative search runs for one name at a time. */
+export const SINGLE_NAME_OPTION_KEYS = ["suggest", "suggestCount", "suggestBudget"];
+
+/** Most names accepted by one POST /batch. */
+export const MAX_BATCH_NAMES = 500;
+
+/** Largest request body accepted, in bytes. */
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+const MAX_NAME_LENGTH = 200;
+
+function serverError(code, message, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Turn effective config values into runCheck() options.
+ *
+ * @param {object} values - Config values (resolveConfig().values, possibly with request overrides)
+ * @returns {object} runCheck() options
+ * @throws {Error} COE.INIT.BAD_CHANNEL, COE.INIT.BAD_TLD, COE.INIT.BAD_GEO,
+ *   COE.INIT.BAD_CLASS, COE.INIT.BAD_GOODS, COE.CONFIG.UNKNOWN_PROFILE
+ */
+export function runOptionsFromConfig(values) {
+  const riskTolerance = values.risk || "conservative";
+  resolveRiskProfile(riskTolerance, values.profiles || {});
+
+  const goods = values.goods ?? null;
+  if (goods !== null && goods.trim().length < 3) {
+    throw serverError("COE.INIT.BAD_GOODS", '"goods" needs a description of at least 3 characters', 400);
+  }
+
+  return {
+    channels: parseChannels(values.channels ? values.channels.join(",") : null),
+    org: values.org || null,
+    dockerNamespace: values.dockerNamespace || null,
+    hfOwner: values.hfOwner || null,
+    goPrefix: values.goPrefix || null,
+    mavenGroup: values.mavenGroup || null,
+    packagistVendor: values.packagistVendor || null,
+    mastodonInstance: values.mastodonInstance || null,
+    tlds: parseTlds(values.tlds || null),
+    rdapBootstrap: values.rdapBootstrap || null,
+    riskTolerance,
+    riskProfiles: values.profiles || null,
+    weights: values.weights || null,
+    useRadar: values.radar || false,
+    suggest: values.suggest || false,
+    suggestCount: Math.min(values.suggestCount ?? 5, 20),
+    suggestBudget: Math.min(values.suggestBudget ?? 100, 500),
+    corpusPath: values.corpus || null,
+    corpusIncludeDead: values.corpusIncludeDead || false,
+    geographies: parseGeographies(values.geo || null),
+    classes: parseClassList(values.classes || null),
+    goods: goods ? goods.trim() : null,
+    fuzzyQueryMode: values.fuzzyQueryMode || "registries",
+    variantBudget: Math.min(values.variantBudget ?? 12, 30),
+  };
+}
+
+/**
+ * Validate the option keys of a request body (also used for MCP tool arguments).
+ *
+ * @param {object} body
+ * @param {string[]} reserved - Non-option keys of the route (e.g. "name")
+ * @param {{ where?: string, code?: string, batch?: boolean }} [ctx] - Label for messages, the code for
+ *   unsupported keys, and whether the route checks a batch (SINGLE_NAME_OPTION_KEYS are then unsupported)
+ * @returns {object} Normalized option values
+ * @throws {Error} COE.SERVER.BAD_REQUEST (or ctx.code), COE.CONFIG.BAD_VALUE
+ */
+export function requestOptions(body, reserved, ctx = {}) {
+  const { where = "request body", code = "COE.SERVER.BAD_REQUEST", batch = false } = ctx;
+  const values = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (reserved.includes(key)) continue;
+    if (batch && SINGLE_NAME_OPTION_KEYS.includes(key)) {
+      throw serverError(code, `Unsupported option "${key}" for a batch; check the name on its own to search for alternatives`, 400);
+    }
+    if (!REQUEST_OPTION_KEYS.includes(key)) {
+      const hint = CONFIG_KEYS[key] ? " (set it in the server's config instead)" : "";
+      throw serverError(code, `Unsupported option "${key}"${hint}`, 400);
+    }
+    values[key] = normalizeConfigValue(key, value, { where });
+  }
+  return values;
+}
+
+function validateNames(names, max) {
+  if (!Array.isArray(names) || names.length === 0) {
+    throw serverError("COE.SERVER.BAD_REQUEST", '"names" must be a non-empty array of strings', 400);
+  }
+  if (names.length > max) {
+    throw serverError("COE.SERVER.BAD_REQUEST", `Too many names: ${names.length} (max ${max})`, 400);
+  }
+  for (const name of names) {
+    if (typeof name !== "string" || name.trim() === "" || name.length > MAX_NAME_LENGTH) {
+      throw serverError("COE.SERVER.BAD_REQUEST", `Each name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`, 400);
+    }
+  }
+  return names.map((n) => n.trim());
+}
+
+/**
+ * Read a JSON object request body.
+ *
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(serverError("COE.SERVER.BODY_TOO_LARGE", `Request body exceeds ${MAX_BODY_BYTES} bytes`, 413));
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+      } catch (err) {
+        reject(serverError("COE.SERVER.BAD_JSON", `Request body is not valid JSON: ${err.message}`, 400));
+        return;
+      }
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        reject(serverError("COE.SERVER.BAD_JSON", "Request body must be a JSON object", 400));
+        return;
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+function parsePath(url) {
+  try {
+    return new URL(url, "http://localhost").pathname;
+  } catch {
+    throw serverError("COE.SERVER.BAD_REQUEST", `Malformed request URL: ${url}`, 400);
+  }
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw serverError("COE.SERVER.BAD_REQUEST", `Malformed percent-encoding in path: ${segment}`, 400);
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const text = JSON.stringify(body, null, 2) + "\n";
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8", "content-length": Buffer.byteLength(text), ...headers });
+  res.end(text);
+}
+
+function sendError(res, err) {
+  const status = err.status || (/^COE\.(INIT|CONFIG)\./.test(err.code || "") ? 400 : 500);
+  const code = err.code?.startsWith("COE.") ? err.code : "COE.SERVER.INTERNAL";
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  sendJson(res, status, { error: { code, message: err.message } }, err.allow ? { allow: err.allow } : {});
+}
+
+function runSummary(run) {
+  return {
+    runId: run.run.runId,
+    tier: run.opinion.tier,
+    overallScore: run.opinion.scoreBreakdown?.overallScore ?? null,
+  };
+}
+
+/**
+ * Create the API server. Call .listen(port, host) to start it.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.values] - Server-wide config values (resolveConfig().values)
+ * @param {object} [opts.config] - Config record stored in run.config
+ * @param {object} [opts.policy] - Opinion policy from loadPolicy()
+ * @param {object} [opts.cache] - Shared createCache() instance
+ * @param {number} [opts.concurrency] - Max simultaneous checks across all requests (default: 4)
+ * @param {number} [opts.maxQueue] - Max names queued or running before answering 503 (default: 100)
+ * @param {number} [opts.maxRuns] - Runs kept for GET /runs/:id (default: 200)
+ * @param {Function} [opts.fetchFn] - Injectable fetch function
+ * @param {Function} [opts.log] - Called with one line per request
+ * @returns {import("node:http").Server}
+ * @throws {Error} runOptionsFromConfig() errors for invalid server-wide values
+ */
+export function createApiServer(opts = {}) {
+  const {
+    values = {},
+    config = null,
+    policy = null,
+    cache = null,
+    concurrency = 4,
+    maxQueue = 100,
+    maxRuns = 200,
+    fetchFn = globalThis.fetch,
+    log = null,
+  } = opts;
+
+  // Fail at startup, not on the first request, when server-wide values are bad
+  runOptionsFromConfig(values);
+
+  const pool = createPool(concurrency);
+  const runs = new Map();
+  let pending = 0;
+
+  function storeRun(run) {
+    const id = run.run.runId;
+    runs.delete(id);
+    runs.set(id, run);
+    while (runs.size > maxRuns) runs.delete(runs.keys().next().value);
+  }
+
+  /** Reserve queue slots for n names, or answer 503. */
+  function reserve(n) {
+    if (pending + n > maxQueue) {
+      throw serverError("COE.SERVER.BUSY", `Server is busy (${pending} names queued, max ${maxQueue}); retry later`, 503);
+    }
+    pending += n;
+  }
+
+  /** Merge request options over the server's values and record them in run.config. */
+  function optionsFor(requestValues) {
+    const merged = { ...values, ...requestValues };
+    const keys = Object.keys(requestValues);
+    const record = config && keys.length > 0
+      ? { sources: [...config.sources, { layer: "request", keys }], effective: { ...config.effective, ...requestValues } }
+      : config;
+    return {
+      ...runOptionsFromConfig(merged),
+      policy,
+      cache,
+      fetchFn,
+      ...(record ? { config: record } : {}),
+    };
+  }
+
+  async function handleCheck(req, res) {
+    const body = await readJsonBody(req);
+    let names;
+    if (body.names !== undefined) {
+      names = validateNames(body.names, Infinity);
+    } else if (typeof body.name === "string") {
+      names = validateNames([body.name], 1);
+    } else {
+      throw serverError("COE.SERVER.BAD_REQUEST", 'Give "name" (a string) or "names" (an array of strings)', 400);
+    }
+    names = parseCandidateList(names);
+    const runOpts = optionsFor(requestOptions(body, ["name", "names"]));
+
+    reserve(names.length);
+    let run;
+    try {
+      run = await pool.run(() => (names.length > 1 ? runComparison(names, runOpts) : runCheck(names[0], runOpts)));
+    } finally {
+      pending -= names.length;
+    }
+    storeRun(run);
+    sendJson(res, 200, run);
+  }
+
+  async function handleBatch(req, res) {
+    const body = await readJsonBody(req);
+    const names = validateNames(body.names, MAX_BATCH_NAMES);
+    const runOpts = optionsFor(requestOptions(body, ["names"], { batch: true }));
+    const stream = (req.headers.accept || "").includes("text/event-stream");
+
+    reserve(names.length);
+    const send = (event, data) => {
+      if (!res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    if (stream) {
+      res.writeHead(200, { "content-type": "text/event-stream; charset=utf-8", "cache-control": "no-cache", connection: "keep-alive" });
+      send("start", { total: names.length });
+    }
+
+    let batch;
+    let unfinished = names.length;
+    try {
+      batch = await runBatch(names, {
+        ...runOpts,
+        pool,
+        onProgress: ({ name, completed, total, run, error }) => {
+          unfinished--;
+          pending--;
+          if (run) storeRun(run);
+          if (stream) {
+            send("progress", { name, completed, total, ...(run ? runSummary(run) : { error: { code: error.code, message: error.error } }) });
+          }
+        },
+      });
+    } catch (err) {
+      if (!stream) throw err;
+      send("error", { code: err.code || "COE.SERVER.INTERNAL", message: err.message });
+      res.end();
+      return;
+    } finally {
+      pending -= unfinished;
+    }
+
+    const summary = {
+      stats: batch.stats,
+      results: batch.results.map((r) => ({ name: r.name, ...runSummary(r.run) })),
+      errors: batch.errors.map((e) => ({ name: e.name, code: e.code, message: e.error })),
+    };
+    if (stream) {
+      send("done", summary);
+      res.end();
+    } else {
+      sendJson(res, 200, summary);
+    }
+  }
+
+  function getRun(id) {
+    const run = runs.get(id);
+    if (!run) throw serverError("COE.SERVER.RUN_NOT_FOUND", `No run with id "${id}" (runs are kept in memory, most recent ${maxRuns})`, 404);
+    return run;
+  }
+
+  const routes = [
+    { pattern: /^\/check$/, method: "POST", handle: (req, res) => handleCheck(req, res) },
+    { pattern: /^\/batch$/, method: "POST", handle: (req, res) => handleBatch(req, res) },
+    { pattern: /^\/runs\/([^/]+)$/, method: "GET", handle: (req, res, id) => sendJson(res, 200, getRun(id)) },
+    {
+      pattern: /^\/runs\/([^/]+)\/report\.html$/,
+      method: "GET",
+      handle: (req, res, id) => {
+        const html = renderPacketHtml(getRun(id));
+        res.writeHead(200, { "content-type": "text/html; charset=utf-8", "content-length": Buffer.byteLength(html) });
+        res.end(html);
+      },
+    },
+  ];
+
+  return createServer(async (req, res) => {
+    const startMs = Date.now();
+    let pathname = req.url;
+    try {
+      pathname = parsePath(req.url);
+      const route = routes.find((r) => r.pattern.test(pathname));
+      if (!route) throw serverError("COE.SERVER.NOT_FOUND", `No route for ${pathname}`, 404);
+      if (req.method !== route.method) {
+        const err = serverError("COE.SERVER.METHOD_NOT_ALLOWED", `${req.method} is not allowed on ${pathname}; use ${route.method}`, 405);
+        err.allow = route.method;
+        throw err;
+      }
+      const [, id] = pathname.match(route.pattern);
+      await route.handle(req, res, id && decodePathSegment(id));
+    } catch (err) {
+      sendError(res, err);
+    }
+    log?.(`${req.method} ${pathname} ${res.statusCode} ${Date.now() - startMs}ms`);
+  });
+}
@@ -0,0 +1,411 @@
+/**
+ * Watch mode — periodically refresh runs and alert on changes.
+ *
+ * watchRuns(runDirs, opts) refreshes every check of each run once per
+ * interval, diffs the result against the last known state and sends an
+ * alert for each change: a check whose status changed (npm name became
+ * taken), a domain entering or leaving its deletion cycle, or a new
+ * opinion tier.
+ *
+ * State lives in <runDir>-watch/ (latest run outputs plus watch-state.json)
+ * so a restarted watcher resumes from the last cycle. The original run
+ * directory is NEVER modified.
+ */
+
+import { readFileSync, writeFileSync, existsSync, appendFileSync, mkdirSync } from "node:fs";
+import { join, resolve, dirname } from "node:path";
+import { refreshRun } from "./refresh.mjs";
+import { writeRun } from "./renderers/report.mjs";
+import { recordRun } from "./history.mjs";
+import { retryFetch } from "./lib/retry.mjs";
+
+/** Shortest allowed --every interval (registries rate-limit aggressive polling). */
+export const MIN_INTERVAL_MS = 60 * 1000;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const TIER_RANK = { green: 0, yellow: 1, red: 2 };
+
+/** Domain lifecycle reasons worth an alert (expiry and parking are too noisy). */
+const LIFECYCLE_REASONS = new Set(["pending_delete", "redemption_period"]);
+
+function watchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Parse an interval such as "30m", "6h" or "1d".
+ *
+ * @param {string} raw
+ * @returns {number} Milliseconds
+ * @throws {Error} COE.WATCH.BAD_INTERVAL for bad syntax or less than a minute
+ */
+export function parseInterval(raw) {
+  const match = /^(\d+(?:\.\d+)?)([mhd])$/.exec(String(raw ?? "").trim().toLowerCase());
+  if (!match) {
+    throw watchError("COE.WATCH.BAD_INTERVAL", `Invalid interval: ${raw} (use e.g. 30m, 6h or 1d)`);
+  }
+  const ms = Math.round(Number(match[1]) * UNIT_MS[match[2]]);
+  if (ms < MIN_INTERVAL_MS) {
+    throw watchError("COE.WATCH.BAD_INTERVAL", `Interval too short: ${raw} (minimum 1m)`);
+  }
+  return ms;
+}
+
+function checkKey(check) {
+  const owner = check.query?.owner ? `${check.query.owner}/` : "";
+  return `${check.namespace}:${owner}${check.query?.value ?? ""}`;
+}
+
+function checkLabel(entry) {
+  return entry.namespace === "domain" ? entry.value : `${entry.namespace} ${entry.value}`;
+}
+
+/**
+ * Reduce a run to the state watch mode compares: tier plus the status and
+ * domain lifecycle of each check, keyed by namespace and queried value.
+ *
+ * @param {object} run
+ * @returns {{ tier: string|null, checks: Object<string, { namespace: string, value: string, candidateMark: string, status: string, lifecycle: string|null }> }}
+ */
+export function watchSnapshot(run) {
+  const checks = {};
+  for (const check of run.checks || []) {
+    checks[checkKey(check)] = {
+      namespace: check.namespace,
+      value: check.query?.owner ? `${check.query.owner}/${check.query.value}` : check.query?.value,
+      candidateMark: check.query?.candidateMark ?? null,
+      status: check.status,
+      lifecycle: check.details?.claimableSoonReason ?? null,
+    };
+  }
+  return { tier: run.opinion?.tier ?? null, checks };
+}
+
+/**
+ * Diff a refreshed run against the previous snapshot.
+ *
+ * A check that comes back "unknown" (network error, rate limit) raises no
+ * alert and keeps its last known state, so a flaky registry does not
+ * report taken → unknown → taken as two changes.
+ *
+ * @param {ReturnType<typeof watchSnapshot>} previous
+ * @param {object} run - The refreshed run
+ * @param {{ runDir?: string, now?: string }} [ctx]
+ * @returns {{ alerts: object[], snapshot: ReturnType<typeof watchSnapshot> }}
+ */
+export function diffWatch(previous, run, ctx = {}) {
+  const current = watchSnapshot(run);
+  const base = {
+    runDir: ctx.runDir ?? null,
+    runId: run.run?.runId ?? null,
+    candidateMark: run.intake?.candidates?.[0]?.mark ?? null,
+    observedAt: ctx.now ?? run.run?.createdAt ?? null,
+  };
+  const alerts = [];
+  const checks = { ...previous.checks };
+
+  for (const [key, entry] of Object.entries(current.checks)) {
+    if (entry.status === "unknown") continue;
+    const before = previous.checks[key];
+    checks[key] = entry;
+    if (!before) continue;
+
+    if (before.status !== entry.status && before.status !== "unknown") {
+      alerts.push({
+        ...base,
+        kind: "check_status",
+        severity: entry.status === "taken" ? "high" : "medium",
+        namespace: entry.namespace,
+        value: entry.value,
+        from: before.status,
+        to: entry.status,
+        message: `${checkLabel(entry)} became ${entry.status} (was ${before.status})`,
+      });
+    } else if (before.status === "unknown" && entry.status === "taken") {
+      alerts.push({
+        ...base,
+        kind: "check_status",
+        severity: "high",
+        namespace: entry.namespace,
+        value: entry.value,
+        from: before.status,
+        to: entry.status,
+        message: `${checkLabel(entry)} is taken (last result was unknown)`,
+      });
+    }
+
+    const from = LIFECYCLE_REASONS.has(before.lifecycle) ? before.lifecycle : null;
+    const to = LIFECYCLE_REASONS.has(entry.lifecycle) ? entry.lifecycle : null;
+    if (from !== to && entry.status === "taken") {
+      alerts.push({
+        ...base,
+        kind: "domain_lifecycle",
+        severity: to ? "medium" : "low",
+        namespace: entry.namespace,
+        value: entry.value,
+        from,
+        to,
+        message: to
+          ? `${checkLabel(entry)} entered ${to.replace("_", " ")}`
+          : `${checkLabel(entry)} left ${from.replace("_", " ")}`,
+      });
+    }
+  }
+
+  if (previous.tier && current.tier && previous.tier !== current.tier) {
+    const worse = TIER_RANK[current.tier] > TIER_RANK[previous.tier];
+    alerts.push({
+      ...base,
+      kind: "tier",
+      severity: worse ? (current.tier === "red" ? "high" : "medium") : "low",
+      from: previous.tier,
+      to: current.tier,
+      message: `Tier ${previous.tier.toUpperCase()} → ${current.tier.toUpperCase()}`,
+    });
+  }
+
+  return { alerts, snapshot: { tier: current.tier ?? previous.tier, checks } };
+}
+
+/**
+ * Build alert sinks from specs: "stdout", an http(s) webhook URL, or a
+ * file path (JSON lines, appended).
+ *
+ * @param {string[]} specs
+ * @param {{ fetchFn?: typeof globalThis.fetch, stdout?: { write: (s: string) => any } }} [opts]
+ * @returns {Array<{ name: string, send: (alert: object) => Promise<void> }>}
+ */
+export function createAlertSinks(specs, opts = {}) {
+  const { fetchFn = globalThis.fetch, stdout = process.stdout } = opts;
+  const fetchWithRetry = retryFetch(fetchFn, { maxRetries: 2, baseDelayMs: 500 });
+
+  return specs.map((spec) => {
+    if (spec === "stdout") {
+      return { name: "stdout", send: async (alert) => { stdout.write(JSON.stringify(alert) + "\n"); } };
+    }
+
+    if (/^https?:\/\//i.test(spec)) {
+      let url;
+      try {
+        url = new URL(spec);
+      } catch {
+        throw watchError("COE.WATCH.BAD_SINK", `Invalid webhook URL: ${spec}`);
+      }
+      // Name the sink by host only; webhook paths often embed secrets
+      return {
+        name: `webhook ${url.host}`,
+        send: async (alert) => {
+          let res;
+          try {
+            res = await fetchWithRetry(url.href, {
+              method: "POST",
+              headers: { "content-type": "application/json" },
+              body: JSON.stringify(alert),
+            });
+          } catch (err) {
+            throw watchError("COE.WATCH.WEBHOOK_FAIL", `Webhook ${url.host} unreachable: ${err.message}`);
+          }
+          if (!res.ok) {
+            throw watchError("COE.WATCH.WEBHOOK_FAIL", `Webhook ${url.host} answered HTTP ${res.status}`);
+          }
+        },
+      };
+    }
+
+    const path = resolve(spec);
+    return {
+      name: path,
+      send: async (alert) => {
+        mkdirSync(dirname(path), { recursive: true });
+        appendFileSync(path, JSON.stringify(alert) + "\n", "utf8");
+      },
+    };
+  });
+}
+
+/**
+ * Where watch mode keeps a run's latest outputs and state.
+ *
+ * @param {string} runDir
+ * @returns {string}
+ */
+export function watchDir(runDir) {
+  return resolve(runDir) + "-watch";
+}
+
+/**
+ * Load the state to diff against: the previous cycle's, or the original run.
+ *
+ * @param {string} runDir
+ * @returns {{ sourceDir: string, snapshot: ReturnType<typeof watchSnapshot> }}
+ * @throws {Error} COE.REFRESH.NO_RUN, COE.REFRESH.INVALID_RUN, COE.REFRESH.COMPARATIVE_RUN
+ */
+export function loadWatchState(runDir) {
+  const stateDir = watchDir(runDir);
+  const statePath = join(stateDir, "watch-state.json");
+  if (existsSync(statePath) && existsSync(join(stateDir, "run.json"))) {
+    try {
+      return { sourceDir: stateDir, snapshot: JSON.parse(readFileSync(statePath, "utf8")).snapshot };
+    } catch {
+      // Unreadable state: start over from the original run
+    }
+  }
+
+  const absRunDir = resolve(runDir);
+  const runJsonPath = join(absRunDir, "run.json");
+  if (!existsSync(runJsonPath)) {
+    throw watchError("COE.REFRESH.NO_RUN", `No run.json found in: ${absRunDir}`);
+  }
+  let run;
+  try {
+    run = JSON.parse(readFileSync(runJsonPath, "utf8"));
+  } catch {
+    throw watchError("COE.REFRESH.INVALID_RUN", `Invalid run.json in: ${absRunDir}`);
+  }
+  if (run.comparison) {
+    throw watchError(
+      "COE.REFRESH.COMPARATIVE_RUN",
+      `Cannot watch a comparative run (${run.intake.candidates.length} candidates); check each name separately`
+    );
+  }
+  return { sourceDir: absRunDir, snapshot: watchSnapshot(run) };
+}
+
+/**
+ * Refresh one run, diff it and persist the new state to <runDir>-watch/.
+ *
+ * @param {string} runDir - The original run directory
+ * @param {object} [opts]
+ * @param {Function} [opts.fetchFn] - Injectable fetch function
+ * @param {string} [opts.now] - Injectable ISO timestamp
+ * @param {string|null} [opts.historyDir] - Record the refreshed run in this history store
+ * @param {import("node:crypto").KeyObject|null} [opts.signingKey] - Signs the manifest (see writeRun())
+ * @param {string|null} [opts.rdapBootstrap] - Passed to refreshRun()
+ * @returns {Promise<{ alerts: object[], run: object|null, outputDir: string }>}
+ */
+export async function watchOnce(runDir, opts = {}) {
+  const {
+    fetchFn = globalThis.fetch,
+    now = new Date().toISOString(),
+    historyDir = null,
+    signingKey = null,
+    rdapBootstrap = null,
+  } = opts;
+  const { sourceDir, snapshot } = loadWatchState(runDir);
+  const outputDir = watchDir(runDir);
+
+  // maxAgeHours 0: every check is older than now, so all are re-run
+  const result = await refreshRun(sourceDir, { maxAgeHours: 0, fetchFn, now, rdapBootstrap });
+  if (!result.refreshed) return { alerts: [], run: null, outputDir };
+
+  const { alerts, snapshot: next } = diffWatch(snapshot, result.run, { runDir: resolve(runDir), now });
+
+  const formats = result.run.run?.config?.effective?.formats;
+  writeRun(result.run, outputDir, { formats, signingKey });
+  writeFileSync(
+    join(outputDir, "watch-state.json"),
+    JSON.stringify({ runDir: resolve(runDir), updatedAt: now, snapshot: next }, null, 2) + "\n",
+    "utf8"
+  );
+  if (historyDir) recordRun(historyDir, result.run, { source: "watch" });
+
+  return { alerts, run: result.run, outputDir };
+}
+
+function sleep(ms, signal) {
+  return new Promise((res) => {
+    if (signal?.aborted) return res();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      res();
+    }
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+/**
+ * Watch runs until the signal aborts (or maxCycles is reached).
+ *
+ * Each cycle calls watchOnce() for every run directory in order and sends
+ * each alert to every sink. Errors (an unreadable run, a failing webhook)
+ * are reported to onError and do not stop the watcher.
+ *
+ * @param {string[]} runDirs
+ * @param {object} opts
+ * @param {number} opts.everyMs - Interval between cycle starts
+ * @param {Array<{ name: string, send: Function }>} opts.sinks - From createAlertSinks()
+ * @param {Function} [opts.fetchFn] - Injectable fetch function
+ * @param {() => string} [opts.now] - Injectable clock (ISO timestamps)
+ * @param {string|null} [opts.historyDir] - Record every refreshed run in this history store
+ * @param {import("node:crypto").KeyObject|null} [opts.signingKey] - Signs each written manifest
+ * @param {string|null} [opts.rdapBootstrap] - IANA bootstrap file path or "off" (see refreshRun())
+ * @param {AbortSignal} [opts.signal] - Stops the watcher after the current run
+ * @param {number} [opts.maxCycles] - Stop after this many cycles (default: unlimited)
+ * @param {Function} [opts.onCycle] - Called after each cycle with { cycle, alerts, refreshed }
+ * @param {Function} [opts.onError] - Called with (err, { runDir?, sink? })
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} [opts.sleep] - Injectable sleep
+ * @returns {Promise<{ cycles: number, alerts: number }>}
+ */
+export async function watchRuns(runDirs, opts) {
+  const {
+    everyMs,
+    sinks,
+    fetchFn = globalThis.fetch,
+    now = () => new Date().toISOString(),
+    historyDir = null,
+    signingKey = null,
+    rdapBootstrap = null,
+    signal = null,
+    maxCycles = Infinity,
+    onCycle = null,
+    onError = () => {},
+    sleep: sleepFn = sleep,
+  } = opts;
+
+  let cycles = 0;
+  let totalAlerts = 0;
+
+  while (!signal?.aborted && cycles < maxCycles) {
+    const startedMs = Date.now();
+    const cycleAlerts = [];
+    let refreshed = 0;
+
+    for (const runDir of runDirs) {
+      if (signal?.aborted) break;
+      let result;
+      try {
+        result = await watchOnce(runDir, { fetchFn, now: now(), historyDir, signingKey, rdapBootstrap });
+      } catch (err) {
+        onError(err, { runDir });
+        continue;
+      }
+      if (result.run) refreshed++;
+
+      for (const alert of result.alerts) {
+        cycleAlerts.push(alert);
+        for (const sink of sinks) {
+          try {
+            await sink.send(alert);
+          } catch (err) {
+            onError(err, { runDir, sink: sink.name });
+          }
+        }
+      }
+    }
+
+    cycles++;
+    totalAlerts += cycleAlerts.length;
+    onCycle?.({ cycle: cycles, alerts: cycleAlerts, refreshed });
+
+    if (cycles < maxCycles && !signal?.aborted) {
+      await sleepFn(Math.max(0, everyMs - (Date.now() - startedMs)), signal);
+    }
+  }
+
+  return { cycles, alerts: totalAlerts };
+}
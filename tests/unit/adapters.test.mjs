@@ -85,6 +85,57 @@ describe("GitHub adapter", () => {
 
     assert.equal(check.status, "taken");
   });
+
+  it("checkUser returns taken with the account type for 200", async () => {
+    const calls = [];
+    const fixture = loadFixture("github-user-taken.json");
+    const adapter = createGitHubAdapter(async (url) => {
+      calls.push(url);
+      return mockFetch(fixture)();
+    });
+    const { check, evidence } = await adapter.checkUser("vercel", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "github_user");
+    assert.equal(check.details.accountType, "Organization");
+    assert.deepEqual(calls, ["https://api.github.com/users/vercel"]);
+    assert.equal(evidence.source.system, "github");
+  });
+
+  it("checkUser returns available for 404", async () => {
+    const adapter = createGitHubAdapter(mockFetch(loadFixture("github-available.json")));
+    const { check } = await adapter.checkUser("my-new-handle", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "authoritative");
+  });
+
+  it("checkUser reports invalid handles as unsupported without a request", async () => {
+    let called = false;
+    const adapter = createGitHubAdapter(async () => {
+      called = true;
+      return mockFetch(loadFixture("github-available.json"))();
+    });
+    const { check, evidence } = await adapter.checkUser("my--tool", { now: NOW });
+
+    assert.equal(called, false);
+    assert.equal(check.status, "unsupported");
+    assert.equal(check.errors[0].code, "COE.SOCIAL.INVALID_HANDLE");
+    assert.equal(evidence.type, "skipped");
+  });
+
+  it("honors a custom API base URL", async () => {
+    const calls = [];
+    const adapter = createGitHubAdapter(async (url) => {
+      calls.push(url);
+      return mockFetch(loadFixture("github-available.json"))();
+    }, { baseUrl: "http://127.0.0.1:4010/" });
+    await adapter.checkOrg("acme", { now: NOW });
+    await adapter.checkUser("acme", { now: NOW });
+
+    assert.deepEqual(calls, ["http://127.0.0.1:4010/orgs/acme", "http://127.0.0.1:4010/users/acme"]);
+  });
 });
 
 describe("npm adapter", () => {
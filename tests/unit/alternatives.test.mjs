@@ -1,6 +1,13 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { generateAlternatives, recheckAlternatives } from "../../src/scoring/alternatives.mjs";
+import {
+  generateAlternatives,
+  recheckAlternatives,
+  rankAlternatives,
+  filterByConflicts,
+  findSaferAlternatives,
+} from "../../src/scoring/alternatives.mjs";
+import { generateMorphologyAlternatives, MORPHOLOGY_STRATEGIES } from "../../src/scoring/morphology.mjs";
 
 describe("generateAlternatives", () => {
   it("returns exactly 5 items", () => {
@@ -104,3 +111,113 @@ describe("recheckAlternatives", () => {
     }
   });
 });
+
+describe("generateAlternatives rounds", () => {
+  it("takes the next affix of each pool per round, then runs out", () => {
+    assert.deepEqual(generateAlternatives("my-tool", { round: 1 }).map((a) => a.name), [
+      "lib-my-tool", "my-tool-core", "my-tool-tool", "my-tool-lab",
+    ]);
+    assert.equal(generateAlternatives("my-tool", { round: 2 }).length, 4);
+    assert.deepEqual(generateAlternatives("my-tool", { round: 3 }), []);
+  });
+});
+
+describe("rankAlternatives", () => {
+  it("orders by tier, then score, keeping generation order for ties", () => {
+    const ranked = rankAlternatives([
+      { name: "a", tier: "red", overallScore: 90 },
+      { name: "b" },
+      { name: "c", tier: "green", overallScore: 80 },
+      { name: "d", tier: "green", overallScore: 95 },
+      { name: "e", tier: "green", overallScore: 80 },
+    ]);
+    assert.deepEqual(ranked.map((a) => a.name), ["d", "c", "e", "a", "b"]);
+  });
+});
+
+describe("findSaferAlternatives", () => {
+  /** Fake check: green with the given score unless the name is in `red`; one request per check. */
+  function fakeCheck(red = [], scores = {}) {
+    let requests = 0;
+    const checked = [];
+    const checkFn = async (name) => {
+      requests++;
+      checked.push(name);
+      const tier = red.includes(name) ? "red" : "green";
+      return {
+        checks: [{ status: tier === "red" ? "taken" : "available" }],
+        opinion: { tier, scoreBreakdown: { overallScore: scores[name] ?? (tier === "red" ? 20 : 90) } },
+      };
+    };
+    return { checkFn, requestsUsed: () => requests, checked };
+  }
+
+  /** Morphology names findSaferAlternatives() tries for a name, after the conflict filter. */
+  function morphologyNames(name) {
+    return filterByConflicts(generateMorphologyAlternatives(name), [name]).kept.map((a) => a.name);
+  }
+
+  it("tries morphology names first, then the affix names that pass the conflict filter", async () => {
+    const red = morphologyNames("fast-data");
+    const { checkFn, requestsUsed, checked } = fakeCheck(red);
+    const { alternatives, search } = await findSaferAlternatives("fast-data", checkFn, { count: 2, requestsUsed });
+
+    // "fd" is the only affix name that does not read as "fast-data"
+    assert.deepEqual(checked, [...red, "fd"]);
+    assert.deepEqual(alternatives.map((a) => [a.name, a.tier]), [["fd", "green"], [red[0], "red"]]);
+    assert.deepEqual(search, { target: 2, found: 1, checked: red.length + 1, filtered: 12, requests: red.length + 1, budget: 100, stopReason: "exhausted" });
+  });
+
+  it("checks no affix name that looks or sounds like the candidate", async () => {
+    const { checkFn, requestsUsed, checked } = fakeCheck(morphologyNames("my-tool"));
+    const { search } = await findSaferAlternatives("my-tool", checkFn, { requestsUsed });
+    assert.ok(!checked.some((name) => name.includes("my-tool")));
+    assert.equal(search.filtered, 3 + 13);
+  });
+
+  it("reports a spent budget or an exhausted generator", async () => {
+    const [first, second, third] = morphologyNames("my-tool");
+    const budgeted = fakeCheck([first]);
+    const { alternatives, search } = await findSaferAlternatives("my-tool", budgeted.checkFn, {
+      budget: 3,
+      requestsUsed: budgeted.requestsUsed,
+    });
+    assert.equal(search.stopReason, "budget");
+    assert.equal(search.checked, 3);
+    // Best first: the red alternative is ranked last
+    assert.deepEqual(alternatives.map((a) => a.name), [second, third, first]);
+
+    const allRed = fakeCheck(morphologyNames("my-tool"));
+    const exhausted = await findSaferAlternatives("my-tool", allRed.checkFn, { requestsUsed: allRed.requestsUsed });
+    assert.deepEqual([exhausted.search.stopReason, exhausted.search.found, exhausted.search.checked], ["exhausted", 0, 28]);
+    assert.equal(exhausted.alternatives.length, 5);
+  });
+
+  it("skips names that look or sound like a conflict", async () => {
+    const { checkFn, requestsUsed } = fakeCheck();
+    const open = await findSaferAlternatives("fast-data", checkFn, { count: 20, budget: 0, requestsUsed });
+    const screened = await findSaferAlternatives("fast-data", checkFn, {
+      count: 20,
+      budget: 0,
+      requestsUsed,
+      conflicts: ["fast-data", "velodat"],
+    });
+
+    assert.ok(open.alternatives.some((a) => a.name === "velodat"));
+    assert.ok(!screened.alternatives.some((a) => a.name === "velodat"));
+    assert.ok(screened.search.filtered > open.search.filtered);
+    // Unchecked fallback: morphology names first, no name close to the candidate
+    assert.ok(screened.alternatives.every((a) => MORPHOLOGY_STRATEGIES.includes(a.strategy)));
+    assert.ok(screened.alternatives.every((a) => !a.availability.checked));
+  });
+});
+
+describe("filterByConflicts", () => {
+  it("drops names at or above the similarity threshold", () => {
+    const alts = ["fast-data-js", "swyft", "ledru"].map((name) => ({ name, strategy: "coined" }));
+    const { kept, filtered } = filterByConflicts(alts, ["fast-data", "swift"]);
+    assert.deepEqual(kept.map((a) => a.name), ["ledru"]);
+    assert.equal(filtered, 2);
+    assert.equal(filterByConflicts(alts, ["fast-data", "swift"], 1.01).filtered, 0);
+  });
+});
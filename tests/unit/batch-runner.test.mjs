@@ -3,6 +3,7 @@ import assert from "node:assert/strict";
 import { mkdirSync, rmSync } from "node:fs";
 import { join } from "node:path";
 import { runBatch } from "../../src/batch/runner.mjs";
+import { createPool } from "../../src/lib/concurrency.mjs";
 
 const NOW = "2026-02-15T12:00:00.000Z";
 
@@ -236,4 +237,35 @@ describe("runBatch", () => {
 
     assert.equal(batch.results[0].run.intake.riskTolerance, "aggressive");
   });
+
+  it("reports progress after each name", async () => {
+    const events = [];
+    await runBatch(["alpha", "beta", "gamma"], {
+      channels: ["npm"],
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      onProgress: (e) => events.push(e),
+    });
+
+    assert.deepEqual(events.map((e) => e.completed), [1, 2, 3]);
+    assert.ok(events.every((e) => e.total === 3 && e.run?.opinion));
+    assert.deepEqual(events.map((e) => e.name).sort(), ["alpha", "beta", "gamma"]);
+  });
+
+  it("runs names through a shared pool", async () => {
+    const pool = createPool(1);
+    let running = 0;
+    let maxRunning = 0;
+    const slowFetch = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((r) => setTimeout(r, 5));
+      running--;
+      return { ok: false, status: 404, text: async () => "Not Found", json: async () => ({}) };
+    };
+
+    const batch = await runBatch(["alpha", "beta"], { channels: ["npm"], fetchFn: slowFetch, now: NOW, concurrency: 8, pool });
+    assert.equal(batch.stats.succeeded, 2);
+    assert.equal(maxRunning, 1);
+  });
 });
@@ -126,4 +126,20 @@ describe("writeBatchOutput", () => {
       assert.ok(files.includes("alpha/report.html"));
     } finally { cleanup(); }
   });
+
+  it("writes only the requested per-name formats", async () => {
+    setup();
+    try {
+      const batchResult = await makeBatchResult(["alpha"]);
+      const outDir = join(TMP_DIR, "out");
+      const { files } = writeBatchOutput(batchResult, outDir, { formats: ["json", "md"] });
+
+      assert.ok(existsSync(join(outDir, "alpha", "run.json")));
+      assert.ok(existsSync(join(outDir, "alpha", "run.md")));
+      assert.ok(!existsSync(join(outDir, "alpha", "report.html")));
+      assert.ok(!existsSync(join(outDir, "alpha", "summary.json")));
+      assert.ok(files.includes("alpha/run.md"));
+      assert.ok(!files.includes("alpha/summary.json"));
+    } finally { cleanup(); }
+  });
 });
@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createBlueskyAdapter } from "../../src/adapters/bluesky.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+describe("Bluesky adapter", () => {
+  it("checkHandle returns taken with the DID when the handle resolves", async () => {
+    const calls = [];
+    const adapter = createBlueskyAdapter(mockFetch(loadFixture("bluesky-taken.json"), calls));
+    const { check, evidence } = await adapter.checkHandle("Jay", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "bluesky");
+    assert.equal(check.details.did, "did:plc:z72i7hdynmk6r22z27h6tvur");
+    assert.deepEqual(check.query, { candidateMark: "Jay", value: "jay.bsky.social" });
+    assert.deepEqual(calls, ["https://bsky.social/xrpc/com.atproto.identity.resolveHandle?handle=jay.bsky.social"]);
+    assert.equal(evidence.source.system, "bluesky");
+  });
+
+  it("an unresolvable handle is indicative available", async () => {
+    const adapter = createBlueskyAdapter(mockFetch(loadFixture("bluesky-available.json")));
+    const { check } = await adapter.checkHandle("my-new-tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("other errors are unknown", async () => {
+    const adapter = createBlueskyAdapter(mockFetch({ status: 400, body: "{\"error\":\"InvalidRequest\",\"message\":\"Error: handle must be a valid handle\"}" }));
+    const { check } = await adapter.checkHandle("my-tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+  });
+
+  it("labels Bluesky rejects are unsupported without a request", async () => {
+    const calls = [];
+    const adapter = createBlueskyAdapter(mockFetch(loadFixture("bluesky-available.json"), calls));
+    const { check } = await adapter.checkHandle("my_tool", { now: NOW });
+
+    assert.equal(calls.length, 0);
+    assert.equal(check.status, "unsupported");
+    assert.equal(check.errors[0].code, "COE.SOCIAL.INVALID_HANDLE");
+  });
+
+  it("returns unknown on network error", async () => {
+    const adapter = createBlueskyAdapter(failingFetch("Connection refused"));
+    const { check } = await adapter.checkHandle("my-tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.BLUESKY_FAIL");
+  });
+
+  it("honors a custom base URL and handle domain", async () => {
+    const calls = [];
+    const adapter = createBlueskyAdapter(mockFetch(loadFixture("bluesky-available.json"), calls), {
+      baseUrl: "http://127.0.0.1:4010",
+      handleDomain: "pds.example",
+    });
+    const { check } = await adapter.checkHandle("my-tool", { now: NOW });
+
+    assert.equal(check.query.value, "my-tool.pds.example");
+    assert.deepEqual(calls, ["http://127.0.0.1:4010/xrpc/com.atproto.identity.resolveHandle?handle=my-tool.pds.example"]);
+  });
+});
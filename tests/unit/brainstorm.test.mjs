@@ -0,0 +1,125 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { rmSync } from "node:fs";
+import { join } from "node:path";
+import { parseSeeds, generateBrainstormNames, scoreNameShape, runBrainstorm } from "../../src/brainstorm.mjs";
+import { renderBrainstormMd } from "../../src/renderers/brainstorm.mjs";
+import { createCache } from "../../src/lib/cache.mjs";
+import { equivalentForms } from "../../src/channels/equivalence.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-brainstorm");
+
+/** npm fetch: the names in `taken` exist, everything else is a 404. Counts requests. */
+function npmFetch(taken = []) {
+  const fetchFn = async (url) => {
+    fetchFn.calls++;
+    const hit = taken.some((name) => url.endsWith(`/${name}`));
+    return { ok: hit, status: hit ? 200 : 404, text: async () => "", json: async () => ({}) };
+  };
+  fetchFn.calls = 0;
+  return fetchFn;
+}
+
+describe("parseSeeds", () => {
+  it("splits, lowercases and deduplicates", () => {
+    assert.deepEqual(parseSeeds("Fast, graph,,fast"), ["fast", "graph"]);
+    assert.deepEqual(parseSeeds(["deploy"]), ["deploy"]);
+  });
+
+  it("rejects missing, malformed and too many seeds", () => {
+    assert.throws(() => parseSeeds(""), { code: "COE.BRAINSTORM.NO_SEEDS" });
+    assert.throws(() => parseSeeds("fast,gr@ph"), { code: "COE.BRAINSTORM.BAD_SEED" });
+    assert.throws(() => parseSeeds("x"), { code: "COE.BRAINSTORM.BAD_SEED" });
+    const many = Array.from({ length: 11 }, (_, i) => `seed${i}`);
+    assert.throws(() => parseSeeds(many), { code: "COE.BRAINSTORM.TOO_MANY_SEEDS" });
+  });
+});
+
+describe("generateBrainstormNames", () => {
+  it("joins and blends seed pairs and runs every seed through the alternative generators", () => {
+    const names = generateBrainstormNames(["fast", "graph"]);
+    const byName = new Map(names.map((c) => [c.name, c]));
+
+    assert.deepEqual(byName.get("fastgraph"), { name: "fastgraph", strategy: "join", seeds: ["fast", "graph"] });
+    assert.equal(byName.get("graph-fast").strategy, "join");
+    assert.equal(byName.get("swifapid").strategy, "blend");
+    assert.equal(byName.get("go-fast").strategy, "prefix");
+    assert.ok(names.some((c) => c.strategy === "coined"));
+    assert.ok(!byName.has("fast") && !byName.has("graph"));
+    assert.equal(byName.size, names.length);
+    assert.deepEqual(names, generateBrainstormNames(["fast", "graph"]));
+  });
+});
+
+describe("scoreNameShape", () => {
+  it("scores distinctiveness, length and pronounceability from 0 to 100", () => {
+    const seeds = ["fast", "graph"];
+    const coined = scoreNameShape("zibefis", seeds);
+    const joined = scoreNameShape("fast-graph", seeds);
+    assert.ok(coined.distinctiveness > joined.distinctiveness);
+    assert.ok(coined.length > joined.length);
+    assert.ok(coined.overall > joined.overall);
+    assert.equal(scoreNameShape("strngth", seeds).pronounceability, 0);
+    assert.equal(scoreNameShape("zibefis", seeds).pronounceability, 100);
+    assert.ok(scoreNameShape("lexicographical", seeds).length < 100);
+    // Plain lexicon words are less distinctive than an unknown word of similar distance
+    assert.ok(scoreNameShape("forge", seeds).distinctiveness < scoreNameShape("forgo", seeds).distinctiveness);
+    for (const value of Object.values(coined)) assert.ok(Number.isInteger(value) && value >= 0 && value <= 100);
+  });
+});
+
+describe("runBrainstorm", () => {
+  it("checks the top names and ranks the shortlist by tier, then score", async () => {
+    const seeds = ["fast", "graph"];
+    const top = generateBrainstormNames(seeds)
+      .map((c) => ({ name: c.name, overall: scoreNameShape(c.name, seeds).overall }))
+      .sort((a, b) => b.overall - a.overall)
+      .slice(0, 4);
+    const taken = top[0].name;
+
+    const result = await runBrainstorm("fast,graph", {
+      count: 4,
+      channels: ["npm"],
+      fetchFn: npmFetch([taken]),
+      now: NOW,
+    });
+
+    assert.deepEqual(result.seeds, seeds);
+    assert.ok(result.generated > 4);
+    assert.equal(result.shortlist.length, 4);
+    assert.deepEqual(new Set(result.shortlist.map((c) => c.name)), new Set(top.map((c) => c.name)));
+    // The taken name drops to the bottom
+    assert.equal(result.shortlist[3].name, taken);
+    assert.equal(result.shortlist[3].tier, "red");
+    assert.ok(result.shortlist.slice(0, 3).every((c) => c.tier === "green" && c.runId.startsWith("run.2026-02-15.")));
+    assert.deepEqual(result.stats, { ...result.stats, total: 4, succeeded: 4, failed: 0 });
+
+    const md = renderBrainstormMd(result);
+    assert.ok(md.includes("# Brainstorm: fast, graph"));
+    assert.ok(md.includes(`\`${taken}\` | \u{1F534} RED`));
+  });
+
+  it("runs first-pass checks only, sharing the cache across runs", async () => {
+    try {
+      const cache = createCache(TMP_DIR);
+      const first = npmFetch();
+      const a = await runBrainstorm(["deploy"], { count: 3, channels: ["npm"], fetchFn: first, now: NOW, cache });
+      // Each name and its npm equivalent forms: no fuzzy variants, no radar
+      const forms = a.shortlist.reduce((n, c) => n + 1 + equivalentForms("npm", c.name).length, 0);
+      assert.equal(first.calls, forms);
+
+      const second = npmFetch();
+      const b = await runBrainstorm(["deploy"], { count: 3, channels: ["npm"], fetchFn: second, now: NOW, cache });
+      assert.equal(second.calls, 0);
+      assert.deepEqual(b.shortlist, a.shortlist);
+    } finally {
+      rmSync(TMP_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects a bad count", async () => {
+    await assert.rejects(runBrainstorm("fast", { count: 0 }), { code: "COE.BRAINSTORM.BAD_COUNT" });
+    await assert.rejects(runBrainstorm("fast", { count: 51 }), { code: "COE.BRAINSTORM.BAD_COUNT" });
+  });
+});
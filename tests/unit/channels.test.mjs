@@ -0,0 +1,428 @@
+import { describe, it, afterEach, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, mkdirSync, rmSync } from "node:fs";
+import { createServer } from "node:http";
+import { join } from "node:path";
+import {
+  registerChannel,
+  unregisterChannel,
+  getChannel,
+  getChannelForNamespace,
+  channelIds,
+  channelGroups,
+  defaultChannels,
+  coverageNamespaces,
+  parseChannels,
+  loadChannelModule,
+  loadChannelConfig,
+} from "../../src/channels/registry.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+import { computeScoreBreakdown } from "../../src/scoring/weights.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-channels");
+
+function allAvailableFetch() {
+  return async () => ({
+    ok: false,
+    status: 404,
+    text: async () => "Not Found",
+    json: async () => ({}),
+  });
+}
+
+/** Minimal custom channel backed by an in-memory "registry". */
+function makeInternalChannel(id = "internal", takenNames = ["taken-name"]) {
+  return {
+    id,
+    group: "internal",
+    namespaces: ["custom"],
+    create: () => ({
+      async lookup(name, opts = {}) {
+        const now = opts.now || NOW;
+        const checkId = `chk.custom.${name}`;
+        const evId = `ev.${checkId}.0`;
+        return {
+          check: {
+            id: checkId,
+            namespace: "custom",
+            query: { candidateMark: name, value: name },
+            status: takenNames.includes(name) ? "taken" : "available",
+            authority: "authoritative",
+            observedAt: now,
+            evidenceRef: evId,
+            errors: [],
+          },
+          evidence: {
+            id: evId,
+            type: "http_response",
+            source: { system: "internal", url: `https://registry.internal/${name}`, method: "GET" },
+            observedAt: now,
+          },
+        };
+      },
+    }),
+    plan: (adapter, name) => [
+      { cacheAdapter: "internal", query: { name }, run: (o) => adapter.lookup(name, o) },
+    ],
+    reservation: (check, name) => ({ kind: "claim", url: `https://registry.internal/new?name=${name}` }),
+    refresh: (adapter, namespace, query) => (o) => adapter.lookup(query.value, o),
+  };
+}
+
+describe("channel registry — built-ins", () => {
+  it("registers built-in channels in check order", () => {
+    assert.deepEqual(channelIds(), [
+      "github", "npm", "pypi", "domain",
+      "cratesio", "dockerhub", "huggingface", "golang",
+      "rubygems", "nuget", "maven", "packagist",
+      "github-user", "reddit", "bluesky", "mastodon",
+    ]);
+  });
+
+  it("groups built-ins into core, dev, ai, sdk, social and all", () => {
+    const groups = channelGroups();
+    assert.deepEqual(groups.core, ["github", "npm", "pypi", "domain"]);
+    assert.deepEqual(groups.dev, ["cratesio", "dockerhub", "golang"]);
+    assert.deepEqual(groups.ai, ["huggingface"]);
+    assert.deepEqual(groups.sdk, ["rubygems", "nuget", "maven", "packagist"]);
+    assert.deepEqual(groups.social, ["github-user", "reddit", "bluesky", "mastodon"]);
+    assert.deepEqual(groups.all, channelIds());
+  });
+
+  it("defaults to the core group", () => {
+    assert.deepEqual(defaultChannels(), ["github", "npm", "pypi", "domain"]);
+  });
+
+  it("maps namespaces back to their channel", () => {
+    assert.equal(getChannelForNamespace("github_org").id, "github");
+    assert.equal(getChannelForNamespace("huggingface_space").id, "huggingface");
+    assert.equal(getChannelForNamespace("nope"), null);
+  });
+
+  it("counts only github_repo toward coverage for the github channel", () => {
+    assert.deepEqual(coverageNamespaces(defaultChannels()), ["github_repo", "npm", "pypi", "domain"]);
+  });
+});
+
+describe("parseChannels", () => {
+  it("returns defaults for empty input", () => {
+    assert.deepEqual(parseChannels(null), defaultChannels());
+  });
+
+  it("expands group aliases", () => {
+    assert.deepEqual(parseChannels("dev"), ["cratesio", "dockerhub", "golang"]);
+    assert.deepEqual(parseChannels("all"), channelIds());
+  });
+
+  it("adds to the defaults in additive mode", () => {
+    assert.deepEqual(parseChannels("+cratesio,+npm"), ["github", "npm", "pypi", "domain", "cratesio"]);
+  });
+
+  it("returns explicit lists as given", () => {
+    assert.deepEqual(parseChannels("npm, pypi"), ["npm", "pypi"]);
+  });
+
+  it("throws COE.INIT.BAD_CHANNEL for unknown channels", () => {
+    assert.throws(() => parseChannels("npm,bogus"), (err) => {
+      assert.equal(err.code, "COE.INIT.BAD_CHANNEL");
+      assert.match(err.message, /bogus/);
+      return true;
+    });
+    assert.throws(() => parseChannels("+bogus"), { code: "COE.INIT.BAD_CHANNEL" });
+  });
+});
+
+describe("registerChannel", () => {
+  afterEach(() => {
+    unregisterChannel("internal");
+  });
+
+  it("registers a custom channel and its group", () => {
+    registerChannel(makeInternalChannel());
+    assert.ok(getChannel("internal"));
+    assert.deepEqual(channelGroups().internal, ["internal"]);
+    assert.deepEqual(parseChannels("internal"), ["internal"]);
+    assert.ok(channelIds().includes("internal"));
+  });
+
+  it("applies defaults for optional fields", () => {
+    const def = registerChannel(makeInternalChannel());
+    assert.equal(def.intakeChannel, "other");
+    assert.deepEqual(def.requiredOptions, []);
+    assert.deepEqual(def.coverageNamespaces, ["custom"]);
+    assert.ok(Object.isFrozen(def));
+  });
+
+  it("rejects duplicate ids", () => {
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), id: "npm", namespaces: ["custom"] }), {
+      code: "COE.CHANNEL.DUPLICATE",
+    });
+  });
+
+  it("rejects namespaces owned by another channel", () => {
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), namespaces: ["npm"] }), {
+      code: "COE.CHANNEL.DUPLICATE",
+    });
+  });
+
+  it("rejects invalid definitions", () => {
+    assert.throws(() => registerChannel(null), { code: "COE.CHANNEL.INVALID" });
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), id: "Bad Id" }), { code: "COE.CHANNEL.INVALID" });
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), group: "all" }), { code: "COE.CHANNEL.INVALID" });
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), namespaces: [] }), { code: "COE.CHANNEL.INVALID" });
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), plan: undefined }), { code: "COE.CHANNEL.INVALID" });
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), refresh: "nope" }), { code: "COE.CHANNEL.INVALID" });
+    assert.throws(() => registerChannel({ ...makeInternalChannel(), equivalents: [] }), { code: "COE.CHANNEL.INVALID" });
+  });
+
+  it("runs a custom channel through runCheck", async () => {
+    registerChannel(makeInternalChannel());
+    const run = await runCheck("fresh-name", {
+      channels: ["npm", "internal"],
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    const custom = run.checks.find((c) => c.namespace === "custom");
+    assert.ok(custom);
+    assert.equal(custom.status, "available");
+    assert.ok(run.evidence.some((e) => e.source?.system === "internal"));
+    assert.ok(run.intake.channels.includes("other"));
+    const claim = run.opinion.recommendedActions.find((a) => a.type === "claim_handles");
+    assert.ok(claim.links.includes("https://registry.internal/new?name=fresh-name"));
+  });
+
+  it("reports a taken custom-channel name as an exact conflict", async () => {
+    registerChannel(makeInternalChannel());
+    const run = await runCheck("taken-name", {
+      channels: ["internal"],
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.ok(run.findings.some((f) => f.kind === "exact_conflict"));
+    assert.equal(run.opinion.tier, "red");
+  });
+
+  it("does not change coverage scoring for runs without the channel", () => {
+    const before = computeScoreBreakdown({ checks: [], findings: [], variants: {} });
+    registerChannel(makeInternalChannel());
+    const after = computeScoreBreakdown({ checks: [], findings: [], variants: {} });
+    assert.deepEqual(after, before);
+  });
+});
+
+describe("loadChannelModule / loadChannelConfig", () => {
+  afterEach(() => {
+    unregisterChannel("modchan");
+    try { rmSync(TMP_DIR, { recursive: true, force: true }); } catch {}
+  });
+
+  const MODULE_SRC = `
+export const channels = [{
+  id: "modchan",
+  group: "internal",
+  namespaces: ["custom"],
+  create: () => ({}),
+  plan: () => [],
+}];
+`;
+
+  it("registers channels exported from a local module", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const modPath = join(TMP_DIR, "module-chan.mjs");
+    writeFileSync(modPath, MODULE_SRC, "utf8");
+
+    const ids = await loadChannelModule(modPath);
+    assert.deepEqual(ids, ["modchan"]);
+    assert.equal(getChannel("modchan").group, "internal");
+  });
+
+  it("registers modules listed in a JSON config, relative to the config", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    writeFileSync(join(TMP_DIR, "config-chan.mjs"), MODULE_SRC, "utf8");
+    const configPath = join(TMP_DIR, "channels.json");
+    writeFileSync(configPath, JSON.stringify({ channelModules: ["./config-chan.mjs"] }), "utf8");
+
+    const ids = await loadChannelConfig(configPath);
+    assert.deepEqual(ids, ["modchan"]);
+  });
+
+  it("throws COE.CHANNEL.MODULE_FAIL for a missing module", async () => {
+    await assert.rejects(() => loadChannelModule(join(TMP_DIR, "missing.mjs")), {
+      code: "COE.CHANNEL.MODULE_FAIL",
+    });
+  });
+
+  it("throws COE.CHANNEL.MODULE_FAIL for a module with no channels", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const modPath = join(TMP_DIR, "empty-chan.mjs");
+    writeFileSync(modPath, "export const nothing = 1;\n", "utf8");
+    await assert.rejects(() => loadChannelModule(modPath), { code: "COE.CHANNEL.MODULE_FAIL" });
+  });
+
+  it("throws COE.CHANNEL.CONFIG_FAIL for a malformed config", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const configPath = join(TMP_DIR, "bad.json");
+    writeFileSync(configPath, JSON.stringify({ channelModules: "nope" }), "utf8");
+    await assert.rejects(() => loadChannelConfig(configPath), { code: "COE.CHANNEL.CONFIG_FAIL" });
+  });
+});
+
+describe("built-in refresh resolvers", () => {
+  it("rebuilds a domain check from its fqdn", async () => {
+    const calls = [];
+    const adapter = { checkDomain: async (name, tld) => { calls.push([name, tld]); return {}; } };
+    await getChannel("domain").refresh(adapter, "domain", { candidateMark: "my-tool", value: "my-tool.dev" })({ now: NOW });
+    assert.deepEqual(calls, [["my-tool", ".dev"]]);
+  });
+
+  it("splits owner/name for scoped registries", async () => {
+    const calls = [];
+    const adapter = {
+      checkModel: async (owner, name) => { calls.push(["model", owner, name]); return {}; },
+      checkSpace: async (owner, name) => { calls.push(["space", owner, name]); return {}; },
+    };
+    const hf = getChannel("huggingface");
+    await hf.refresh(adapter, "huggingface_space", { candidateMark: "tool", value: "acme/tool" })({ now: NOW });
+    await hf.refresh(adapter, "huggingface_model", { candidateMark: "tool", value: "acme/tool" })({ now: NOW });
+    assert.deepEqual(calls, [["space", "acme", "tool"], ["model", "acme", "tool"]]);
+  });
+
+  it("splits groupId:artifactId for maven", async () => {
+    const calls = [];
+    const adapter = { checkArtifact: async (groupId, artifactId) => { calls.push([groupId, artifactId]); return {}; } };
+    await getChannel("maven").refresh(adapter, "maven", { candidateMark: "sdk", value: "com.acme:sdk" })({ now: NOW });
+    assert.deepEqual(calls, [["com.acme", "sdk"]]);
+  });
+
+  it("re-checks a mastodon account on its recorded instance", async () => {
+    const calls = [];
+    const adapter = { checkAccount: async (name, o) => { calls.push([name, o.instance]); return {}; } };
+    await getChannel("mastodon").refresh(adapter, "mastodon", { candidateMark: "my-tool", value: "my_tool@fosstodon.org" })({ now: NOW });
+    assert.deepEqual(calls, [["my-tool", "fosstodon.org"]]);
+  });
+});
+
+describe("sdk channels", () => {
+  it("links available SDK registries for claiming", async () => {
+    const run = await runCheck("fresh-sdk", {
+      channels: ["rubygems", "nuget", "maven", "packagist"],
+      mavenGroup: "com.acme",
+      packagistVendor: "acme",
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.deepEqual(run.checks.map((c) => c.query.value), ["fresh-sdk", "fresh-sdk", "com.acme:fresh-sdk", "acme/fresh-sdk"]);
+    const claim = run.opinion.recommendedActions.find((a) => a.type === "claim_handles");
+    assert.deepEqual(claim.links, [
+      "https://rubygems.org/gems/fresh-sdk",
+      "https://www.nuget.org/packages/manage/upload",
+      "https://central.sonatype.com/publishing",
+      "https://packagist.org/packages/submit",
+    ]);
+  });
+
+  it("packagist falls back to --org for the vendor", async () => {
+    const run = await runCheck("fresh-sdk", {
+      channels: ["packagist"],
+      org: "Acme",
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.equal(run.checks[0].query.value, "acme/fresh-sdk");
+  });
+});
+
+describe("social channels", () => {
+  const ENV_VARS = ["COE_GITHUB_API_URL", "COE_REDDIT_URL", "COE_BLUESKY_URL", "COE_MASTODON_URL"];
+  const requests = [];
+  let server;
+
+  // Local stand-in for all four services: "taken-tool" exists, anything else does not
+  before(async () => {
+    server = createServer((req, res) => {
+      requests.push(req.url);
+      const taken = req.url.includes("taken");
+      if (req.url.startsWith("/xrpc/")) {
+        res.writeHead(taken ? 200 : 400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(taken ? { did: "did:plc:abc" } : { error: "InvalidRequest", message: "Unable to resolve handle" }));
+      } else if (req.url.startsWith("/r/") && !taken) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ kind: "Listing", data: { children: [] } }));
+      } else {
+        res.writeHead(taken ? 200 : 404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(req.url.startsWith("/user/") ? { kind: "t2", data: {} } : req.url.startsWith("/r/") ? { kind: "t5", data: {} } : {}));
+      }
+    });
+    await new Promise((resolveListen) => server.listen(0, "127.0.0.1", resolveListen));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    for (const name of ENV_VARS) process.env[name] = base;
+  });
+
+  after(async () => {
+    for (const name of ENV_VARS) delete process.env[name];
+    await new Promise((resolveClose) => server.close(resolveClose));
+  });
+
+  it("checks every social handle against overridable base URLs", async () => {
+    requests.length = 0;
+    const run = await runCheck("fresh-tool", {
+      channels: parseChannels("social"),
+      mastodonInstance: "fosstodon.org",
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.deepEqual(run.checks.map((c) => [c.namespace, c.query.value, c.status]), [
+      ["github_user", "fresh-tool", "available"],
+      ["reddit_user", "fresh-tool", "available"],
+      ["reddit_subreddit", "freshtool", "available"],
+      ["bluesky", "fresh-tool.bsky.social", "available"],
+      ["mastodon", "fresh_tool@fosstodon.org", "available"],
+    ]);
+    assert.equal(requests.length, 5);
+    assert.ok(requests.includes("/users/fresh-tool"));
+    assert.deepEqual(run.intake.channels, ["github", "media", "media", "media"]);
+  });
+
+  it("recommends claiming available handles", async () => {
+    const run = await runCheck("fresh-tool", {
+      channels: ["npm", "bluesky", "mastodon"],
+      now: NOW,
+      fuzzyQueryMode: "off",
+      fetchFn: async (url) => (url.includes("registry.npmjs.org")
+        ? { ok: false, status: 404, text: async () => "Not Found", json: async () => ({}) }
+        : globalThis.fetch(url)),
+    });
+
+    assert.equal(run.opinion.tier, "green");
+    const action = run.opinion.nextActions.find((a) => a.type === "claim_handle");
+    assert.ok(action, "claim_handle action expected");
+    assert.match(action.reason, /fresh-tool\.bsky\.social \(bluesky\)/);
+    assert.match(action.reason, /fresh_tool@mastodon\.social \(mastodon\)/);
+    assert.equal(action.url, "https://bsky.app/");
+
+    const claim = run.opinion.recommendedActions.find((a) => a.type === "claim_handles");
+    assert.ok(claim.links.includes("https://mastodon.social/auth/sign_up"));
+  });
+
+  it("a taken handle is an exact conflict", async () => {
+    const run = await runCheck("taken-tool", {
+      channels: ["reddit"],
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.deepEqual(run.checks.map((c) => c.status), ["taken", "taken"]);
+    assert.equal(run.opinion.tier, "red");
+    assert.ok(!run.opinion.nextActions.some((a) => a.type === "claim_handle"));
+  });
+});
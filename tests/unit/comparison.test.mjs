@@ -0,0 +1,160 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseCandidateList,
+  candidateStats,
+  rankCandidates,
+  crossCandidateSimilarity,
+  buildComparison,
+  MAX_CANDIDATES,
+} from "../../src/scoring/comparison.mjs";
+import { runComparison } from "../../src/pipeline.mjs";
+import { renderRunMd } from "../../src/renderers/report.mjs";
+import { renderPacketHtml, renderSummaryJson } from "../../src/renderers/packet.mjs";
+import { validateArtifact } from "../../src/validate.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+/** Minimal single-candidate run for ranking tests. */
+function fakeRun(mark, tier, overallScore, severities = []) {
+  return {
+    intake: { candidates: [{ mark, style: "word" }] },
+    checks: [
+      { status: "available" },
+      { status: tier === "red" ? "taken" : "available" },
+      { status: "unknown" },
+    ],
+    findings: severities.map((severity) => ({ severity })),
+    opinion: { tier, summary: `${mark} summary`, scoreBreakdown: { overallScore } },
+  };
+}
+
+/** npm answers 200 for names in `taken`, 404 for everything else. */
+function npmFetch(taken = []) {
+  return async (url) => {
+    const hit = taken.some((name) => url.endsWith(`/${name}`));
+    return {
+      ok: hit,
+      status: hit ? 200 : 404,
+      text: async () => (hit ? "{}" : "Not Found"),
+      json: async () => ({}),
+    };
+  };
+}
+
+describe("parseCandidateList", () => {
+  it("trims names and drops empty ones", () => {
+    assert.deepEqual(parseCandidateList([" alpha ", "beta", ""]), ["alpha", "beta"]);
+  });
+
+  it("rejects duplicates case-insensitively", () => {
+    assert.throws(() => parseCandidateList(["Alpha", "alpha"]), { code: "COE.INIT.DUPLICATE_CANDIDATE" });
+  });
+
+  it("rejects more than MAX_CANDIDATES names", () => {
+    const names = Array.from({ length: MAX_CANDIDATES + 1 }, (_, i) => `name${i}`);
+    assert.throws(() => parseCandidateList(names), { code: "COE.INIT.TOO_MANY_CANDIDATES" });
+  });
+});
+
+describe("rankCandidates", () => {
+  it("ranks by tier, then score, then fewer high findings, then input order", () => {
+    const ranked = rankCandidates([
+      fakeRun("red-one", "red", 90),
+      fakeRun("yellow-low", "yellow", 50),
+      fakeRun("yellow-high", "yellow", 70),
+      fakeRun("green-risky", "green", 80, ["high"]),
+      fakeRun("green-clean", "green", 80, ["medium"]),
+      fakeRun("green-late", "green", 80, ["medium"]),
+    ]);
+
+    assert.deepEqual(
+      ranked.map((c) => c.mark),
+      ["green-clean", "green-late", "green-risky", "yellow-high", "yellow-low", "red-one"]
+    );
+    assert.deepEqual(ranked.map((c) => c.rank), [1, 2, 3, 4, 5, 6]);
+  });
+
+  it("records per-candidate stats", () => {
+    const stats = candidateStats(fakeRun("x", "red", 10, ["high", "low"]));
+    assert.deepEqual(stats, { checks: 3, available: 1, taken: 1, unknown: 1, findings: 2, highFindings: 1 });
+  });
+});
+
+describe("crossCandidateSimilarity", () => {
+  it("compares every pair once", () => {
+    const pairs = crossCandidateSimilarity(["alpha", "bravo", "charlie", "delta"]);
+    assert.equal(pairs.length, 6);
+    assert.deepEqual(pairs[0].a, "alpha");
+    assert.deepEqual(pairs[0].b, "bravo");
+  });
+
+  it("flags look-alike candidates at the 0.70 threshold", () => {
+    const [pair] = crossCandidateSimilarity(["clearlane", "clearlayne"]);
+    assert.ok(pair.overall >= 0.70);
+    assert.equal(pair.flagged, true);
+    assert.ok(pair.why.length > 0);
+
+    const [distinct] = crossCandidateSimilarity(["clearlane", "voltmesh"]);
+    assert.equal(distinct.flagged, false);
+  });
+
+  it("buildComparison combines ranking and pairs", () => {
+    const comparison = buildComparison([fakeRun("alpha", "yellow", 60), fakeRun("bravo", "green", 90)]);
+    assert.equal(comparison.candidates[0].mark, "bravo");
+    assert.equal(comparison.crossSimilarity.length, 1);
+  });
+});
+
+describe("comparative run rendering", () => {
+  async function comparativeRun() {
+    return runComparison(["clearlane", "clearlayne", "voltmesh"], {
+      channels: ["npm"],
+      fetchFn: npmFetch(["clearlane"]),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+  }
+
+  it("renderRunMd shows the ranked comparison and similarity flags", async () => {
+    const md = renderRunMd(await comparativeRun());
+    assert.ok(md.includes("# Clearance Report: clearlane, clearlayne, voltmesh"));
+    assert.ok(md.includes("## Candidate Comparison"));
+    assert.ok(md.includes("| 3 | `clearlane` | \u{1F534} RED |"));
+    assert.ok(md.includes("### Cross-Candidate Similarity"));
+    assert.ok(md.includes("too similar"));
+    assert.ok(md.includes("Top-ranked candidate: **clearlayne**"));
+    assert.ok(md.includes("(high) — `clearlane`"));
+    assert.ok(md.indexOf("## Candidate Comparison") < md.indexOf("## Opinion:"));
+  });
+
+  it("renderPacketHtml shows the ranked comparison", async () => {
+    const html = renderPacketHtml(await comparativeRun());
+    assert.ok(html.includes("<h2>Candidate Comparison</h2>"));
+    assert.ok(html.includes("clearlayne (top-ranked of 3)"));
+    assert.ok(html.includes("<h2>Cross-Candidate Similarity</h2>"));
+    assert.ok(html.includes("too similar"));
+  });
+
+  it("renderSummaryJson includes per-candidate tier, score and rank", async () => {
+    const summary = renderSummaryJson(await comparativeRun());
+    assert.deepEqual(summary.candidates, ["clearlane", "clearlayne", "voltmesh"]);
+    assert.deepEqual(summary.comparison.candidates.map((c) => [c.mark, c.rank, c.tier]), [
+      ["clearlayne", 1, "green"],
+      ["voltmesh", 2, "green"],
+      ["clearlane", 3, "red"],
+    ]);
+    assert.equal(typeof summary.comparison.candidates[0].overallScore, "number");
+    assert.equal(summary.comparison.crossSimilarity.filter((p) => p.flagged).length, 1);
+    assert.equal(validateArtifact(summary, "summary").valid, true);
+  });
+
+  it("single-candidate output has no comparison section", async () => {
+    const run = await comparativeRun();
+    const single = { ...run, intake: { ...run.intake, candidates: [run.intake.candidates[0]] } };
+    delete single.comparison;
+    assert.ok(!renderRunMd(single).includes("Candidate Comparison"));
+    assert.ok(!renderPacketHtml(single).includes("Candidate Comparison"));
+    assert.equal(renderSummaryJson(single).comparison, undefined);
+  });
+});
@@ -1,6 +1,8 @@
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { resolveCacheDir } from "../../src/lib/config.mjs";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { resolveCacheDir, resolveChannelSources, resolveConfig, CONFIG_KEYS } from "../../src/lib/config.mjs";
 
 describe("resolveCacheDir", () => {
   const originalEnv = process.env.COE_CACHE_DIR;
@@ -28,3 +30,219 @@ describe("resolveCacheDir", () => {
     assert.equal(resolveCacheDir(null), null);
   });
 });
+
+describe("resolveChannelSources", () => {
+  const originalEnv = process.env.COE_CHANNEL_MODULES;
+
+  afterEach(() => {
+    if (originalEnv === undefined) {
+      delete process.env.COE_CHANNEL_MODULES;
+    } else {
+      process.env.COE_CHANNEL_MODULES = originalEnv;
+    }
+  });
+
+  it("splits a comma-separated flag value", () => {
+    process.env.COE_CHANNEL_MODULES = "/env/a.mjs";
+    assert.deepEqual(resolveChannelSources("./a.mjs, ./b.json"), ["./a.mjs", "./b.json"]);
+  });
+
+  it("falls back to COE_CHANNEL_MODULES env var", () => {
+    process.env.COE_CHANNEL_MODULES = "/env/a.mjs";
+    assert.deepEqual(resolveChannelSources(null), ["/env/a.mjs"]);
+  });
+
+  it("returns an empty list when neither set", () => {
+    delete process.env.COE_CHANNEL_MODULES;
+    assert.deepEqual(resolveChannelSources(null), []);
+  });
+});
+
+describe("resolveConfig", () => {
+  const TMP_DIR = join(import.meta.dirname, "..", ".tmp-config");
+  const PROJECT = join(TMP_DIR, "project");
+  const HOME = join(TMP_DIR, "home");
+  const USER_CONFIG = join(HOME, ".config", "coe", "config.json");
+
+  function writeJson(path, data) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, typeof data === "string" ? data : JSON.stringify(data), "utf8");
+  }
+
+  function resolveIn(opts = {}) {
+    return resolveConfig({ cwd: PROJECT, home: HOME, env: {}, args: [], ...opts });
+  }
+
+  beforeEach(() => {
+    rmSync(TMP_DIR, { recursive: true, force: true });
+    mkdirSync(PROJECT, { recursive: true });
+    mkdirSync(HOME, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(TMP_DIR, { recursive: true, force: true });
+  });
+
+  it("returns empty values and no sources when nothing is configured", () => {
+    const { values, record } = resolveIn();
+    assert.deepEqual(values, {});
+    assert.deepEqual(record, { sources: [], effective: {} });
+  });
+
+  it("layers user < project < env < flags", () => {
+    writeJson(USER_CONFIG, { risk: "aggressive", org: "user-org", tlds: "tech", radar: true });
+    writeJson(join(PROJECT, "coe.config.json"), { risk: "balanced", org: "project-org", channels: "core,+social" });
+    const { values, record } = resolveIn({
+      env: { COE_ORG: "env-org", COE_CHANNELS: "npm,pypi" },
+      args: ["check", "name", "--channels", "npm"],
+    });
+
+    assert.equal(values.risk, "balanced");
+    assert.equal(values.org, "env-org");
+    assert.deepEqual(values.channels, ["npm"]);
+    assert.deepEqual(values.tlds, ["tech"]);
+    assert.equal(values.radar, true);
+    assert.deepEqual(record.sources, [
+      { layer: "user", path: "~/.config/coe/config.json" },
+      { layer: "project", path: "coe.config.json" },
+      { layer: "env", keys: ["COE_CHANNELS", "COE_ORG"] },
+      { layer: "flags", keys: ["--channels"] },
+    ]);
+  });
+
+  it("honours XDG_CONFIG_HOME and COE_USER_CONFIG for the user layer", () => {
+    writeJson(join(TMP_DIR, "xdg", "coe", "config.json"), { org: "xdg-org" });
+    writeJson(join(TMP_DIR, "custom.json"), { org: "custom-org" });
+
+    assert.equal(resolveIn({ env: { XDG_CONFIG_HOME: join(TMP_DIR, "xdg") } }).values.org, "xdg-org");
+    assert.equal(resolveIn({ env: { COE_USER_CONFIG: join(TMP_DIR, "custom.json") } }).values.org, "custom-org");
+  });
+
+  it("falls back to .coerc and prefers an explicit --config path", () => {
+    writeJson(join(PROJECT, ".coerc"), { org: "rc-org" });
+    writeJson(join(PROJECT, "team.json"), { org: "team-org" });
+
+    assert.equal(resolveIn().values.org, "rc-org");
+    assert.equal(resolveIn({ configPath: "team.json" }).values.org, "team-org");
+  });
+
+  it("throws COE.CONFIG.NOT_FOUND for a missing --config file", () => {
+    assert.throws(() => resolveIn({ configPath: "missing.json" }), { code: "COE.CONFIG.NOT_FOUND" });
+  });
+
+  it("resolves relative paths against the config file's directory", () => {
+    writeJson(join(PROJECT, "conf", "coe.json"), { corpus: "../marks.json", cacheDir: ".cache", rdapBootstrap: "off" });
+    const { values, record } = resolveIn({ configPath: "conf/coe.json" });
+
+    assert.equal(values.corpus, join(PROJECT, "marks.json"));
+    assert.equal(values.cacheDir, join(PROJECT, "conf", ".cache"));
+    assert.equal(values.rdapBootstrap, "off");
+    assert.equal(record.effective.corpus, "marks.json");
+    assert.equal(record.effective.cacheDir, join("conf", ".cache"));
+  });
+
+  it("coerces env and flag strings", () => {
+    const { values } = resolveIn({
+      env: { COE_FORMATS: "json,md" },
+      args: ["batch", "names.txt", "--variantBudget", "20", "--max-age-hours", "1.5", "--suggest"],
+    });
+
+    assert.deepEqual(values.formats, ["json", "md"]);
+    assert.equal(values.variantBudget, 20);
+    assert.equal(values.maxAgeHours, 1.5);
+    assert.equal(values.suggest, true);
+  });
+
+  it("records effective values in CONFIG_KEYS order", () => {
+    writeJson(join(PROJECT, "coe.config.json"), { formats: ["json"], channels: ["npm"] });
+    assert.deepEqual(Object.keys(resolveIn().record.effective), ["channels", "formats"]);
+  });
+
+  it("throws COE.CONFIG.UNKNOWN_KEY with a suggestion", () => {
+    writeJson(join(PROJECT, "coe.config.json"), { chanels: "npm" });
+    assert.throws(() => resolveIn(), (err) => {
+      assert.equal(err.code, "COE.CONFIG.UNKNOWN_KEY");
+      assert.match(err.message, /did you mean "channels"/);
+      assert.equal(err.path, join(PROJECT, "coe.config.json"));
+      return true;
+    });
+  });
+
+  it("throws COE.CONFIG.PARSE_FAIL for invalid JSON or a non-object", () => {
+    writeJson(join(PROJECT, "coe.config.json"), "{ risk: balanced");
+    assert.throws(() => resolveIn(), { code: "COE.CONFIG.PARSE_FAIL" });
+
+    writeJson(join(PROJECT, "coe.config.json"), ["npm"]);
+    assert.throws(() => resolveIn(), { code: "COE.CONFIG.PARSE_FAIL" });
+  });
+
+  it("throws COE.CONFIG.BAD_VALUE for values of the wrong type", () => {
+    writeJson(join(PROJECT, "coe.config.json"), { radar: "yes" });
+    assert.throws(() => resolveIn(), { code: "COE.CONFIG.BAD_VALUE" });
+
+    assert.throws(() => resolveIn({ env: { COE_RISK: "reckless" } }), { code: "COE.CONFIG.BAD_VALUE" });
+    assert.throws(() => resolveIn({ args: ["--formats", "json,pdf"] }), { code: "COE.CONFIG.BAD_VALUE" });
+    assert.throws(() => resolveIn({ args: ["--concurrency", "0"] }), { code: "COE.CONFIG.BAD_VALUE" });
+  });
+
+  it("validates weights", () => {
+    const weights = { namespaceAvailability: 40, coverageCompleteness: 20, conflictSeverity: 30, domainAvailability: 10 };
+    writeJson(join(PROJECT, "coe.config.json"), { weights });
+    assert.deepEqual(resolveIn().values.weights, weights);
+
+    writeJson(join(PROJECT, "coe.config.json"), { weights: { ...weights, domainAvailability: 20 } });
+    assert.throws(() => resolveIn(), (err) => err.code === "COE.CONFIG.BAD_WEIGHTS" && /sum to 100 \(got 110\)/.test(err.message));
+
+    writeJson(join(PROJECT, "coe.config.json"), { weights: { namespaceAvailability: 100 } });
+    assert.throws(() => resolveIn(), { code: "COE.CONFIG.BAD_WEIGHTS" });
+  });
+
+  it("merges custom profiles by name across layers and accepts them for risk", () => {
+    writeJson(USER_CONFIG, { profiles: { "internal-tool": { extends: "aggressive" } } });
+    writeJson(join(PROJECT, "coe.config.json"), {
+      risk: "enterprise-brand",
+      profiles: { "enterprise-brand": { thresholds: { green: 90 }, deductions: { near_conflict: 15 } } },
+    });
+    const { values } = resolveIn();
+
+    assert.deepEqual(Object.keys(values.profiles), ["internal-tool", "enterprise-brand"]);
+    assert.equal(values.risk, "enterprise-brand");
+    assert.equal(resolveIn({ args: ["--risk", "internal-tool"] }).values.risk, "internal-tool");
+  });
+
+  it("throws COE.CONFIG.UNKNOWN_PROFILE naming where risk was set", () => {
+    assert.throws(() => resolveIn({ args: ["--risk", "reckless"] }), (err) =>
+      err.code === "COE.CONFIG.UNKNOWN_PROFILE" && err.message.endsWith("set by flag --risk"));
+
+    writeJson(join(PROJECT, "coe.config.json"), { risk: "enterprise" });
+    assert.throws(() => resolveIn(), (err) =>
+      err.code === "COE.CONFIG.UNKNOWN_PROFILE" && err.path === join(PROJECT, "coe.config.json"));
+  });
+
+  it("validates profile definitions", () => {
+    const invalid = [
+      [{ balanced: { thresholds: { green: 75 } } }, "COE.CONFIG.BAD_PROFILE"],
+      [{ strict: { extends: "paranoid" } }, "COE.CONFIG.BAD_PROFILE"],
+      [{ strict: { penalties: {} } }, "COE.CONFIG.BAD_PROFILE"],
+      [{ strict: { deductions: { coverage_gap: 10 } } }, "COE.CONFIG.BAD_PROFILE"],
+      [{ strict: { deductions: { exact_conflict: 150 } } }, "COE.CONFIG.BAD_PROFILE"],
+      [{ strict: { thresholds: { yellow: 85 } } }, "COE.CONFIG.BAD_PROFILE"],
+      [{ "bad name": {} }, "COE.CONFIG.BAD_PROFILE"],
+      [{ strict: { weights: { namespaceAvailability: 50, coverageCompleteness: 25, conflictSeverity: 25, domainAvailability: 10 } } }, "COE.CONFIG.BAD_WEIGHTS"],
+    ];
+    for (const [profiles, code] of invalid) {
+      writeJson(join(PROJECT, "coe.config.json"), { profiles });
+      assert.throws(() => resolveIn(), { code }, JSON.stringify(profiles));
+    }
+  });
+});
+
+describe("config.schema.json", () => {
+  it("describes exactly the CONFIG_KEYS", () => {
+    const schemaPath = join(import.meta.dirname, "..", "..", "schema", "config.schema.json");
+    const schema = JSON.parse(readFileSync(schemaPath, "utf8"));
+    const keys = Object.keys(schema.properties).filter((k) => k !== "$schema");
+    assert.deepEqual(keys.sort(), Object.keys(CONFIG_KEYS).sort());
+    assert.equal(schema.additionalProperties, false);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { importEuipo, parseTradeMark, parseEuipoRow } from "../../src/corpus/euipo.mjs";
+import { readRecords, readCsvRows, statusFromText } from "../../src/corpus/bulk.mjs";
+import { loadCorpus } from "../../src/adapters/corpus.mjs";
+
+const fixturesDir = join(import.meta.dirname, "..", "fixtures", "corpus");
+const XML = join(fixturesDir, "euipo-sample.xml");
+const CSV = join(fixturesDir, "euipo-sample.csv");
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-corpus-euipo");
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+async function collect(iter) {
+  const out = [];
+  for await (const x of iter) out.push(x);
+  return out;
+}
+
+describe("parseTradeMark", () => {
+  it("extracts mark, number, status, classes, applicant and dates", async () => {
+    const [first] = await collect(readRecords(XML, "TradeMark"));
+    assert.deepEqual(parseTradeMark(first), {
+      id: "mark.euipo.18123456",
+      mark: "CLEARLANE",
+      source: "euipo",
+      jurisdiction: "EU",
+      applicationNumber: "18123456",
+      status: "live",
+      statusText: "Registered",
+      class: 9,
+      classes: [9, 42],
+      registrant: "Clearlane GmbH",
+      filingDate: "2022-03-14",
+      registrationDate: "2022-07-30",
+      expiryDate: "2032-03-14",
+    });
+  });
+
+  it("marks refused applications dead and skips figurative marks", async () => {
+    const records = await collect(readRecords(XML, "TradeMark"));
+    assert.equal(records.length, 3);
+    assert.equal(parseTradeMark(records[1]).status, "dead");
+    assert.equal(parseTradeMark(records[2]), null);
+  });
+});
+
+describe("parseEuipoRow", () => {
+  it("reads semicolon-separated eSearch exports with day-first dates", async () => {
+    const rows = await collect(readCsvRows(CSV));
+    const entries = rows.map(parseEuipoRow);
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].mark, "BREWHAUS");
+    assert.equal(entries[0].registrant, 'Brauerei "Haus" AG');
+    assert.deepEqual(entries[0].classes, [32, 33]);
+    assert.equal(entries[0].filingDate, "2021-02-01");
+    assert.equal(entries[1].status, "dead");
+    assert.equal(entries[1].registrant, "Loop Labs Ltd");
+    assert.equal(entries[1].filingDate, "2020-06-15");
+  });
+});
+
+describe("statusFromText", () => {
+  it("maps office status text to live or dead", () => {
+    assert.equal(statusFromText("Registered"), "live");
+    assert.equal(statusFromText("Application published"), "live");
+    assert.equal(statusFromText("Registration cancelled"), "dead");
+    assert.equal(statusFromText("Cancellation pending"), "live");
+    assert.equal(statusFromText("Ended"), "dead");
+    assert.equal(statusFromText(null), "live");
+  });
+});
+
+describe("importEuipo", () => {
+  afterEach(() => {
+    try { rmSync(TMP_DIR, { recursive: true, force: true }); } catch {}
+  });
+
+  it("imports XML and CSV exports into one corpus", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    const result = await importEuipo([XML, CSV], out, { now: NOW });
+
+    assert.equal(result.parsed, 5);
+    assert.equal(result.imported, 4);
+    const corpus = loadCorpus(out);
+    assert.ok(corpus.marks.every((m) => m.jurisdiction === "EU" && m.source === "euipo"));
+    assert.deepEqual(corpus.metadata.imports[0].files, ["euipo-sample.xml", "euipo-sample.csv"]);
+  });
+
+  it("filters live marks", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    await importEuipo([XML, CSV], out, { now: NOW, liveOnly: true });
+    assert.deepEqual(loadCorpus(out).marks.map((m) => m.mark), ["CLEARLANE", "BREWHAUS"]);
+  });
+
+  it("throws COE.CORPUS.IMPORT_FAIL for files without trade marks", async () => {
+    await assert.rejects(
+      importEuipo([join(fixturesDir, "uspto-daily-sample.xml")], join(TMP_DIR, "corpus.json")),
+      { code: "COE.CORPUS.IMPORT_FAIL" }
+    );
+  });
+});
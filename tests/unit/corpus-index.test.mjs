@@ -0,0 +1,223 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, readFileSync, mkdirSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import {
+  buildCorpusIndex,
+  searchCorpusIndex,
+  loadCorpusIndex,
+  indexPathFor,
+  retrieveForms,
+  characterCounts,
+} from "../../src/corpus/search-index.mjs";
+import { corpusIndex } from "../../src/corpus/cli.mjs";
+import { findSimilarMarks, jaroWinkler, jaroWinklerBound, markFeatures } from "../../src/scoring/similarity.mjs";
+import { compareAgainstCorpus } from "../../src/adapters/corpus.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-corpus-index");
+const NOW = "2026-02-15T12:00:00.000Z";
+
+// Deterministic pseudo-random corpus (LCG) around a few seed marks
+function generateMarks(count) {
+  const seeds = ["clearlane", "brewhaus", "pixel forge", "lumiera", "react", "vue", "nimbus", "quartz"];
+  const letters = "abcdefghijklmnopqrstuvwxyz";
+  let state = 42;
+  const rand = (n) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % n;
+  };
+  const marks = [];
+  for (let i = 0; i < count; i++) {
+    let word = seeds[rand(seeds.length)];
+    for (let e = rand(4); e > 0; e--) {
+      const pos = rand(word.length + 1);
+      const op = rand(3);
+      const ch = letters[rand(26)];
+      if (op === 0) word = word.slice(0, pos) + ch + word.slice(pos);
+      else if (op === 1) word = word.slice(0, pos) + word.slice(pos + 1);
+      else word = word.slice(0, pos) + ch + word.slice(pos + 1);
+    }
+    const entry = { mark: rand(5) === 0 ? word.toUpperCase() : word };
+    if (rand(3) === 0) entry.status = "dead";
+    marks.push(entry);
+  }
+  return marks;
+}
+
+const corpus = { marks: generateMarks(600) };
+const index = buildCorpusIndex(corpus, "0".repeat(64));
+
+describe("jaroWinklerBound", () => {
+  it("never underestimates Jaro-Winkler", () => {
+    const words = corpus.marks.slice(0, 60).map((m) => m.mark);
+    for (const a of words) {
+      const bound = jaroWinklerBound(a);
+      for (const b of words) {
+        assert.ok(bound(b) + 1e-12 >= jaroWinkler(a, b), `${a} vs ${b}`);
+      }
+    }
+  });
+
+  it("is exact for identical and disjoint strings", () => {
+    assert.equal(jaroWinklerBound("abc")("ABC"), 1);
+    assert.equal(jaroWinklerBound("abc")("xyz"), 0);
+    assert.equal(jaroWinklerBound("")("x"), 0);
+  });
+});
+
+describe("buildCorpusIndex", () => {
+  it("groups entries by normalized form", () => {
+    const idx = buildCorpusIndex({ marks: [{ mark: "Clear Lane" }, { mark: "Vue" }, { mark: "clear lane" }] }, "a".repeat(64));
+    assert.equal(idx.marks, 3);
+    assert.equal(idx.forms.length, 2);
+    assert.deepEqual(idx.forms[0][2], [0, 2]);
+  });
+
+  it("lists each form and its count under every character of the form and its signature", () => {
+    const idx = buildCorpusIndex({ marks: [{ mark: "Vue" }, { mark: "veev" }] }, "a".repeat(64));
+    assert.deepEqual([...characterCounts("Veev")], [["v", 2], ["e", 2]]);
+    assert.deepEqual(idx.keys.looks.v, [0, 1, 1, 2]);
+    assert.deepEqual(idx.keys.looks.u, [0, 1]);
+    assert.deepEqual(idx.keys.sounds.f, [0, 1, 1, 2]);
+  });
+});
+
+describe("searchCorpusIndex", () => {
+  const candidates = ["clearlane", "brewhouse", "pixelforge", "lumiere", "reactor", "zzz", "nimbus-quartz"];
+
+  for (const threshold of [0.5, 0.7, 0.85]) {
+    it(`matches the linear scan exactly at threshold ${threshold}`, () => {
+      for (const candidate of candidates) {
+        const linear = findSimilarMarks(candidate, corpus.marks, { threshold });
+        const indexed = searchCorpusIndex(candidate, index, corpus.marks, { threshold });
+        assert.deepEqual(indexed, linear, candidate);
+      }
+    });
+  }
+
+  it("finds the shuffled and transposed forms the linear scan finds", () => {
+    // Jaro-Winkler rates these highly although they share few bigrams
+    const words = ["abcdef", "clearlane", "brewhaus", "pixelforge", "lumiera", "quartz", "deploy"];
+    const variants = (w) => {
+      const swapped = [...w];
+      for (let i = 0; i + 1 < swapped.length; i += 2) [swapped[i], swapped[i + 1]] = [swapped[i + 1], swapped[i]];
+      const transposed = [];
+      for (let i = 0; i + 1 < w.length; i++) transposed.push(w.slice(0, i) + w[i + 1] + w[i] + w.slice(i + 2));
+      const rotated = [];
+      for (let i = 1; i < w.length; i++) rotated.push(w.slice(i) + w.slice(0, i));
+      return [swapped.join(""), [...w].reverse().join(""), ...transposed, ...rotated];
+    };
+    const marks = [...words.flatMap(variants), "ecralenal", "acbedf", "badcfe", ...corpus.marks.slice(0, 100).map((m) => m.mark)]
+      .map((mark) => ({ mark }));
+    const small = buildCorpusIndex({ marks }, "0".repeat(64));
+
+    for (const candidate of [...words, "acbdef", "lanclear"]) {
+      for (const threshold of [0.6, 0.7, 0.85]) {
+        const linear = findSimilarMarks(candidate, marks, { threshold });
+        assert.deepEqual(searchCorpusIndex(candidate, small, marks, { threshold }), linear, `${candidate} at ${threshold}`);
+      }
+    }
+    const found = (candidate) => searchCorpusIndex(candidate, small, marks).map((m) => m.mark);
+    assert.ok(found("abcdef").includes("badcfe"));
+    assert.ok(found("clearlane").includes("ecralenal"));
+  });
+
+  it("skips forms that share no character or whose bound is below the threshold", () => {
+    const marks = ["Clear Lane", "Brewhaus", "Vue", "Quartz", "Lane Clear"];
+    const small = buildCorpusIndex({ marks: marks.map((mark) => ({ mark })) }, "0".repeat(64));
+    const { norm, sig } = markFeatures("clearlane");
+    const found = retrieveForms(norm, sig, small);
+    assert.deepEqual(found.map((f) => small.forms[f][0]), ["clear-lane", "lane-clear"]);
+    assert.equal(retrieveForms(norm, sig, small, { threshold: 0 }).length, marks.length);
+  });
+
+  it("matches the linear scan with custom weights and filters", () => {
+    const include = (m) => m.status !== "dead";
+    const opts = { threshold: 0.7, lookWeight: 0.3, soundWeight: 0.7 };
+    for (const candidate of candidates) {
+      const linear = findSimilarMarks(candidate, corpus.marks.filter(include), opts);
+      const indexed = searchCorpusIndex(candidate, index, corpus.marks, { ...opts, include });
+      assert.deepEqual(indexed, linear, candidate);
+    }
+  });
+
+  it("gives compareAgainstCorpus identical output", () => {
+    const plain = compareAgainstCorpus("clearlane", corpus, { now: NOW });
+    const indexed = compareAgainstCorpus("clearlane", corpus, { now: NOW, index });
+    assert.ok(plain.findings.length > 0);
+    assert.deepEqual(indexed, plain);
+  });
+});
+
+describe("corpusIndex / loadCorpusIndex", () => {
+  afterEach(() => {
+    if (existsSync(TMP_DIR)) rmSync(TMP_DIR, { recursive: true, force: true });
+  });
+
+  function writeCorpus() {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const path = join(TMP_DIR, "marks.json");
+    writeFileSync(path, JSON.stringify({ marks: corpus.marks.slice(0, 50) }), "utf8");
+    return path;
+  }
+
+  it("writes the index next to the corpus and loads it back", () => {
+    const path = writeCorpus();
+    const result = corpusIndex(path);
+    assert.equal(result.path, join(TMP_DIR, "marks.index.json"));
+    assert.equal(indexPathFor(path), result.path);
+    assert.equal(result.marks, 50);
+
+    const loaded = loadCorpusIndex(path);
+    assert.equal(loaded.sha256, result.sha256);
+    assert.equal(loaded.index.forms.length, result.forms);
+  });
+
+  it("returns null without an index and flags a stale one", () => {
+    const path = writeCorpus();
+    assert.equal(loadCorpusIndex(path), null);
+
+    corpusIndex(path);
+    writeFileSync(path, JSON.stringify({ marks: [{ mark: "Changed" }] }), "utf8");
+    const loaded = loadCorpusIndex(path);
+    assert.equal(loaded.stale, true);
+    assert.equal(loaded.index, null);
+  });
+
+  it("checks the corpus hash once while neither file changes", () => {
+    const path = writeCorpus();
+    corpusIndex(path);
+    const first = loadCorpusIndex(path);
+    assert.ok(first.index);
+    assert.equal(loadCorpusIndex(path), first);
+
+    writeFileSync(path, JSON.stringify({ marks: [{ mark: "Changed" }] }), "utf8");
+    assert.equal(loadCorpusIndex(path).stale, true);
+  });
+
+  it("throws COE.CORPUS.INDEX_INVALID for a malformed index", () => {
+    const path = writeCorpus();
+    writeFileSync(indexPathFor(path), "{not json", "utf8");
+    assert.throws(() => loadCorpusIndex(path), { code: "COE.CORPUS.INDEX_INVALID" });
+  });
+
+  it("records the index hash in the run", async () => {
+    const path = writeCorpus();
+    const result = corpusIndex(path);
+    const run = await runCheck("clearlane", {
+      channels: ["npm"],
+      corpusPath: path,
+      fetchFn: async () => ({ ok: false, status: 404, text: async () => "", json: async () => ({}) }),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.deepEqual(run.run.corpusIndex, {
+      sha256: result.sha256,
+      corpusSha256: JSON.parse(readFileSync(result.path, "utf8")).corpusSha256,
+      marks: 50,
+      forms: result.forms,
+    });
+  });
+});
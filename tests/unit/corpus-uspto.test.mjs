@@ -0,0 +1,187 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { importUspto, parseCaseFile, isDeadStatus } from "../../src/corpus/uspto.mjs";
+import { readRecords, listZipEntries, xmlText, decodeXml, isoDate } from "../../src/corpus/bulk.mjs";
+import { loadCorpus } from "../../src/adapters/corpus.mjs";
+
+const fixturesDir = join(import.meta.dirname, "..", "fixtures", "corpus");
+const XML = join(fixturesDir, "uspto-daily-sample.xml");
+const ZIP = join(fixturesDir, "uspto-daily-sample.zip");
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-corpus-uspto");
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+async function collect(iter) {
+  const out = [];
+  for await (const x of iter) out.push(x);
+  return out;
+}
+
+describe("parseCaseFile", () => {
+  it("extracts mark, numbers, status, classes, owner and dates", async () => {
+    const [first] = await collect(readRecords(XML, "case-file"));
+    assert.deepEqual(parseCaseFile(first), {
+      id: "mark.uspto.97123456",
+      mark: "CLEARLANE",
+      source: "uspto",
+      jurisdiction: "US",
+      serialNumber: "97123456",
+      registrationNumber: "7012345",
+      status: "live",
+      statusCode: 700,
+      class: 9,
+      classes: [9, 42],
+      registrant: "Clearlane Holdings, Inc.",
+      filingDate: "2021-11-03",
+      registrationDate: "2023-04-11",
+    });
+  });
+
+  it("marks abandoned applications dead and drops zero registration numbers", async () => {
+    const records = await collect(readRecords(XML, "case-file"));
+    const entry = parseCaseFile(records[1]);
+    assert.equal(entry.status, "dead");
+    assert.equal(entry.registrationNumber, undefined);
+  });
+
+  it("skips design-only marks", async () => {
+    const records = await collect(readRecords(XML, "case-file"));
+    assert.equal(parseCaseFile(records[2]), null);
+  });
+});
+
+describe("isDeadStatus", () => {
+  it("classifies USPTO status codes", () => {
+    assert.equal(isDeadStatus(602), true);
+    assert.equal(isDeadStatus(710), true);
+    assert.equal(isDeadStatus(900), true);
+    assert.equal(isDeadStatus(630), false);
+    assert.equal(isDeadStatus(700), false);
+    assert.equal(isDeadStatus(800), false);
+    assert.equal(isDeadStatus(NaN), false);
+  });
+});
+
+describe("bulk helpers", () => {
+  it("streams the same records from .xml and .zip", async () => {
+    const fromXml = await collect(readRecords(XML, "case-file"));
+    const fromZip = await collect(readRecords(ZIP, "case-file"));
+    assert.equal(fromXml.length, 5);
+    assert.deepEqual(fromZip, fromXml);
+  });
+
+  it("does not split records on similarly named elements", async () => {
+    const records = await collect(readRecords(XML, "case-file"));
+    assert.ok(records.every((r) => r.startsWith("<case-file>") && r.endsWith("</case-file>")));
+  });
+
+  it("handles records spanning read chunks", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const big = join(TMP_DIR, "big.xml");
+    const record = (await collect(readRecords(XML, "case-file")))[0];
+    writeFileSync(big, `<root>${Array.from({ length: 500 }, () => record).join("\n")}</root>`, "utf8");
+    try {
+      const records = await collect(readRecords(big, "case-file"));
+      assert.equal(records.length, 500);
+      assert.ok(records.every((r) => r === record));
+    } finally {
+      rmSync(TMP_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it("lists ZIP entries", () => {
+    const entries = listZipEntries(ZIP);
+    assert.deepEqual(entries.map((e) => e.name), ["apc260215.xml"]);
+    assert.equal(entries[0].method, 8);
+  });
+
+  it("decodes entities and compact dates", () => {
+    assert.equal(decodeXml("A &amp; B &#233;&#x41;"), "A & B éA");
+    assert.equal(xmlText("<a><b> x </b></a>", "b"), "x");
+    assert.equal(xmlText("<a><b-c>y</b-c></a>", "b"), null);
+    assert.equal(isoDate("20230411"), "2023-04-11");
+    assert.equal(isoDate(null), null);
+  });
+});
+
+describe("importUspto", () => {
+  afterEach(() => {
+    try { rmSync(TMP_DIR, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes a loadable corpus from a ZIP file", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    const result = await importUspto([ZIP], out, { now: NOW });
+
+    assert.equal(result.parsed, 5);
+    assert.equal(result.imported, 4);
+    assert.equal(result.skipped, 1);
+    const corpus = loadCorpus(out);
+    assert.equal(corpus.marks.length, 4);
+    assert.deepEqual(corpus.metadata.imports, [
+      { source: "uspto", files: ["uspto-daily-sample.zip"], records: 4, importedAt: NOW },
+    ]);
+  });
+
+  it("filters live marks and classes", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    const result = await importUspto([XML], out, { now: NOW, liveOnly: true, classes: [9, 32] });
+
+    const marks = loadCorpus(out).marks.map((m) => m.mark);
+    assert.deepEqual(marks, ["CLEARLANE", "BREWHAUS"]);
+    assert.equal(result.skipped, 3);
+  });
+
+  it("upserts into an existing corpus by serial number", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    writeFileSync(out, JSON.stringify({ marks: [{ id: "mark.abc12345", mark: "Hand Curated" }] }), "utf8");
+
+    await importUspto([XML], out, { now: NOW });
+    const second = await importUspto([ZIP], out, { now: NOW });
+
+    assert.equal(second.added, 0);
+    assert.equal(second.updated, 4);
+    const corpus = JSON.parse(readFileSync(out, "utf8"));
+    assert.equal(corpus.marks.length, 5);
+    assert.equal(corpus.marks[0].mark, "Hand Curated");
+    assert.equal(corpus.metadata.imports.length, 2);
+  });
+
+  it("removes marks from the corpus that a later import drops", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    writeFileSync(out, JSON.stringify({ marks: [{ id: "mark.abc12345", mark: "Hand Curated" }] }), "utf8");
+
+    const first = await importUspto([XML], out, { now: NOW });
+    assert.equal(first.removed, 0);
+    const live = await importUspto([XML], out, { now: NOW, liveOnly: true, classes: [9, 32] });
+
+    assert.equal(live.removed, 2);
+    assert.equal(live.updated, 2);
+    const marks = loadCorpus(out).marks.map((m) => m.mark);
+    assert.deepEqual(marks, ["Hand Curated", "CLEARLANE", "BREWHAUS"]);
+  });
+
+  it("throws COE.CORPUS.NOT_FOUND for a missing input", async () => {
+    await assert.rejects(
+      importUspto([join(TMP_DIR, "missing.zip")], join(TMP_DIR, "corpus.json")),
+      { code: "COE.CORPUS.NOT_FOUND" }
+    );
+  });
+
+  it("throws COE.CORPUS.IMPORT_FAIL for files without case files", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const bad = join(TMP_DIR, "not-uspto.xml");
+    writeFileSync(bad, "<root><item/></root>", "utf8");
+    await assert.rejects(importUspto([bad], join(TMP_DIR, "corpus.json")), { code: "COE.CORPUS.IMPORT_FAIL" });
+
+    const notZip = join(TMP_DIR, "broken.zip");
+    writeFileSync(notZip, "not a zip", "utf8");
+    await assert.rejects(importUspto([notZip], join(TMP_DIR, "corpus.json")), { code: "COE.CORPUS.IMPORT_FAIL" });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { importWipo, parseMadridRecord, parseGbdRow } from "../../src/corpus/wipo.mjs";
+import { readRecords, readCsvRows, xmlAttr } from "../../src/corpus/bulk.mjs";
+import { loadCorpus } from "../../src/adapters/corpus.mjs";
+
+const fixturesDir = join(import.meta.dirname, "..", "fixtures", "corpus");
+const XML = join(fixturesDir, "wipo-madrid-sample.xml");
+const CSV = join(fixturesDir, "wipo-gbd-sample.csv");
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-corpus-wipo");
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+async function collect(iter) {
+  const out = [];
+  for await (const x of iter) out.push(x);
+  return out;
+}
+
+describe("parseMadridRecord", () => {
+  it("extracts the international registration with designations", async () => {
+    const [first] = await collect(readRecords(XML, "MARKGR"));
+    assert.deepEqual(parseMadridRecord(first, { now: NOW }), {
+      id: "mark.wipo.wo.1654321",
+      mark: "CLAIRLANE",
+      source: "wipo",
+      jurisdiction: "WO",
+      registrationNumber: "1654321",
+      status: "live",
+      originOffice: "CH",
+      designations: ["EU", "US", "JP"],
+      class: 9,
+      classes: [9, 42],
+      registrant: "Clairlane SA",
+      registrationDate: "2021-09-08",
+      expiryDate: "2031-09-08",
+    });
+  });
+
+  it("marks expired registrations dead and skips marks without text", async () => {
+    const records = await collect(readRecords(XML, "MARKGR"));
+    const expired = parseMadridRecord(records[1], { now: NOW });
+    assert.equal(expired.mark, "LUMIERA");
+    assert.equal(expired.status, "dead");
+    assert.equal(expired.registrant, "Lumiere Industries SARL");
+    assert.equal(parseMadridRecord(records[2], { now: NOW }), null);
+  });
+
+  it("reads attributes from self-closing tags", () => {
+    assert.deepEqual(xmlAttr('<a><IMAGE TEXT="X &amp; Y" /><IMAGE/></a>', "IMAGE", "TEXT"), ["X & Y"]);
+  });
+});
+
+describe("parseGbdRow", () => {
+  it("keeps each row's office as jurisdiction", async () => {
+    const entries = (await collect(readCsvRows(CSV))).map((r) => parseGbdRow(r, { now: NOW }));
+    assert.deepEqual(entries.map((e) => e.id), ["mark.wipo.jp.6543210", "mark.wipo.au.2100999", "mark.wipo.wo.1654321"]);
+    assert.equal(entries[0].jurisdiction, "JP");
+    assert.deepEqual(entries[0].classes, [9, 42]);
+    assert.equal(entries[1].status, "dead");
+    assert.deepEqual(entries[2].designations, ["EU", "US", "JP"]);
+  });
+});
+
+describe("importWipo", () => {
+  afterEach(() => {
+    try { rmSync(TMP_DIR, { recursive: true, force: true }); } catch {}
+  });
+
+  it("merges Madrid and Global Brand Database records by office and number", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    const result = await importWipo([XML, CSV], out, { now: NOW });
+
+    assert.equal(result.parsed, 6);
+    assert.equal(result.imported, 4);
+    const ids = loadCorpus(out).marks.map((m) => m.id).sort();
+    assert.deepEqual(ids, ["mark.wipo.au.2100999", "mark.wipo.jp.6543210", "mark.wipo.wo.1654321", "mark.wipo.wo.987654"]);
+  });
+
+  it("filters live marks and classes", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const out = join(TMP_DIR, "corpus.json");
+    await importWipo([XML, CSV], out, { now: NOW, liveOnly: true, classes: [42] });
+    const ids = loadCorpus(out).marks.map((m) => m.id).sort();
+    assert.deepEqual(ids, ["mark.wipo.jp.6543210", "mark.wipo.wo.1654321"]);
+  });
+});
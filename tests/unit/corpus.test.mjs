@@ -167,3 +167,86 @@ describe("compareAgainstCorpus", () => {
     assert.ok(evWithClass, "Should mention Nice class in notes when present");
   });
 });
+
+describe("compareAgainstCorpus (imported office records)", () => {
+  const corpus = {
+    marks: [
+      { id: "mark.uspto.1", mark: "CLEARLANE", source: "uspto", serialNumber: "97123456", registrationNumber: "7012345", status: "live", class: 9, classes: [9, 42] },
+      { id: "mark.uspto.2", mark: "CLEARLAYNE", source: "uspto", serialNumber: "90555111", status: "dead", class: 9, classes: [9] },
+      { id: "mark.uspto.3", mark: "CLEARLANES", source: "uspto", serialNumber: "88000001", status: "live", class: 32, classes: [32] },
+      { mark: "ClearLayn" },
+    ],
+  };
+
+  it("skips dead marks by default", () => {
+    const { findings } = compareAgainstCorpus("clearlane", corpus, { now: NOW });
+    assert.ok(!findings.some((f) => f.summary.includes("CLEARLAYNE")));
+  });
+
+  it("includes dead marks with includeDead", () => {
+    const { findings } = compareAgainstCorpus("clearlane", corpus, { now: NOW, includeDead: true });
+    assert.ok(findings.some((f) => f.summary.includes("CLEARLAYNE")));
+  });
+
+  it("weights matches by Nice class overlap, leaving marks without classes unchanged", () => {
+    const { findings } = compareAgainstCorpus("clearlane", corpus, { now: NOW, classes: [42] });
+    const bySummary = (text) => findings.find((f) => f.summary.includes(text));
+
+    const same = bySummary("\"CLEARLANE\"");
+    assert.equal(same.severity, "high");
+    assert.ok(same.why.some((w) => w.startsWith("Class overlap: same Nice class 42")));
+
+    const unrelated = bySummary("CLEARLANES");
+    assert.equal(unrelated.kind, "near_conflict");
+    assert.equal(unrelated.severity, "medium");
+    assert.ok(unrelated.why.some((w) => w.includes("unrelated") && w.includes("severity lowered from high to medium")));
+
+    const unclassified = bySummary("ClearLayn");
+    assert.ok(!unclassified.why.some((w) => w.startsWith("Class overlap")));
+  });
+
+  it("describes the actual severity change for coordinated classes", () => {
+    const coordinated = { marks: [{ mark: "CLEARLANE", class: 35 }, { mark: "CLEARLANX", class: 35 }] };
+    const { findings, closestConflicts } = compareAgainstCorpus("clearlane", coordinated, { now: NOW, classes: [9] });
+    assert.ok(findings[0].why.some((w) => w.includes("coordinated with the candidate's class 9")));
+    // An exact match is already high: nothing to raise
+    assert.ok(closestConflicts[0].why.some((w) => w.includes("severity unchanged at high")));
+    assert.ok(!findings.some((f) => f.why.some((w) => w.includes("raised moderately"))));
+  });
+
+  it("cites serial number, registration and status in evidence notes", () => {
+    const { evidence } = compareAgainstCorpus("clearlane", corpus, { now: NOW });
+    assert.ok(evidence.some((e) => e.notes.includes("USPTO serial 97123456, reg. 7012345 (live)")));
+    assert.ok(evidence.some((e) => e.notes.includes("Nice classes 9, 42")));
+  });
+});
+
+describe("compareAgainstCorpus (jurisdictions)", () => {
+  const corpus = {
+    marks: [
+      { id: "mark.uspto.97123456", mark: "CLEARLANE", source: "uspto", jurisdiction: "US", serialNumber: "97123456", status: "live" },
+      { id: "mark.euipo.18123456", mark: "CLEARLANE", source: "euipo", jurisdiction: "EU", applicationNumber: "18123456", status: "live" },
+      { id: "mark.wipo.wo.1654321", mark: "CLAIRLANE", source: "wipo", jurisdiction: "WO", designations: ["JP"], registrationNumber: "1654321", status: "live" },
+      { mark: "ClearLayn" },
+    ],
+  };
+
+  it("states the jurisdiction of each conflicting mark", () => {
+    const { findings, evidence, closestConflicts } = compareAgainstCorpus("clearlane", corpus, { now: NOW });
+    const summaries = findings.map((f) => f.summary);
+    assert.ok(summaries.some((s) => s.includes("\"CLEARLANE\" in US")));
+    assert.ok(summaries.some((s) => s.includes("\"CLEARLANE\" in EU")));
+    assert.ok(findings.some((f) => f.why.includes("Jurisdiction: EU (EUIPO, live)")));
+    assert.ok(closestConflicts.some((c) => c.why.includes("Jurisdiction: WO (WIPO, live); designates JP")));
+    assert.ok(evidence.some((e) => e.notes.includes("EUIPO no. 18123456 (live)")));
+    assert.ok(evidence.some((e) => e.notes.includes("WIPO IR 1654321 (live)")));
+  });
+
+  it("compares only marks with effect in the given geographies", () => {
+    const { findings } = compareAgainstCorpus("clearlane", corpus, { now: NOW, geographies: [{ code: "DE" }] });
+    const summaries = findings.map((f) => f.summary);
+    assert.ok(summaries.some((s) => s.includes(" in EU")));
+    assert.ok(!summaries.some((s) => s.includes(" in US") || s.includes(" in WO")));
+    assert.ok(summaries.some((s) => s.includes("ClearLayn")));
+  });
+});
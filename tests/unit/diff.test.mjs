@@ -0,0 +1,166 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { diffRuns, loadRunFile } from "../../src/diff.mjs";
+import { renderDiffMd, renderDiffHtml } from "../../src/renderers/diff.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+
+const T0 = "2026-02-15T12:00:00.000Z";
+const T1 = "2026-02-22T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-diff");
+
+/** Registries answer 200 for URLs ending in a name from `taken`, 404 otherwise. */
+function fetchTaking(taken = []) {
+  return async (url) => {
+    const hit = taken.some((name) => url.endsWith(`/${name}`) || url.endsWith(`/${name}/json`));
+    return {
+      ok: hit,
+      status: hit ? 200 : 404,
+      text: async () => (hit ? "{}" : "Not Found"),
+      json: async () => ({}),
+    };
+  };
+}
+
+function check(name, taken, now) {
+  return runCheck(name, { channels: ["npm", "pypi"], fetchFn: fetchTaking(taken), now, fuzzyQueryMode: "off", registryEquivalents: false });
+}
+
+describe("diffRuns", () => {
+  it("reports status flips, new findings, tier, score and factor deltas", async () => {
+    const a = await check("snipe-me", [], T0);
+    const b = await check("snipe-me", ["snipe-me"], T1);
+    const diff = diffRuns(a, b);
+
+    assert.equal(diff.changed, true);
+    assert.equal(diff.sameCandidates, true);
+    assert.deepEqual(diff.tier, { from: "green", to: "red", changed: true });
+    assert.ok(diff.score.delta < 0);
+    assert.equal(diff.score.delta, diff.score.to - diff.score.from);
+
+    assert.deepEqual(diff.checks.flipped.map((c) => [c.key, c.from, c.to]), [
+      ["npm:snipe-me", "available", "taken"],
+      ["pypi:snipe-me", "available", "taken"],
+    ]);
+    assert.equal(diff.checks.unchanged, 0);
+    // Homoglyph warnings become confusable_risk findings once a namespace is taken
+    assert.deepEqual(diff.findings.added.map((f) => f.kind), ["confusable_risk", "exact_conflict", "exact_conflict"]);
+    assert.equal(diff.findings.added[1].key, "snipe-me|exact_conflict|https://pypi.org/pypi/snipe-me/json");
+    assert.equal(diff.findings.removed.length, 0);
+
+    const availability = diff.factors.find((f) => f.factor === "namespaceAvailability");
+    assert.ok(availability.delta < 0);
+    assert.ok(diff.factors.some((f) => f.factor.startsWith("dupont.")));
+
+    // Same registry URLs, different response bodies
+    assert.equal(diff.evidence.changed.length, 2);
+    assert.equal(diff.evidence.added.length, 0);
+  });
+
+  it("reports resolved findings in the other direction", async () => {
+    const diff = diffRuns(await check("snipe-me", ["snipe-me"], T0), await check("snipe-me", [], T1));
+    assert.deepEqual(diff.tier, { from: "red", to: "green", changed: true });
+    assert.equal(diff.findings.removed.filter((f) => f.kind === "exact_conflict").length, 2);
+    assert.ok(diff.score.delta > 0);
+  });
+
+  it("finds no changes between equivalent runs", async () => {
+    const diff = diffRuns(await check("snipe-me", [], T0), await check("snipe-me", [], T1));
+    assert.equal(diff.changed, false);
+    assert.equal(diff.checks.unchanged, 2);
+    assert.equal(diff.evidence.unchanged, 2);
+    assert.ok(diff.factors.every((f) => f.delta === 0));
+  });
+
+  it("matches findings across score changes and flags different candidates", () => {
+    const finding = (score) => ({
+      id: "fd.near-conflict.corpus.0",
+      candidateMark: "acme",
+      kind: "near_conflict",
+      summary: `Candidate "acme" is similar to known mark "akme" (overall: ${(score / 100).toFixed(2)})`,
+      severity: score >= 85 ? "high" : "medium",
+      score,
+      evidenceRefs: [],
+    });
+    const run = (mark, score) => ({
+      intake: { candidates: [{ mark }] },
+      opinion: { tier: "yellow" },
+      checks: [],
+      evidence: [],
+      findings: [finding(score)],
+    });
+
+    const diff = diffRuns(run("acme", 80), run("acme-two", 90));
+    assert.equal(diff.sameCandidates, false);
+    assert.equal(diff.findings.added.length, 0);
+    assert.deepEqual(diff.findings.changed.map((f) => [f.from, f.to]), [
+      [{ severity: "medium", score: 80 }, { severity: "high", score: 90 }],
+    ]);
+  });
+
+  it("checks added to or removed from the later run", async () => {
+    const a = await check("snipe-me", [], T0);
+    const b = await runCheck("snipe-me", { channels: ["npm", "cratesio"], fetchFn: fetchTaking(), now: T1, fuzzyQueryMode: "off", registryEquivalents: false });
+    const diff = diffRuns(a, b);
+    assert.deepEqual(diff.checks.added.map((c) => c.key), ["cratesio:snipe-me"]);
+    assert.deepEqual(diff.checks.removed.map((c) => c.key), ["pypi:snipe-me"]);
+    assert.equal(diff.checks.unchanged, 1);
+  });
+});
+
+describe("loadRunFile", () => {
+  it("reads a run.json path or directory and rejects anything else", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    try {
+      const run = await check("snipe-me", [], T0);
+      writeFileSync(join(TMP_DIR, "run.json"), JSON.stringify(run));
+      assert.equal(loadRunFile(TMP_DIR).run.runId, run.run.runId);
+      assert.equal(loadRunFile(join(TMP_DIR, "run.json")).run.runId, run.run.runId);
+
+      writeFileSync(join(TMP_DIR, "bad.json"), "{ nope");
+      writeFileSync(join(TMP_DIR, "other.json"), JSON.stringify({ hello: "world" }));
+      assert.throws(() => loadRunFile(join(TMP_DIR, "missing")), { code: "COE.DIFF.NO_RUN" });
+      assert.throws(() => loadRunFile(join(TMP_DIR, "bad.json")), { code: "COE.DIFF.INVALID_RUN" });
+      assert.throws(() => loadRunFile(join(TMP_DIR, "other.json")), { code: "COE.DIFF.INVALID_RUN" });
+    } finally {
+      rmSync(TMP_DIR, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("diff renderers", () => {
+  it("renders Markdown sections for each kind of change", async () => {
+    const diff = diffRuns(await check("snipe-me", [], T0), await check("snipe-me", ["snipe-me"], T1));
+    const md = renderDiffMd(diff);
+    assert.ok(md.startsWith("# Run Diff: snipe-me"));
+    assert.ok(md.includes("| Tier | GREEN | RED | changed |"));
+    assert.ok(md.includes("## Score Factors"));
+    assert.ok(md.includes("| npm | `snipe-me` | available | taken |"));
+    assert.ok(md.includes("- **New** (high) exact_conflict:"));
+    assert.ok(md.includes("## Evidence"));
+  });
+
+  it("says so when nothing changed", async () => {
+    const diff = diffRuns(await check("snipe-me", [], T0), await check("snipe-me", [], T1));
+    assert.ok(renderDiffMd(diff).includes("No changes between the two runs."));
+    assert.ok(renderDiffHtml(diff).includes("<p>No changes between the two runs.</p>"));
+  });
+
+  it("renders an escaped HTML fragment using the packet classes", () => {
+    const run = (status) => ({
+      intake: { candidates: [{ mark: "<script>x</script>" }] },
+      opinion: { tier: status === "taken" ? "red" : "green" },
+      checks: [{ namespace: "npm", query: { candidateMark: "x", value: "<b>x</b>" }, status }],
+      findings: [],
+      evidence: [],
+    });
+    const html = renderDiffHtml(diffRuns(run("available"), run("taken")));
+    assert.ok(html.startsWith('<section class="run-diff">'));
+    assert.ok(html.trimEnd().endsWith("</section>"));
+    assert.ok(html.includes('class="opinion-banner red"'));
+    assert.ok(!html.includes("<script>"));
+    assert.ok(!html.includes("<b>"));
+    assert.ok(!html.includes("<style>"));
+  });
+});
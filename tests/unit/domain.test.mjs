@@ -3,7 +3,15 @@ import assert from "node:assert/strict";
 import { readFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
-import { createDomainAdapter } from "../../src/adapters/domain.mjs";
+import {
+  createDomainAdapter,
+  parseTlds,
+  normalizeTld,
+  parseRdapDomain,
+  claimableSoonReason,
+  TLD_PRESETS,
+} from "../../src/adapters/domain.mjs";
+import { parseBootstrap } from "../../src/adapters/rdap-bootstrap.mjs";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
@@ -122,3 +130,179 @@ describe("Domain adapter", () => {
     assert.deepEqual(adapter.tlds, [".com", ".dev"]);
   });
 });
+
+describe("Domain adapter — RDAP registration data", () => {
+  it("extracts events, registrar, statuses and nameservers into details", async () => {
+    const adapter = createDomainAdapter(mockFetch(loadFixture("domain-taken-details.json")));
+    const { check } = await adapter.checkDomain("example", ".com", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.claimability, "not_claimable");
+    assert.deepEqual(check.details, {
+      registeredAt: "2019-03-04T10:00:00Z",
+      expiresAt: "2027-03-04T10:00:00Z",
+      lastChangedAt: "2025-03-01T08:30:00Z",
+      registrar: "Example Registrar, Inc.",
+      registrarIanaId: "9999",
+      statuses: ["client transfer prohibited", "client delete prohibited"],
+      nameservers: ["ns1.example-dns.com", "ns2.example-dns.com"],
+    });
+  });
+
+  it("marks domains pending deletion as claimable soon", async () => {
+    const adapter = createDomainAdapter(mockFetch(loadFixture("domain-pending-delete.json")));
+    const { check } = await adapter.checkDomain("lapsed", ".com", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.claimability, "claimable_soon");
+    assert.equal(check.details.claimableSoonReason, "pending_delete");
+  });
+
+  it("marks parked domains as claimable soon", async () => {
+    const adapter = createDomainAdapter(mockFetch(loadFixture("domain-parked.json")));
+    const { check } = await adapter.checkDomain("parked", ".com", { now: NOW });
+
+    assert.equal(check.claimability, "claimable_soon");
+    assert.equal(check.details.claimableSoonReason, "parked");
+  });
+
+  it("marks domains expiring within the window as claimable soon", async () => {
+    const fixture = loadFixture("domain-taken-details.json");
+    const soon = "2027-02-20T00:00:00.000Z";
+
+    const { check } = await createDomainAdapter(mockFetch(fixture)).checkDomain("example", ".com", { now: soon });
+    assert.equal(check.claimability, "claimable_soon");
+    assert.equal(check.details.claimableSoonReason, "expiring");
+
+    const narrow = createDomainAdapter(mockFetch(fixture), { expiringWithinDays: 7 });
+    const { check: later } = await narrow.checkDomain("example", ".com", { now: soon });
+    assert.equal(later.claimability, "not_claimable");
+  });
+
+  it("keeps taken status when the RDAP body is not JSON", async () => {
+    const adapter = createDomainAdapter(mockFetch({ status: 200, body: "<html>registered</html>" }));
+    const { check } = await adapter.checkDomain("example", ".com", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.claimability, "not_claimable");
+    assert.equal(check.details, undefined);
+  });
+});
+
+describe("parseRdapDomain / claimableSoonReason", () => {
+  it("returns only fields present in the response", () => {
+    assert.deepEqual(parseRdapDomain({ events: [{ eventAction: "registration", eventDate: "2020-01-01T00:00:00Z" }] }), {
+      registeredAt: "2020-01-01T00:00:00Z",
+    });
+    assert.deepEqual(parseRdapDomain(null), {});
+  });
+
+  it("accepts EPP-style status spellings", () => {
+    assert.equal(claimableSoonReason({ statuses: ["pendingdelete"] }, NOW), "pending_delete");
+    assert.equal(claimableSoonReason({ statuses: ["redemption period"] }, NOW), "redemption_period");
+  });
+
+  it("treats an already-passed expiry as expiring", () => {
+    assert.equal(claimableSoonReason({ expiresAt: "2026-01-01T00:00:00Z" }, NOW), "expiring");
+  });
+
+  it("returns null for ordinary registrations", () => {
+    assert.equal(claimableSoonReason({ statuses: ["active"], expiresAt: "2030-01-01T00:00:00Z" }, NOW), null);
+  });
+});
+
+describe("Domain adapter — RDAP bootstrap", () => {
+  const bootstrap = parseBootstrap(JSON.parse(loadFixture("rdap-bootstrap.json").body), { source: "fixture" });
+
+  function recordingFetch(fixture, calls) {
+    return async (url) => {
+      calls.push(url);
+      return { status: fixture.status, text: async () => fixture.body };
+    };
+  }
+
+  it("queries the TLD's authoritative RDAP server", async () => {
+    const calls = [];
+    const adapter = createDomainAdapter(recordingFetch(loadFixture("domain-available.json"), calls), { bootstrap });
+    const { check, evidence } = await adapter.checkDomain("my-tool", ".dev", { now: NOW });
+
+    assert.deepEqual(calls, ["https://pubapi.registry.google/rdap/domain/my-tool.dev"]);
+    assert.equal(check.status, "available");
+    assert.equal(check.details.rdapServer, "https://pubapi.registry.google/rdap/");
+    assert.equal(evidence.source.url, calls[0]);
+  });
+
+  it("reports TLDs without RDAP as unsupported, without a network call", async () => {
+    const calls = [];
+    const adapter = createDomainAdapter(recordingFetch(loadFixture("domain-taken.json"), calls), { bootstrap });
+    const { check, evidence } = await adapter.checkDomain("my-tool", ".de", { now: NOW });
+
+    assert.equal(calls.length, 0);
+    assert.equal(check.status, "unsupported");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.errors[0].code, "COE.DOMAIN.RDAP_UNSUPPORTED");
+    assert.equal(evidence.type, "skipped");
+    assert.equal(evidence.source.system, "rdap_bootstrap");
+  });
+
+  it("resolves multi-label suffixes by their top-level label", async () => {
+    const calls = [];
+    const adapter = createDomainAdapter(recordingFetch(loadFixture("domain-available.json"), calls), { bootstrap });
+    await adapter.checkDomain("my-tool", ".co.uk", { now: NOW });
+
+    assert.deepEqual(calls, ["https://rdap.nominet.uk/uk/domain/my-tool.co.uk"]);
+  });
+
+  it("loads the bootstrap lazily, once", async () => {
+    let loads = 0;
+    const adapter = createDomainAdapter(mockFetch(loadFixture("domain-available.json")), {
+      loadBootstrap: async () => { loads++; return bootstrap; },
+    });
+    await adapter.checkDomain("a", ".com", { now: NOW });
+    await adapter.checkDomain("a", ".dev", { now: NOW });
+
+    assert.equal(loads, 1);
+  });
+
+  it("falls back to rdap.org when the loader fails", async () => {
+    const calls = [];
+    const adapter = createDomainAdapter(recordingFetch(loadFixture("domain-available.json"), calls), {
+      loadBootstrap: async () => { throw new Error("boom"); },
+    });
+    const { check } = await adapter.checkDomain("my-tool", ".de", { now: NOW });
+
+    assert.deepEqual(calls, ["https://rdap.org/domain/my-tool.de"]);
+    assert.equal(check.status, "available");
+    assert.equal(check.details, undefined);
+  });
+});
+
+describe("parseTlds", () => {
+  it("defaults to .com and .dev", () => {
+    assert.deepEqual(parseTlds(null), [".com", ".dev"]);
+    assert.deepEqual(parseTlds([]), [".com", ".dev"]);
+  });
+
+  it("expands presets", () => {
+    assert.deepEqual(parseTlds("tech"), [".io", ".ai", ".app", ".dev"]);
+    assert.deepEqual(parseTlds("cc"), TLD_PRESETS.cc);
+  });
+
+  it("normalizes explicit lists and dedupes", () => {
+    assert.deepEqual(parseTlds("com, .IO,io"), [".com", ".io"]);
+    assert.deepEqual(parseTlds(["com", "co.uk"]), [".com", ".co.uk"]);
+  });
+
+  it("mixes presets and TLDs", () => {
+    assert.deepEqual(parseTlds("com,tech"), [".com", ".io", ".ai", ".app", ".dev"]);
+  });
+
+  it("adds to the defaults in additive mode", () => {
+    assert.deepEqual(parseTlds("+io,+dev"), [".com", ".dev", ".io"]);
+  });
+
+  it("throws COE.INIT.BAD_TLD for invalid entries", () => {
+    assert.throws(() => parseTlds("com,bad tld"), { code: "COE.INIT.BAD_TLD" });
+    assert.throws(() => normalizeTld("-io"), { code: "COE.INIT.BAD_TLD" });
+  });
+});
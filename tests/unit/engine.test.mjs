@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import * as engine from "@mcptoolshop/clearance-opinion-engine";
+import { runCheck, createNpmAdapter, renderSummaryJson, validateArtifact } from "@mcptoolshop/clearance-opinion-engine";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+const ROOT = join(import.meta.dirname, "..", "..");
+
+/** npm answers 200 for names in `taken`, 404 for everything else. */
+function npmFetch(taken = []) {
+  return async (url) => {
+    const hit = taken.some((name) => url.endsWith(`/${name}`));
+    return {
+      ok: hit,
+      status: hit ? 200 : 404,
+      text: async () => (hit ? "{}" : "Not Found"),
+      json: async () => ({}),
+    };
+  };
+}
+
+describe("library entry", () => {
+  it("resolves through the package exports map", async () => {
+    const pkg = JSON.parse(readFileSync(join(ROOT, "package.json"), "utf8"));
+    assert.equal(pkg.exports["."].default, "./src/engine.mjs");
+    assert.equal(pkg.bin.coe, "src/index.mjs");
+    assert.ok(engine.runCheck);
+    await assert.rejects(import("@mcptoolshop/clearance-opinion-engine/src/pipeline.mjs"), {
+      code: "ERR_PACKAGE_PATH_NOT_EXPORTED",
+    });
+  });
+
+  it("exports functions and constants, each declared in engine.d.ts", () => {
+    const dts = readFileSync(join(ROOT, "src", "engine.d.ts"), "utf8");
+    const declared = new Set([...dts.matchAll(/^export (?:function|const) (\w+)/gm)].map((m) => m[1]));
+    const names = Object.keys(engine);
+    for (const name of ["runCheck", "runBatch", "refreshRun", "publishRun", "comparePair", "generateVariants"]) {
+      assert.ok(names.includes(name), name);
+    }
+    assert.equal(names.filter((n) => n.endsWith("Adapter")).length, 16);
+    for (const name of names) {
+      assert.equal(typeof engine[name], /^[A-Z_]+$/.test(name) ? "string" : "function", name);
+      assert.ok(declared.has(name), `${name} missing from engine.d.ts`);
+    }
+    assert.deepEqual([...declared].filter((n) => !names.includes(n)), []);
+  });
+
+  it("runCheck throws a coded error for a missing corpus instead of exiting", async () => {
+    await assert.rejects(
+      runCheck("my-cool-tool", { channels: ["npm"], fetchFn: npmFetch(), now: NOW, corpusPath: join(ROOT, "tests", "no-such-corpus.json") }),
+      { code: "COE.CORPUS.NOT_FOUND" }
+    );
+  });
+
+  it("runs a check and renders a valid summary", async () => {
+    const run = await runCheck("taken-name", { channels: ["npm"], fetchFn: npmFetch(["taken-name"]), now: NOW, fuzzyQueryMode: "off" });
+    assert.equal(run.opinion.tier, "red");
+    assert.equal(validateArtifact(renderSummaryJson(run), "summary").valid, true);
+  });
+
+  it("adapter factories accept an injected fetch", async () => {
+    const { check } = await createNpmAdapter(npmFetch(["left-pad"])).checkPackage("left-pad", { now: NOW });
+    assert.equal(check.namespace, "npm");
+    assert.equal(check.status, "taken");
+  });
+});
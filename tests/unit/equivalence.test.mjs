@@ -0,0 +1,145 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { equivalentForms, pep503Normalize, npmMoniker } from "../../src/channels/equivalence.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+import { classifyFindings } from "../../src/scoring/opinion.mjs";
+import { renderRunMd } from "../../src/renderers/report.mjs";
+import { validateArtifact } from "../../src/validate.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+/** Registries answer 200 for a URL naming a project in `taken`, 404 otherwise. Records URLs. */
+function fetchTaking(taken = []) {
+  const fetchFn = async (url) => {
+    fetchFn.urls.push(url);
+    const hit = taken.some((name) => url.endsWith(`/${name}`) || url.endsWith(`/${name}/json`));
+    return { ok: hit, status: hit ? 200 : 404, text: async () => "", json: async () => ({}) };
+  };
+  fetchFn.urls = [];
+  return fetchFn;
+}
+
+function check(name, channels, taken) {
+  // variantBudget 0: equivalent forms only, no fuzzy variants
+  return runCheck(name, { channels, fetchFn: fetchTaking(taken), now: NOW, variantBudget: 0 });
+}
+
+describe("equivalence rules", () => {
+  it("normalizes PEP 503 names and npm monikers", () => {
+    assert.equal(pep503Normalize("My_Cool..Tool"), "my-cool-tool");
+    assert.equal(npmMoniker("My-Cool_Tool.js"), "mycooltooljs");
+  });
+
+  it("lists the other spellings each registry treats as the name", () => {
+    assert.deepEqual(equivalentForms("pypi", "My_Tool"), ["my-tool"]);
+    assert.deepEqual(equivalentForms("pypi", "my-tool"), []);
+    assert.deepEqual(equivalentForms("cratesio", "my-tool"), ["my_tool"]);
+    assert.deepEqual(equivalentForms("cratesio", "My_Tool"), ["my_tool", "my-tool"]);
+    assert.deepEqual(equivalentForms("npm", "my-tool"), ["mytool", "my_tool", "my.tool"]);
+    assert.deepEqual(equivalentForms("npm", "myTool"), ["mytool", "my-tool", "my_tool", "my.tool"]);
+    // Run-together lexicon words are split; other words are not
+    assert.deepEqual(equivalentForms("npm", "fastgraph"), ["fast-graph", "fast_graph", "fast.graph"]);
+    // Other single words get a hyphen at their likeliest split points
+    assert.deepEqual(equivalentForms("npm", "mytool"), ["my-tool", "myt-ool", "myto-ol"]);
+    assert.equal(equivalentForms("npm", "snipeme").length, 4);
+    assert.deepEqual(equivalentForms("npm", "abc"), []);
+    assert.deepEqual(equivalentForms("github", "my-tool"), []);
+  });
+});
+
+describe("registry_blocked findings", () => {
+  it("blocks a name whose PEP 503 form is taken even though the literal is free", async () => {
+    const run = await check("My_Tool", ["pypi"], ["my-tool"]);
+
+    const [literal, form] = run.checks;
+    assert.equal(literal.status, "available");
+    assert.equal(form.status, "taken");
+    assert.deepEqual(form.query, {
+      candidateMark: "my-tool",
+      value: "my-tool",
+      isVariant: true,
+      originalCandidate: "My_Tool",
+      equivalenceRule: "pep503",
+    });
+    assert.equal(form.id, "chk.pypi.my-tool.eq");
+    assert.equal(form.evidenceRef, "ev.chk.pypi.my-tool.eq.0");
+
+    const blocked = run.findings.filter((f) => f.kind === "registry_blocked");
+    assert.equal(blocked.length, 1);
+    assert.equal(blocked[0].summary, 'Name "My_Tool" is blocked in pypi: equivalent form "my-tool" is taken');
+    assert.deepEqual(blocked[0].evidenceRefs, [form.evidenceRef]);
+    assert.ok(!run.findings.some((f) => f.kind === "exact_conflict" || f.kind === "variant_taken"));
+
+    assert.equal(run.opinion.tier, "red");
+    assert.equal(run.opinion.topFactors[0].category, "registry_blocked");
+    assert.ok(run.opinion.riskNarrative.includes("publishing will fail"));
+    assert.equal(validateArtifact(run, "run").valid, true);
+
+    const md = renderRunMd(run);
+    assert.ok(md.includes("## Registry Equivalents Checked"));
+    assert.ok(md.includes("| `my-tool` | pypi | pep503 |"));
+    assert.ok(!md.includes("## Fuzzy Variants Checked"));
+  });
+
+  it("queries npm moniker and crates.io separator forms", async () => {
+    const fetchFn = fetchTaking(["fastgraph", "fast_graph"]);
+    const run = await runCheck("fast-graph", { channels: ["npm", "cratesio"], fetchFn, now: NOW, variantBudget: 0 });
+
+    assert.ok(fetchFn.urls.includes("https://registry.npmjs.org/fast.graph"));
+    assert.ok(fetchFn.urls.includes("https://crates.io/api/v1/crates/fast_graph"));
+    const blocked = run.findings.filter((f) => f.kind === "registry_blocked");
+    assert.deepEqual(blocked.map((f) => f.summary), [
+      'Name "fast-graph" is blocked in npm: equivalent form "fastgraph" is taken',
+      'Name "fast-graph" is blocked in cratesio: equivalent form "fast_graph" is taken',
+    ]);
+    assert.ok(blocked[0].why.some((w) => w.includes("(npm-moniker)")));
+    // Ids stay unique although "fast_graph" and "fast-graph" sanitize alike
+    const ids = run.checks.map((c) => c.id);
+    assert.equal(new Set(ids).size, ids.length);
+
+    const split = await runCheck("fastgraph", { channels: ["npm"], fetchFn: fetchTaking(), now: NOW, variantBudget: 0 });
+    assert.deepEqual(split.checks.map((c) => c.id), ["chk.npm.fastgraph", "chk.npm.fast-graph.eq", "chk.npm.fast-graph.eq2", "chk.npm.fast.graph.eq"]);
+    assert.equal(validateArtifact(split, "run").valid, true);
+  });
+
+  it("blocks npm's own example: mytool when my-tool is taken", async () => {
+    const run = await check("mytool", ["npm"], ["my-tool"]);
+    const blocked = run.findings.filter((f) => f.kind === "registry_blocked");
+    assert.deepEqual(blocked.map((f) => f.summary), ['Name "mytool" is blocked in npm: equivalent form "my-tool" is taken']);
+    assert.equal(run.opinion.tier, "red");
+  });
+
+  it("leaves a taken literal to exact_conflict", async () => {
+    const taken = await check("my-tool", ["cratesio"], ["my-tool", "my_tool"]);
+    assert.deepEqual(taken.findings.filter((f) => f.kind !== "confusable_risk").map((f) => f.kind), ["exact_conflict"]);
+  });
+
+  it("queries the forms with fuzzyQueryMode off and skips them only with registryEquivalents false", async () => {
+    const off = await runCheck("My_Tool", { channels: ["pypi"], fetchFn: fetchTaking(["my-tool"]), now: NOW, fuzzyQueryMode: "off" });
+    assert.equal(off.checks.length, 2);
+    assert.equal(off.opinion.tier, "red");
+
+    const skipped = await runCheck("My_Tool", {
+      channels: ["pypi"],
+      fetchFn: fetchTaking(["my-tool"]),
+      now: NOW,
+      fuzzyQueryMode: "off",
+      registryEquivalents: false,
+    });
+    assert.equal(skipped.checks.length, 1);
+    assert.equal(skipped.opinion.tier, "green");
+  });
+
+  it("does not report a taken equivalent form as a fuzzy variant", () => {
+    const findings = classifyFindings([
+      { namespace: "npm", status: "available", query: { candidateMark: "my-tool", value: "my-tool" } },
+      {
+        namespace: "npm",
+        status: "taken",
+        evidenceRef: "ev.chk.npm.mytool.eq.0",
+        query: { candidateMark: "mytool", value: "mytool", isVariant: true, originalCandidate: "my-tool", equivalenceRule: "npm-moniker" },
+      },
+    ], null);
+    assert.deepEqual(findings.map((f) => [f.kind, f.candidateMark, f.severity]), [["registry_blocked", "my-tool", "high"]]);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeJurisdiction, parseGeographies, markCoversGeographies } from "../../src/lib/geo.mjs";
+
+describe("normalizeJurisdiction", () => {
+  it("maps office codes onto countries and regions", () => {
+    assert.equal(normalizeJurisdiction("em"), "EU");
+    assert.equal(normalizeJurisdiction("USPTO"), "US");
+    assert.equal(normalizeJurisdiction("IB"), "WO");
+    assert.equal(normalizeJurisdiction("uk"), "GB");
+    assert.equal(normalizeJurisdiction(" de "), "DE");
+    assert.equal(normalizeJurisdiction("Germany"), null);
+    assert.equal(normalizeJurisdiction(null), null);
+  });
+});
+
+describe("parseGeographies", () => {
+  it("defaults to GLOBAL", () => {
+    assert.deepEqual(parseGeographies(null), [{ type: "region", code: "GLOBAL" }]);
+    assert.deepEqual(parseGeographies(""), [{ type: "region", code: "GLOBAL" }]);
+  });
+
+  it("parses countries and regions, de-duplicated", () => {
+    assert.deepEqual(parseGeographies("us, EU,uk,GB"), [
+      { type: "country", code: "US" },
+      { type: "region", code: "EU" },
+      { type: "country", code: "GB" },
+    ]);
+  });
+
+  it("accepts already-parsed geographies", () => {
+    const parsed = parseGeographies("US,EU");
+    assert.deepEqual(parseGeographies(parsed), parsed);
+  });
+
+  it("throws COE.INIT.BAD_GEO for invalid codes", () => {
+    assert.throws(() => parseGeographies("US,Mars"), { code: "COE.INIT.BAD_GEO" });
+  });
+});
+
+describe("markCoversGeographies", () => {
+  const us = [{ code: "US" }];
+  const de = [{ code: "DE" }];
+  const eu = [{ code: "EU" }];
+
+  it("matches everything for GLOBAL or marks without jurisdiction", () => {
+    assert.ok(markCoversGeographies({ jurisdiction: "JP" }, [{ code: "GLOBAL" }]));
+    assert.ok(markCoversGeographies({ jurisdiction: "JP" }, null));
+    assert.ok(markCoversGeographies({}, us));
+  });
+
+  it("matches by jurisdiction", () => {
+    assert.ok(markCoversGeographies({ jurisdiction: "US" }, us));
+    assert.ok(!markCoversGeographies({ jurisdiction: "US" }, eu));
+  });
+
+  it("expands EU trade marks to member states and back", () => {
+    assert.ok(markCoversGeographies({ jurisdiction: "EU" }, de));
+    assert.ok(markCoversGeographies({ jurisdiction: "FR" }, eu));
+    assert.ok(!markCoversGeographies({ jurisdiction: "EU" }, us));
+  });
+
+  it("matches WIPO registrations through designations", () => {
+    const ir = { jurisdiction: "WO", designations: ["EU", "JP"] };
+    assert.ok(markCoversGeographies(ir, de));
+    assert.ok(!markCoversGeographies(ir, us));
+    assert.ok(markCoversGeographies(ir, [{ code: "WO" }]));
+  });
+});
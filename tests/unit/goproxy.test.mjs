@@ -0,0 +1,205 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createGoProxyAdapter, escapeModulePath, isGitHubModulePath } from "../../src/adapters/goproxy.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+/**
+ * Route proxy requests to fixtures by endpoint, recording requested URLs.
+ */
+function routedFetch({ list, latest }, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    const fixture = url.endsWith("/@v/list") ? list : latest;
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+describe("Go module proxy adapter", () => {
+  it("checkModule returns taken when @v/list has versions", async () => {
+    const calls = [];
+    const adapter = createGoProxyAdapter(routedFetch({ list: loadFixture("goproxy-list-taken.json") }, calls));
+    const { check, evidence } = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "golang");
+    assert.equal(check.details.versionCount, 3);
+    assert.deepEqual(calls, ["https://proxy.golang.org/github.com/acme/tool/@v/list"]);
+    assert.equal(evidence.source.system, "goproxy");
+  });
+
+  it("falls back to @latest when the version list is empty", async () => {
+    const calls = [];
+    const adapter = createGoProxyAdapter(routedFetch({
+      list: loadFixture("goproxy-list-empty.json"),
+      latest: loadFixture("goproxy-latest-taken.json"),
+    }, calls));
+    const { check, evidence } = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.details.latestVersion, "v0.0.0-20250101120000-abcdef123456");
+    assert.equal(check.details.latestTime, "2025-01-01T12:00:00Z");
+    assert.equal(calls.length, 2);
+    assert.match(evidence.source.url, /@latest$/);
+    assert.equal(evidence.repro.length, 2);
+  });
+
+  it("returns available when the list is empty and @latest is 404", async () => {
+    const adapter = createGoProxyAdapter(routedFetch({
+      list: loadFixture("goproxy-list-empty.json"),
+      latest: loadFixture("goproxy-not-found.json"),
+    }));
+    const { check } = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+  });
+
+  it("404 on a github.com path is authoritative available", async () => {
+    const adapter = createGoProxyAdapter(routedFetch({ list: loadFixture("goproxy-not-found.json") }));
+    const { check } = await adapter.checkModule("github.com/acme/my-new-tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "authoritative");
+  });
+
+  it("410 on a vanity path is indicative available", async () => {
+    const adapter = createGoProxyAdapter(routedFetch({ list: loadFixture("goproxy-gone.json") }));
+    const { check } = await adapter.checkModule("go.acme.dev/my-new-tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("unexpected status is unknown/indicative", async () => {
+    const adapter = createGoProxyAdapter(routedFetch({ list: { status: 500, body: "oops" } }));
+    const { check } = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("checkModule returns unknown on network error", async () => {
+    const adapter = createGoProxyAdapter(failingFetch("Connection refused"));
+    const { check, evidence } = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.GOPROXY_FAIL");
+    assert.match(evidence.notes, /Connection refused/);
+  });
+
+  it("query records candidate mark and module path", async () => {
+    const adapter = createGoProxyAdapter(routedFetch({ list: loadFixture("goproxy-not-found.json") }));
+    const { check } = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+    assert.deepEqual(check.query, { candidateMark: "tool", value: "github.com/acme/tool" });
+
+    const { check: named } = await adapter.checkModule("go.acme.dev/x/tool", { now: NOW, candidateMark: "tool" });
+    assert.equal(named.query.candidateMark, "tool");
+  });
+
+  it("honors a custom proxy base URL", async () => {
+    const calls = [];
+    const adapter = createGoProxyAdapter(
+      routedFetch({ list: loadFixture("goproxy-not-found.json") }, calls),
+      { baseUrl: "https://goproxy.internal/" }
+    );
+    await adapter.checkModule("github.com/acme/tool", { now: NOW });
+    assert.deepEqual(calls, ["https://goproxy.internal/github.com/acme/tool/@v/list"]);
+  });
+
+  it("IDs are deterministic", async () => {
+    const fixture = loadFixture("goproxy-not-found.json");
+    const adapter = createGoProxyAdapter(routedFetch({ list: fixture }));
+    const r1 = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+    const r2 = await adapter.checkModule("github.com/acme/tool", { now: NOW });
+
+    assert.equal(r1.check.id, r2.check.id);
+    assert.equal(r1.evidence.id, r2.evidence.id);
+  });
+});
+
+describe("escapeModulePath / isGitHubModulePath", () => {
+  it("escapes uppercase letters per the proxy protocol", () => {
+    assert.equal(escapeModulePath("github.com/Azure/azure-sdk"), "github.com/!azure/azure-sdk");
+    assert.equal(escapeModulePath("github.com/acme/tool"), "github.com/acme/tool");
+  });
+
+  it("detects github.com module paths", () => {
+    assert.equal(isGitHubModulePath("github.com/acme/tool"), true);
+    assert.equal(isGitHubModulePath("go.acme.dev/tool"), false);
+  });
+});
+
+describe("golang channel", () => {
+  function notFoundFetch(calls = []) {
+    return async (url) => {
+      calls.push(url);
+      return { ok: false, status: 404, text: async () => "Not Found", json: async () => ({}) };
+    };
+  }
+
+  it("checks github.com/<org>/<name> and the vanity path", async () => {
+    const run = await runCheck("my-tool", {
+      channels: ["golang"],
+      org: "acme",
+      goPrefix: "go.acme.dev/",
+      fetchFn: notFoundFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    const values = run.checks.filter((c) => c.namespace === "golang").map((c) => c.query.value);
+    assert.deepEqual(values, ["github.com/acme/my-tool", "go.acme.dev/my-tool"]);
+    assert.ok(run.checks.every((c) => c.query.candidateMark === "my-tool"));
+  });
+
+  it("defaults to github.com/<name>/<name> without --org", async () => {
+    const run = await runCheck("my-tool", {
+      channels: ["golang"],
+      fetchFn: notFoundFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.equal(run.checks[0].query.value, "github.com/my-tool/my-tool");
+  });
+
+  it("joins fuzzy variant registry queries", async () => {
+    const calls = [];
+    const run = await runCheck("my-tool", {
+      channels: ["golang"],
+      org: "acme",
+      fetchFn: notFoundFetch(calls),
+      now: NOW,
+      fuzzyQueryMode: "registries",
+      variantBudget: 2,
+    });
+
+    const variantChecks = run.checks.filter((c) => c.namespace === "golang" && c.query.isVariant);
+    assert.equal(variantChecks.length, 2);
+    assert.ok(variantChecks.every((c) => c.query.value.startsWith("github.com/acme/")));
+    assert.ok(variantChecks.every((c) => c.query.originalCandidate === "my-tool"));
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, readFileSync, mkdirSync, rmSync, appendFileSync } from "node:fs";
+import { join } from "node:path";
+import { historyEntries, historyKey, recordRun, readHistory, listHistory } from "../../src/history.mjs";
+import { sparkline, sparklineSvg, renderHistoryMd, renderHistoryListMd } from "../../src/renderers/history.mjs";
+import { publishRun } from "../../src/publish.mjs";
+import { writeRun } from "../../src/renderers/report.mjs";
+import { runCheck, runComparison } from "../../src/pipeline.mjs";
+
+const T0 = "2026-02-15T12:00:00.000Z";
+const T1 = "2026-02-22T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-history");
+
+/** Registries answer 200 for URLs ending in a name from `taken`, 404 otherwise. */
+function fetchTaking(taken = []) {
+  return async (url) => {
+    const hit = taken.some((name) => url.endsWith(`/${name}`) || url.endsWith(`/${name}/json`));
+    return {
+      ok: hit,
+      status: hit ? 200 : 404,
+      text: async () => (hit ? "{}" : "Not Found"),
+      json: async () => ({}),
+    };
+  };
+}
+
+function check(name, taken, now) {
+  return runCheck(name, { channels: ["npm", "pypi"], fetchFn: fetchTaking(taken), now, fuzzyQueryMode: "off" });
+}
+
+function withTmp(fn) {
+  return async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    try {
+      await fn();
+    } finally {
+      rmSync(TMP_DIR, { recursive: true, force: true });
+    }
+  };
+}
+
+describe("historyEntries", () => {
+  it("summarizes a run as tier, score and namespace status", async () => {
+    const run = await check("snipe-me", ["snipe-me"], T0);
+    const [entry] = historyEntries(run, { source: "check" });
+    assert.equal(entry.candidateMark, "snipe-me");
+    assert.equal(entry.canonical, "snipe-me");
+    assert.equal(entry.runId, run.run.runId);
+    assert.equal(entry.inputsSha256, run.run.inputsSha256);
+    assert.equal(entry.createdAt, T0);
+    assert.equal(entry.tier, "red");
+    assert.equal(entry.overallScore, run.opinion.scoreBreakdown.overallScore);
+    assert.deepEqual(entry.namespaces, { npm: "taken", pypi: "taken" });
+    assert.ok(entry.highFindings >= 2);
+  });
+
+  it("gives each candidate of a comparative run its own entry", async () => {
+    const run = await runComparison(["snipe-me", "free-one"], {
+      channels: ["npm"],
+      fetchFn: fetchTaking(["snipe-me"]),
+      now: T0,
+      fuzzyQueryMode: "off",
+    });
+    const entries = historyEntries(run);
+    assert.deepEqual(entries.map((e) => [e.candidateMark, e.tier, e.namespaces.npm]), [
+      ["snipe-me", "red", "taken"],
+      ["free-one", "green", "available"],
+    ]);
+    assert.ok(entries.every((e) => e.runId === run.run.runId));
+  });
+
+  it("keys names by their normalized form", () => {
+    assert.equal(historyKey("My Cool Tool"), "my-cool-tool");
+    assert.equal(historyKey("my_cool.tool"), "my-cool-tool");
+    assert.match(historyKey("日本"), /^_[0-9a-f]{12}$/);
+  });
+});
+
+describe("history store", () => {
+  it("records runs per name and reads them back oldest first", withTmp(async () => {
+    const dir = join(TMP_DIR, "store");
+    const later = await check("snipe-me", ["snipe-me"], T1);
+    const earlier = await check("snipe-me", [], T0);
+
+    assert.deepEqual(recordRun(dir, later), { recorded: 1, skipped: 0 });
+    assert.deepEqual(recordRun(dir, earlier, { source: "watch" }), { recorded: 1, skipped: 0 });
+    // Recording the same run again is a no-op
+    assert.deepEqual(recordRun(dir, later), { recorded: 0, skipped: 1 });
+
+    const entries = readHistory(dir, "Snipe Me");
+    assert.deepEqual(entries.map((e) => [e.createdAt, e.tier, e.source]), [
+      [T0, "green", "watch"],
+      [T1, "red", "check"],
+    ]);
+    assert.deepEqual(readHistory(dir, "never-checked"), []);
+  }));
+
+  it("skips unparseable lines and lists recorded names", withTmp(async () => {
+    const dir = join(TMP_DIR, "store");
+    recordRun(dir, await check("snipe-me", [], T0));
+    recordRun(dir, await check("snipe-me", [], T1));
+    recordRun(dir, await check("other-name", ["other-name"], T0));
+    appendFileSync(join(dir, "snipe-me.jsonl"), "{ torn\n");
+
+    assert.equal(readHistory(dir, "snipe-me").length, 2);
+    const list = listHistory(dir);
+    assert.deepEqual(list.map((l) => [l.canonical, l.runs, l.latest.tier]), [
+      ["other-name", 1, "red"],
+      ["snipe-me", 2, "green"],
+    ]);
+    assert.deepEqual(listHistory(join(TMP_DIR, "missing")), []);
+  }));
+
+  it("lists names stored under a hashed key", withTmp(async () => {
+    const dir = join(TMP_DIR, "store");
+    const run = {
+      run: { runId: "run.2026-02-15.0badc0de", createdAt: T0 },
+      intake: { candidates: [{ mark: "日本" }] },
+      opinion: { tier: "green", scoreBreakdown: { overallScore: 90 } },
+      checks: [],
+      findings: [],
+    };
+    assert.deepEqual(recordRun(dir, run), { recorded: 1, skipped: 0 });
+
+    const key = historyKey("日本");
+    assert.ok(key.startsWith("_"));
+    const list = listHistory(dir);
+    assert.deepEqual(list.map((l) => [l.canonical, l.candidateMark, l.runs]), [[key, "日本", 1]]);
+    const md = renderHistoryListMd(list, new Map([[key, readHistory(dir, list[0].candidateMark)]]));
+    assert.ok(md.includes("| 日本 | 1 | 2026-02-15 | GREEN | 90 |"));
+  }));
+
+  it("throws a coded error when the store cannot be created", withTmp(async () => {
+    const blocker = join(TMP_DIR, "file");
+    writeFileSync(blocker, "not a directory");
+    assert.throws(() => recordRun(join(blocker, "history"), { intake: { candidates: [] } }), {
+      code: "COE.HISTORY.WRITE_FAIL",
+    });
+  }));
+});
+
+describe("history renderers", () => {
+  it("draws sparklines on a fixed 0-100 scale", () => {
+    assert.equal(sparkline([0, 50, 100, null]), "▁▅█ ");
+    const svg = sparklineSvg([90, 40, null, 10], "red");
+    assert.ok(svg.startsWith('<svg class="sparkline"'));
+    assert.ok(svg.includes('stroke="#ef4444"'));
+    assert.equal(svg.match(/points="([^"]+)"/)[1].split(" ").length, 3);
+    assert.equal(sparklineSvg([50]), "");
+  });
+
+  it("renders a Markdown timeline with per-namespace status", withTmp(async () => {
+    const dir = join(TMP_DIR, "store");
+    recordRun(dir, await check("snipe-me", [], T0));
+    recordRun(dir, await check("snipe-me", ["snipe-me"], T1));
+    const md = renderHistoryMd("snipe-me", readHistory(dir, "snipe-me"));
+
+    assert.ok(md.startsWith("# History: snipe-me"));
+    assert.ok(md.includes(`2 run(s) from ${T0} to ${T1}`));
+    assert.match(md, /Score trend: `..`/);
+    assert.ok(md.includes("| Date | Run | Source | Tier | Score | npm | pypi |"));
+    assert.ok(md.includes("| GREEN |"));
+    assert.match(md, /\| RED \| \d+ \| ❌ \| ❌ \|/);
+    assert.ok(renderHistoryMd("nothing", []).includes("No recorded runs."));
+
+    const list = renderHistoryListMd(listHistory(dir));
+    assert.ok(list.includes("| snipe-me | 2 | 2026-02-22 | RED |"));
+  }));
+});
+
+describe("publishRun with historyDir", () => {
+  it("adds score trends to clearance-index.json and index.html", withTmp(async () => {
+    const historyDir = join(TMP_DIR, "history");
+    const runs = [await check("snipe-me", [], T0), await check("snipe-me", ["snipe-me"], T1)];
+    for (const run of runs) recordRun(historyDir, run);
+
+    writeRun(runs[1], join(TMP_DIR, "runs", "b"));
+    writeRun(await check("other-name", [], T1), join(TMP_DIR, "runs", "c"));
+    publishRun(join(TMP_DIR, "runs", "c"), join(TMP_DIR, "site", "other-name"), { historyDir });
+    const result = publishRun(join(TMP_DIR, "runs", "b"), join(TMP_DIR, "site", "snipe-me"), { historyDir });
+    assert.equal(result.indexGenerated, true);
+
+    const index = JSON.parse(readFileSync(join(TMP_DIR, "site", "snipe-me", "clearance-index.json"), "utf8"));
+    assert.deepEqual(index.trend.map((t) => [t.date, t.tier]), [[T0, "green"], [T1, "red"]]);
+
+    const html = readFileSync(join(TMP_DIR, "site", "index.html"), "utf8");
+    assert.ok(html.includes("<th>Trend</th>"));
+    // other-name has no recorded runs, so only snipe-me gets a sparkline
+    assert.equal(html.match(/<svg class="sparkline"/g).length, 1);
+  }));
+});
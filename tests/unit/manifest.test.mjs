@@ -0,0 +1,178 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, readFileSync, mkdirSync, rmSync, unlinkSync } from "node:fs";
+import { join } from "node:path";
+import { generateKeyPairSync } from "node:crypto";
+import { createManifest, verifyManifest, loadSigningKey, loadPublicKey } from "../../src/lib/manifest.mjs";
+import { writeRun } from "../../src/renderers/report.mjs";
+import { hashFile } from "../../src/lib/hash.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-manifest");
+
+function npmFetch() {
+  return async () => ({ ok: false, status: 404, text: async () => "Not Found", json: async () => ({}) });
+}
+
+function check() {
+  return runCheck("my-cool-tool", { channels: ["npm"], fetchFn: npmFetch(), now: NOW, fuzzyQueryMode: "off" });
+}
+
+/** Write an Ed25519 key pair as PEM files; returns their paths. */
+function writeKeyPair(name) {
+  const { privateKey, publicKey } = generateKeyPairSync("ed25519");
+  const priv = join(TMP_DIR, `${name}.pem`);
+  const pub = join(TMP_DIR, `${name}.pub.pem`);
+  writeFileSync(priv, privateKey.export({ type: "pkcs8", format: "pem" }));
+  writeFileSync(pub, publicKey.export({ type: "spki", format: "pem" }));
+  return { priv, pub };
+}
+
+function withTmp(fn) {
+  return async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    try {
+      await fn();
+    } finally {
+      rmSync(TMP_DIR, { recursive: true, force: true });
+    }
+  };
+}
+
+function codes(result) {
+  return result.problems.map((p) => p.code);
+}
+
+describe("writeRun manifest", () => {
+  it("lists the SHA-256 and size of every artifact written", withTmp(async () => {
+    const run = await check();
+    const dir = join(TMP_DIR, "run");
+    const { manifestPath } = writeRun(run, dir, { formats: ["json", "md"] });
+
+    const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+    assert.equal(manifest.schemaVersion, "1.0.0");
+    assert.equal(manifest.runId, run.run.runId);
+    assert.equal(manifest.inputsSha256, run.run.inputsSha256);
+    assert.equal(manifest.engineVersion, run.run.engineVersion);
+    assert.equal(manifest.createdAt, NOW);
+    assert.deepEqual(manifest.files.map((f) => f.path), ["run.json", "run.md"]);
+    for (const f of manifest.files) {
+      assert.equal(f.sha256, await hashFile(join(dir, f.path)));
+      assert.equal(f.bytes, readFileSync(join(dir, f.path)).length);
+    }
+    assert.match(manifest.rootSha256, /^[a-f0-9]{64}$/);
+    assert.equal(manifest.signature, undefined);
+  }));
+
+  it("is deterministic for the same run", async () => {
+    const run = await check();
+    const files = [{ path: "b.txt", content: "b" }, { path: "a.txt", content: Buffer.from("a") }];
+    const a = createManifest(run, files);
+    const b = createManifest(run, [...files].reverse());
+    assert.deepEqual(a, b);
+    assert.deepEqual(a.files.map((f) => f.path), ["a.txt", "b.txt"]);
+  });
+});
+
+describe("verifyManifest", () => {
+  it("passes an untouched run and reports each kind of tampering", withTmp(async () => {
+    const dir = join(TMP_DIR, "run");
+    writeRun(await check(), dir);
+    const ok = await verifyManifest(dir);
+    assert.equal(ok.valid, true);
+    assert.ok(ok.files.every((f) => f.status === "ok"));
+    assert.deepEqual(ok.signature, { signed: false, valid: null, keyId: null, trusted: null });
+
+    writeFileSync(join(dir, "run.md"), readFileSync(join(dir, "run.md"), "utf8").replace("my-cool-tool", "my-c00l-tool"));
+    unlinkSync(join(dir, "summary.json"));
+    const tampered = await verifyManifest(dir);
+    assert.equal(tampered.valid, false);
+    assert.deepEqual(codes(tampered).sort(), ["COE.MANIFEST.HASH_MISMATCH", "COE.MANIFEST.MISSING_FILE"]);
+
+    // Dropping an entry to hide the change breaks rootSha256
+    const manifestPath = join(dir, "manifest.json");
+    const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+    manifest.files = manifest.files.filter((f) => f.path === "run.json");
+    writeFileSync(manifestPath, JSON.stringify(manifest));
+    assert.deepEqual(codes(await verifyManifest(dir)), ["COE.MANIFEST.ROOT_MISMATCH"]);
+  }));
+
+  it("rejects entries that point outside the run directory", withTmp(async () => {
+    const dir = join(TMP_DIR, "run");
+    mkdirSync(dir, { recursive: true });
+    const manifest = createManifest({}, [{ path: "../outside.txt", content: "x" }]);
+    writeFileSync(join(dir, "manifest.json"), JSON.stringify(manifest));
+    assert.deepEqual(codes(await verifyManifest(dir)), ["COE.MANIFEST.INVALID"]);
+  }));
+
+  it("throws for a missing or unreadable manifest", withTmp(async () => {
+    const dir = join(TMP_DIR, "run");
+    mkdirSync(dir, { recursive: true });
+    await assert.rejects(verifyManifest(dir), { code: "COE.MANIFEST.NOT_FOUND" });
+    writeFileSync(join(dir, "manifest.json"), "{ nope");
+    await assert.rejects(verifyManifest(dir), { code: "COE.MANIFEST.INVALID" });
+    writeFileSync(join(dir, "manifest.json"), "{}");
+    await assert.rejects(verifyManifest(dir), { code: "COE.MANIFEST.INVALID" });
+  }));
+});
+
+describe("manifest signatures", () => {
+  it("signs with Ed25519 and verifies against a trusted key", withTmp(async () => {
+    const signer = writeKeyPair("signer");
+    const other = writeKeyPair("other");
+    const dir = join(TMP_DIR, "run");
+    writeRun(await check(), dir, { signingKey: loadSigningKey(signer.priv) });
+
+    const manifest = JSON.parse(readFileSync(join(dir, "manifest.json"), "utf8"));
+    assert.equal(manifest.signature.algorithm, "ed25519");
+    assert.match(manifest.signature.keyId, /^[a-f0-9]{16}$/);
+
+    const pinned = await verifyManifest(dir, { publicKey: loadPublicKey(signer.pub) });
+    assert.equal(pinned.valid, true);
+    assert.equal(pinned.signature.trusted, true);
+    // A private key file works as the trusted key too
+    assert.equal((await verifyManifest(dir, { publicKey: loadPublicKey(signer.priv) })).valid, true);
+
+    const unpinned = await verifyManifest(dir);
+    assert.deepEqual([unpinned.valid, unpinned.signature.valid, unpinned.signature.trusted], [true, true, null]);
+
+    assert.deepEqual(codes(await verifyManifest(dir, { publicKey: loadPublicKey(other.pub) })), ["COE.MANIFEST.UNTRUSTED_KEY"]);
+  }));
+
+  it("detects a re-hashed manifest whose signature no longer matches", withTmp(async () => {
+    const signer = writeKeyPair("signer");
+    const dir = join(TMP_DIR, "run");
+    writeRun(await check(), dir, { signingKey: loadSigningKey(signer.priv) });
+
+    // Edit a file and rewrite its hash and rootSha256, keeping the old signature
+    const manifestPath = join(dir, "manifest.json");
+    writeFileSync(join(dir, "run.md"), "# edited\n");
+    const old = JSON.parse(readFileSync(manifestPath, "utf8"));
+    const files = old.files.map((f) => ({ path: f.path, content: readFileSync(join(dir, f.path)) }));
+    const forged = { ...createManifest(JSON.parse(readFileSync(join(dir, "run.json"), "utf8")), files), signature: old.signature };
+    writeFileSync(manifestPath, JSON.stringify(forged));
+
+    assert.deepEqual(codes(await verifyManifest(dir)), ["COE.MANIFEST.BAD_SIGNATURE"]);
+  }));
+
+  it("requires a signature when a trusted key is given", withTmp(async () => {
+    const signer = writeKeyPair("signer");
+    const dir = join(TMP_DIR, "run");
+    writeRun(await check(), dir);
+    assert.deepEqual(codes(await verifyManifest(dir, { publicKey: loadPublicKey(signer.pub) })), ["COE.MANIFEST.UNSIGNED"]);
+  }));
+
+  it("rejects missing, malformed and non-Ed25519 keys", withTmp(async () => {
+    const rsa = generateKeyPairSync("rsa", { modulusLength: 1024 }).privateKey;
+    writeFileSync(join(TMP_DIR, "rsa.pem"), rsa.export({ type: "pkcs8", format: "pem" }));
+    writeFileSync(join(TMP_DIR, "junk.pem"), "not a key");
+    const signer = writeKeyPair("signer");
+
+    assert.throws(() => loadSigningKey(join(TMP_DIR, "missing.pem")), { code: "COE.MANIFEST.BAD_KEY" });
+    assert.throws(() => loadSigningKey(join(TMP_DIR, "junk.pem")), { code: "COE.MANIFEST.BAD_KEY" });
+    assert.throws(() => loadSigningKey(join(TMP_DIR, "rsa.pem")), { code: "COE.MANIFEST.BAD_KEY" });
+    assert.throws(() => loadSigningKey(signer.pub), { code: "COE.MANIFEST.BAD_KEY" });
+    assert.throws(() => loadPublicKey(join(TMP_DIR, "rsa.pem")), { code: "COE.MANIFEST.BAD_KEY" });
+  }));
+});
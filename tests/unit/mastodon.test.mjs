@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createMastodonAdapter, mastodonUsername } from "../../src/adapters/mastodon.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+describe("Mastodon adapter", () => {
+  it("checkAccount returns taken with the profile URL", async () => {
+    const calls = [];
+    const adapter = createMastodonAdapter(mockFetch(loadFixture("mastodon-taken.json"), calls));
+    const { check, evidence } = await adapter.checkAccount("gargron", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "mastodon");
+    assert.equal(check.details.profileUrl, "https://mastodon.social/@Gargron");
+    assert.equal(check.details.instance, "mastodon.social");
+    assert.deepEqual(calls, ["https://mastodon.social/.well-known/webfinger?resource=acct%3Agargron%40mastodon.social"]);
+    assert.equal(evidence.source.system, "mastodon");
+  });
+
+  it("404 is indicative available; hyphens become underscores", async () => {
+    const adapter = createMastodonAdapter(mockFetch(loadFixture("mastodon-available.json")));
+    const { check } = await adapter.checkAccount("my-new-tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "indicative");
+    assert.deepEqual(check.query, { candidateMark: "my-new-tool", value: "my_new_tool@mastodon.social" });
+  });
+
+  it("410 (deleted account) is indicative taken", async () => {
+    const adapter = createMastodonAdapter(mockFetch({ status: 410, body: "" }));
+    const { check } = await adapter.checkAccount("old-tool", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("checks a configured instance, overridable per call", async () => {
+    const calls = [];
+    const adapter = createMastodonAdapter(mockFetch(loadFixture("mastodon-available.json"), calls), {
+      instance: "https://fosstodon.org/",
+    });
+    assert.equal(adapter.instance, "fosstodon.org");
+
+    const { check } = await adapter.checkAccount("my-tool", { now: NOW });
+    await adapter.checkAccount("my-tool", { now: NOW, instance: "hachyderm.io" });
+
+    assert.equal(check.query.value, "my_tool@fosstodon.org");
+    assert.match(calls[0], /^https:\/\/fosstodon\.org\/\.well-known\/webfinger/);
+    assert.match(calls[1], /^https:\/\/hachyderm\.io\/.*my_tool%40hachyderm\.io$/);
+  });
+
+  it("honors a custom base URL", async () => {
+    const calls = [];
+    const adapter = createMastodonAdapter(mockFetch(loadFixture("mastodon-available.json"), calls), {
+      baseUrl: "http://127.0.0.1:4010",
+    });
+    await adapter.checkAccount("my-tool", { now: NOW });
+    assert.deepEqual(calls, ["http://127.0.0.1:4010/.well-known/webfinger?resource=acct%3Amy_tool%40mastodon.social"]);
+  });
+
+  it("usernames Mastodon rejects are unsupported without a request", async () => {
+    const calls = [];
+    const adapter = createMastodonAdapter(mockFetch(loadFixture("mastodon-available.json"), calls));
+    const { check } = await adapter.checkAccount("a-name-that-is-far-too-long-for-mastodon", { now: NOW });
+
+    assert.equal(calls.length, 0);
+    assert.equal(check.status, "unsupported");
+    assert.equal(check.errors[0].code, "COE.SOCIAL.INVALID_HANDLE");
+  });
+
+  it("returns unknown on network error", async () => {
+    const adapter = createMastodonAdapter(failingFetch("Connection refused"));
+    const { check } = await adapter.checkAccount("my-tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.MASTODON_FAIL");
+  });
+});
+
+describe("mastodonUsername", () => {
+  it("replaces hyphens and dots with underscores", () => {
+    assert.equal(mastodonUsername("my-cool.tool"), "my_cool_tool");
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createMavenAdapter } from "../../src/adapters/maven.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+
+describe("Maven Central adapter", () => {
+  it("checkArtifact returns available for 404", async () => {
+    const calls = [];
+    const adapter = createMavenAdapter(mockFetch(loadFixture("maven-available.json"), calls));
+    const { check, evidence } = await adapter.checkArtifact("com.acme", "my-sdk", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "maven");
+    assert.deepEqual(check.query, { candidateMark: "my-sdk", value: "com.acme:my-sdk" });
+    assert.deepEqual(calls, ["https://repo1.maven.org/maven2/com/acme/my-sdk/maven-metadata.xml"]);
+    assert.equal(evidence.source.system, "maven");
+  });
+
+  it("checkArtifact returns taken for 200 with version metadata", async () => {
+    const adapter = createMavenAdapter(mockFetch(loadFixture("maven-taken.json")));
+    const { check } = await adapter.checkArtifact("com.google.guava", "guava", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.details.latestVersion, "33.4.0-jre");
+    assert.equal(check.details.versionCount, 3);
+  });
+
+  it("skips with COE.MAVEN.GROUP_REQUIRED when no groupId", async () => {
+    const calls = [];
+    const adapter = createMavenAdapter(mockFetch(loadFixture("maven-taken.json"), calls));
+    const { check, evidence } = await adapter.checkArtifact(null, "my-sdk", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.errors[0].code, "COE.MAVEN.GROUP_REQUIRED");
+    assert.equal(evidence.type, "skipped");
+    assert.equal(calls.length, 0);
+  });
+
+  it("checkArtifact returns unknown on network error", async () => {
+    const adapter = createMavenAdapter(failingFetch("Connection refused"));
+    const { check } = await adapter.checkArtifact("com.acme", "my-sdk", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.MAVEN_FAIL");
+  });
+});
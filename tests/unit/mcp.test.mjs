@@ -0,0 +1,216 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import { writeFileSync, mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { createMcpServer, serveStdio, MCP_TOOLS, PROTOCOL_VERSIONS } from "../../src/mcp.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+import { REQUEST_OPTION_KEYS } from "../../src/server.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-mcp");
+
+/** npm answers 200 for names in `taken`, 404 for everything else. */
+function npmFetch(taken = []) {
+  return async (url) => {
+    const hit = taken.some((name) => url.endsWith(`/${name}`));
+    return {
+      ok: hit,
+      status: hit ? 200 : 404,
+      text: async () => (hit ? "{}" : "Not Found"),
+      json: async () => ({}),
+    };
+  };
+}
+
+function createServer(opts = {}) {
+  return createMcpServer({
+    values: { channels: ["npm"], fuzzyQueryMode: "off" },
+    fetchFn: npmFetch(["taken-name"]),
+    version: "9.9.9",
+    ...opts,
+  });
+}
+
+let nextId = 1;
+async function call(server, name, args, notify) {
+  const response = await server.handleMessage(
+    { jsonrpc: "2.0", id: nextId++, method: "tools/call", params: { name, arguments: args } },
+    notify
+  );
+  return response.result ?? response;
+}
+
+describe("MCP protocol", () => {
+  const server = createServer();
+
+  it("negotiates the protocol version on initialize", async () => {
+    const res = await server.handleMessage({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05" } });
+    assert.equal(res.result.protocolVersion, "2024-11-05");
+    assert.deepEqual(res.result.capabilities, { tools: {} });
+    assert.deepEqual(res.result.serverInfo, { name: "clearance-opinion-engine", version: "9.9.9" });
+
+    const unknown = await server.handleMessage({ jsonrpc: "2.0", id: 2, method: "initialize", params: { protocolVersion: "1999-01-01" } });
+    assert.equal(unknown.result.protocolVersion, PROTOCOL_VERSIONS[0]);
+  });
+
+  it("lists the five tools with option schemas", async () => {
+    const res = await server.handleMessage({ jsonrpc: "2.0", id: 3, method: "tools/list" });
+    assert.deepEqual(res.result.tools.map((t) => t.name), ["check_name", "batch_check", "suggest_alternatives", "compare_marks", "explain_run"]);
+    const check = MCP_TOOLS.find((t) => t.name === "check_name");
+    for (const key of REQUEST_OPTION_KEYS) assert.ok(check.inputSchema.properties[key], key);
+    assert.deepEqual(check.inputSchema.properties.fuzzyQueryMode.enum, ["off", "registries", "all"]);
+    const batch = MCP_TOOLS.find((t) => t.name === "batch_check");
+    assert.equal(batch.inputSchema.properties.suggest, undefined);
+    assert.ok(batch.inputSchema.properties.risk);
+  });
+
+  it("answers pings, ignores notifications and rejects unknown methods", async () => {
+    assert.deepEqual((await server.handleMessage({ jsonrpc: "2.0", id: 4, method: "ping" })).result, {});
+    assert.equal(await server.handleMessage({ jsonrpc: "2.0", method: "notifications/initialized" }), null);
+    assert.equal((await server.handleMessage({ jsonrpc: "2.0", id: 5, method: "resources/list" })).error.code, -32601);
+    assert.equal((await server.handleMessage({ id: 6, method: "ping" })).error.code, -32600);
+    assert.equal((await call(server, "no_such_tool", {})).error.code, -32602);
+  });
+});
+
+describe("MCP tools", () => {
+  it("check_name returns the summary JSON as structured content", async () => {
+    const server = createServer();
+    const result = await call(server, "check_name", { name: "taken-name" });
+    assert.equal(result.isError, undefined);
+    const summary = result.structuredContent;
+    assert.equal(summary.tier, "red");
+    assert.deepEqual(summary.candidates, ["taken-name"]);
+    assert.equal(summary.namespaces[0].status, "taken");
+    assert.deepEqual(JSON.parse(result.content[0].text), summary);
+  });
+
+  it("check_name with several names returns the comparison block", async () => {
+    const result = await call(createServer(), "check_name", { names: ["taken-name", "free-name"] });
+    assert.equal(result.structuredContent.comparison.candidates[0].mark, "free-name");
+  });
+
+  it("reports bad arguments as tool errors", async () => {
+    const server = createServer();
+    const cases = [
+      ["check_name", {}, "COE.MCP.BAD_ARGS"],
+      ["check_name", { name: "x", corpus: "/etc/passwd" }, "COE.MCP.BAD_ARGS"],
+      ["check_name", { name: "x", variantBudget: "lots" }, "COE.CONFIG.BAD_VALUE"],
+      ["check_name", { names: ["a", "A"] }, "COE.INIT.DUPLICATE_CANDIDATE"],
+      ["batch_check", { names: [] }, "COE.MCP.BAD_ARGS"],
+      ["batch_check", { names: ["a-name"], suggest: true }, "COE.MCP.BAD_ARGS"],
+      ["compare_marks", { a: "acme" }, "COE.MCP.BAD_ARGS"],
+      ["explain_run", {}, "COE.MCP.BAD_ARGS"],
+      ["explain_run", { runId: "run.missing" }, "COE.MCP.RUN_NOT_FOUND"],
+    ];
+    for (const [tool, args, code] of cases) {
+      const result = await call(server, tool, args);
+      assert.equal(result.isError, true, `${tool} ${JSON.stringify(args)}`);
+      assert.equal(result.structuredContent.error.code, code);
+      assert.ok(result.content[0].text.startsWith(`[${code}]`));
+    }
+  });
+
+  it("batch_check returns one summary per name and reports progress", async () => {
+    const notifications = [];
+    const server = createServer();
+    const response = await server.handleMessage(
+      {
+        jsonrpc: "2.0",
+        id: 99,
+        method: "tools/call",
+        params: { name: "batch_check", arguments: { names: ["taken-name", "free-name"] }, _meta: { progressToken: "tok" } },
+      },
+      (method, params) => notifications.push({ method, params })
+    );
+    const { stats, results, errors } = response.result.structuredContent;
+    assert.equal(stats.succeeded, 2);
+    assert.deepEqual(results.map((r) => [r.candidates[0], r.tier]), [["free-name", "green"], ["taken-name", "red"]]);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(notifications.map((n) => [n.method, n.params.progressToken, n.params.progress, n.params.total]), [
+      ["notifications/progress", "tok", 1, 2],
+      ["notifications/progress", "tok", 2, 2],
+    ]);
+  });
+
+  it("suggest_alternatives runs the same search as --suggest", async () => {
+    const server = createServer();
+    const checked = (await call(server, "suggest_alternatives", { name: "taken-name" })).structuredContent;
+    assert.equal(checked.candidate, "taken-name");
+    assert.equal(checked.tier, "red");
+    assert.equal(checked.alternatives.length, 5);
+    assert.ok(checked.alternatives.every((a) => a.availability.checked && a.tier === "green"));
+    assert.equal(checked.search.stopReason, "found");
+
+    const cli = await runCheck("taken-name", { channels: ["npm"], fuzzyQueryMode: "off", fetchFn: npmFetch(["taken-name"]), now: NOW, suggest: true });
+    assert.deepEqual(checked.alternatives.map((a) => a.name), cli.opinion.saferAlternatives.map((a) => a.name));
+    assert.deepEqual(checked.search, cli.opinion.alternativeSearch);
+
+    const budgeted = (await call(server, "suggest_alternatives", { name: "taken-name", suggestCount: 2, suggestBudget: 3 })).structuredContent;
+    assert.equal(budgeted.search.budget, 3);
+    assert.equal(budgeted.search.stopReason, "budget");
+
+    const unchecked = (await call(server, "suggest_alternatives", { name: "taken-name", recheck: false })).structuredContent;
+    assert.deepEqual(unchecked.alternatives.slice(0, 2).map((a) => a.name), checked.alternatives.slice(0, 2).map((a) => a.name));
+    assert.ok(unchecked.alternatives.every((a) => !a.availability.checked));
+    assert.equal(unchecked.search, undefined);
+  });
+
+  it("compare_marks returns comparePair output", async () => {
+    const result = (await call(createServer(), "compare_marks", { a: "acme", b: "akme" })).structuredContent;
+    assert.equal(result.a, "acme");
+    assert.equal(result.sounds.label, "very high");
+    assert.ok(result.overall > 0.8);
+  });
+
+  it("explain_run renders a session run or a run.json file as Markdown", async () => {
+    const server = createServer();
+    const { runId } = (await call(server, "check_name", { name: "taken-name" })).structuredContent;
+    const explained = await call(server, "explain_run", { runId });
+    assert.equal(explained.structuredContent.runId, runId);
+    assert.equal(explained.content[0].text, explained.structuredContent.markdown);
+    assert.ok(explained.structuredContent.markdown.includes("taken-name"));
+
+    mkdirSync(TMP_DIR, { recursive: true });
+    try {
+      const run = await runCheck("file-name", { channels: ["npm"], fetchFn: npmFetch(), now: NOW, fuzzyQueryMode: "off" });
+      const path = join(TMP_DIR, "run.json");
+      writeFileSync(path, JSON.stringify(run));
+      const fromFile = await call(server, "explain_run", { path });
+      assert.equal(fromFile.structuredContent.tier, "green");
+      assert.ok(fromFile.structuredContent.markdown.includes("file-name"));
+
+      writeFileSync(path, JSON.stringify({ hello: "world" }));
+      assert.equal((await call(server, "explain_run", { path })).structuredContent.error.code, "COE.MCP.BAD_RUN");
+    } finally {
+      rmSync(TMP_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects bad server-wide values up front", () => {
+    assert.throws(() => createMcpServer({ values: { tlds: ["not a tld"] } }), { code: "COE.INIT.BAD_TLD" });
+  });
+});
+
+describe("serveStdio", () => {
+  it("answers line-delimited JSON-RPC messages and parse errors", async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const chunks = [];
+    output.on("data", (c) => chunks.push(c));
+
+    const done = serveStdio(createServer(), input, output);
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write("not json\n\n");
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    input.end('{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"compare_marks","arguments":{"a":"acme","b":"acme"}}}\n');
+    await done;
+
+    const messages = Buffer.concat(chunks).toString("utf8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.equal(messages.length, 3);
+    assert.deepEqual(messages.find((m) => m.id === 1).result, {});
+    assert.equal(messages.find((m) => m.id === null).error.code, -32700);
+    assert.equal(messages.find((m) => m.id === 2).result.structuredContent.overall, 1);
+  });
+});
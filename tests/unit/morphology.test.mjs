@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generateMorphologyAlternatives, blend, MORPHOLOGY_STRATEGIES } from "../../src/scoring/morphology.mjs";
+import { lexiconKey, SYNONYMS } from "../../src/scoring/lexicon.mjs";
+
+function byStrategy(name) {
+  const groups = {};
+  for (const alt of generateMorphologyAlternatives(name)) (groups[alt.strategy] ||= []).push(alt.name);
+  return groups;
+}
+
+describe("generateMorphologyAlternatives", () => {
+  it("is deterministic and returns unchecked, registry-safe names", () => {
+    const alts = generateMorphologyAlternatives("fast-data");
+    assert.deepEqual(alts, generateMorphologyAlternatives("fast-data"));
+    assert.equal(alts.length, 31);
+    assert.equal(new Set(alts.map((a) => a.name)).size, alts.length);
+    for (const alt of alts) {
+      assert.match(alt.name, /^[a-z][a-z0-9-]{3,39}$/);
+      assert.ok(MORPHOLOGY_STRATEGIES.includes(alt.strategy));
+      assert.deepEqual(alt.availability, { checked: false, summary: "Not checked" });
+    }
+    assert.ok(!alts.some((a) => a.name === "fast-data"));
+  });
+
+  it("interleaves the strategies so the first names cover all five", () => {
+    const alts = generateMorphologyAlternatives("acme-data");
+    assert.deepEqual(alts.slice(0, 5).map((a) => a.strategy), MORPHOLOGY_STRATEGIES);
+    assert.equal(generateMorphologyAlternatives("acme-data", { limit: 7 }).length, 7);
+  });
+
+  it("builds each strategy from the lexicon", () => {
+    assert.deepEqual(byStrategy("acme-data").synonym, ["acme-ledger", "acme-record", "acme-tally"]);
+    const groups = byStrategy("fast-data");
+    assert.ok(groups.blend.includes("swifedger"));
+    assert.ok(groups.respelling.includes("swyft"));
+    assert.ok(groups.respelling.includes("ledgr"));
+    assert.ok(groups.root.includes("velodat"));
+    assert.ok(groups.root.includes("velex"));
+    // A root that spells the original word is not an alternative
+    assert.ok(!groups.root.includes("data"));
+    assert.equal(groups.coined.length, 8);
+  });
+
+  it("splits camelCase and run-together lexicon words", () => {
+    assert.equal(byStrategy("AcmeSync").synonym[0], "acme-tandem");
+    assert.equal(byStrategy("CloudSync").blend[0], "nimandem");
+    assert.equal(byStrategy("clearlane").blend[0], "lucath");
+  });
+
+  it("drops synonym names made only of lexicon words", () => {
+    assert.equal(byStrategy("deploy").synonym, undefined);
+    assert.equal(byStrategy("fast-data").synonym, undefined);
+    assert.deepEqual(byStrategy("my-deploy").synonym, ["my-launch", "my-ship", "my-field"]);
+  });
+
+  it("falls back to coined words for names outside the lexicon", () => {
+    const alts = generateMorphologyAlternatives("snipe-me");
+    assert.equal(alts.length, 8);
+    assert.ok(alts.every((a) => a.strategy === "coined" && /^[a-z]+$/.test(a.name)));
+    assert.notDeepEqual(alts, generateMorphologyAlternatives("snipe-you"));
+  });
+});
+
+describe("blend", () => {
+  it("merges an overlap or joins at the first syllable", () => {
+    assert.equal(blend("motor", "orbit"), "motorbit");
+    assert.equal(blend("swift", "forge"), "swiforge");
+    assert.equal(blend("forge", "anvil"), "foranvil");
+  });
+
+  it("returns null for a blend too long to brand", () => {
+    assert.equal(blend("kaleidoscope", "constellation"), null);
+  });
+});
+
+describe("lexiconKey", () => {
+  it("matches a word or its singular", () => {
+    assert.equal(lexiconKey("tool", SYNONYMS), "tool");
+    assert.equal(lexiconKey("tools", SYNONYMS), "tool");
+    assert.equal(lexiconKey("snipe", SYNONYMS), null);
+  });
+});
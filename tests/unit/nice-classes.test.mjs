@@ -0,0 +1,126 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  NICE_KEYWORDS,
+  parseClassList,
+  classesFromGoods,
+  classRelationship,
+  adjustSeverity,
+  describeClassRelationship,
+} from "../../src/scoring/nice-classes.mjs";
+
+describe("NICE_KEYWORDS", () => {
+  it("covers all 45 classes", () => {
+    for (let c = 1; c <= 45; c++) {
+      assert.ok(NICE_KEYWORDS[c]?.length > 0, `class ${c}`);
+    }
+  });
+});
+
+describe("parseClassList", () => {
+  it("parses, de-duplicates and sorts", () => {
+    assert.deepEqual(parseClassList("42, 9,9"), [9, 42]);
+    assert.deepEqual(parseClassList(null), []);
+    assert.deepEqual(parseClassList([35]), [35]);
+  });
+
+  it("throws COE.INIT.BAD_CLASS outside 1-45", () => {
+    assert.throws(() => parseClassList("9,46"), { code: "COE.INIT.BAD_CLASS" });
+    assert.throws(() => parseClassList("nine"), { code: "COE.INIT.BAD_CLASS" });
+    assert.throws(() => parseClassList("9,,42"), { code: "COE.INIT.BAD_CLASS" });
+  });
+});
+
+describe("classesFromGoods", () => {
+  it("maps software descriptions to classes 9 and 42", () => {
+    assert.deepEqual(classesFromGoods("Open-source CLI and hosted APIs for developers"), [9, 42]);
+  });
+
+  it("ignores words that are ambiguous in software descriptions", () => {
+    assert.deepEqual(classesFromGoods("A safe tool to watch log files"), []);
+    assert.deepEqual(classesFromGoods("Wristwatch and metal safe"), [6, 14]);
+  });
+
+  it("keeps software phrasings out of goods and services classes", () => {
+    const cases = [
+      ["search engine for code", []],
+      ["game engine", []],
+      ["bare metal provisioning tool", []],
+      ["cloud storage sdk", [9, 42]],
+      ["progress bar library", [9]],
+      ["event streaming platform", [38]],
+      ["hardware wallet app", [9]],
+      ["machine learning platform", [42]],
+      ["continuous delivery tool", []],
+    ];
+    for (const [goods, classes] of cases) assert.deepEqual(classesFromGoods(goods), classes, goods);
+  });
+
+  it("still maps the qualified goods and services keywords", () => {
+    assert.deepEqual(classesFromGoods("Combustion engines and electric motors"), [7]);
+    assert.deepEqual(classesFromGoods("Metal goods"), [6]);
+    assert.deepEqual(classesFromGoods("Warehouse storage and parcel delivery"), [39]);
+    assert.deepEqual(classesFromGoods("Cocktail bar"), [43]);
+    assert.deepEqual(classesFromGoods("Event planning"), [41]);
+    assert.deepEqual(classesFromGoods("Leather wallets"), [18]);
+  });
+
+  it("matches whole words only", () => {
+    assert.deepEqual(classesFromGoods("Craft beers and a small restaurant"), [32, 43]);
+    assert.deepEqual(classesFromGoods("barista training"), [41]);
+  });
+
+  it("returns an empty list for unmapped text", () => {
+    assert.deepEqual(classesFromGoods("xyzzy"), []);
+    assert.deepEqual(classesFromGoods(null), []);
+  });
+});
+
+describe("classRelationship", () => {
+  it("detects same, coordinated, unrelated and unknown", () => {
+    assert.deepEqual(classRelationship([9, 42], [42, 45]), { relation: "same", shared: [42], coordinated: [] });
+    assert.deepEqual(classRelationship([9], [35]), { relation: "coordinated", shared: [], coordinated: [35] });
+    assert.equal(classRelationship([9], [32]).relation, "unrelated");
+    assert.equal(classRelationship([], [9]).relation, "unknown");
+    assert.equal(classRelationship([9], []).relation, "unknown");
+  });
+});
+
+describe("adjustSeverity", () => {
+  it("raises for same class and lowers for unrelated", () => {
+    assert.equal(adjustSeverity("medium", "same", 0.75), "high");
+    assert.equal(adjustSeverity("high", "same", 0.9), "high");
+    assert.equal(adjustSeverity("high", "unrelated", 0.9), "medium");
+    assert.equal(adjustSeverity("low", "unrelated", 0.7), "low");
+    assert.equal(adjustSeverity("medium", "unknown", 0.9), "medium");
+  });
+
+  it("raises coordinated classes only for strong similarity", () => {
+    assert.equal(adjustSeverity("medium", "coordinated", 0.82), "high");
+    assert.equal(adjustSeverity("medium", "coordinated", 0.72), "medium");
+  });
+});
+
+describe("describeClassRelationship", () => {
+  it("explains each relationship", () => {
+    assert.equal(
+      describeClassRelationship({ relation: "same", shared: [9], coordinated: [] }, [9], [9], { before: "medium", after: "high" }),
+      "Class overlap: same Nice class 9 as the candidate (severity raised from medium to high)"
+    );
+    assert.equal(
+      describeClassRelationship({ relation: "unrelated", shared: [], coordinated: [] }, [9, 42], [32], { before: "high", after: "medium" }),
+      "Class overlap: none — mark's Nice class 32 is unrelated to the candidate's classes 9, 42 (severity lowered from high to medium)"
+    );
+    assert.equal(describeClassRelationship({ relation: "unknown", shared: [], coordinated: [] }, [], [9]), null);
+  });
+
+  it("states the actual severity change", () => {
+    const coordinated = { relation: "coordinated", shared: [], coordinated: [35] };
+    assert.equal(
+      describeClassRelationship(coordinated, [9], [35], { before: "medium", after: "medium" }),
+      "Class overlap: mark's Nice class 35 is coordinated with the candidate's class 9 (severity unchanged at medium)"
+    );
+    assert.ok(describeClassRelationship(coordinated, [9], [35], { before: "medium", after: "high" }).endsWith("(severity raised from medium to high)"));
+    assert.ok(describeClassRelationship(coordinated, [9], [35]).endsWith("class 9"));
+  });
+});
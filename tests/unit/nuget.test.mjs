@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createNuGetAdapter } from "../../src/adapters/nuget.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+
+describe("NuGet adapter", () => {
+  it("checkPackage returns available for 404", async () => {
+    const adapter = createNuGetAdapter(mockFetch(loadFixture("nuget-available.json")));
+    const { check, evidence } = await adapter.checkPackage("My.New.Package", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "nuget");
+    assert.equal(check.query.value, "My.New.Package");
+    assert.equal(evidence.source.system, "nuget");
+  });
+
+  it("queries the flat container with a lowercased ID", async () => {
+    const calls = [];
+    const adapter = createNuGetAdapter(mockFetch(loadFixture("nuget-available.json"), calls));
+    await adapter.checkPackage("Newtonsoft.Json", { now: NOW });
+
+    assert.deepEqual(calls, ["https://api.nuget.org/v3-flatcontainer/newtonsoft.json/index.json"]);
+  });
+
+  it("checkPackage returns taken for 200 with version metadata", async () => {
+    const adapter = createNuGetAdapter(mockFetch(loadFixture("nuget-taken.json")));
+    const { check } = await adapter.checkPackage("Newtonsoft.Json", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.details.versionCount, 4);
+    assert.equal(check.details.latestVersion, "13.0.3");
+  });
+
+  it("checkPackage returns unknown on network error", async () => {
+    const adapter = createNuGetAdapter(failingFetch("Connection refused"));
+    const { check } = await adapter.checkPackage("any", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.NUGET_FAIL");
+  });
+});
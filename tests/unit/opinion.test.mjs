@@ -130,6 +130,43 @@ describe("scoreOpinion", () => {
     assert.ok(result.limitations.some((l) => l.includes("network")));
   });
 
+  it("does not downgrade to YELLOW for unsupported TLDs", () => {
+    const unsupported = {
+      ...AVAILABLE_CHECK,
+      id: "chk.domain.my-tool.de",
+      namespace: "domain",
+      query: { candidateMark: "my-tool", value: "my-tool.de" },
+      status: "unsupported",
+      errors: [{ code: "COE.DOMAIN.RDAP_UNSUPPORTED", message: "No RDAP service for .de" }],
+    };
+    const result = scoreOpinion({
+      checks: [AVAILABLE_CHECK, { ...AVAILABLE_CHECK, id: "chk.github-org.my-tool", namespace: "github_org" }, unsupported],
+      findings: [],
+      variants: VARIANTS_CLEAN,
+    });
+    assert.equal(result.tier, "green");
+    assert.ok(result.limitations.some((l) => l.includes("my-tool.de")));
+  });
+
+  it("recommends watching domains that may become claimable soon", () => {
+    const lapsing = {
+      ...TAKEN_CHECK,
+      id: "chk.domain.taken-tool.com",
+      namespace: "domain",
+      query: { candidateMark: "taken-tool", value: "taken-tool.com" },
+      claimability: "claimable_soon",
+      details: { expiresAt: "2026-03-01T00:00:00Z", claimableSoonReason: "expiring" },
+    };
+    const result = scoreOpinion({
+      checks: [lapsing],
+      findings: [],
+      variants: VARIANTS_CLEAN,
+    });
+    const watch = result.recommendedActions.find((a) => a.type === "recheck_soon");
+    assert.ok(watch, "recheck_soon action must exist");
+    assert.ok(watch.details.includes("taken-tool.com (expiring, expires 2026-03-01)"));
+  });
+
   it("returns YELLOW when near_conflict finding exists", () => {
     const nearFinding = {
       id: "fd.near-conflict.0",
@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createPackagistAdapter } from "../../src/adapters/packagist.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+
+describe("Packagist adapter", () => {
+  it("checkPackage returns available for 404", async () => {
+    const calls = [];
+    const adapter = createPackagistAdapter(mockFetch(loadFixture("packagist-available.json"), calls));
+    const { check, evidence } = await adapter.checkPackage("Acme", "my-sdk", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "packagist");
+    assert.deepEqual(check.query, { candidateMark: "my-sdk", value: "acme/my-sdk" });
+    assert.deepEqual(calls, ["https://repo.packagist.org/p2/acme/my-sdk.json"]);
+    assert.equal(evidence.source.system, "packagist");
+  });
+
+  it("checkPackage returns taken for 200 with version metadata", async () => {
+    const adapter = createPackagistAdapter(mockFetch(loadFixture("packagist-taken.json")));
+    const { check } = await adapter.checkPackage("laravel", "framework", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.details.versionCount, 2);
+    assert.equal(check.details.latestVersion, "v11.38.2");
+  });
+
+  it("skips with COE.PACKAGIST.VENDOR_REQUIRED when no vendor", async () => {
+    const calls = [];
+    const adapter = createPackagistAdapter(mockFetch(loadFixture("packagist-taken.json"), calls));
+    const { check, evidence } = await adapter.checkPackage(null, "my-sdk", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.errors[0].code, "COE.PACKAGIST.VENDOR_REQUIRED");
+    assert.equal(evidence.type, "skipped");
+    assert.equal(calls.length, 0);
+  });
+
+  it("checkPackage returns unknown on network error", async () => {
+    const adapter = createPackagistAdapter(failingFetch("Connection refused"));
+    const { check } = await adapter.checkPackage("acme", "my-sdk", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.PACKAGIST_FAIL");
+  });
+});
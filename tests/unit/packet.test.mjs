@@ -239,6 +239,40 @@ describe("renderPacketHtml", () => {
     const html = renderPacketHtml(run);
     assert.ok(html.includes("(cached)"));
   });
+
+  it("includes domain registration dates for taken domains", () => {
+    const run = makeTestRun({
+      checks: [
+        {
+          id: "chk.domain.my-cool-tool.com",
+          namespace: "domain",
+          query: { candidateMark: "my-cool-tool", value: "my-cool-tool.com" },
+          status: "taken",
+          authority: "authoritative",
+          claimability: "claimable_soon",
+          observedAt: "2026-02-15T12:00:00.000Z",
+          details: {
+            registeredAt: "2018-01-10T00:00:00Z",
+            expiresAt: "2026-03-01T00:00:00Z",
+            registrar: "<b>Registrar</b>",
+            claimableSoonReason: "expiring",
+          },
+          errors: [],
+        },
+      ],
+    });
+    const html = renderPacketHtml(run);
+    assert.ok(html.includes("Domain Registration"));
+    assert.ok(html.includes("2018-01-10"));
+    assert.ok(html.includes("2026-03-01"));
+    assert.ok(html.includes("claimable soon (expiring)"));
+    assert.ok(!html.includes("<b>Registrar</b>"));
+  });
+
+  it("omits domain registration section without RDAP data", () => {
+    const html = renderPacketHtml(makeTestRun());
+    assert.ok(!html.includes("Domain Registration"));
+  });
 });
 
 describe("renderSummaryJson", () => {
@@ -404,6 +438,29 @@ describe("renderPacketHtml (Phase 6 additions)", () => {
     assert.ok(html.includes("go-my-cool-tool"));
     assert.ok(html.includes("prefix"));
   });
+
+  it("names the custom risk profile under the score breakdown", () => {
+    const base = makeTestRun();
+    const run = makeTestRun({
+      run: {
+        ...base.run,
+        riskProfile: {
+          name: "enterprise-brand",
+          base: "conservative",
+          description: "Customer-facing <names>",
+          weights: { namespaceAvailability: 40, coverageCompleteness: 25, conflictSeverity: 25, domainAvailability: 10 },
+          deductions: { exact_conflict: 30, near_conflict: 15 },
+          thresholds: { green: 90, yellow: 50 },
+        },
+      },
+      opinion: { ...base.opinion, scoreBreakdown: { overallScore: 80, tierThresholds: { green: 90, yellow: 50 } } },
+    });
+    const html = renderPacketHtml(run);
+    assert.ok(html.includes("Risk profile: <strong>enterprise-brand</strong> (extends conservative)"));
+    assert.ok(html.includes("Customer-facing &lt;names&gt;"));
+    assert.ok(html.includes("near_conflict &minus;15"));
+    assert.ok(!renderPacketHtml(makeTestRun({ opinion: run.opinion })).includes("Risk profile:"));
+  });
 });
 
 // ── Phase 6: XSS security tests ──────────────────────────────
@@ -1,6 +1,9 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { runCheck, withCache } from "../../src/pipeline.mjs";
+import { mkdirSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { runCheck, runComparison, withCache } from "../../src/pipeline.mjs";
+import { validateArtifact } from "../../src/validate.mjs";
 
 const NOW = "2026-02-15T12:00:00.000Z";
 
@@ -134,9 +137,200 @@ describe("runCheck", () => {
       fuzzyQueryMode: "off",
     });
 
-    // With fuzzy off, no variant checks
-    const variantChecks = run.checks.filter((c) => c.query?.isVariant);
+    // With fuzzy off, no fuzzy variant checks; registry-equivalent forms are still queried
+    const variantChecks = run.checks.filter((c) => c.query?.isVariant && !c.query.equivalenceRule);
     assert.equal(variantChecks.length, 0);
+    assert.deepEqual(run.checks.filter((c) => c.query?.equivalenceRule).map((c) => c.query.value), ["testtool", "test_tool", "test.tool"]);
+  });
+
+  it("checks every TLD in a preset", async () => {
+    const run = await runCheck("test-tool", {
+      channels: ["domain"],
+      tlds: "tech",
+      rdapBootstrap: "off",
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    const domains = run.checks.filter((c) => c.namespace === "domain").map((c) => c.query.value);
+    assert.deepEqual(domains, ["test-tool.io", "test-tool.ai", "test-tool.app", "test-tool.dev"]);
+  });
+
+  it("records geographies in intake and filters corpus marks by jurisdiction", async () => {
+    const run = await runCheck("clearlane", {
+      channels: ["npm"],
+      geographies: "DE,us",
+      corpusPath: join(import.meta.dirname, "..", "fixtures", "corpus", "jurisdiction-corpus.json"),
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.deepEqual(run.intake.geographies, [
+      { type: "country", code: "DE" },
+      { type: "country", code: "US" },
+    ]);
+    const summaries = run.findings.map((f) => f.summary).filter((s) => s.includes("known mark"));
+    assert.ok(summaries.some((s) => s.includes(" in EU")));
+    assert.ok(summaries.some((s) => s.includes(" in US")));
+    assert.ok(!summaries.some((s) => s.includes(" in JP")));
+  });
+
+  it("records goods and Nice classes in intake and weights corpus matches", async () => {
+    const run = await runCheck("clearlane", {
+      channels: ["npm"],
+      goods: "Hosted API for developers",
+      classes: "9",
+      corpusPath: join(import.meta.dirname, "..", "fixtures", "corpus", "jurisdiction-corpus.json"),
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+    });
+
+    assert.equal(run.intake.goodsServices, "Hosted API for developers");
+    assert.deepEqual(run.intake.niceClassesHint, [9, 42]);
+    const corpusFindings = run.findings.filter((f) => f.summary.includes("known mark"));
+    assert.ok(corpusFindings.length > 0);
+    assert.ok(corpusFindings.every((f) => f.why.some((w) => w.startsWith("Class overlap: same Nice classes 9, 42"))));
+  });
+
+  it("defaults geographies to GLOBAL", async () => {
+    const run = await runCheck("test-tool", { channels: ["npm"], fetchFn: allAvailableFetch(), now: NOW });
+    assert.deepEqual(run.intake.geographies, [{ type: "region", code: "GLOBAL" }]);
+  });
+
+  it("records the effective config and applies weight overrides", async () => {
+    const config = {
+      sources: [{ layer: "project", path: "coe.config.json" }, { layer: "flags", keys: ["--channels"] }],
+      effective: { channels: ["npm"], risk: "balanced" },
+    };
+    const weights = { namespaceAvailability: 100, coverageCompleteness: 0, conflictSeverity: 0, domainAvailability: 0 };
+    const run = await runCheck("test-tool", {
+      channels: ["npm"],
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      riskTolerance: "balanced",
+      weights,
+      config,
+    });
+
+    assert.deepEqual(run.run.config, config);
+    assert.equal(run.opinion.scoreBreakdown.overallScore, 100);
+    assert.equal(validateArtifact(run, "run").valid, true);
+  });
+
+  it("embeds a custom risk profile and scores with it", async () => {
+    const riskProfiles = {
+      "enterprise-brand": { description: "Customer-facing names", thresholds: { green: 90, yellow: 60 } },
+    };
+    const run = await runCheck("test-tool", {
+      channels: ["npm"],
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      riskTolerance: "enterprise-brand",
+      riskProfiles,
+    });
+
+    assert.equal(run.intake.riskTolerance, "conservative");
+    assert.equal(run.run.riskProfile.name, "enterprise-brand");
+    assert.equal(run.run.riskProfile.base, "conservative");
+    assert.deepEqual(run.opinion.scoreBreakdown.tierThresholds, { green: 90, yellow: 60 });
+    assert.equal(validateArtifact(run, "run").valid, true);
+
+    const builtin = await runCheck("test-tool", { channels: ["npm"], fetchFn: allAvailableFetch(), now: NOW, riskProfiles });
+    assert.equal(builtin.run.riskProfile, undefined);
+  });
+
+  it("omits run.config when no config is given", async () => {
+    const run = await runCheck("test-tool", { channels: ["npm"], fetchFn: allAvailableFetch(), now: NOW });
+    assert.equal(run.run.config, undefined);
+  });
+
+  it("checks safer alternatives until enough come back green", async () => {
+    // No lexicon words in "snipe-me": the morphology names are coined words.
+    // "prube" is free but npm would reject it: "pru-be" is taken
+    const taken = ["snipe-me", "ledru", "pru-be"];
+    const fetchFn = async (url) => {
+      const hit = taken.some((name) => url.endsWith(`/${name}`));
+      return { ok: hit, status: hit ? 200 : 404, text: async () => "", json: async () => ({}) };
+    };
+    const run = await runCheck("snipe-me", {
+      channels: ["npm"],
+      fetchFn,
+      now: NOW,
+      fuzzyQueryMode: "off",
+      suggest: true,
+      suggestCount: 2,
+    });
+
+    assert.deepEqual(run.opinion.saferAlternatives.map((a) => [a.name, a.tier]), [
+      ["begrigu", "green"],
+      ["puvatral", "green"],
+    ]);
+    assert.ok(run.opinion.saferAlternatives.every((a) => a.strategy === "coined"));
+    // 4 names checked: each literal plus its npm split forms. The affix
+    // names ("go-snipe-me", …) all read as the candidate and are filtered
+    assert.deepEqual(run.opinion.alternativeSearch, {
+      target: 2, found: 2, checked: 4, filtered: 12, requests: 16, budget: 100, stopReason: "found",
+    });
+    // Alternative checks stay out of the candidate's own checks
+    assert.ok(run.checks.every((c) => (c.query.originalCandidate || c.query.candidateMark) === "snipe-me"));
+    const tryAlt = run.opinion.nextActions.find((a) => a.type === "try_alternative");
+    assert.ok(tryAlt.reason.includes("begrigu, puvatral"));
+    assert.equal(validateArtifact(run, "run").valid, true);
+  });
+
+  it("reads the corpus once for the candidate and its alternatives", async () => {
+    const dir = join(import.meta.dirname, "..", ".tmp-pipeline-corpus");
+    mkdirSync(dir, { recursive: true });
+    const corpusPath = join(dir, "corpus.json");
+    writeFileSync(corpusPath, JSON.stringify({ marks: [{ mark: "Snipe Me", class: 9 }] }), "utf8");
+    try {
+      // Break the file once the candidate's own checks are done: an
+      // alternative that re-read it would fail its check
+      const fetchFn = async (url) => {
+        if (!/snipe/.test(url)) writeFileSync(corpusPath, "{ not json", "utf8");
+        return { ok: false, status: 404, text: async () => "", json: async () => ({}) };
+      };
+      const run = await runCheck("snipe-me", {
+        channels: ["npm"],
+        fetchFn,
+        now: NOW,
+        fuzzyQueryMode: "off",
+        corpusPath,
+        suggest: true,
+        suggestCount: 2,
+      });
+
+      assert.ok(run.findings.some((f) => f.summary.includes("known mark \"Snipe Me\"")));
+      assert.equal(run.opinion.saferAlternatives.length, 2);
+      assert.ok(run.opinion.saferAlternatives.every((a) => a.availability.checked && a.tier === "green"));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("stops the alternative search at the request budget", async () => {
+    const run = await runCheck("test-tool", {
+      channels: ["npm"],
+      fetchFn: allAvailableFetch(),
+      now: NOW,
+      fuzzyQueryMode: "off",
+      suggest: true,
+      suggestBudget: 6,
+    });
+    // 5 requests per one-word name (literal plus npm split forms): the
+    // second check starts under budget and runs to completion
+    assert.equal(run.opinion.alternativeSearch.stopReason, "budget");
+    assert.equal(run.opinion.alternativeSearch.checked, 2);
+    assert.equal(run.opinion.saferAlternatives.length, 2);
+
+    const unchecked = await runCheck("test-tool", {
+      channels: ["npm"], fetchFn: allAvailableFetch(), now: NOW, fuzzyQueryMode: "off", suggest: true, suggestBudget: 0,
+    });
+    assert.equal(unchecked.opinion.saferAlternatives.length, 5);
+    assert.ok(unchecked.opinion.saferAlternatives.every((a) => !a.availability.checked));
   });
 });
 
@@ -162,3 +356,72 @@ describe("withCache", () => {
     assert.equal(result.check.cacheHit, false);
   });
 });
+
+describe("runComparison", () => {
+  /** npm answers 200 for names in `taken`, 404 for everything else. */
+  function npmFetch(taken = []) {
+    return async (url) => {
+      const hit = taken.some((name) => url.endsWith(`/${name}`));
+      return {
+        ok: hit,
+        status: hit ? 200 : 404,
+        text: async () => (hit ? "{}" : "Not Found"),
+        json: async () => ({}),
+      };
+    };
+  }
+
+  const opts = {
+    channels: ["npm"],
+    fetchFn: npmFetch(["taken-tool"]),
+    now: NOW,
+    fuzzyQueryMode: "off",
+  };
+
+  it("checks every candidate into one run", async () => {
+    const run = await runComparison(["taken-tool", "free-tool"], opts);
+
+    assert.deepEqual(run.intake.candidates.map((c) => c.mark), ["taken-tool", "free-tool"]);
+    assert.deepEqual(run.variants.items.map((v) => v.candidateMark), ["taken-tool", "free-tool"]);
+    assert.deepEqual(run.checks.filter((c) => !c.query.isVariant).map((c) => c.query.candidateMark), ["taken-tool", "free-tool"]);
+    assert.ok(run.findings.every((f) => f.candidateMark === "taken-tool"));
+    assert.match(run.run.runId, /^run\.2026-02-15\.[a-f0-9]{8}$/);
+  });
+
+  it("ranks candidates and uses the top-ranked opinion", async () => {
+    const run = await runComparison(["taken-tool", "free-tool"], opts);
+
+    assert.deepEqual(run.comparison.candidates.map((c) => [c.mark, c.rank, c.opinion.tier]), [
+      ["free-tool", 1, "green"],
+      ["taken-tool", 2, "red"],
+    ]);
+    assert.deepEqual(run.opinion, run.comparison.candidates[0].opinion);
+    assert.equal(run.comparison.crossSimilarity.length, 1);
+    assert.equal(validateArtifact(run, "run").valid, true);
+  });
+
+  it("keeps ids unique across candidates and rewrites references", async () => {
+    const run = await runComparison(["clearlane", "clearlayne"], {
+      ...opts,
+      fetchFn: npmFetch(["clearlane", "clearlayne"]),
+      corpusPath: join(import.meta.dirname, "..", "fixtures", "corpus", "jurisdiction-corpus.json"),
+    });
+
+    for (const list of [run.checks, run.findings, run.evidence]) {
+      const ids = list.map((x) => x.id);
+      assert.equal(new Set(ids).size, ids.length);
+    }
+    const evidenceIds = new Set(run.evidence.map((e) => e.id));
+    for (const f of run.findings) {
+      for (const ref of f.evidenceRefs || []) assert.ok(evidenceIds.has(ref), `dangling ${ref}`);
+    }
+    const second = run.findings.filter((f) => f.candidateMark === "clearlayne");
+    assert.ok(second.some((f) => f.id.endsWith(".c2")));
+  });
+
+  it("is deterministic", async () => {
+    const a = await runComparison(["taken-tool", "free-tool"], opts);
+    const b = await runComparison(["taken-tool", "free-tool"], opts);
+    assert.deepEqual(a, b);
+  });
+});
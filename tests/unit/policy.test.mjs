@@ -0,0 +1,233 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import {
+  validatePolicy,
+  loadPolicy,
+  getDefaultPolicy,
+  evaluatePolicy,
+} from "../../src/scoring/policy.mjs";
+import { scoreOpinion } from "../../src/scoring/opinion.mjs";
+import { runCheck } from "../../src/pipeline.mjs";
+import { validateArtifact } from "../../src/validate.mjs";
+
+const NOW = "2026-02-15T12:00:00.000Z";
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-policy");
+
+let seq = 0;
+function check(namespace, value, status, extra = {}) {
+  const evidenceRef = `ev.${namespace}.${seq++}`;
+  return { id: `chk.${namespace}.${seq}`, namespace, query: { candidateMark: "acme", value, ...extra }, status, authority: "authoritative", evidenceRef };
+}
+
+function finding(kind, evidenceRefs = [], severity = "high") {
+  return { id: `fd.${kind}.${seq++}`, candidateMark: "acme", kind, summary: kind, severity, score: 50, why: [], evidenceRefs };
+}
+
+/** The three example rules from the policy format's motivating cases. */
+const TEAM_POLICY = validatePolicy({
+  id: "team",
+  version: "2026.1",
+  rules: [
+    { id: "npm-exact", tier: "red", reason: "npm name is taken", when: { findings: { kind: "exact_conflict", namespace: "npm" } } },
+    { id: "crowded", tier: "yellow", when: { findings: { kind: "variant_taken" }, min: 3 } },
+    {
+      id: "com-taken-aggressive",
+      tier: "yellow",
+      when: { all: [{ riskTolerance: "aggressive" }, { checks: { namespace: "domain", tld: "com", status: "taken" } }] },
+    },
+    { id: "ok", tier: "green" },
+  ],
+});
+
+describe("validatePolicy", () => {
+  it("accepts the shipped default policy", () => {
+    const policy = getDefaultPolicy();
+    assert.equal(policy.id, "default");
+    assert.equal(policy.rules.at(-1).when, undefined);
+  });
+
+  it("requires an id and a non-empty rule list", () => {
+    assert.throws(() => validatePolicy({ rules: [{ id: "a", tier: "green" }] }), { code: "COE.POLICY.INVALID" });
+    assert.throws(() => validatePolicy({ id: "x", rules: [] }), { code: "COE.POLICY.INVALID" });
+  });
+
+  it("requires an unconditional last rule", () => {
+    assert.throws(
+      () => validatePolicy({ id: "x", rules: [{ id: "a", tier: "red", when: { findings: { kind: "exact_conflict" } } }] }),
+      /last rule \("a"\) must have no "when"/
+    );
+  });
+
+  it("rejects unreachable rules after a catch-all", () => {
+    assert.throws(
+      () => validatePolicy({ id: "x", rules: [{ id: "a", tier: "green" }, { id: "b", tier: "red" }] }),
+      /rules\[0\] \("a"\) has no "when"/
+    );
+  });
+
+  it("rejects duplicate ids, bad tiers and unknown keys", () => {
+    assert.throws(() => validatePolicy({ id: "x", rules: [{ id: "a", tier: "red", when: { checks: {} } }, { id: "a", tier: "green" }] }), /duplicate rule id "a"/);
+    assert.throws(() => validatePolicy({ id: "x", rules: [{ id: "a", tier: "amber" }] }), /"tier" must be one of/);
+    assert.throws(() => validatePolicy({ id: "x", rule: [] }), /Unknown policy key "rule"/);
+  });
+
+  it("reports the location of a bad nested condition", () => {
+    assert.throws(
+      () => validatePolicy({
+        id: "x",
+        rules: [
+          { id: "a", tier: "red", when: { all: [{ findings: { kind: "exact_conflict" } }, { checks: { status: "taken" }, min: -1 }] } },
+          { id: "b", tier: "green" },
+        ],
+      }),
+      /rules\[0\] \("a"\)\.when\.all\[1\]: "min" must be a non-negative integer/
+    );
+    assert.throws(
+      () => validatePolicy({ id: "x", rules: [{ id: "a", tier: "red", when: { score: { below: "orange" } } }, { id: "b", tier: "green" }] }),
+      /"score.below" must be/
+    );
+    assert.throws(
+      () => validatePolicy({ id: "x", rules: [{ id: "a", tier: "red", when: { sometimes: true } }, { id: "b", tier: "green" }] }),
+      /unknown condition/
+    );
+  });
+});
+
+describe("loadPolicy", () => {
+  function withFile(name, content, fn) {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const path = join(TMP_DIR, name);
+    writeFileSync(path, content);
+    try { fn(path); } finally { rmSync(TMP_DIR, { recursive: true, force: true }); }
+  }
+
+  it("throws COE.POLICY.NOT_FOUND for a missing file", () => {
+    assert.throws(() => loadPolicy(join(TMP_DIR, "missing.json")), { code: "COE.POLICY.NOT_FOUND" });
+  });
+
+  it("throws COE.POLICY.PARSE_FAIL for malformed JSON", () => {
+    withFile("bad.json", "{ nope", (path) => {
+      assert.throws(() => loadPolicy(path), { code: "COE.POLICY.PARSE_FAIL", path });
+    });
+  });
+
+  it("throws COE.POLICY.INVALID with the file path", () => {
+    withFile("invalid.json", JSON.stringify({ id: "x", rules: [{ id: "a", tier: "blue" }] }), (path) => {
+      assert.throws(() => loadPolicy(path), { code: "COE.POLICY.INVALID", path });
+    });
+  });
+});
+
+describe("evaluatePolicy", () => {
+  it("fires the npm exact-conflict rule only for npm findings", () => {
+    const npm = check("npm", "acme", "taken");
+    const pypi = check("pypi", "acme", "taken");
+    assert.equal(evaluatePolicy(TEAM_POLICY, { checks: [npm], findings: [finding("exact_conflict", [npm.evidenceRef])] }).rule.id, "npm-exact");
+    assert.equal(evaluatePolicy(TEAM_POLICY, { checks: [pypi], findings: [finding("exact_conflict", [pypi.evidenceRef])] }).tier, "green");
+  });
+
+  it("counts findings against min", () => {
+    const two = [finding("variant_taken"), finding("variant_taken")];
+    assert.equal(evaluatePolicy(TEAM_POLICY, { findings: two }).rule.id, "ok");
+    assert.equal(evaluatePolicy(TEAM_POLICY, { findings: [...two, finding("variant_taken")] }).rule.id, "crowded");
+  });
+
+  it("matches domain checks by tld and risk tolerance", () => {
+    const checks = [check("domain", "acme.com", "taken"), check("domain", "acme.dev", "available")];
+    assert.equal(evaluatePolicy(TEAM_POLICY, { checks, riskTolerance: "aggressive" }).rule.id, "com-taken-aggressive");
+    assert.equal(evaluatePolicy(TEAM_POLICY, { checks, riskTolerance: "balanced" }).rule.id, "ok");
+    assert.equal(
+      evaluatePolicy(TEAM_POLICY, { checks: [check("domain", "acme.co.uk", "taken")], riskTolerance: "aggressive" }).rule.id,
+      "ok"
+    );
+  });
+
+  it("matches a custom profile by name or by the built-in it extends", () => {
+    const checks = [check("domain", "acme.com", "taken")];
+    assert.equal(evaluatePolicy(TEAM_POLICY, { checks, riskTolerance: "aggressive", profileName: "internal" }).rule.id, "com-taken-aggressive");
+  });
+
+  it("compares the overall score against tier thresholds", () => {
+    const policy = validatePolicy({
+      id: "score",
+      rules: [
+        { id: "low", tier: "red", when: { score: { below: "yellow" } } },
+        { id: "mid", tier: "yellow", when: { not: { score: { atLeast: 90 } } } },
+        { id: "high", tier: "green" },
+      ],
+    });
+    const breakdown = (overallScore) => ({ overallScore, tierThresholds: { green: 80, yellow: 50 } });
+    assert.equal(evaluatePolicy(policy, { scoreBreakdown: breakdown(40) }).rule.id, "low");
+    assert.equal(evaluatePolicy(policy, { scoreBreakdown: breakdown(85) }).rule.id, "mid");
+    assert.equal(evaluatePolicy(policy, { scoreBreakdown: breakdown(95) }).rule.id, "high");
+  });
+});
+
+describe("scoreOpinion with policies", () => {
+  const variants = { items: [{ candidateMark: "acme" }] };
+
+  it("records the default policy rule that fired", () => {
+    const npm = check("npm", "acme", "taken");
+    const opinion = scoreOpinion({ checks: [npm], findings: [finding("exact_conflict", [npm.evidenceRef])], variants });
+    assert.equal(opinion.tier, "red");
+    assert.deepEqual(opinion.policy, { id: "default", version: 1, rule: "exact-conflict" });
+
+    const clear = scoreOpinion({ checks: [check("npm", "acme", "available")], findings: [], variants });
+    assert.equal(clear.tier, "green");
+    assert.equal(clear.policy.rule, "all-clear");
+  });
+
+  it("lets a looser policy clear variant_taken findings", () => {
+    const loose = validatePolicy({
+      id: "loose",
+      rules: [{ id: "exact", tier: "red", when: { findings: { kind: "exact_conflict" } } }, { id: "rest", tier: "green" }],
+    });
+    const data = { checks: [check("npm", "acme", "available")], findings: [finding("variant_taken", [], "medium")], variants };
+    assert.equal(scoreOpinion(data).tier, "yellow");
+
+    const opinion = scoreOpinion(data, { policy: loose });
+    assert.equal(opinion.tier, "green");
+    assert.deepEqual(opinion.policy, { id: "loose", rule: "rest" });
+    assert.deepEqual(opinion.reasons, ['Policy rule "rest" matched', "Namespace checks: 1 available", "Findings: 1 variant_taken"]);
+  });
+
+  it("explains a custom policy's tier by its rule, not by the default rules", () => {
+    const lenient = validatePolicy({ id: "lenient", rules: [{ id: "ship-it", tier: "green", description: "Everything ships" }] });
+    const npm = check("npm", "acme", "taken");
+    const opinion = scoreOpinion({ checks: [npm], findings: [finding("exact_conflict", [npm.evidenceRef])], variants }, { policy: lenient });
+
+    assert.equal(opinion.tier, "green");
+    assert.deepEqual(opinion.reasons, ["Everything ships", "Namespace checks: 1 taken", "Findings: 1 exact_conflict"]);
+    assert.equal(opinion.summary, 'Policy "lenient" rates "acme" GREEN (rule "ship-it"). 1 finding(s) recorded; review them before proceeding.');
+    assert.ok(!opinion.reasons.some((r) => r.startsWith("Exact conflict")));
+    assert.ok(!opinion.summary.includes("Safe to proceed"));
+  });
+
+  it("puts the fired rule's reason first", () => {
+    const npm = check("npm", "acme", "taken");
+    const opinion = scoreOpinion({ checks: [npm], findings: [finding("exact_conflict", [npm.evidenceRef])], variants }, { policy: TEAM_POLICY });
+    assert.equal(opinion.reasons[0], "npm name is taken");
+    assert.equal(opinion.reasons.length, 3);
+  });
+});
+
+describe("runCheck with a policy", () => {
+  const availableFetch = async () => ({ ok: false, status: 404, text: async () => "Not Found", json: async () => ({}) });
+
+  it("embeds a custom policy in run.policy and validates", async () => {
+    const policy = validatePolicy({ id: "review-all", rules: [{ id: "always-review", tier: "yellow" }] });
+    const run = await runCheck("acme-tool", { channels: ["npm"], fetchFn: availableFetch, now: NOW, fuzzyQueryMode: "off", policy });
+    assert.deepEqual(run.run.policy, policy);
+    assert.equal(run.opinion.tier, "yellow");
+    assert.deepEqual(run.opinion.policy, { id: "review-all", rule: "always-review" });
+    assert.equal(validateArtifact(run, "run").valid, true);
+  });
+
+  it("records no run.policy for the default policy", async () => {
+    const run = await runCheck("acme-tool", { channels: ["npm"], fetchFn: availableFetch, now: NOW, fuzzyQueryMode: "off" });
+    assert.equal(run.run.policy, undefined);
+    assert.equal(run.opinion.policy.id, "default");
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import {
+  parseBootstrap,
+  findRdapServer,
+  readBootstrapFile,
+  loadBootstrap,
+  IANA_BOOTSTRAP_URL,
+} from "../../src/adapters/rdap-bootstrap.mjs";
+import { createCache } from "../../src/lib/cache.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+const TMP_DIR = join(__dirname, "..", ".tmp-rdap-bootstrap");
+
+const FIXTURE = JSON.parse(readFileSync(join(fixturesDir, "rdap-bootstrap.json"), "utf8"));
+const DOC = JSON.parse(FIXTURE.body);
+
+function fixtureFetch(calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return { status: FIXTURE.status, text: async () => FIXTURE.body };
+  };
+}
+
+describe("parseBootstrap", () => {
+  it("maps every TLD to its service URL", () => {
+    const bootstrap = parseBootstrap(DOC);
+    assert.equal(bootstrap.servers.get("com"), "https://rdap.verisign.com/com/v1/");
+    assert.equal(bootstrap.servers.get("page"), "https://pubapi.registry.google/rdap/");
+    assert.equal(bootstrap.publication, "2026-02-10T18:00:01Z");
+    assert.equal(bootstrap.source, IANA_BOOTSTRAP_URL);
+  });
+
+  it("prefers https endpoints", () => {
+    const bootstrap = parseBootstrap(DOC);
+    assert.equal(bootstrap.servers.get("io"), "https://rdap.identitydigital.services/rdap/");
+  });
+
+  it("adds a trailing slash to base URLs", () => {
+    const bootstrap = parseBootstrap(DOC);
+    assert.equal(bootstrap.servers.get("uk"), "https://rdap.nominet.uk/uk/");
+  });
+
+  it("returns null for documents without services", () => {
+    assert.equal(parseBootstrap({}), null);
+    assert.equal(parseBootstrap({ services: [] }), null);
+    assert.equal(parseBootstrap(null), null);
+  });
+});
+
+describe("findRdapServer", () => {
+  const bootstrap = parseBootstrap(DOC);
+
+  it("finds servers by TLD with or without a leading dot", () => {
+    assert.equal(findRdapServer(bootstrap, ".com"), "https://rdap.verisign.com/com/v1/");
+    assert.equal(findRdapServer(bootstrap, "DEV"), "https://pubapi.registry.google/rdap/");
+  });
+
+  it("returns null for TLDs without RDAP", () => {
+    assert.equal(findRdapServer(bootstrap, ".de"), null);
+  });
+});
+
+describe("loadBootstrap", () => {
+  afterEach(() => {
+    try { rmSync(TMP_DIR, { recursive: true, force: true }); } catch {}
+  });
+
+  it("reads a local dns.json without touching the network", async () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const path = join(TMP_DIR, "dns.json");
+    writeFileSync(path, FIXTURE.body, "utf8");
+
+    const calls = [];
+    const bootstrap = await loadBootstrap({ path, fetchFn: fixtureFetch(calls) });
+    assert.equal(calls.length, 0);
+    assert.equal(bootstrap.source, path);
+    assert.ok(bootstrap.servers.has("com"));
+  });
+
+  it("throws COE.DOMAIN.BOOTSTRAP_INVALID for an unusable file", () => {
+    mkdirSync(TMP_DIR, { recursive: true });
+    const path = join(TMP_DIR, "bad.json");
+    writeFileSync(path, "{\"services\":[]}", "utf8");
+
+    assert.throws(() => readBootstrapFile(path), { code: "COE.DOMAIN.BOOTSTRAP_INVALID" });
+    assert.throws(() => readBootstrapFile(join(TMP_DIR, "missing.json")), { code: "COE.DOMAIN.BOOTSTRAP_INVALID" });
+  });
+
+  it("fetches from IANA and reuses the cached copy", async () => {
+    const cache = createCache(join(TMP_DIR, "cache"));
+    const calls = [];
+
+    const first = await loadBootstrap({ fetchFn: fixtureFetch(calls), cache });
+    const second = await loadBootstrap({ fetchFn: fixtureFetch(calls), cache });
+
+    assert.deepEqual(calls, [IANA_BOOTSTRAP_URL]);
+    assert.deepEqual([...second.servers], [...first.servers]);
+  });
+
+  it("returns null when IANA is unreachable or returns garbage", async () => {
+    assert.equal(await loadBootstrap({ fetchFn: async () => { throw new Error("offline"); } }), null);
+    assert.equal(await loadBootstrap({ fetchFn: async () => ({ status: 404, text: async () => "" }) }), null);
+    assert.equal(await loadBootstrap({ fetchFn: async () => ({ status: 200, text: async () => "{}" }) }), null);
+  });
+});
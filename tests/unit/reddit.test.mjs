@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createRedditAdapter, subredditName } from "../../src/adapters/reddit.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+describe("Reddit adapter", () => {
+  it("checkUser returns taken for an existing account", async () => {
+    const calls = [];
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-user-taken.json"), calls));
+    const { check, evidence } = await adapter.checkUser("spez", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "reddit_user");
+    assert.deepEqual(calls, ["https://www.reddit.com/user/spez/about.json"]);
+    assert.equal(evidence.source.system, "reddit");
+    assert.match(evidence.repro[0], /User-Agent/);
+  });
+
+  it("checkUser 404 is indicative available", async () => {
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-user-available.json")));
+    const { check } = await adapter.checkUser("my-new-tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("checkSubreddit returns taken with subscribers", async () => {
+    const calls = [];
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-subreddit-taken.json"), calls));
+    const { check } = await adapter.checkSubreddit("javascript", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.namespace, "reddit_subreddit");
+    assert.equal(check.details.subscribers, 2500000);
+    assert.deepEqual(calls, ["https://www.reddit.com/r/javascript/about.json"]);
+  });
+
+  it("a banned subreddit is taken, with the reason", async () => {
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-subreddit-banned.json")));
+    const { check } = await adapter.checkSubreddit("badplace", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.details.reason, "banned");
+  });
+
+  it("a redirect to subreddit search is indicative available", async () => {
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-subreddit-search.json")));
+    const { check } = await adapter.checkSubreddit("my-new-tool", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "indicative");
+    assert.deepEqual(check.query, { candidateMark: "my-new-tool", value: "mynewtool" });
+  });
+
+  it("rate limiting is unknown", async () => {
+    const adapter = createRedditAdapter(mockFetch({ status: 429, body: "Too Many Requests" }));
+    const { check } = await adapter.checkUser("my-tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("names Reddit rejects are unsupported without a request", async () => {
+    const calls = [];
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-user-available.json"), calls));
+    const { check: user } = await adapter.checkUser("ab", { now: NOW });
+    const { check: sub } = await adapter.checkSubreddit("a-very-long-candidate-name", { now: NOW });
+
+    assert.equal(calls.length, 0);
+    assert.equal(user.status, "unsupported");
+    assert.equal(sub.status, "unsupported");
+    assert.equal(sub.errors[0].code, "COE.SOCIAL.INVALID_HANDLE");
+  });
+
+  it("returns unknown on network error", async () => {
+    const adapter = createRedditAdapter(failingFetch("Connection refused"));
+    const { check, evidence } = await adapter.checkSubreddit("my-tool", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.REDDIT_FAIL");
+    assert.match(evidence.notes, /Connection refused/);
+  });
+
+  it("honors a custom base URL", async () => {
+    const calls = [];
+    const adapter = createRedditAdapter(mockFetch(loadFixture("reddit-user-available.json"), calls), {
+      baseUrl: "http://127.0.0.1:4010/",
+    });
+    await adapter.checkUser("my-tool", { now: NOW });
+    assert.deepEqual(calls, ["http://127.0.0.1:4010/user/my-tool/about.json"]);
+  });
+});
+
+describe("subredditName", () => {
+  it("removes hyphens and dots", () => {
+    assert.equal(subredditName("my-cool.tool"), "mycooltool");
+    assert.equal(subredditName("my_tool"), "my_tool");
+  });
+});
@@ -3,7 +3,7 @@ import assert from "node:assert/strict";
 import { writeFileSync, readFileSync, mkdirSync, rmSync, existsSync } from "node:fs";
 import { join } from "node:path";
 import { refreshRun } from "../../src/refresh.mjs";
-import { runCheck } from "../../src/pipeline.mjs";
+import { runCheck, runComparison } from "../../src/pipeline.mjs";
 
 const NOW = "2026-02-15T12:00:00.000Z";
 const STALE_TIME = "2026-02-10T12:00:00.000Z"; // 5 days old
@@ -156,6 +156,63 @@ describe("refreshRun", () => {
     } finally { cleanup(); }
   });
 
+  it("re-scores with the run's embedded risk profile", async () => {
+    setup();
+    try {
+      const run = await runCheck("test-tool", {
+        channels: ["npm"],
+        fetchFn: allAvailableFetch(),
+        now: STALE_TIME,
+        fuzzyQueryMode: "off",
+        riskTolerance: "strict",
+        riskProfiles: { strict: { thresholds: { green: 95, yellow: 70 } } },
+      });
+      const dir = writeRunDir("profile-run", run);
+
+      const result = await refreshRun(dir, {
+        maxAgeHours: 24,
+        fetchFn: allAvailableFetch(),
+        now: NOW,
+      });
+
+      assert.equal(result.refreshed, true);
+      assert.deepEqual(result.run.run.riskProfile, run.run.riskProfile);
+      assert.deepEqual(result.run.opinion.scoreBreakdown.tierThresholds, { green: 95, yellow: 70 });
+    } finally { cleanup(); }
+  });
+
+  it("re-scores with the run's embedded opinion policy", async () => {
+    setup();
+    try {
+      const policy = {
+        id: "strict-npm",
+        rules: [
+          { id: "any-available", tier: "yellow", when: { checks: { namespace: "npm", status: "available" } } },
+          { id: "fallback", tier: "green" },
+        ],
+      };
+      const run = await runCheck("my-cool-tool", {
+        channels: ["npm"],
+        fetchFn: allAvailableFetch(),
+        now: STALE_TIME,
+        fuzzyQueryMode: "off",
+        policy,
+      });
+      const dir = writeRunDir("policy-run", run);
+
+      const result = await refreshRun(dir, {
+        maxAgeHours: 24,
+        fetchFn: allAvailableFetch(),
+        now: NOW,
+      });
+
+      assert.equal(result.refreshed, true);
+      assert.deepEqual(result.run.run.policy, policy);
+      assert.equal(result.run.opinion.tier, "yellow");
+      assert.deepEqual(result.run.opinion.policy, { id: "strict-npm", rule: "any-available" });
+    } finally { cleanup(); }
+  });
+
   it("throws for non-existent run directory", async () => {
     setup();
     try {
@@ -185,4 +242,104 @@ describe("refreshRun", () => {
       );
     } finally { cleanup(); }
   });
+
+  it("refuses comparative runs", async () => {
+    setup();
+    try {
+      const run = await runComparison(["test-tool", "other-tool"], {
+        channels: ["npm"],
+        fetchFn: allAvailableFetch(),
+        now: STALE_TIME,
+        fuzzyQueryMode: "off",
+      });
+      const dir = writeRunDir("comparative", run);
+
+      await assert.rejects(
+        () => refreshRun(dir, { fetchFn: allAvailableFetch(), now: NOW }),
+        { code: "COE.REFRESH.COMPARATIVE_RUN" }
+      );
+    } finally { cleanup(); }
+  });
+
+  it("re-runs stale checks for every channel with the recorded query", async () => {
+    setup();
+    try {
+      const run = await runCheck("test-tool", {
+        channels: ["github", "domain", "rubygems", "nuget", "maven", "packagist", "golang"],
+        org: "acme",
+        mavenGroup: "com.acme",
+        fetchFn: allAvailableFetch(),
+        now: STALE_TIME,
+        fuzzyQueryMode: "off",
+      });
+      const dir = writeRunDir("sdk-run", run);
+
+      const urls = [];
+      const result = await refreshRun(dir, {
+        maxAgeHours: 24,
+        fetchFn: async (url) => { urls.push(url); return allAvailableFetch()(url); },
+        now: NOW,
+      });
+
+      assert.equal(result.refreshedCount, run.checks.length);
+      assert.ok(result.run.checks.every((c) => c.observedAt === NOW));
+      assert.ok(urls.includes("https://api.github.com/repos/acme/test-tool"));
+      assert.ok(urls.includes("https://rubygems.org/api/v1/gems/test-tool.json"));
+      assert.ok(urls.includes("https://api.nuget.org/v3-flatcontainer/test-tool/index.json"));
+      assert.ok(urls.includes("https://repo1.maven.org/maven2/com/acme/test-tool/maven-metadata.xml"));
+      assert.ok(urls.includes("https://repo.packagist.org/p2/acme/test-tool.json"));
+      assert.ok(urls.includes("https://proxy.golang.org/github.com/acme/test-tool/@v/list"));
+      assert.ok(urls.some((u) => u.endsWith("/domain/test-tool.com")));
+    } finally { cleanup(); }
+  });
+
+  it("routes refreshed domain checks with the given RDAP bootstrap", async () => {
+    setup();
+    try {
+      const run = await runCheck("test-tool", {
+        channels: ["domain"],
+        tlds: [".com"],
+        rdapBootstrap: "off",
+        fetchFn: allAvailableFetch(),
+        now: STALE_TIME,
+        fuzzyQueryMode: "off",
+      });
+      const dir = writeRunDir("domain-run", run);
+
+      const urls = [];
+      const result = await refreshRun(dir, {
+        maxAgeHours: 24,
+        fetchFn: async (url) => { urls.push(url); return allAvailableFetch()(url); },
+        now: NOW,
+        rdapBootstrap: "off",
+      });
+
+      assert.equal(result.refreshedCount, 1);
+      assert.ok(!urls.some((u) => u.includes("data.iana.org")));
+      assert.deepEqual(urls, ["https://rdap.org/domain/test-tool.com"]);
+    } finally { cleanup(); }
+  });
+
+  it("keeps the id and tags of registry-equivalent checks", async () => {
+    setup();
+    try {
+      const takingMyTool = async (url) => {
+        const hit = url.endsWith("/my-tool/json");
+        return { ok: hit, status: hit ? 200 : 404, text: async () => "", json: async () => ({}) };
+      };
+      const run = await runCheck("My_Tool", { channels: ["pypi"], fetchFn: takingMyTool, now: STALE_TIME, variantBudget: 0 });
+      const dir = writeRunDir("equivalent-run", run);
+
+      const result = await refreshRun(dir, { maxAgeHours: 24, fetchFn: takingMyTool, now: NOW });
+
+      const form = result.run.checks.find((c) => c.query.equivalenceRule);
+      assert.equal(form.id, "chk.pypi.my-tool.eq");
+      assert.equal(form.evidenceRef, "ev.chk.pypi.my-tool.eq.0");
+      assert.equal(form.query.originalCandidate, "My_Tool");
+      assert.equal(form.observedAt, NOW);
+      const kinds = result.run.findings.map((f) => f.kind);
+      assert.ok(kinds.includes("registry_blocked"));
+      assert.ok(!kinds.includes("exact_conflict"));
+    } finally { cleanup(); }
+  });
 });
@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createRubyGemsAdapter } from "../../src/adapters/rubygems.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, "..", "fixtures", "adapters");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(fixturesDir, name), "utf8"));
+}
+
+function mockFetch(fixture, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    return {
+      status: fixture.status,
+      text: async () => fixture.body,
+    };
+  };
+}
+
+function failingFetch(message = "Network error") {
+  return async () => {
+    throw new Error(message);
+  };
+}
+
+const NOW = "2026-02-15T12:00:00.000Z";
+
+
+describe("RubyGems adapter", () => {
+  it("checkGem returns available for 404", async () => {
+    const calls = [];
+    const adapter = createRubyGemsAdapter(mockFetch(loadFixture("rubygems-available.json"), calls));
+    const { check, evidence } = await adapter.checkGem("my-new-gem", { now: NOW });
+
+    assert.equal(check.status, "available");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.namespace, "rubygems");
+    assert.match(check.id, /^chk\.rubygems\./);
+    assert.deepEqual(calls, ["https://rubygems.org/api/v1/gems/my-new-gem.json"]);
+    assert.equal(evidence.source.system, "rubygems");
+  });
+
+  it("checkGem returns taken for 200 with metadata", async () => {
+    const adapter = createRubyGemsAdapter(mockFetch(loadFixture("rubygems-taken.json")));
+    const { check } = await adapter.checkGem("rails", { now: NOW });
+
+    assert.equal(check.status, "taken");
+    assert.equal(check.authority, "authoritative");
+    assert.equal(check.details.gemName, "rails");
+    assert.equal(check.details.latestVersion, "8.0.1");
+    assert.equal(check.details.downloads, 612000000);
+  });
+
+  it("unexpected status is unknown/indicative", async () => {
+    const adapter = createRubyGemsAdapter(mockFetch({ status: 503, body: "" }));
+    const { check } = await adapter.checkGem("rails", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.authority, "indicative");
+  });
+
+  it("checkGem returns unknown on network error", async () => {
+    const adapter = createRubyGemsAdapter(failingFetch("Connection refused"));
+    const { check } = await adapter.checkGem("any-gem", { now: NOW });
+
+    assert.equal(check.status, "unknown");
+    assert.equal(check.errors[0].code, "COE.ADAPTER.RUBYGEMS_FAIL");
+    assert.match(check.errors[0].message, /Connection refused/);
+  });
+
+  it("IDs are deterministic", async () => {
+    const fixture = loadFixture("rubygems-available.json");
+    const adapter = createRubyGemsAdapter(mockFetch(fixture));
+    const r1 = await adapter.checkGem("my-gem", { now: NOW });
+    const r2 = await adapter.checkGem("my-gem", { now: NOW });
+
+    assert.equal(r1.check.id, r2.check.id);
+    assert.equal(r1.evidence.id, r2.evidence.id);
+  });
+});
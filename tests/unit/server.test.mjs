@@ -0,0 +1,224 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { connect } from "node:net";
+import { createApiServer, runOptionsFromConfig, MAX_BATCH_NAMES } from "../../src/server.mjs";
+import { validateArtifact } from "../../src/validate.mjs";
+
+/** npm answers 200 for names in `taken`, 404 for everything else. */
+function npmFetch(taken = []) {
+  return async (url) => {
+    const hit = taken.some((name) => url.endsWith(`/${name}`));
+    return {
+      ok: hit,
+      status: hit ? 200 : 404,
+      text: async () => (hit ? "{}" : "Not Found"),
+      json: async () => ({}),
+    };
+  };
+}
+
+const CONFIG_RECORD = { sources: [{ layer: "flags", keys: ["--channels"] }], effective: { channels: ["npm"] } };
+
+async function startServer(opts = {}) {
+  const server = createApiServer({
+    values: { channels: ["npm"], fuzzyQueryMode: "off" },
+    fetchFn: npmFetch(["taken-name"]),
+    ...opts,
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { server, base };
+}
+
+function stopServer(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+/** Send a raw HTTP/1.1 request line and return the whole response text. */
+function rawRequest(server, requestLine) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(server.address().port, "127.0.0.1", () => {
+      socket.end(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let text = "";
+    socket.on("data", (chunk) => (text += chunk));
+    socket.on("end", () => resolve(text));
+    socket.on("error", reject);
+  });
+}
+
+function post(base, path, body, headers = {}) {
+  return fetch(`${base}${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+/** Parse a text/event-stream body into [{ event, data }]. */
+function parseEvents(text) {
+  return text.trim().split("\n\n").map((block) => {
+    const event = block.match(/^event: (.+)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+    return { event, data };
+  });
+}
+
+describe("runOptionsFromConfig", () => {
+  it("maps config values to runCheck options", () => {
+    const opts = runOptionsFromConfig({ channels: ["npm", "pypi"], risk: "balanced", geo: ["US"], classes: ["9"], variantBudget: 50 });
+    assert.deepEqual(opts.channels, ["npm", "pypi"]);
+    assert.equal(opts.riskTolerance, "balanced");
+    assert.deepEqual(opts.classes, [9]);
+    assert.equal(opts.variantBudget, 30);
+    assert.equal(opts.geographies[0].code, "US");
+  });
+
+  it("throws coded errors for bad values", () => {
+    assert.throws(() => runOptionsFromConfig({ channels: ["nope"] }), { code: "COE.INIT.BAD_CHANNEL" });
+    assert.throws(() => runOptionsFromConfig({ risk: "nope" }), { code: "COE.CONFIG.UNKNOWN_PROFILE" });
+    assert.throws(() => runOptionsFromConfig({ goods: "ab" }), { code: "COE.INIT.BAD_GOODS" });
+  });
+
+  it("createApiServer rejects bad server-wide values up front", () => {
+    assert.throws(() => createApiServer({ values: { tlds: ["not a tld"] } }), { code: "COE.INIT.BAD_TLD" });
+  });
+});
+
+describe("coe serve API", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    ({ server, base } = await startServer({ config: CONFIG_RECORD }));
+  });
+
+  after(() => stopServer(server));
+
+  it("POST /check returns the run and keeps it for GET /runs/:id", async () => {
+    const res = await post(base, "/check", { name: "taken-name" });
+    assert.equal(res.status, 200);
+    const run = await res.json();
+    assert.equal(run.opinion.tier, "red");
+    assert.equal(validateArtifact(run, "run").valid, true);
+
+    const fetched = await fetch(`${base}/runs/${encodeURIComponent(run.run.runId)}`);
+    assert.equal(fetched.status, 200);
+    assert.deepEqual(await fetched.json(), run);
+
+    const html = await fetch(`${base}/runs/${run.run.runId}/report.html`);
+    assert.equal(html.status, 200);
+    assert.match(html.headers.get("content-type"), /text\/html/);
+    assert.ok((await html.text()).includes("taken-name"));
+  });
+
+  it("POST /check with several names returns a comparative run", async () => {
+    const run = await (await post(base, "/check", { names: ["taken-name", "free-name"] })).json();
+    assert.equal(run.comparison.candidates[0].mark, "free-name");
+  });
+
+  it("records request options as a request config layer", async () => {
+    const run = await (await post(base, "/check", { name: "free-name", risk: "aggressive" })).json();
+    assert.equal(run.intake.riskTolerance, "aggressive");
+    assert.deepEqual(run.run.config.sources.at(-1), { layer: "request", keys: ["risk"] });
+    assert.equal(run.run.config.effective.risk, "aggressive");
+  });
+
+  it("answers a malformed request URL with 400 and keeps serving", async () => {
+    const text = await rawRequest(server, "GET // HTTP/1.1");
+    assert.match(text, /^HTTP\/1\.1 400 /);
+    assert.equal(JSON.parse(text.slice(text.indexOf("\r\n\r\n") + 4)).error.code, "COE.SERVER.BAD_REQUEST");
+
+    const res = await fetch(`${base}/runs/run.missing`);
+    assert.equal(res.status, 404);
+  });
+
+  it("validates requests", async () => {
+    const cases = [
+      [post(base, "/check", "{ nope"), 400, "COE.SERVER.BAD_JSON"],
+      [post(base, "/check", {}), 400, "COE.SERVER.BAD_REQUEST"],
+      [post(base, "/check", { name: "x", corpus: "/etc/passwd" }), 400, "COE.SERVER.BAD_REQUEST"],
+      [post(base, "/check", { name: "x", variantBudget: "lots" }), 400, "COE.CONFIG.BAD_VALUE"],
+      [post(base, "/check", { name: "x", channels: "bogus" }), 400, "COE.INIT.BAD_CHANNEL"],
+      [post(base, "/check", { names: ["a", "A"] }), 400, "COE.INIT.DUPLICATE_CANDIDATE"],
+      [post(base, "/batch", { names: Array.from({ length: MAX_BATCH_NAMES + 1 }, (_, i) => `n${i}`) }), 400, "COE.SERVER.BAD_REQUEST"],
+      [post(base, "/batch", { names: ["a-name"], suggest: true }), 400, "COE.SERVER.BAD_REQUEST"],
+      [post(base, "/batch", { names: ["a-name"], suggestBudget: 10 }), 400, "COE.SERVER.BAD_REQUEST"],
+      [post(base, "/check", "x".repeat(1024 * 1024 + 1)), 413, "COE.SERVER.BODY_TOO_LARGE"],
+      [fetch(`${base}/check`), 405, "COE.SERVER.METHOD_NOT_ALLOWED"],
+      [fetch(`${base}/nowhere`), 404, "COE.SERVER.NOT_FOUND"],
+      [fetch(`${base}/runs/run.missing`), 404, "COE.SERVER.RUN_NOT_FOUND"],
+      [fetch(`${base}/runs/%E0%A4%A`), 400, "COE.SERVER.BAD_REQUEST"],
+      [fetch(`${base}/runs/%ZZ/report.html`), 400, "COE.SERVER.BAD_REQUEST"],
+    ];
+    for (const [request, status, code] of cases) {
+      const res = await request;
+      assert.equal(res.status, status, code);
+      assert.equal((await res.json()).error.code, code);
+    }
+  });
+
+  it("POST /batch returns a summary and stores each run", async () => {
+    const res = await post(base, "/batch", { names: ["taken-name", "free-name"] });
+    assert.equal(res.status, 200);
+    const summary = await res.json();
+    assert.equal(summary.stats.succeeded, 2);
+    assert.deepEqual(summary.results.map((r) => [r.name, r.tier]), [["free-name", "green"], ["taken-name", "red"]]);
+
+    const stored = await fetch(`${base}/runs/${summary.results[1].runId}`);
+    assert.equal((await stored.json()).intake.candidates[0].mark, "taken-name");
+  });
+
+  it("POST /batch streams progress as server-sent events", async () => {
+    const res = await post(base, "/batch", { names: ["alpha-name", "beta-name", "taken-name"] }, { accept: "text/event-stream" });
+    assert.match(res.headers.get("content-type"), /text\/event-stream/);
+    const events = parseEvents(await res.text());
+
+    assert.deepEqual(events.map((e) => e.event), ["start", "progress", "progress", "progress", "done"]);
+    assert.equal(events[0].data.total, 3);
+    assert.deepEqual(events.slice(1, 4).map((e) => e.data.completed), [1, 2, 3]);
+    assert.ok(events.slice(1, 4).every((e) => e.data.runId && e.data.tier));
+    assert.equal(events[4].data.stats.succeeded, 3);
+  });
+});
+
+describe("coe serve concurrency", () => {
+  it("answers 503 when the queue is full", async () => {
+    const { server, base } = await startServer({ maxQueue: 2 });
+    try {
+      const res = await post(base, "/batch", { names: ["a-name", "b-name", "c-name"] });
+      assert.equal(res.status, 503);
+      assert.equal((await res.json()).error.code, "COE.SERVER.BUSY");
+
+      const ok = await post(base, "/batch", { names: ["a-name", "b-name"] });
+      assert.equal(ok.status, 200);
+    } finally {
+      await stopServer(server);
+    }
+  });
+
+  it("limits simultaneous checks across requests", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const slowFetch = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((r) => setTimeout(r, 10));
+      running--;
+      return { ok: false, status: 404, text: async () => "Not Found", json: async () => ({}) };
+    };
+    const { server, base } = await startServer({ concurrency: 1, fetchFn: slowFetch });
+    try {
+      const responses = await Promise.all([
+        post(base, "/check", { name: "one-name" }),
+        post(base, "/check", { name: "two-name" }),
+        post(base, "/batch", { names: ["three-name", "four-name"] }),
+      ]);
+      assert.deepEqual(responses.map((r) => r.status), [200, 200, 200]);
+      assert.equal(maxRunning, 1);
+    } finally {
+      await stopServer(server);
+    }
+  });
+});
@@ -0,0 +1,249 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, readFileSync, mkdirSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import {
+  parseInterval,
+  watchSnapshot,
+  diffWatch,
+  createAlertSinks,
+  watchOnce,
+  watchRuns,
+  watchDir,
+} from "../../src/watch.mjs";
+import { runCheck, runComparison } from "../../src/pipeline.mjs";
+
+const T0 = "2026-02-15T12:00:00.000Z";
+const T1 = "2026-02-15T18:00:00.000Z";
+const T2 = "2026-02-16T00:00:00.000Z";
+const T3 = "2026-02-16T06:00:00.000Z";
+
+const TMP_DIR = join(import.meta.dirname, "..", ".tmp-watch");
+
+function setup() {
+  rmSync(TMP_DIR, { recursive: true, force: true });
+  mkdirSync(TMP_DIR, { recursive: true });
+}
+
+function cleanup() {
+  try { rmSync(TMP_DIR, { recursive: true, force: true }); } catch {}
+}
+
+/** npm answers with `status` for every package. */
+function npmFetch(status) {
+  return async () => ({
+    ok: status === 200,
+    status,
+    text: async () => (status === 200 ? "{}" : "Not Found"),
+    json: async () => ({}),
+  });
+}
+
+async function writeRunDir(name, run) {
+  const dir = join(TMP_DIR, name);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, "run.json"), JSON.stringify(run, null, 2), "utf8");
+  return dir;
+}
+
+function npmRun(status) {
+  return runCheck("snipe-me", { channels: ["npm"], fetchFn: npmFetch(status), now: T0, fuzzyQueryMode: "off", registryEquivalents: false });
+}
+
+function check(namespace, value, status, details = {}) {
+  return { namespace, query: { candidateMark: "acme", value }, status, details };
+}
+
+describe("parseInterval", () => {
+  it("parses minutes, hours and days", () => {
+    assert.equal(parseInterval("30m"), 30 * 60 * 1000);
+    assert.equal(parseInterval("6h"), 6 * 60 * 60 * 1000);
+    assert.equal(parseInterval("1.5d"), 36 * 60 * 60 * 1000);
+  });
+
+  it("rejects bad syntax and intervals under a minute", () => {
+    for (const raw of ["6", "6 hours", "", null, "0.5m", "0h"]) {
+      assert.throws(() => parseInterval(raw), { code: "COE.WATCH.BAD_INTERVAL" }, String(raw));
+    }
+  });
+});
+
+describe("diffWatch", () => {
+  const previous = watchSnapshot({
+    opinion: { tier: "green" },
+    checks: [
+      check("npm", "acme", "available"),
+      check("domain", "acme.com", "taken"),
+      check("pypi", "acme", "available"),
+    ],
+  });
+
+  it("alerts on status, domain lifecycle and tier changes", () => {
+    const run = {
+      run: { runId: "run.x" },
+      intake: { candidates: [{ mark: "acme" }] },
+      opinion: { tier: "red" },
+      checks: [
+        check("npm", "acme", "taken"),
+        check("domain", "acme.com", "taken", { claimableSoonReason: "pending_delete" }),
+        check("pypi", "acme", "available"),
+      ],
+    };
+    const { alerts, snapshot } = diffWatch(previous, run, { runDir: "/runs/acme", now: T1 });
+
+    assert.deepEqual(alerts.map((a) => [a.kind, a.from, a.to, a.severity]), [
+      ["check_status", "available", "taken", "high"],
+      ["domain_lifecycle", null, "pending_delete", "medium"],
+      ["tier", "green", "red", "high"],
+    ]);
+    assert.equal(alerts[0].message, "npm acme became taken (was available)");
+    assert.equal(alerts[1].message, "acme.com entered pending delete");
+    assert.equal(alerts[2].message, "Tier GREEN → RED");
+    assert.ok(alerts.every((a) => a.runDir === "/runs/acme" && a.runId === "run.x" && a.observedAt === T1));
+    assert.equal(snapshot.checks["npm:acme"].status, "taken");
+  });
+
+  it("keeps the last known state for unknown results", () => {
+    const run = {
+      opinion: { tier: "green" },
+      checks: [check("npm", "acme", "unknown"), check("domain", "acme.com", "taken"), check("pypi", "acme", "available")],
+    };
+    const { alerts, snapshot } = diffWatch(previous, run);
+    assert.deepEqual(alerts, []);
+    assert.equal(snapshot.checks["npm:acme"].status, "available");
+
+    const back = diffWatch(snapshot, { opinion: { tier: "green" }, checks: [check("npm", "acme", "available")] });
+    assert.deepEqual(back.alerts, []);
+  });
+
+  it("alerts when a name that was never checked successfully is taken", () => {
+    const start = watchSnapshot({ checks: [check("npm", "acme", "unknown")] });
+    const { alerts } = diffWatch(start, { checks: [check("npm", "acme", "taken")] });
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].severity, "high");
+  });
+});
+
+describe("createAlertSinks", () => {
+  const alert = { kind: "tier", from: "green", to: "yellow", message: "Tier GREEN → YELLOW" };
+
+  it("writes JSON lines to stdout and files", async () => {
+    setup();
+    try {
+      const written = [];
+      const path = join(TMP_DIR, "nested", "alerts.jsonl");
+      const [stdout, file] = createAlertSinks(["stdout", path], { stdout: { write: (s) => written.push(s) } });
+      await stdout.send(alert);
+      await file.send(alert);
+      await file.send(alert);
+      assert.deepEqual(written.map((l) => JSON.parse(l)), [alert]);
+      assert.equal(readFileSync(path, "utf8").trim().split("\n").length, 2);
+    } finally { cleanup(); }
+  });
+
+  it("posts alerts to a webhook and reports failures", async () => {
+    const posts = [];
+    let status = 204;
+    const fetchFn = async (url, init) => {
+      posts.push({ url, init });
+      return { ok: status < 300, status };
+    };
+    const [sink] = createAlertSinks(["https://hooks.example.com/T000/secret"], { fetchFn });
+    assert.equal(sink.name, "webhook hooks.example.com");
+
+    await sink.send(alert);
+    assert.equal(posts[0].init.method, "POST");
+    assert.deepEqual(JSON.parse(posts[0].init.body), alert);
+
+    status = 500;
+    await assert.rejects(sink.send(alert), { code: "COE.WATCH.WEBHOOK_FAIL" });
+  });
+
+  it("rejects malformed webhook URLs", () => {
+    assert.throws(() => createAlertSinks(["https://"]), { code: "COE.WATCH.BAD_SINK" });
+  });
+});
+
+describe("watchOnce", () => {
+  it("refreshes into <dir>-watch, alerts once per change and never touches the run", async () => {
+    setup();
+    try {
+      const dir = await writeRunDir("snipe-me", await npmRun(404));
+      const original = readFileSync(join(dir, "run.json"), "utf8");
+
+      const first = await watchOnce(dir, { fetchFn: npmFetch(200), now: T1 });
+      assert.deepEqual(first.alerts.map((a) => [a.kind, a.to]), [["check_status", "taken"], ["tier", "red"]]);
+      assert.equal(first.outputDir, watchDir(dir));
+      assert.ok(existsSync(join(first.outputDir, "run.json")));
+      assert.ok(existsSync(join(first.outputDir, "watch-state.json")));
+      assert.equal(readFileSync(join(dir, "run.json"), "utf8"), original);
+
+      // Resumes from the watch state: nothing changed since the last cycle
+      const second = await watchOnce(dir, { fetchFn: npmFetch(200), now: T2 });
+      assert.deepEqual(second.alerts, []);
+      assert.equal(second.run.checks[0].observedAt, T2);
+
+      // A registry error is not a change
+      const third = await watchOnce(dir, { fetchFn: npmFetch(500), now: T3 });
+      assert.deepEqual(third.alerts.filter((a) => a.kind === "check_status"), []);
+    } finally { cleanup(); }
+  });
+
+  it("rejects comparative runs", async () => {
+    setup();
+    try {
+      const run = await runComparison(["alpha-name", "beta-name"], { channels: ["npm"], fetchFn: npmFetch(404), now: T0, fuzzyQueryMode: "off" });
+      const dir = await writeRunDir("pair", run);
+      await assert.rejects(watchOnce(dir, { fetchFn: npmFetch(404), now: T1 }), { code: "COE.REFRESH.COMPARATIVE_RUN" });
+    } finally { cleanup(); }
+  });
+});
+
+describe("watchRuns", () => {
+  it("runs cycles, sends alerts to every sink and reports errors", async () => {
+    setup();
+    try {
+      const dir = await writeRunDir("snipe-me", await npmRun(404));
+      const clock = [T1, T2];
+      const sent = [];
+      const errors = [];
+      const cycles = [];
+      const sleeps = [];
+
+      const result = await watchRuns([dir, join(TMP_DIR, "missing")], {
+        everyMs: 60_000,
+        sinks: [{ name: "a", send: async (alert) => sent.push(alert.kind) }, { name: "b", send: async () => { throw new Error("down"); } }],
+        fetchFn: npmFetch(200),
+        now: () => clock.shift(),
+        maxCycles: 2,
+        sleep: async (ms) => sleeps.push(ms),
+        onCycle: (c) => cycles.push([c.cycle, c.refreshed, c.alerts.length]),
+        onError: (err, ctx) => errors.push(ctx.sink || err.code),
+      });
+
+      assert.deepEqual(result, { cycles: 2, alerts: 2 });
+      assert.deepEqual(sent, ["check_status", "tier"]);
+      assert.deepEqual(cycles, [[1, 1, 2], [2, 1, 0]]);
+      assert.deepEqual(errors, ["b", "b", "COE.REFRESH.NO_RUN", "COE.REFRESH.NO_RUN"]);
+      assert.equal(sleeps.length, 1);
+      assert.ok(sleeps[0] <= 60_000);
+    } finally { cleanup(); }
+  });
+
+  it("stops when the signal aborts", async () => {
+    setup();
+    try {
+      const dir = await writeRunDir("snipe-me", await npmRun(404));
+      const controller = new AbortController();
+      const result = await watchRuns([dir], {
+        everyMs: 60 * 60 * 1000,
+        sinks: [],
+        fetchFn: npmFetch(404),
+        now: () => T1,
+        signal: controller.signal,
+        onCycle: () => controller.abort(),
+      });
+      assert.deepEqual(result, { cycles: 1, alerts: 0 });
+    } finally { cleanup(); }
+  });
+});
@@ -3,7 +3,9 @@ import assert from "node:assert/strict";
 import {
   WEIGHT_PROFILES,
   TIER_THRESHOLDS,
+  FINDING_DEDUCTIONS,
   getWeightProfile,
+  resolveRiskProfile,
   computeScoreBreakdown,
   computeDupontFactors,
 } from "../../src/scoring/weights.mjs";
@@ -54,6 +56,49 @@ describe("getWeightProfile", () => {
   });
 });
 
+describe("resolveRiskProfile", () => {
+  const profiles = {
+    "enterprise-brand": {
+      description: "Customer-facing product names",
+      deductions: { near_conflict: 15 },
+      thresholds: { green: 90 },
+    },
+    "internal-tool": {
+      extends: "aggressive",
+      weights: { namespaceAvailability: 70, coverageCompleteness: 10, conflictSeverity: 20, domainAvailability: 0 },
+    },
+  };
+
+  it("returns built-in profiles with the default deductions", () => {
+    assert.deepEqual(resolveRiskProfile("balanced"), {
+      name: "balanced",
+      base: "balanced",
+      weights: WEIGHT_PROFILES.balanced,
+      deductions: FINDING_DEDUCTIONS,
+      thresholds: TIER_THRESHOLDS.balanced,
+    });
+  });
+
+  it("merges a custom profile over the profile it extends", () => {
+    const profile = resolveRiskProfile("enterprise-brand", profiles);
+    assert.equal(profile.base, "conservative");
+    assert.equal(profile.description, "Customer-facing product names");
+    assert.deepEqual(profile.weights, WEIGHT_PROFILES.conservative);
+    assert.deepEqual(profile.deductions, { ...FINDING_DEDUCTIONS, near_conflict: 15 });
+    assert.deepEqual(profile.thresholds, { green: 90, yellow: 50 });
+
+    const internal = resolveRiskProfile("internal-tool", profiles);
+    assert.equal(internal.base, "aggressive");
+    assert.equal(internal.weights.namespaceAvailability, 70);
+    assert.deepEqual(internal.thresholds, TIER_THRESHOLDS.aggressive);
+  });
+
+  it("throws COE.CONFIG.UNKNOWN_PROFILE for undefined names", () => {
+    assert.throws(() => resolveRiskProfile("reckless", profiles), (err) =>
+      err.code === "COE.CONFIG.UNKNOWN_PROFILE" && err.message.includes("enterprise-brand"));
+  });
+});
+
 describe("computeScoreBreakdown", () => {
   const allAvailableChecks = [
     { namespace: "github_repo", status: "available", query: { value: "test" } },
@@ -149,6 +194,32 @@ describe("computeScoreBreakdown", () => {
     assert.ok(typeof aggressive.overallScore === "number");
   });
 
+  it("applies a profile's deductions and thresholds", () => {
+    const data = {
+      checks: allAvailableChecks,
+      findings: [{ kind: "near_conflict" }, { kind: "variant_taken" }],
+      variants: {},
+    };
+    const profile = resolveRiskProfile("strict", {
+      strict: { deductions: { near_conflict: 40, variant_taken: 0 }, thresholds: { green: 95, yellow: 60 } },
+    });
+    const result = computeScoreBreakdown(data, { profile });
+
+    assert.equal(result.conflictSeverity.score, 60);
+    assert.deepEqual(result.tierThresholds, { green: 95, yellow: 60 });
+    assert.equal(computeScoreBreakdown(data, { riskTolerance: "conservative" }).conflictSeverity.score, 90);
+  });
+
+  it("opts.weights overrides the risk profile's weights", () => {
+    const data = { checks: allAvailableChecks, findings: [], variants: {} };
+    const result = computeScoreBreakdown(data, {
+      riskTolerance: "conservative",
+      weights: { namespaceAvailability: 0, coverageCompleteness: 100, conflictSeverity: 0, domainAvailability: 0 },
+    });
+
+    assert.equal(result.overallScore, result.coverageCompleteness.score);
+  });
+
   it("all sub-scores are integers 0-100", () => {
     const result = computeScoreBreakdown(
       { checks: allAvailableChecks, findings: [], variants: {} }